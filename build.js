@@ -0,0 +1,79 @@
+// build.js
+
+// Builds scripto.js, the minified bundle loaded by index.html, from the readable sources that Localindex.html
+// loads one by one, with a source map (scripto.js.map) pointing back to them.
+// Usage: node build.js            writes scripto.js and scripto.js.map
+//        node build.js --check    exits with code 1 if the committed files differ from a fresh build
+// The output only depends on the sources and on the terser version, pinned in package.json.
+
+const fs = require('fs');
+const path = require('path');
+const { minify } = require('terser');
+
+// Sources in the order the pages load them; they share one global scope, as separate scripts do
+const SOURCE_FILES = ['validator.js', 'question-csv.js', 'quiz-engine.js', 'script.js'];
+
+const BUNDLE_FILE = 'scripto.js';
+const SOURCE_MAP_FILE = `${BUNDLE_FILE}.map`;
+
+/**
+ * Minifies the sources into one bundle.
+ * Only local names are shortened: the top-level functions and constants keep their names, as they do
+ * when the sources are loaded separately.
+ * @returns {Promise<object>} The contents of the bundle and of its source map, by file name.
+ */
+async function build() {
+    const sources = {};
+    SOURCE_FILES.forEach(file => {
+        sources[file] = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    });
+
+    const result = await minify(sources, {
+        ecma: 2020,
+        compress: true,
+        mangle: true,
+        format: { comments: false },
+        sourceMap: { filename: BUNDLE_FILE, url: SOURCE_MAP_FILE },
+    });
+
+    return {
+        [BUNDLE_FILE]: result.code + '\n',
+        [SOURCE_MAP_FILE]: result.map + '\n',
+    };
+}
+
+/**
+ * Writes the build output, or compares it with the files on disk.
+ * @param {boolean} checkOnly - Whether to only compare.
+ * @returns {Promise<boolean>} True if the files were written or are up to date.
+ */
+async function run(checkOnly) {
+    const output = await build();
+    const files = Object.keys(output);
+
+    if (!checkOnly) {
+        files.forEach(file => fs.writeFileSync(path.join(__dirname, file), output[file]));
+        console.log(`✓ ${files.join(', ')} built from ${SOURCE_FILES.join(', ')}`);
+        return true;
+    }
+
+    const staleFiles = files.filter(file => {
+        const filePath = path.join(__dirname, file);
+        return !fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf8') !== output[file];
+    });
+    if (staleFiles.length > 0) {
+        console.log(`✗ ${staleFiles.join(', ')} out of date. Run "npm run build" and commit the result.`);
+        return false;
+    }
+    console.log(`✓ ${files.join(', ')} up to date`);
+    return true;
+}
+
+run(process.argv.includes('--check'))
+    .then(ok => {
+        process.exitCode = ok ? 0 : 1;
+    })
+    .catch(error => {
+        console.log(`✗ Build failed: ${error.message}`);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,84 @@
+// convert-questions.js
+
+// Command-line converter between question banks and spreadsheet files.
+// Usage: node convert-questions.js <input> [output]
+//   node convert-questions.js questions.csv [bank.json]   imports a CSV/TSV spreadsheet export into a bank
+//   node convert-questions.js bank.json [questions.csv]   exports a bank to CSV (or TSV when the output ends in .tsv)
+// Without an output the input's name is used with .json or .csv. The column layout is described in question-csv.js.
+// Imported rows with errors are reported and left out of the bank; the exit code is then 1.
+
+const fs = require('fs');
+const path = require('path');
+const { csvToQuestions, questionsToCsv } = require('./question-csv.js');
+const { validateQuestion } = require('./validator.js');
+
+/**
+ * Imports a spreadsheet into a bank file, keeping the rows that make valid questions.
+ * @param {string} input - Path to the CSV/TSV file.
+ * @param {string} output - Path to the JSON file to write.
+ * @returns {boolean} True if every row was imported.
+ */
+function importSpreadsheet(input, output) {
+    const { questions, rows, rowWarnings, warnings } = csvToQuestions(fs.readFileSync(input, 'utf8'));
+    warnings.forEach(message => console.warn(`    warning ${message}`));
+
+    const validQuestions = [];
+    let errorCount = 0;
+    questions.forEach((question, i) => {
+        const { errors, warnings: questionWarnings } = validateQuestion(question);
+        if (errors.length === 0) {
+            validQuestions.push(question);
+        } else {
+            errorCount++;
+        }
+        errors.forEach(message => console.error(`    error   row ${rows[i]}: ${message}`));
+        [...questionWarnings, ...rowWarnings[i]].forEach(message => console.warn(`    warning row ${rows[i]}: ${message}`));
+    });
+
+    fs.writeFileSync(output, JSON.stringify(validQuestions, null, 2) + '\n');
+    const summary = `${path.relative(process.cwd(), output)}: ${validQuestions.length}/${questions.length} rows imported`;
+    if (errorCount === 0) {
+        console.log(`✓ ${summary}`);
+    } else {
+        console.error(`✗ ${summary}`);
+    }
+    return errorCount === 0;
+}
+
+/**
+ * Exports a bank file to a spreadsheet.
+ * @param {string} input - Path to the JSON file.
+ * @param {string} output - Path to the CSV/TSV file to write.
+ * @returns {boolean} True (questions that don't fit a row are reported, not treated as errors).
+ */
+function exportSpreadsheet(input, output) {
+    const data = JSON.parse(fs.readFileSync(input, 'utf8'));
+    if (!Array.isArray(data)) {
+        throw new Error('The question bank should be a JSON array of questions.');
+    }
+
+    const delimiter = path.extname(output).toLowerCase() === '.tsv' ? '\t' : ',';
+    const { text, issues } = questionsToCsv(data, delimiter);
+    fs.writeFileSync(output, text);
+
+    issues.forEach(issue => console.warn(`    warning #${issue.index} (${issue.type}): ${issue.message}`));
+    const skipped = new Set(issues.filter(issue => issue.message.startsWith('skipped')).map(issue => issue.index)).size;
+    console.log(`✓ ${path.relative(process.cwd(), output)}: ${data.length - skipped}/${data.length} questions exported`);
+    return true;
+}
+
+const [input, outputArg] = process.argv.slice(2);
+if (!input) {
+    console.error('Usage: node convert-questions.js <questions.csv|bank.json> [output]');
+    process.exitCode = 1;
+} else {
+    const importing = path.extname(input).toLowerCase() !== '.json';
+    const output = outputArg || input.slice(0, input.length - path.extname(input).length) + (importing ? '.json' : '.csv');
+    try {
+        const ok = importing ? importSpreadsheet(input, output) : exportSpreadsheet(input, output);
+        process.exitCode = ok ? 0 : 1;
+    } catch (error) {
+        console.error(`✗ ${input}: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,795 @@
+// editor.js
+
+// Authoring page for the question banks (editor.html).
+// Loads a bank from the manifest or from a file, edits its items with a form built from the validator's
+// QUESTION_SCHEMAS, validates every change with validateQuestion() and previews the item with the quiz's
+// own renderers (renderQuestionHtml() from script.js). The result is downloaded (downloadFile() from script.js) or
+// copied as JSON.
+// Spreadsheets are imported and exported with question-csv.js.
+
+// Example items used for new questions, one per type supported by displayQuestion()
+const QUESTION_TEMPLATES = {
+    multiple_choice: {
+        type: 'multiple_choice',
+        level: 'B1',
+        topic: '',
+        questionText: 'She _____ to school every day.',
+        options: ['go', 'goes', 'going', 'gone'],
+        correctAnswer: 'goes',
+    },
+    dropdown: {
+        type: 'dropdown',
+        level: 'B1',
+        topic: '',
+        questionText: 'I have lived here _____ 2010.',
+        options: ['since', 'for', 'from', 'during'],
+        correctAnswer: 'since',
+    },
+    fill_in_the_blank: {
+        type: 'fill_in_the_blank',
+        level: 'B1',
+        topic: '',
+        questionText: 'If I had known, I _____ you.',
+        sentenceParts: ['If I had known, I ', ' you.'],
+        correctAnswer: 'would have told',
+    },
+    reading_passage: {
+        type: 'reading_passage',
+        level: 'B1',
+        topic: 'Reading Comprehension',
+        passage: 'Write the text of the passage here.',
+        questions: [
+            {
+                questionText: 'What is the passage about?',
+                options: ['Answer A', 'Answer B', 'Answer C'],
+                correctAnswer: 'Answer A',
+            },
+        ],
+    },
+    listening: {
+        type: 'listening',
+        level: 'B1',
+        topic: 'Listening',
+        questionText: 'Listen to the message and answer the question.',
+        transcript: 'Write what the recording says here. Without an audio file it is read aloud by the browser.',
+        maxPlays: 2,
+        questions: [
+            {
+                questionText: 'What is the message about?',
+                options: ['Answer A', 'Answer B', 'Answer C'],
+                correctAnswer: 'Answer A',
+            },
+        ],
+    },
+    drag_and_drop: {
+        type: 'drag_and_drop',
+        level: 'B1',
+        topic: '',
+        questionText: 'Drag the word into the sentence.',
+        blanks: [
+            { id: 'blank1', sentencePart: 'I am interested ', options: ['in', 'on', 'at'], correctAnswer: 'in' },
+            { id: 'blank2', sentencePart: ' learning English.' },
+        ],
+        correctOrder: ['in'],
+    },
+    drag_and_drop_sentence: {
+        type: 'drag_and_drop_sentence',
+        level: 'B1',
+        topic: '',
+        questionText: 'Complete the sentence.',
+        sentenceTemplate: 'She [DROP_ZONE] to the cinema [DROP_ZONE] night.',
+        correctWords: ['went', 'last'],
+        dragWords: ['went', 'last', 'go', 'next'],
+    },
+    matching: {
+        type: 'matching',
+        level: 'B1',
+        topic: '',
+        questionText: 'Match each word with its meaning.',
+        pairs: [
+            { left: 'borrow', right: 'take something for a short time' },
+            { left: 'lend', right: 'give something for a short time' },
+            { left: 'owe', right: 'have to pay something back' },
+        ],
+    },
+    sentence_order: {
+        type: 'sentence_order',
+        level: 'B1',
+        topic: '',
+        questionText: 'Put the words in the right order.',
+        tokens: ['I', 'have', 'never', 'been', 'to', 'London'],
+    },
+};
+
+// Fields shown first and last in the form, around the type-specific ones
+const LEADING_FIELDS = ['id', 'type', 'level', 'topic'];
+const TRAILING_FIELDS = ['explanation', 'allowMarkup'];
+
+// String fields edited in a multi-line box
+const LONG_TEXT_FIELDS = ['questionText', 'passage', 'explanation', 'sentenceTemplate', 'transcript'];
+
+// Levels offered while typing the level
+const EDITOR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// Help shown under a field, by field name, then by the kind of editor
+const FIELD_HINTS = {
+    id: 'Optional. Keeps the answer history of the question when its text changes.',
+    sentenceParts: 'The sentence around the blanks, one part per line. Spaces at the end of a line count.',
+    sentenceTemplate: 'Mark each blank with [DROP_ZONE].',
+    allowMarkup: 'Allows <b>, <strong>, <i> and <em> in the texts of the question.',
+    shuffleOptions: 'Set to false to keep the options in the written order, e.g. for "All of the above".',
+    audio: 'Optional. Path of the recording, relative to the quiz page. Without it the transcript is read aloud.',
+    transcript: 'What the recording says. Shown once the answer is checked; a dictation is graded against it.',
+    lang: 'Language of the voice reading the transcript aloud, e.g. en-US. British English when not set.',
+    maxPlays: 'Optional. How many times the recording can be played before the answer is checked.',
+    dictation: 'Set to true to have the learner type the whole transcript instead of answering questions.',
+    pairs: 'A list of {"left": …, "right": …} objects, each with an optional "explanation". The right-hand items are offered shuffled.',
+    tokens: 'The words or clauses in the right order, one per line. They are offered shuffled.',
+    acceptedOrders: 'Optional. Other right orders, each a list of the same tokens, e.g. [["Yesterday", "I", "left"]].',
+};
+const EDITOR_HINTS = {
+    lines: 'One per line.',
+    json: 'JSON.',
+};
+
+let editorItems = []; // The questions of the bank being edited
+let editorFileName = 'new-bank.json'; // Name used when downloading
+let selectedItemIndex = -1; // Index of the item in the form, -1 when the bank is empty
+let hasUnsavedChanges = false;
+let showPreviewAnswers = false; // Whether the preview shows the item as answered correctly
+let fieldErrors = {}; // Fields of the selected item whose text can't be used (e.g. invalid JSON), by name
+
+/**
+ * Fills the bank picker from the manifest and the type picker from the schemas, then starts with an empty bank.
+ */
+async function initEditor() {
+    document.getElementById('editorNewType').innerHTML = Object.keys(QUESTION_SCHEMAS).map(type =>
+        `<option value="${type}">${escapeHtml(QUESTION_TYPE_LABELS[type] || type)}</option>`
+    ).join('');
+
+    displayEditor();
+
+    try {
+        bankManifest = await loadBankManifest();
+        document.getElementById('editorBankSelect').innerHTML =
+            `<option value="">Choose a bank…</option>` +
+            bankManifest.map(bank => `<option value="${escapeHtml(bank.id)}">${escapeHtml(bank.name)} (${escapeHtml(bank.file)})</option>`).join('');
+    } catch (error) {
+        // Files can still be opened from disk
+        document.getElementById('editorBankSelect').innerHTML = `<option value="">No banks found</option>`;
+        showEditorMessage(`Could not load the list of banks: ${error.message}`);
+    }
+}
+
+/**
+ * Shows or hides the message under the toolbar.
+ * @param {string} [message] - The message, or nothing to hide it.
+ */
+function showEditorMessage(message) {
+    const messageDiv = document.getElementById('editorMessage');
+    messageDiv.textContent = message || '';
+    messageDiv.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Asks before throwing away unsaved changes.
+ * @returns {boolean} True if there is nothing to lose or the author agreed.
+ */
+function confirmDiscardChanges() {
+    return !hasUnsavedChanges || confirm(`Discard the unsaved changes to ${editorFileName}?`);
+}
+
+/**
+ * Replaces the bank being edited.
+ * @param {*} data - The parsed JSON of the bank.
+ * @param {string} fileName - The file name to download it as.
+ */
+function setEditorBank(data, fileName) {
+    if (!Array.isArray(data)) {
+        throw new Error('The question bank should be a JSON array of questions.');
+    }
+
+    editorItems = data;
+    editorFileName = fileName;
+    selectedItemIndex = data.length > 0 ? 0 : -1;
+    hasUnsavedChanges = false;
+    fieldErrors = {};
+    showEditorMessage();
+    displayEditor();
+}
+
+/**
+ * Opens the bank chosen in the manifest picker.
+ * @param {HTMLSelectElement} select - The bank picker.
+ */
+async function openManifestBank(select) {
+    const bank = bankManifest.find(entry => entry.id === select.value);
+    if (!bank || !confirmDiscardChanges()) {
+        select.value = '';
+        return;
+    }
+
+    try {
+        setEditorBank(await fetchJson(bank.file), bank.file.split('/').pop());
+    } catch (error) {
+        showEditorMessage(`Could not open ${bank.file}: ${error.message}`);
+    }
+}
+
+/**
+ * Opens a bank file chosen from disk: a JSON bank, or a CSV/TSV spreadsheet export converted with csvToQuestions().
+ * Spreadsheet rows that don't make valid questions are kept, so they can be fixed here.
+ * @param {HTMLInputElement} input - The file input.
+ */
+async function openBankFile(input) {
+    const file = input.files[0];
+    input.value = ''; // Allow opening the same file again
+    if (!file || !confirmDiscardChanges()) {
+        return;
+    }
+
+    try {
+        const text = await file.text();
+        if (/\.json$/i.test(file.name)) {
+            setEditorBank(JSON.parse(text), file.name);
+        } else {
+            const { questions, rows, rowWarnings, warnings } = csvToQuestions(text);
+            setEditorBank(questions, file.name.replace(/\.\w+$/, '') + '.json');
+            hasUnsavedChanges = questions.length > 0;
+
+            const invalidRows = rows.filter((row, i) => validateQuestion(questions[i]).errors.length > 0);
+            const messages = [...warnings];
+            rowWarnings.forEach((rowMessages, i) => messages.push(...rowMessages.map(message => `row ${rows[i]}: ${message}`)));
+            if (invalidRows.length > 0) {
+                messages.unshift(`rows with errors (marked in the list): ${invalidRows.join(', ')}`);
+            }
+            showEditorMessage(messages.length > 0 ? `Imported ${file.name} with warnings: ${messages.join('; ')}.` : '');
+            updateEditorStatus();
+        }
+        document.getElementById('editorBankSelect').value = '';
+    } catch (error) {
+        showEditorMessage(`Could not open ${file.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Starts a new, empty bank.
+ */
+function newBank() {
+    if (!confirmDiscardChanges()) {
+        return;
+    }
+    setEditorBank([], 'new-bank.json');
+    document.getElementById('editorBankSelect').value = '';
+}
+
+/**
+ * Re-renders the whole editor: the item list, the form of the selected item, its issues and its preview.
+ */
+function displayEditor() {
+    displayItemList();
+    displayItemForm();
+    displayItemIssues();
+    displayPreview();
+    updateEditorStatus();
+}
+
+/**
+ * Re-renders what depends on the selected item's content, leaving the form alone so typing isn't interrupted.
+ */
+function refreshSelectedItem() {
+    displayItemList();
+    displayItemIssues();
+    displayPreview();
+    updateEditorStatus();
+}
+
+/**
+ * Shows the file name, the number of questions and of questions with errors above the toolbar.
+ */
+function updateEditorStatus() {
+    const invalidCount = editorItems.filter(item => validateQuestion(item).errors.length > 0).length;
+    const parts = [editorFileName, `${editorItems.length} question${editorItems.length === 1 ? '' : 's'}`];
+    if (invalidCount > 0) {
+        parts.push(`${invalidCount} with errors`);
+    }
+    if (hasUnsavedChanges) {
+        parts.push('unsaved changes');
+    }
+    document.getElementById('editorStatus').textContent = parts.join(' · ');
+}
+
+/**
+ * Returns a short description of an item for the list, even when it is incomplete.
+ * @param {object} item - The question object.
+ * @returns {string} The description.
+ */
+function describeItem(item) {
+    let summary;
+    try {
+        summary = getQuestionSummary(item);
+    } catch (error) {
+        summary = ''; // Missing fields; the issues list says which
+    }
+    summary = typeof summary === 'string' && summary.trim() ? summary.trim() : '(no question text)';
+    return summary.length > 60 ? `${summary.slice(0, 57)}…` : summary;
+}
+
+/**
+ * Fills the item list with every question of the bank, marking the selected one and the ones with problems.
+ */
+function displayItemList() {
+    document.getElementById('editorItemList').innerHTML = editorItems.map((item, i) => {
+        const { errors, warnings } = validateQuestion(item);
+
+        let itemClass = 'editor-item';
+        let badge = '';
+        if (i === selectedItemIndex) {
+            itemClass += ' selected';
+        }
+        if (errors.length > 0) {
+            itemClass += ' has-errors';
+            badge = `<span class="editor-badge" title="Errors">✗ ${errors.length}</span>`;
+        } else if (warnings.length > 0) {
+            itemClass += ' has-warnings';
+            badge = `<span class="editor-badge" title="Warnings">! ${warnings.length}</span>`;
+        }
+
+        const typeLabel = QUESTION_TYPE_LABELS[item && item.type] || (item && item.type) || 'unknown';
+        return `
+            <li class="${itemClass}" data-click="selectItem" data-index="${i}">
+                <span class="editor-item-type">${i + 1}. ${escapeHtml(typeLabel)} ${badge}</span>
+                <span class="editor-item-summary">${escapeHtml(describeItem(item))}</span>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Selects an item from the list and shows it in the form.
+ * @param {HTMLElement} element - The list entry.
+ */
+function selectItem(element) {
+    selectedItemIndex = Number(element.dataset.index);
+    fieldErrors = {};
+    displayEditor();
+}
+
+/**
+ * Lists the fields of an item in form order: the common ones, the ones of its type, then any others it has.
+ * @param {object} item - The question object.
+ * @returns {Array<{name: string, kind: string, required: boolean}>} The fields.
+ */
+function getItemFields(item) {
+    const schema = QUESTION_SCHEMAS[item.type];
+    const typeFields = schema ? schema.fields : {};
+    const names = [...LEADING_FIELDS, ...Object.keys(typeFields), ...TRAILING_FIELDS];
+
+    const fields = names
+        .filter((name, i) => names.indexOf(name) === i)
+        .map(name => ({ name, ...(typeFields[name] || COMMON_FIELDS[name]) }));
+
+    // Fields the schema doesn't know about are kept, and edited as JSON
+    Object.keys(item).forEach(name => {
+        if (!names.includes(name)) {
+            fields.push({ name, kind: 'json', required: false });
+        }
+    });
+    return fields;
+}
+
+/**
+ * Picks the form control for a field kind of the schema.
+ * @param {string} kind - The field kind (see matchesKind() in validator.js).
+ * @returns {string} 'string', 'number', 'boolean', 'lines' (a list edited one entry per line) or 'json'.
+ */
+function getFieldEditor(kind) {
+    if (kind === 'string' || kind === 'number' || kind === 'boolean') {
+        return kind;
+    }
+    if (kind === 'string[]' || kind === 'string|string[]') {
+        return 'lines';
+    }
+    return 'json';
+}
+
+/**
+ * Generates HTML for the control of one field.
+ * @param {{name: string, kind: string, required: boolean}} field - The field.
+ * @param {*} value - The field's current value.
+ * @returns {string} HTML string for the labelled control.
+ */
+function displayField(field, value) {
+    const editor = getFieldEditor(field.kind);
+    const attributes = `id="field-${field.name}" data-field="${field.name}" data-kind="${field.kind}"`;
+    const hint = FIELD_HINTS[field.name] || EDITOR_HINTS[editor] || '';
+
+    let control;
+    if (field.name === 'type') {
+        control = `<select ${attributes} class="selection-select" data-change="changeItemType">` +
+            Object.keys(QUESTION_SCHEMAS).map(type =>
+                `<option value="${type}" ${type === value ? 'selected' : ''}>${escapeHtml(QUESTION_TYPE_LABELS[type] || type)}</option>`
+            ).join('') +
+            (QUESTION_SCHEMAS[value] ? '' : `<option value="${escapeHtml(value)}" selected>${escapeHtml(value)}</option>`) +
+            `</select>`;
+    } else if (editor === 'boolean') {
+        // A select rather than a checkbox, as leaving a flag out and setting it to false can differ (e.g. shuffleOptions)
+        control = `<select ${attributes} class="selection-select" data-change="updateField">` +
+            ['', 'true', 'false'].map(choice =>
+                `<option value="${choice}" ${String(value === undefined ? '' : value) === choice ? 'selected' : ''}>${choice || '(not set)'}</option>`
+            ).join('') +
+            `</select>`;
+    } else if (editor === 'number') {
+        control = `<input type="number" ${attributes} class="editor-input" data-input="updateField" value="${value === undefined ? '' : escapeHtml(value)}">`;
+    } else if (editor === 'string' && !LONG_TEXT_FIELDS.includes(field.name)) {
+        const list = field.name === 'level' ? 'list="editorLevels"' : field.name === 'topic' ? 'list="editorTopics"' : '';
+        control = `<input type="text" ${attributes} ${list} class="editor-input" data-input="updateField" value="${escapeHtml(value === undefined ? '' : value)}">`;
+    } else {
+        let text = '';
+        if (value !== undefined) {
+            if (editor === 'string') {
+                text = value;
+            } else if (editor === 'lines') {
+                text = Array.isArray(value) ? value.join('\n') : value;
+            } else {
+                text = JSON.stringify(value, null, 2);
+            }
+        }
+        const rows = Math.min(Math.max(String(text).split('\n').length, 2), 16);
+        const textClass = editor === 'json' ? 'editor-input editor-json' : 'editor-input';
+        control = `<textarea ${attributes} class="${textClass}" rows="${rows}" data-input="updateField">${escapeHtml(text)}</textarea>`;
+    }
+
+    return `
+        <div class="editor-field">
+            <label class="editor-label" for="field-${field.name}">${field.name}${field.required ? ' *' : ''}</label>
+            ${control}
+            ${hint ? `<span class="editor-hint">${escapeHtml(hint)}</span>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Fills the form with the fields of the selected item.
+ */
+function displayItemForm() {
+    const form = document.getElementById('editorForm');
+    const item = editorItems[selectedItemIndex];
+    document.getElementById('editorMain').classList.toggle('empty', !item);
+    if (!item) {
+        form.innerHTML = `<p class="editor-hint">This bank has no questions yet. Add one with the button on the left.</p>`;
+        return;
+    }
+
+    const topics = countQuestionsBy(editorItems.filter(entry => entry && entry.topic), entry => entry.topic);
+    form.innerHTML =
+        getItemFields(item).map(field => displayField(field, item[field.name])).join('') +
+        `<datalist id="editorLevels">${EDITOR_LEVELS.map(level => `<option value="${level}">`).join('')}</datalist>` +
+        `<datalist id="editorTopics">${topics.map(topic => `<option value="${escapeHtml(topic.key)}">`).join('')}</datalist>`;
+}
+
+/**
+ * Reads the value of a form control.
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} element - The control.
+ * @returns {*} The value, or undefined when the field is left empty.
+ * @throws {Error} If the text can't be turned into a value of the field's kind.
+ */
+function readFieldValue(element) {
+    const kind = element.dataset.kind;
+    const editor = getFieldEditor(kind);
+
+    if (element.value === '') {
+        return undefined;
+    }
+    if (editor === 'boolean') {
+        return element.value === 'true';
+    }
+
+    switch (editor) {
+        case 'number': {
+            const number = Number(element.value);
+            if (!Number.isFinite(number)) {
+                throw new Error('should be a number');
+            }
+            return number;
+        }
+        case 'lines': {
+            const lines = element.value.split('\n');
+            if (lines.length > 1 && lines[lines.length - 1] === '') {
+                lines.pop(); // Ignore the newline after the last entry
+            }
+            return kind === 'string|string[]' && lines.length === 1 ? lines[0] : lines;
+        }
+        case 'json':
+            try {
+                return JSON.parse(element.value);
+            } catch (error) {
+                throw new Error(`is not valid JSON (${error.message})`);
+            }
+        default:
+            return element.value;
+    }
+}
+
+/**
+ * Stores the value of an edited field in the selected item, then re-validates and re-renders the preview.
+ * A cleared field is set to undefined rather than deleted, so it keeps its place in the exported JSON if refilled.
+ * @param {HTMLElement} element - The form control.
+ */
+function updateField(element) {
+    const item = editorItems[selectedItemIndex];
+    const name = element.dataset.field;
+    delete fieldErrors[name];
+
+    try {
+        item[name] = readFieldValue(element);
+        hasUnsavedChanges = true;
+    } catch (error) {
+        fieldErrors[name] = `"${name}" ${error.message}`;
+    }
+    refreshSelectedItem();
+}
+
+/**
+ * Changes the type of the selected item. Its other fields are kept; the form then shows the fields of the new type.
+ * @param {HTMLSelectElement} select - The type picker.
+ */
+function changeItemType(select) {
+    editorItems[selectedItemIndex].type = select.value;
+    hasUnsavedChanges = true;
+    fieldErrors = {};
+    displayEditor();
+}
+
+/**
+ * Lists the errors and warnings of the selected item under the form.
+ */
+function displayItemIssues() {
+    const item = editorItems[selectedItemIndex];
+    const list = document.getElementById('editorIssues');
+    if (!item) {
+        list.innerHTML = '';
+        return;
+    }
+
+    const { errors, warnings } = validateQuestion(item);
+    const allErrors = [...Object.values(fieldErrors), ...errors];
+    if (allErrors.length === 0 && warnings.length === 0) {
+        list.innerHTML = `<li class="editor-issue ok">✓ This question is valid.</li>`;
+        return;
+    }
+    list.innerHTML =
+        allErrors.map(message => `<li class="editor-issue error">Error: ${escapeHtml(message)}</li>`).join('') +
+        warnings.map(message => `<li class="editor-issue warning">Warning: ${escapeHtml(message)}</li>`).join('');
+}
+
+/**
+ * Returns the answer a learner would give to answer an item correctly, in the format stored in userAnswers.
+ * @param {object} item - The question object.
+ * @returns {*} The correct answer.
+ */
+function getCorrectAnswer(item) {
+    switch (item.type) {
+        case 'reading_passage':
+            return item.questions.map(subQuestion => subQuestion.correctAnswer);
+        case 'listening':
+            return isDictation(item) ? item.transcript : item.questions.map(subQuestion => subQuestion.correctAnswer);
+        case 'drag_and_drop':
+        case 'drag_and_drop_sentence':
+            return getCorrectDropWords(item).slice();
+        case 'matching':
+            return item.pairs.map(pair => pair.right);
+        case 'sentence_order':
+            return item.tokens.slice();
+        case 'fill_in_the_blank':
+        case 'dropdown':
+            return Array.isArray(item.correctAnswer) ? item.correctAnswer.slice() : item.correctAnswer;
+        default:
+            return item.correctAnswer;
+    }
+}
+
+/**
+ * Renders the selected item with the quiz's renderers, unanswered or answered correctly.
+ * Items with errors aren't rendered, as the renderers expect valid questions.
+ */
+function displayPreview() {
+    const preview = document.getElementById('editorPreview');
+    const item = editorItems[selectedItemIndex];
+    stopListening(); // The item may have changed, or be another one
+    if (!item) {
+        preview.innerHTML = '';
+        return;
+    }
+    if (validateQuestion(item).errors.length > 0 || Object.keys(fieldErrors).length > 0) {
+        preview.innerHTML = `<p class="editor-hint">The preview is shown once the errors above are fixed.</p>`;
+        return;
+    }
+
+    // The renderers read the quiz state, so point it at this item alone
+    listeningPlays = [];
+    questions = [item];
+    currentQuestionIndex = 0;
+    userAnswers = [showPreviewAnswers ? getCorrectAnswer(item) : null];
+    submittedAnswers = [showPreviewAnswers];
+    selectedDragWord = null;
+    preview.innerHTML = renderQuestionHtml(item);
+}
+
+/**
+ * Switches the preview between the unanswered and the correctly answered item.
+ * @param {HTMLInputElement} checkbox - The "Show correct answers" checkbox.
+ */
+function togglePreviewAnswers(checkbox) {
+    showPreviewAnswers = checkbox.checked;
+    displayPreview();
+}
+
+/**
+ * Adds a question of the type chosen in the picker after the selected one, from its template.
+ */
+function addItem() {
+    const type = document.getElementById('editorNewType').value;
+    const item = JSON.parse(JSON.stringify(QUESTION_TEMPLATES[type] || { type, level: '' }));
+
+    selectedItemIndex = selectedItemIndex === -1 ? editorItems.length : selectedItemIndex + 1;
+    editorItems.splice(selectedItemIndex, 0, item);
+    hasUnsavedChanges = true;
+    fieldErrors = {};
+    displayEditor();
+    document.getElementById('editorForm').querySelector('[data-field="questionText"], [data-field="passage"]').focus();
+}
+
+/**
+ * Moves the selected question up or down the list.
+ * @param {HTMLElement} button - The button, with `data-step` -1 (up) or 1 (down).
+ */
+function moveItem(button) {
+    const targetIndex = selectedItemIndex + Number(button.dataset.step);
+    if (selectedItemIndex === -1 || targetIndex < 0 || targetIndex >= editorItems.length) {
+        return;
+    }
+
+    [editorItems[selectedItemIndex], editorItems[targetIndex]] = [editorItems[targetIndex], editorItems[selectedItemIndex]];
+    selectedItemIndex = targetIndex;
+    hasUnsavedChanges = true;
+    displayItemList();
+    updateEditorStatus();
+}
+
+/**
+ * Inserts a copy of the selected question after it. The copy gets no `id`, as ids have to stay unique.
+ */
+function duplicateItem() {
+    if (selectedItemIndex === -1) {
+        return;
+    }
+
+    const copy = JSON.parse(JSON.stringify(editorItems[selectedItemIndex]));
+    delete copy.id;
+    editorItems.splice(selectedItemIndex + 1, 0, copy);
+    selectedItemIndex++;
+    hasUnsavedChanges = true;
+    fieldErrors = {};
+    displayEditor();
+}
+
+/**
+ * Deletes the selected question after confirmation.
+ */
+function deleteItem() {
+    if (selectedItemIndex === -1 || !confirm(`Delete question ${selectedItemIndex + 1}?`)) {
+        return;
+    }
+
+    editorItems.splice(selectedItemIndex, 1);
+    selectedItemIndex = Math.min(selectedItemIndex, editorItems.length - 1);
+    hasUnsavedChanges = true;
+    fieldErrors = {};
+    displayEditor();
+}
+
+/**
+ * Returns the bank as formatted JSON, as it should be saved.
+ * @returns {string} The JSON text.
+ */
+function getBankJson() {
+    return JSON.stringify(editorItems, null, 2) + '\n';
+}
+
+/**
+ * Asks before exporting a bank with invalid items, which the quiz would skip.
+ * @returns {boolean} True if the bank is valid or the author wants to export it anyway.
+ */
+function confirmExportWithErrors() {
+    const invalidCount = editorItems.filter(item => validateQuestion(item).errors.length > 0).length;
+    return invalidCount === 0 ||
+        confirm(`${invalidCount} question${invalidCount === 1 ? ' has' : 's have'} errors and would be skipped by the quiz. Export anyway?`);
+}
+
+/**
+ * Downloads the bank as a JSON file.
+ */
+function downloadBank() {
+    if (!confirmExportWithErrors()) {
+        return;
+    }
+
+    downloadFile(getBankJson(), editorFileName, 'application/json');
+    hasUnsavedChanges = false;
+    updateEditorStatus();
+}
+
+/**
+ * Downloads the bank as a CSV spreadsheet. Questions that don't fit a row are left out, after confirmation.
+ */
+function downloadBankCsv() {
+    const { text, issues } = questionsToCsv(editorItems);
+    if (issues.length > 0) {
+        const details = issues.map(issue => `Question ${issue.index + 1} (${issue.type}): ${issue.message}`).join('\n');
+        if (!confirm(`Some questions can't be exported completely:\n${details}\n\nDownload anyway?`)) {
+            return;
+        }
+    }
+
+    downloadFile(text, editorFileName.replace(/\.json$/i, '') + '.csv', 'text/csv');
+}
+
+/**
+ * Copies the bank's JSON to the clipboard.
+ */
+async function copyBankJson() {
+    if (!confirmExportWithErrors()) {
+        return;
+    }
+
+    try {
+        await navigator.clipboard.writeText(getBankJson());
+        hasUnsavedChanges = false;
+        showEditorMessage();
+        document.getElementById('editorStatus').textContent = `Copied ${editorItems.length} questions to the clipboard.`;
+    } catch (error) {
+        showEditorMessage(`Could not copy to the clipboard: ${error.message}`);
+    }
+}
+
+// Handlers of the editor's controls (see bindEventHandlers() in script.js)
+const EDITOR_EVENT_HANDLERS = {
+    click: {
+        newBank: () => newBank(),
+        copyBankJson: () => copyBankJson(),
+        downloadBank: () => downloadBank(),
+        downloadBankCsv: () => downloadBankCsv(),
+        selectItem: element => selectItem(element),
+        addItem: () => addItem(),
+        moveItem: element => moveItem(element),
+        duplicateItem: () => duplicateItem(),
+        deleteItem: () => deleteItem(),
+        toggleListening: () => toggleListening(),
+    },
+    change: {
+        openManifestBank: element => openManifestBank(element),
+        openBankFile: element => openBankFile(element),
+        changeItemType: element => changeItemType(element),
+        updateField: element => updateField(element),
+        togglePreviewAnswers: element => togglePreviewAnswers(element),
+        setListeningRate: element => setListeningRate(Number(element.value)),
+    },
+    input: {
+        updateField: element => updateField(element),
+    },
+};
+
+// --- Initial setup ---
+document.addEventListener('DOMContentLoaded', () => {
+    bindEventHandlers(EDITOR_EVENT_HANDLERS);
+    initEditor();
+});
+
+// Warn before leaving with changes that weren't downloaded or copied
+window.addEventListener('beforeunload', ev => {
+    if (hasUnsavedChanges) {
+        ev.preventDefault();
+        ev.returnValue = '';
+    }
+});
@@ -0,0 +1,454 @@
+// question-csv.js
+
+// Converts question banks to and from CSV/TSV, for question lists kept in spreadsheets.
+// Loaded as a plain <script> by the editor and the quiz pages (exposing the functions globally; the quiz uses
+// formatCsv() to export results) and required from Node by convert-questions.js to convert files from the command line.
+//
+// One row per question, with a header row naming the columns (see CSV_COLUMNS). Lists are written in one cell,
+// separated by '|'; lists per blank (acceptedAnswers of a question with several blanks, options of a dropdown
+// with several gaps) separate the blanks with ';'.
+// The `sentence` column holds the sentence with each blank written as _____, and is turned into
+// `sentenceParts` (fill_in_the_blank, dropdown) or `blanks` (drag_and_drop).
+
+/**
+ * Question types that fit in one spreadsheet row.
+ */
+const CSV_QUESTION_TYPES = ['multiple_choice', 'dropdown', 'fill_in_the_blank', 'drag_and_drop'];
+
+/**
+ * Columns of a question spreadsheet, in export order. Header names are matched case-insensitively.
+ */
+const CSV_COLUMNS = [
+    'type', 'id', 'level', 'topic', 'questionText', 'sentence', 'options',
+    'correctAnswer', 'acceptedAnswers', 'typoTolerance', 'explanation', 'allowMarkup', 'shuffleOptions',
+];
+
+/**
+ * Columns used by each type, besides the ones every question has (type, id, level, topic, explanation, allowMarkup).
+ */
+const CSV_TYPE_COLUMNS = {
+    multiple_choice: ['questionText', 'options', 'correctAnswer', 'shuffleOptions'],
+    dropdown: ['questionText', 'sentence', 'options', 'correctAnswer', 'shuffleOptions'],
+    fill_in_the_blank: ['questionText', 'sentence', 'correctAnswer', 'acceptedAnswers', 'typoTolerance'],
+    drag_and_drop: ['questionText', 'sentence', 'options', 'correctAnswer', 'shuffleOptions'],
+};
+
+// Columns every type uses (a map for quick lookup)
+const COMMON_CSV_FIELDS = { type: true, id: true, level: true, topic: true, explanation: true, allowMarkup: true };
+
+const CSV_BLANK_MARKER = '_____';
+const CSV_LIST_SEPARATOR = '|';
+const CSV_BLANK_SEPARATOR = ';';
+
+// --- CSV text ---
+
+/**
+ * Guesses the delimiter of a CSV/TSV text from its first line: tabs, then semicolons
+ * (spreadsheets in locales using the decimal comma), then commas.
+ * @param {string} text - The file contents.
+ * @returns {string} The delimiter.
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    if (firstLine.includes('\t')) {
+        return '\t';
+    }
+    const count = character => firstLine.split(character).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Parses CSV text into records. Quoted fields may contain delimiters, doubled quotes and line breaks.
+ * @param {string} text - The file contents.
+ * @param {string} [delimiter] - The delimiter; detected from the first line when omitted.
+ * @returns {Array<Array<string>>} The records, each an array of cells. A blank line is a record with one empty cell,
+ *          so record numbers match the rows of the spreadsheet.
+ */
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+
+    text = text.replace(/^﻿/, ''); // Byte order mark added by spreadsheet exports
+
+    const endRecord = () => {
+        record.push(cell);
+        records.push(record);
+        record = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const character = text[i];
+        if (inQuotes) {
+            if (character === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (character === '"') {
+                inQuotes = false;
+            } else {
+                cell += character;
+            }
+        } else if (character === '"') {
+            inQuotes = true;
+        } else if (character === delimiter) {
+            record.push(cell);
+            cell = '';
+        } else if (character === '\n' || character === '\r') {
+            if (character === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRecord();
+        } else {
+            cell += character;
+        }
+    }
+    if (cell !== '' || record.length > 0) {
+        endRecord();
+    }
+    return records;
+}
+
+/**
+ * Formats records as CSV text, quoting the cells that need it.
+ * @param {Array<Array<string>>} records - The records, each an array of cells.
+ * @param {string} [delimiter=','] - The delimiter.
+ * @returns {string} The CSV text, with CRLF line endings as spreadsheets expect.
+ */
+function formatCsv(records, delimiter = ',') {
+    const formatCell = value => {
+        const text = String(value);
+        const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+        return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return records.map(record => record.map(formatCell).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+// --- Import ---
+
+/**
+ * Splits a list cell into its trimmed entries.
+ * @param {string} cell - The cell text.
+ * @param {string} [separator='|'] - The separator between entries.
+ * @returns {Array<string>} The entries; none for an empty cell.
+ */
+function splitCell(cell, separator = CSV_LIST_SEPARATOR) {
+    return cell === '' ? [] : cell.split(separator).map(entry => entry.trim());
+}
+
+/**
+ * Reads a boolean cell. Values other than true/false (or yes/no, 1/0) are returned as they are,
+ * so the validator reports them.
+ * @param {string} cell - The cell text.
+ * @returns {boolean|string} The value.
+ */
+function readBooleanCell(cell) {
+    const value = cell.toLowerCase();
+    if (['true', 'yes', '1'].includes(value)) {
+        return true;
+    }
+    if (['false', 'no', '0'].includes(value)) {
+        return false;
+    }
+    return cell;
+}
+
+/**
+ * Builds a question object from the cells of one row.
+ * The row is converted as it is; whether the result is a valid question is left to validateQuestion().
+ * @param {object} cells - The trimmed cells of the row, by column name. Empty cells are ''.
+ * @returns {{question: object, warnings: Array<string>}} The question, and the cells that were ignored.
+ */
+function rowToQuestion(cells) {
+    const type = cells.type;
+    const question = { type: type || undefined }; // Empty required cells are left out, so they are reported as missing
+    const warnings = [];
+    const typeColumns = CSV_TYPE_COLUMNS[type] || [];
+
+    if (cells.id) {
+        question.id = cells.id;
+    }
+    question.level = cells.level || undefined;
+    if (cells.topic) {
+        question.topic = cells.topic;
+    }
+    if (cells.questionText) {
+        question.questionText = cells.questionText;
+    }
+
+    if (!CSV_QUESTION_TYPES.includes(type)) {
+        if (type) {
+            warnings.push(`questions of type "${type}" can't be imported from a spreadsheet (only ${CSV_QUESTION_TYPES.join(', ')})`);
+        }
+    } else {
+        CSV_COLUMNS.forEach(column => {
+            if (cells[column] && !typeColumns.includes(column) && !(column in COMMON_CSV_FIELDS)) {
+                warnings.push(`column "${column}" is not used by ${type} questions and was ignored`);
+            }
+        });
+    }
+
+    const answers = splitCell(cells.correctAnswer);
+    const parts = cells.sentence ? cells.sentence.split(CSV_BLANK_MARKER) : null;
+
+    switch (type) {
+        case 'multiple_choice':
+            question.options = splitCell(cells.options);
+            question.correctAnswer = cells.correctAnswer;
+            break;
+        case 'dropdown':
+            // One answer and one list of options per gap; a single gap keeps a string and a flat list
+            if (answers.length > 1) {
+                question.options = splitCell(cells.options, CSV_BLANK_SEPARATOR).map(gap => splitCell(gap));
+                question.correctAnswer = answers;
+            } else {
+                question.options = splitCell(cells.options);
+                question.correctAnswer = cells.correctAnswer;
+            }
+            if (parts) {
+                question.sentenceParts = parts;
+            }
+            break;
+        case 'fill_in_the_blank':
+            if (parts) {
+                question.sentenceParts = parts;
+            }
+            // One answer per blank; a single answer is stored as a string
+            question.correctAnswer = answers.length > 1 ? answers : cells.correctAnswer;
+            if (cells.acceptedAnswers) {
+                question.acceptedAnswers = answers.length > 1
+                    ? splitCell(cells.acceptedAnswers, CSV_BLANK_SEPARATOR).map(blank => splitCell(blank))
+                    : splitCell(cells.acceptedAnswers);
+            }
+            if (cells.typoTolerance) {
+                const number = Number(cells.typoTolerance);
+                question.typoTolerance = Number.isFinite(number) ? number : cells.typoTolerance;
+            }
+            break;
+        case 'drag_and_drop':
+            // The word bank goes on the first blank, like in the hand-written banks; each blank gets its word
+            question.blanks = (parts || []).map((sentencePart, i) => {
+                const blank = { id: `blank${i + 1}`, sentencePart };
+                if (i === 0 && cells.options) {
+                    blank.options = splitCell(cells.options);
+                }
+                if (i < answers.length) {
+                    blank.correctAnswer = answers[i];
+                }
+                return blank;
+            });
+            question.correctOrder = answers;
+            break;
+    }
+
+    if (cells.explanation) {
+        question.explanation = cells.explanation;
+    }
+    if (cells.allowMarkup) {
+        question.allowMarkup = readBooleanCell(cells.allowMarkup);
+    }
+    if (cells.shuffleOptions && typeColumns.includes('shuffleOptions')) {
+        question.shuffleOptions = readBooleanCell(cells.shuffleOptions);
+    }
+    return { question, warnings };
+}
+
+/**
+ * Converts a CSV/TSV spreadsheet export into question objects.
+ * @param {string} text - The file contents, with a header row.
+ * @returns {{questions: Array<object>, rows: Array<number>, rowWarnings: Array<Array<string>>, warnings: Array<string>}}
+ *          The questions (not validated), the spreadsheet row number of each (the header is row 1),
+ *          the warnings about each question's row (ignored cells), and the warnings about the whole file.
+ * @throws {Error} If the file is empty or has no `type` column.
+ */
+function csvToQuestions(text) {
+    const records = parseCsv(text);
+    if (records.length === 0) {
+        throw new Error('The file is empty.');
+    }
+
+    const header = records[0].map(name => name.trim());
+    const columns = header.map(name => CSV_COLUMNS.find(column => column.toLowerCase() === name.toLowerCase()));
+    if (!columns.includes('type')) {
+        throw new Error(`The first row should name the columns, including "type" (known columns: ${CSV_COLUMNS.join(', ')}).`);
+    }
+
+    const warnings = [];
+    header.forEach((name, i) => {
+        if (!columns[i] && name !== '') {
+            warnings.push(`column "${name}" is unknown and was ignored`);
+        }
+    });
+
+    const questions = [];
+    const rows = [];
+    const rowWarnings = [];
+    records.slice(1).forEach((record, i) => {
+        const row = i + 2;
+        if (record.every(cell => cell.trim() === '')) {
+            return; // Empty spreadsheet rows, e.g. at the end
+        }
+
+        const cells = {};
+        CSV_COLUMNS.forEach(column => {
+            cells[column] = '';
+        });
+        record.forEach((cell, j) => {
+            if (columns[j]) {
+                cells[columns[j]] = cell.trim();
+            }
+        });
+
+        const result = rowToQuestion(cells);
+        if (record.length > header.length && record.slice(header.length).some(cell => cell.trim() !== '')) {
+            result.warnings.push('the row has more cells than the header; the extra cells were ignored');
+        }
+        questions.push(result.question);
+        rows.push(row);
+        rowWarnings.push(result.warnings);
+    });
+
+    return { questions, rows, rowWarnings, warnings };
+}
+
+// --- Export ---
+
+/**
+ * Joins list entries into one cell, noting entries that contain the separator as they won't read back.
+ * @param {Array<string>} entries - The entries.
+ * @param {string} separator - The separator.
+ * @param {Array<string>} lost - Receives a message per entry that can't be represented.
+ * @returns {string} The cell text.
+ */
+function joinCell(entries, separator, lost) {
+    entries.forEach(entry => {
+        if (String(entry).includes(separator)) {
+            lost.push(`"${entry}" contains "${separator}"`);
+        }
+    });
+    return entries.join(separator);
+}
+
+/**
+ * Builds the cells of one row from a question object.
+ * @param {object} question - A question of one of the CSV_QUESTION_TYPES.
+ * @returns {{cells: object, lost: Array<string>}} The cells by column name, and what the row can't represent.
+ */
+function questionToRow(question) {
+    const cells = {};
+    const lost = [];
+    const typeColumns = CSV_TYPE_COLUMNS[question.type];
+    const exportedFields = [...Object.keys(COMMON_CSV_FIELDS), ...typeColumns, 'sentenceParts', 'blanks', 'correctOrder'];
+
+    ['type', 'id', 'level', 'topic', 'questionText', 'explanation'].forEach(field => {
+        cells[field] = question[field] === undefined ? '' : question[field];
+    });
+    cells.allowMarkup = question.allowMarkup === true ? 'true' : '';
+    if (typeColumns.includes('shuffleOptions') && question.shuffleOptions !== undefined) {
+        cells.shuffleOptions = String(question.shuffleOptions);
+    }
+
+    switch (question.type) {
+        case 'multiple_choice':
+            cells.options = joinCell(question.options || [], CSV_LIST_SEPARATOR, lost);
+            cells.correctAnswer = question.correctAnswer;
+            break;
+        case 'dropdown':
+            if (Array.isArray(question.correctAnswer)) {
+                cells.options = (question.options || []).map(gap => joinCell(gap || [], CSV_LIST_SEPARATOR, lost)).join(CSV_BLANK_SEPARATOR);
+                cells.correctAnswer = joinCell(question.correctAnswer, CSV_LIST_SEPARATOR, lost);
+            } else {
+                cells.options = joinCell(question.options || [], CSV_LIST_SEPARATOR, lost);
+                cells.correctAnswer = question.correctAnswer;
+            }
+            if (Array.isArray(question.sentenceParts)) {
+                cells.sentence = question.sentenceParts.join(CSV_BLANK_MARKER);
+            }
+            break;
+        case 'fill_in_the_blank': {
+            const multipleBlanks = Array.isArray(question.correctAnswer);
+            if (Array.isArray(question.sentenceParts)) {
+                cells.sentence = question.sentenceParts.join(CSV_BLANK_MARKER);
+            }
+            cells.correctAnswer = multipleBlanks
+                ? joinCell(question.correctAnswer, CSV_LIST_SEPARATOR, lost)
+                : question.correctAnswer;
+            if (Array.isArray(question.acceptedAnswers)) {
+                cells.acceptedAnswers = multipleBlanks
+                    ? question.acceptedAnswers.map(blank => joinCell(blank || [], CSV_LIST_SEPARATOR, lost)).join(CSV_BLANK_SEPARATOR)
+                    : joinCell(question.acceptedAnswers, CSV_LIST_SEPARATOR, lost);
+            }
+            if (question.typoTolerance !== undefined) {
+                cells.typoTolerance = String(question.typoTolerance);
+            }
+            break;
+        }
+        case 'drag_and_drop': {
+            // Every blank's options are merged into the one word bank shown to the learner
+            const words = [];
+            const blanks = Array.isArray(question.blanks) ? question.blanks : [];
+            blanks.forEach(blank => {
+                (blank.options || []).forEach(word => {
+                    if (!words.includes(word)) {
+                        words.push(word);
+                    }
+                });
+                Object.keys(blank).forEach(field => {
+                    if (!['id', 'sentencePart', 'options', 'correctAnswer'].includes(field)) {
+                        lost.push(`"blanks[].${field}" is not exported`);
+                    }
+                });
+            });
+            cells.sentence = blanks.map(blank => blank.sentencePart).join(CSV_BLANK_MARKER);
+            cells.options = joinCell(words, CSV_LIST_SEPARATOR, lost);
+            cells.correctAnswer = joinCell(question.correctOrder || [], CSV_LIST_SEPARATOR, lost);
+            break;
+        }
+    }
+
+    Object.keys(question).forEach(field => {
+        if (!exportedFields.includes(field)) {
+            lost.push(`"${field}" is not exported`);
+        }
+    });
+    return { cells, lost };
+}
+
+/**
+ * Converts a question bank into a spreadsheet, one row per question.
+ * @param {Array<object>} questions - The questions of the bank.
+ * @param {string} [delimiter=','] - The delimiter (',' for CSV, '\t' for TSV).
+ * @returns {{text: string, issues: Array<{index: number, type: string, message: string}>}}
+ *          The CSV text, and the questions that were skipped or only partly exported.
+ */
+function questionsToCsv(questions, delimiter = ',') {
+    const records = [CSV_COLUMNS];
+    const issues = [];
+
+    questions.forEach((question, index) => {
+        const type = question && typeof question.type === 'string' ? question.type : 'unknown';
+        if (!CSV_QUESTION_TYPES.includes(type)) {
+            issues.push({ index, type, message: 'skipped: this type does not fit in a spreadsheet row' });
+            return;
+        }
+
+        const { cells, lost } = questionToRow(question);
+        records.push(CSV_COLUMNS.map(column => cells[column] === undefined ? '' : String(cells[column])));
+        lost.forEach(message => issues.push({ index, type, message }));
+    });
+
+    return { text: formatCsv(records, delimiter), issues };
+}
+
+// Allow the converter to be required from Node (see convert-questions.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CSV_COLUMNS,
+        CSV_QUESTION_TYPES,
+        parseCsv,
+        formatCsv,
+        csvToQuestions,
+        questionsToCsv,
+    };
+}
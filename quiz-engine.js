@@ -0,0 +1,1037 @@
+// quiz-engine.js
+
+// Quiz logic without any DOM access: shuffling, answer matching, checking and scoring answers, and the results
+// exported and reported at the end.
+// The state of a quiz is passed in as { questions, userAnswers, submittedAnswers } (one entry per question)
+// and functions changing it return a new state. Loaded as a plain <script> by the pages (exposing the functions
+// globally, script.js keeps the state and renders it) and required from Node by the tests in test/.
+
+// Typed answers within this many typos (letters added, removed or changed) of an accepted answer are
+// marked "almost" and still count as correct. Answers have to be exact unless the question opts in with its
+// own `typoTolerance`: one letter is often the point being tested ("could"/"would", "has"/"had", "begun"/"began").
+const DEFAULT_TYPO_TOLERANCE = 0;
+
+// Marks a gap of a dropdown question written in `questionText` (when it has no `sentenceParts`)
+const DROPDOWN_GAP_MARKER = /\[dropdown\]|_____/;
+
+// Columns of the exported results, one row per question (see getResultRecords())
+const RESULT_COLUMNS = ['learner', 'startedAt', 'finishedAt', 'number', 'id', 'type', 'level', 'topic',
+    'question', 'answer', 'correctAnswer', 'correct', 'score', 'seconds'];
+
+// xAPI verbs of the reported statements, and the interaction type of each question type
+// (question types missing here are reported as 'other')
+const XAPI_VERBS = {
+    answered: 'http://adlnet.gov/expapi/verbs/answered',
+    completed: 'http://adlnet.gov/expapi/verbs/completed',
+};
+const XAPI_INTERACTION_TYPES = {
+    multiple_choice: 'choice',
+    dropdown: 'choice',
+    fill_in_the_blank: 'fill-in',
+    matching: 'matching',
+    sentence_order: 'sequencing',
+};
+
+// Contractions expanded before typed answers are compared, so "would've baked" matches "would have baked".
+// Ambiguous ones ('d, 's) are left as they are: list them in `acceptedAnswers` instead.
+const CONTRACTIONS = [
+    [/\bwon't\b/g, 'will not'],
+    [/\bshan't\b/g, 'shall not'],
+    [/\bcan't\b/g, 'cannot'],
+    [/\bcan not\b/g, 'cannot'],
+    [/n't\b/g, ' not'],
+    [/\bi'm\b/g, 'i am'],
+    [/'re\b/g, ' are'],
+    [/'ve\b/g, ' have'],
+    [/'ll\b/g, ' will'],
+];
+
+// --- Shuffling ---
+
+/**
+ * Turns a seed of any text into a 32-bit number (FNV-1a hash). Also gives questions without an `id` theirs
+ * (see getQuestionId() in script.js).
+ * @param {string|number} seed - The seed.
+ * @returns {number} The hash, an unsigned 32-bit integer.
+ */
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32): the same seed always gives the same numbers,
+ * so a quiz shuffled with it can be shuffled the same way again.
+ * @param {string|number} seed - The seed, e.g. from the ?seed= query parameter.
+ * @returns {function(): number} A function returning numbers in [0, 1), like Math.random().
+ */
+function createRandom(seed) {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Shuffles an array using the Fisher-Yates algorithm.
+ * @param {Array} array - The array to shuffle.
+ * @param {function(): number} [random=Math.random] - The random number generator (see createRandom()).
+ * @returns {Array} A new shuffled array.
+ */
+function shuffleArray(array, random = Math.random) {
+    const shuffled = [...array]; // Create a copy to avoid modifying the original
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]; // Swap elements
+    }
+    return shuffled;
+}
+
+/**
+ * Shuffles the questions and their options within the quiz data.
+ * This ensures a new order of questions and options for each quiz session.
+ * Items (and reading passage sub-questions) with `"shuffleOptions": false` keep their options in the written order,
+ * e.g. when the last one is "All of the above".
+ * @param {Array} questionsArray - The array of question objects.
+ * @param {function(): number} [random=Math.random] - The random number generator; a seeded one (see createRandom())
+ *                                                     gives the same order every time.
+ * @returns {Array} The shuffled questions array.
+ */
+function shuffleQuestionsAndAnswers(questionsArray, random = Math.random) {
+    // First, shuffle the order of questions
+    const shuffledQuestions = shuffleArray(questionsArray, random);
+
+    // Then, iterate through each question and shuffle its options if applicable
+    return shuffledQuestions.map(question => {
+        const shuffledQuestion = { ...question }; // Create a shallow copy of the question
+
+        // Shuffle options for multiple_choice and dropdown questions (each gap's own list when a dropdown has several)
+        if (question.options && Array.isArray(question.options) && question.shuffleOptions !== false) {
+            shuffledQuestion.options = question.type === 'dropdown' && Array.isArray(question.correctAnswer)
+                ? question.options.map(gapOptions => shuffleArray(gapOptions, random))
+                : shuffleArray(shuffledQuestion.options, random); // Shuffle the copy's options
+        }
+
+        // Handle reading passage and listening questions with sub-questions
+        if (hasSubQuestions(question)) {
+            shuffledQuestion.questions = question.questions.map(subQ => {
+                // True/false/not given options keep their usual order
+                if (subQ.options && Array.isArray(subQ.options) && subQ.type !== 'true_false_not_given' && subQ.shuffleOptions !== false) {
+                    return {
+                        ...subQ,
+                        options: shuffleArray(subQ.options, random)
+                    };
+                }
+                return subQ;
+            });
+        }
+
+        // Matching questions offer the right-hand items in an order of their own (kept in `options`),
+        // sentences to put in order offer their tokens jumbled (also in `options`, `tokens` being the answer)
+        if (question.type === 'matching' && Array.isArray(question.pairs)) {
+            shuffledQuestion.pairs = shuffleArray(question.pairs, random);
+            shuffledQuestion.options = shuffleArray(question.pairs.map(pair => pair.right), random);
+        }
+        if (question.type === 'sentence_order' && Array.isArray(question.tokens)) {
+            shuffledQuestion.options = shuffleSentenceTokens(question, random);
+        }
+
+        // Handle drag and drop questions by shuffling the available words/options
+        // The individual blank options are not shuffled for drag and drop, only the list of available drag items.
+        // The `blanks` array order within the question remains the same for sentence structure.
+        return shuffledQuestion;
+    });
+}
+
+/**
+ * Jumbles the tokens of a sentence_order question, avoiding the orders that are already correct
+ * (unless there is no other, e.g. two identical tokens).
+ * @param {object} question - The sentence_order question.
+ * @param {function(): number} random - The random number generator.
+ * @returns {Array<string>} The tokens in the order they are offered.
+ */
+function shuffleSentenceTokens(question, random) {
+    const correctOrders = [question.tokens, ...(question.acceptedOrders || [])].map(order => JSON.stringify(order));
+    let shuffled = shuffleArray(question.tokens, random);
+    for (let attempt = 0; attempt < 10 && correctOrders.includes(JSON.stringify(shuffled)); attempt++) {
+        shuffled = shuffleArray(question.tokens, random);
+    }
+    return shuffled;
+}
+
+// --- Answer matching ---
+
+/**
+ * Counts the blanks of a fill-in-the-blank question: one between each of its `sentenceParts`,
+ * or one per _____ marker in `questionText`.
+ * @param {object} question - The fill-in-the-blank question.
+ * @returns {number} The number of blanks.
+ */
+function getBlankCount(question) {
+    const segments = question.sentenceParts || question.questionText.split('_____');
+    return Math.max(segments.length - 1, 1);
+}
+
+/**
+ * Returns the text typed in each blank of a fill-in-the-blank question.
+ * A single blank is stored as a plain string, several blanks as one string per blank.
+ * @param {object} question - The fill-in-the-blank question.
+ * @param {*} answer - The stored answer.
+ * @returns {Array<string>} One string per blank, empty when nothing was typed.
+ */
+function getFillInValues(question, answer) {
+    const blankCount = getBlankCount(question);
+    if (blankCount === 1) {
+        return [typeof answer === 'string' ? answer : ''];
+    }
+    return Array.from({ length: blankCount }, (_, i) =>
+        Array.isArray(answer) && typeof answer[i] === 'string' ? answer[i] : ''
+    );
+}
+
+/**
+ * Returns the answers accepted for each blank of a fill-in-the-blank question:
+ * the correct answer first, then any `acceptedAnswers` (one flat list for a single blank, one list per blank otherwise).
+ * @param {object} question - The fill-in-the-blank question.
+ * @returns {Array<Array<string>>} The accepted answers of each blank.
+ */
+function getAcceptedAnswers(question) {
+    const correctAnswers = Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer];
+    return correctAnswers.map((correctAnswer, i) => {
+        let alternatives = [];
+        if (Array.isArray(question.acceptedAnswers)) {
+            alternatives = correctAnswers.length === 1 ? question.acceptedAnswers : (question.acceptedAnswers[i] || []);
+        }
+        return [correctAnswer, ...alternatives];
+    });
+}
+
+/**
+ * Matches every blank of a fill-in-the-blank answer against its accepted answers.
+ * @param {object} question - The fill-in-the-blank question.
+ * @param {*} answer - The stored answer.
+ * @returns {Array<string>} 'correct', 'almost' or 'incorrect' for each blank.
+ */
+function getFillInResults(question, answer) {
+    const values = getFillInValues(question, answer);
+    return getAcceptedAnswers(question).map((acceptedAnswers, i) =>
+        matchTypedAnswer(values[i] || '', acceptedAnswers, question.typoTolerance)
+    );
+}
+
+/**
+ * Matches a typed answer against the accepted answers, after normalising both (see normalizeAnswer()).
+ * An answer that is only a few typos away from an accepted one is "almost" right, when the question allows typos.
+ * @param {string} typed - The learner's answer.
+ * @param {Array<string>} acceptedAnswers - The answers accepted for the blank.
+ * @param {number} [typoTolerance] - The number of typos allowed, DEFAULT_TYPO_TOLERANCE (none) when not set.
+ * @returns {string} 'correct', 'almost' or 'incorrect'.
+ */
+function matchTypedAnswer(typed, acceptedAnswers, typoTolerance) {
+    const normalized = normalizeAnswer(typed);
+    if (normalized === '') {
+        return 'incorrect';
+    }
+
+    const candidates = acceptedAnswers.map(normalizeAnswer);
+    if (candidates.includes(normalized)) {
+        return 'correct';
+    }
+
+    const tolerance = typeof typoTolerance === 'number' ? typoTolerance : DEFAULT_TYPO_TOLERANCE;
+    const isAlmost = tolerance > 0 && candidates.some(candidate => getEditDistance(normalized, candidate) <= tolerance);
+    return isAlmost ? 'almost' : 'incorrect';
+}
+
+/**
+ * Normalises a typed answer for comparison: lower case, straight apostrophes, no punctuation,
+ * contractions expanded and single spaces, so "Would’ve  baked." and "would have baked" compare equal.
+ * @param {string} text - The answer.
+ * @returns {string} The normalised answer.
+ */
+function normalizeAnswer(text) {
+    let normalized = String(text)
+        .toLowerCase()
+        .replace(/[\u2018\u2019\u02bc`´]/g, "'") // Curly and other apostrophes
+        .replace(/[^\p{L}\p{N}'\s]/gu, ' '); // Punctuation and hyphens separate words
+
+    CONTRACTIONS.forEach(([pattern, expansion]) => {
+        normalized = normalized.replace(pattern, expansion);
+    });
+
+    return normalized.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Computes the edit distance between two strings: the number of letters to add, remove or change,
+ * or pairs of neighbouring letters to swap ("wuold"), to turn one into the other.
+ * Arrays of words are compared the same way, a word for a letter (see getDictationScore()).
+ * @param {string|Array<string>} a - The first string.
+ * @param {string|Array<string>} b - The second string.
+ * @returns {number} The edit distance.
+ */
+function getEditDistance(a, b) {
+    // distances[i][j] is the distance between the first i letters of a and the first j letters of b
+    const distances = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) {
+        distances[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = distances[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            distances[i][j] = Math.min(distances[i - 1][j] + 1, distances[i][j - 1] + 1, substitution);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1); // Swapped letters
+            }
+        }
+    }
+    return distances[a.length][b.length];
+}
+
+/**
+ * Trims the text of an answer before it is checked: a typed string, or each typed string of an answer with several parts.
+ * @param {*} answer - The stored answer.
+ * @returns {*} The answer with its text trimmed.
+ */
+function trimAnswer(answer) {
+    if (typeof answer === 'string') {
+        return answer.trim();
+    }
+    if (Array.isArray(answer)) {
+        return answer.map(part => typeof part === 'string' ? part.trim() : part);
+    }
+    return answer;
+}
+
+/**
+ * Checks whether a question is a dictation: a listening question answered by typing its whole transcript.
+ * @param {object} question - The question object.
+ * @returns {boolean} True for a dictation.
+ */
+function isDictation(question) {
+    return question.type === 'listening' && question.dictation === true;
+}
+
+/**
+ * Checks whether a question is made of sub-questions: reading passages, and listening questions other than dictations.
+ * Their answers have one entry per sub-question and earn partial credit.
+ * @param {object} question - The question object.
+ * @returns {boolean} True if the question has sub-questions.
+ */
+function hasSubQuestions(question) {
+    return (question.type === 'reading_passage' || (question.type === 'listening' && !isDictation(question))) &&
+        Array.isArray(question.questions);
+}
+
+/**
+ * Grades a dictation against its transcript, word by word: the share of the transcript's words the typed text gets right,
+ * after normalising both (see normalizeAnswer()), so case, punctuation and contractions don't count against the learner.
+ * @param {object} question - The dictation question.
+ * @param {*} answer - The stored answer, the typed text.
+ * @returns {number} The score, between 0 and 1 (1 when every word is right).
+ */
+function getDictationScore(question, answer) {
+    const expectedWords = normalizeAnswer(question.transcript || '').split(' ').filter(word => word !== '');
+    const typedWords = typeof answer === 'string' ? normalizeAnswer(answer).split(' ').filter(word => word !== '') : [];
+    if (expectedWords.length === 0 || typedWords.length === 0) {
+        return 0;
+    }
+    // Each missing, extra or wrong word costs one word of the transcript
+    const wrongWords = getEditDistance(typedWords, expectedWords);
+    return Math.max(expectedWords.length - wrongWords, 0) / expectedWords.length;
+}
+
+/**
+ * Checks the answer to one reading passage sub-question. Short answers are matched like fill-in-the-blank answers.
+ * @param {object} subQuestion - The sub-question object.
+ * @param {string|null} subAnswer - The learner's answer.
+ * @returns {boolean} True if the answer is correct.
+ */
+function isSubQuestionCorrect(subQuestion, subAnswer) {
+    if (typeof subAnswer !== 'string') {
+        return false;
+    }
+    if (subQuestion.type === 'short_answer') {
+        const acceptedAnswers = [subQuestion.correctAnswer, ...(subQuestion.acceptedAnswers || [])];
+        return matchTypedAnswer(subAnswer, acceptedAnswers, subQuestion.typoTolerance) !== 'incorrect';
+    }
+    return subAnswer === subQuestion.correctAnswer;
+}
+
+/**
+ * Counts the sub-questions of a reading passage or listening question that have an answer.
+ * @param {object} question - The question with sub-questions.
+ * @param {*} answer - The stored answer, one entry per sub-question.
+ * @returns {number} The number of answered sub-questions.
+ */
+function countAnsweredSubQuestions(question, answer) {
+    if (!Array.isArray(answer)) {
+        return 0;
+    }
+    return question.questions.filter((subQuestion, i) => typeof answer[i] === 'string' && answer[i].trim().length > 0).length;
+}
+
+/**
+ * Returns the words expected in each blank of a drag-and-drop style question, in blank order.
+ * `drag_and_drop` items store them in `correctOrder`, `drag_and_drop_sentence` items in `correctWords`.
+ * @param {object} question - The question object.
+ * @returns {Array<string>} The correct words, one per blank.
+ */
+function getCorrectDropWords(question) {
+    if (question.type === 'drag_and_drop_sentence') {
+        return Array.isArray(question.correctWords) ? question.correctWords : [];
+    }
+    return Array.isArray(question.correctOrder) ? question.correctOrder : [];
+}
+
+/**
+ * Checks whether every blank of a drag-and-drop style answer has a word.
+ * @param {object} question - The question object.
+ * @param {*} answer - The stored answer.
+ * @returns {boolean} True if every blank is filled.
+ */
+function isDropAnswerComplete(question, answer) {
+    const correctWords = getCorrectDropWords(question);
+    return Array.isArray(answer) && correctWords.length > 0 && answer.length === correctWords.length &&
+        answer.every(word => word !== null && word !== undefined);
+}
+
+/**
+ * Returns the right-hand items of a matching question in the order they are offered:
+ * as shuffled by shuffleQuestionsAndAnswers(), or as written when the question wasn't shuffled (e.g. in the editor preview).
+ * @param {object} question - The matching question.
+ * @returns {Array<string>} The right-hand items.
+ */
+function getMatchingOptions(question) {
+    return Array.isArray(question.options) ? question.options : question.pairs.map(pair => pair.right);
+}
+
+/**
+ * Counts the pairs of a matching answer that have a right-hand item chosen.
+ * @param {object} question - The matching question.
+ * @param {*} answer - The stored answer, the item chosen for each pair (in `pairs` order) or null.
+ * @returns {number} The number of matched pairs.
+ */
+function countMatchedPairs(question, answer) {
+    if (!Array.isArray(answer)) {
+        return 0;
+    }
+    return question.pairs.filter((pair, i) => typeof answer[i] === 'string' && answer[i] !== '').length;
+}
+
+/**
+ * Scores a matching answer pair by pair.
+ * @param {object} question - The matching question.
+ * @param {*} answer - The stored answer.
+ * @returns {number} The share of the pairs matched correctly, between 0 and 1.
+ */
+function getMatchingScore(question, answer) {
+    if (!Array.isArray(answer) || question.pairs.length === 0) {
+        return 0;
+    }
+    return question.pairs.filter((pair, i) => answer[i] === pair.right).length / question.pairs.length;
+}
+
+/**
+ * Returns the tokens of a sentence_order question in the order they are offered (see shuffleSentenceTokens()),
+ * or as written when the question wasn't shuffled.
+ * @param {object} question - The sentence_order question.
+ * @returns {Array<string>} The tokens.
+ */
+function getSentenceTokens(question) {
+    return Array.isArray(question.options) ? question.options : question.tokens;
+}
+
+/**
+ * Checks a sentence_order answer: every token, in the order of `tokens` or of one of the `acceptedOrders`.
+ * @param {object} question - The sentence_order question.
+ * @param {*} answer - The stored answer, the tokens in the order the learner put them.
+ * @returns {boolean} True if the order is correct.
+ */
+function isSentenceOrderCorrect(question, answer) {
+    if (!Array.isArray(answer)) {
+        return false;
+    }
+    const correctOrders = [question.tokens, ...(question.acceptedOrders || [])];
+    return correctOrders.some(order => order.length === answer.length && order.every((token, i) => token === answer[i]));
+}
+
+/**
+ * Returns the options of each gap of a dropdown question: a single gap has one flat list of `options`,
+ * several gaps (a list of `correctAnswer`s) have one list each.
+ * @param {object} question - The dropdown question.
+ * @returns {Array<Array<string>>} The options of each gap.
+ */
+function getDropdownOptions(question) {
+    return Array.isArray(question.correctAnswer) ? question.options : [question.options];
+}
+
+/**
+ * Returns the sentence around the gaps of a dropdown question: its `sentenceParts`, or `questionText` cut at the
+ * [dropdown] or _____ markers.
+ * @param {object} question - The dropdown question.
+ * @returns {Array<string>|null} One part more than there are gaps, or null if the gaps aren't marked in the sentence.
+ */
+function getDropdownSentenceParts(question) {
+    const parts = question.sentenceParts || question.questionText.split(DROPDOWN_GAP_MARKER);
+    return parts.length === getDropdownOptions(question).length + 1 ? parts : null;
+}
+
+/**
+ * Returns the option chosen in each gap of a dropdown question.
+ * A single gap is stored as a plain string, several gaps as one entry (or null) per gap.
+ * @param {object} question - The dropdown question.
+ * @param {*} answer - The stored answer.
+ * @returns {Array<string|null>} The chosen option of each gap, null when none is chosen.
+ */
+function getDropdownValues(question, answer) {
+    if (!Array.isArray(question.correctAnswer)) {
+        return [typeof answer === 'string' ? answer : null];
+    }
+    return question.correctAnswer.map((correctAnswer, i) =>
+        Array.isArray(answer) && typeof answer[i] === 'string' ? answer[i] : null
+    );
+}
+
+/**
+ * Checks each gap of a dropdown answer.
+ * @param {object} question - The dropdown question.
+ * @param {*} answer - The stored answer.
+ * @returns {Array<boolean>} Whether each gap has the correct option.
+ */
+function getDropdownResults(question, answer) {
+    const correctAnswers = Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer];
+    const values = getDropdownValues(question, answer);
+    return correctAnswers.map((correctAnswer, i) => values[i] === correctAnswer);
+}
+
+/**
+ * Checks whether part of an answer is given, for the questions that earn partial credit when an exam ends
+ * before they are complete: passages (reading or listening), matching questions and dropdown gaps.
+ * @param {object} question - The question object.
+ * @param {*} answer - The stored answer.
+ * @returns {boolean} True if some sub-questions, pairs or gaps are answered.
+ */
+function hasPartialAnswer(question, answer) {
+    if (hasSubQuestions(question)) {
+        return countAnsweredSubQuestions(question, answer) > 0;
+    }
+    if (question.type === 'dropdown') {
+        return getDropdownValues(question, answer).some(value => value !== null);
+    }
+    return question.type === 'matching' && countMatchedPairs(question, answer) > 0;
+}
+
+// --- Checking and scoring ---
+
+/**
+ * Checks whether an answer is complete enough to be checked.
+ * @param {object} question - The question object.
+ * @param {*} answer - The stored answer.
+ * @returns {boolean} True if the answer can be submitted.
+ */
+function hasAnswerToSubmit(question, answer) {
+    if (answer === null || answer === undefined) {
+        return false;
+    }
+    if (hasSubQuestions(question)) {
+        return countAnsweredSubQuestions(question, answer) === question.questions.length;
+    }
+
+    switch (question.type) {
+        case 'fill_in_the_blank':
+            return getFillInValues(question, answer).every(value => value.trim().length > 0);
+        case 'listening':
+            // A dictation needs some text
+            return typeof answer === 'string' && answer.trim().length > 0;
+        case 'matching':
+            return countMatchedPairs(question, answer) === question.pairs.length;
+        case 'dropdown':
+            return getDropdownValues(question, answer).every(value => value !== null);
+        case 'sentence_order':
+            return Array.isArray(answer) && answer.length === question.tokens.length;
+        case 'drag_and_drop':
+        case 'drag_and_drop_sentence':
+            return isDropAnswerComplete(question, answer);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Checks whether an answer to a question is correct.
+ * @param {object} question - The question object.
+ * @param {*} answer - The stored answer.
+ * @returns {boolean} True if the answer is correct, false otherwise.
+ */
+function isAnswerCorrect(question, answer) {
+    // If no answer or undefined, it's not correct
+    if (answer === null || answer === undefined) return false;
+
+    switch (question.type) {
+        case 'multiple_choice':
+            return answer === question.correctAnswer;
+
+        case 'dropdown':
+            return getDropdownResults(question, answer).every(Boolean);
+
+        case 'fill_in_the_blank':
+            // Answers within the question's typo tolerance ("almost") still count, see matchTypedAnswer()
+            return !getFillInResults(question, answer).includes('incorrect');
+
+        case 'reading_passage':
+        case 'listening':
+        case 'matching':
+            // Only fully correct when every sub-question (every word of a dictation, every pair) is,
+            // see getAnswerScore() for partial credit
+            return getAnswerScore(question, answer) === 1;
+
+        case 'sentence_order':
+            return isSentenceOrderCorrect(question, answer);
+
+        case 'drag_and_drop':
+        case 'drag_and_drop_sentence': {
+            // For drag and drop, compare the array of user answers with the correct words for each blank
+            const correctWords = getCorrectDropWords(question);
+            if (Array.isArray(answer) && correctWords.length > 0) {
+                // Check if all elements match in order
+                if (answer.length !== correctWords.length) return false;
+                for (let i = 0; i < answer.length; i++) {
+                    if (answer[i] !== correctWords[i]) {
+                        return false;
+                    }
+                }
+                return true;
+            }
+            return false;
+        }
+
+        default:
+            return false; // Unknown question type
+    }
+}
+
+/**
+ * Returns the points an answer earns: 1 if correct, 0 if not, for a reading passage or listening question
+ * the share of its sub-questions answered correctly, for a dictation the share of the words it gets right,
+ * for a matching question the share of its pairs matched correctly and for a dropdown question the share of its gaps.
+ * @param {object} question - The question object.
+ * @param {*} answer - The stored answer.
+ * @returns {number} The points, between 0 and 1.
+ */
+function getAnswerScore(question, answer) {
+    if (isDictation(question)) {
+        return getDictationScore(question, answer);
+    }
+    if (question.type === 'matching') {
+        return getMatchingScore(question, answer);
+    }
+    if (question.type === 'dropdown') {
+        const results = getDropdownResults(question, answer);
+        return results.filter(Boolean).length / results.length;
+    }
+    if (!hasSubQuestions(question)) {
+        return isAnswerCorrect(question, answer) ? 1 : 0;
+    }
+
+    if (!Array.isArray(answer) || question.questions.length === 0) {
+        return 0;
+    }
+    const correctCount = question.questions.filter((subQuestion, i) => isSubQuestionCorrect(subQuestion, answer[i])).length;
+    return correctCount / question.questions.length;
+}
+
+/**
+ * Checks whether an answer has been checked, so it counts towards the score and can no longer be changed.
+ * @param {object} question - The question object.
+ * @param {*} answer - The stored answer.
+ * @param {boolean} submitted - Whether the answer was submitted (see submitQuestion()).
+ * @returns {boolean} True if answered, false otherwise.
+ */
+function isAnswerChecked(question, answer, submitted) {
+    // An answer only counts once it has been checked
+    if (answer === null || answer === undefined || submitted !== true) {
+        return false;
+    }
+
+    switch (question.type) {
+        case 'multiple_choice':
+            return true;
+        case 'reading_passage':
+        case 'listening':
+        case 'matching':
+        case 'dropdown':
+            // A passage can be finished with some sub-questions unanswered (a matching question with some pairs missing,
+            // a sentence with some gaps empty) when an exam ends
+            return isDictation(question) ? hasAnswerToSubmit(question, answer) : hasPartialAnswer(question, answer);
+        case 'sentence_order':
+            return hasAnswerToSubmit(question, answer);
+        case 'fill_in_the_blank':
+            return hasAnswerToSubmit(question, answer); // Ensure no blank is just empty or whitespace
+        case 'drag_and_drop':
+        case 'drag_and_drop_sentence':
+            // For drag and drop, ensure all blanks meant to be filled are indeed filled
+            return isDropAnswerComplete(question, answer);
+        default:
+            return false;
+    }
+}
+
+// --- Quiz state ---
+
+/**
+ * Creates the state of a quiz over the given questions, with nothing answered yet.
+ * @param {Array<object>} questions - The questions, in quiz order.
+ * @returns {{questions: Array<object>, userAnswers: Array<*>, submittedAnswers: Array<boolean>}} The state.
+ */
+function createQuizState(questions) {
+    return {
+        questions,
+        userAnswers: new Array(questions.length).fill(null),
+        submittedAnswers: new Array(questions.length).fill(false),
+    };
+}
+
+/**
+ * Returns a copy of an array with one entry replaced.
+ * @param {Array} array - The array.
+ * @param {number} index - The index of the entry.
+ * @param {*} value - The new value.
+ * @returns {Array} The new array.
+ */
+function replaceAt(array, index, value) {
+    const copy = [...array];
+    copy[index] = value;
+    return copy;
+}
+
+/**
+ * Stores an answer to a question without checking it. Checked answers can't be changed.
+ * @param {object} state - The quiz state.
+ * @param {number} questionIndex - The index of the question.
+ * @param {*} answer - The answer (see the question types for its format).
+ * @returns {object} The new state, or the same state if the answer is already checked.
+ */
+function answerQuestion(state, questionIndex, answer) {
+    if (isQuestionChecked(state, questionIndex)) {
+        return state;
+    }
+    return { ...state, userAnswers: replaceAt(state.userAnswers, questionIndex, answer) };
+}
+
+/**
+ * Checks the answer to a question: trims it and marks it as submitted, so it is scored and locked.
+ * Incomplete answers aren't checked, except partly answered passages, matching questions and sentences with dropdown gaps
+ * when `allowPartial` is set (at the end of an exam, where they earn partial credit).
+ * @param {object} state - The quiz state.
+ * @param {number} questionIndex - The index of the question.
+ * @param {{allowPartial: boolean}} [options] - Whether partly answered passages can be checked.
+ * @returns {object} The new state, or the same state if there is nothing to check.
+ */
+function submitQuestion(state, questionIndex, { allowPartial = false } = {}) {
+    const question = state.questions[questionIndex];
+    const answer = state.userAnswers[questionIndex];
+    const isPartlyAnswered = allowPartial && hasPartialAnswer(question, answer);
+    if (isQuestionChecked(state, questionIndex) || (!hasAnswerToSubmit(question, answer) && !isPartlyAnswered)) {
+        return state;
+    }
+
+    return {
+        ...state,
+        userAnswers: replaceAt(state.userAnswers, questionIndex, trimAnswer(answer)),
+        submittedAnswers: replaceAt(state.submittedAnswers, questionIndex, true),
+    };
+}
+
+/**
+ * Checks whether the answer to a question of the quiz has been checked.
+ * @param {object} state - The quiz state.
+ * @param {number} questionIndex - The index of the question.
+ * @returns {boolean} True if answered and checked.
+ */
+function isQuestionChecked(state, questionIndex) {
+    return isAnswerChecked(state.questions[questionIndex], state.userAnswers[questionIndex], state.submittedAnswers[questionIndex]);
+}
+
+/**
+ * Scores a quiz. Only checked answers count; passages, dictations and matching questions give partial credit,
+ * so the score can be fractional.
+ * @param {object} state - The quiz state.
+ * @returns {{score: number, checkedCount: number, answeredCount: number}} The score, the number of checked
+ *          answers, and the number of questions with a complete answer, checked or not (shown during an exam).
+ */
+function getQuizScore(state) {
+    let score = 0;
+    let checkedCount = 0;
+    let answeredCount = 0;
+    state.questions.forEach((question, i) => {
+        if (isQuestionChecked(state, i)) {
+            score += getAnswerScore(question, state.userAnswers[i]);
+            checkedCount++;
+        }
+        if (hasAnswerToSubmit(question, state.userAnswers[i])) {
+            answeredCount++;
+        }
+    });
+    return { score, checkedCount, answeredCount };
+}
+
+/**
+ * Computes the accuracy of a quiz per group (topic, level or question type),
+ * counting partial credit for passages, dictations and matching questions.
+ * @param {object} state - The quiz state.
+ * @param {function(object): string} getKey - Returns the group of a question.
+ * @returns {Array<{key: string, correct: number, total: number}>} The groups, sorted by name.
+ */
+function getAccuracyBy(state, getKey) {
+    const groups = {};
+    state.questions.forEach((question, index) => {
+        const key = getKey(question);
+        groups[key] = groups[key] || { key, correct: 0, total: 0 };
+        groups[key].total++;
+        // Like getQuizScore(), an answer counts once it has been checked
+        if (isQuestionChecked(state, index)) {
+            groups[key].correct += getAnswerScore(question, state.userAnswers[index]);
+        }
+    });
+    return Object.keys(groups).sort().map(key => groups[key]);
+}
+
+// --- Progress ---
+
+/**
+ * Summarises a finished quiz for a learner's progress history: the points earned and the accuracy
+ * per topic and per level.
+ * @param {object} state - The quiz state.
+ * @param {function(object): string} getTopic - Returns the topic of a question.
+ * @returns {{score: number, total: number, byTopic: Array<object>, byLevel: Array<object>}} The summary,
+ *          the groups as returned by getAccuracyBy().
+ */
+function summarizeQuiz(state, getTopic) {
+    return {
+        score: getQuizScore(state).score,
+        total: state.questions.length,
+        byTopic: getAccuracyBy(state, getTopic),
+        byLevel: getAccuracyBy(state, question => question.level),
+    };
+}
+
+/**
+ * Adds up the accuracy groups of several quizzes, weakest first: the lowest share of points earned,
+ * then the most questions asked.
+ * @param {Array<Array<{key: string, correct: number, total: number}>>} groupLists - The groups of each quiz.
+ * @returns {Array<{key: string, correct: number, total: number}>} The merged groups.
+ */
+function mergeAccuracy(groupLists) {
+    const groups = {};
+    groupLists.forEach(groupList => {
+        (groupList || []).forEach(group => {
+            groups[group.key] = groups[group.key] || { key: group.key, correct: 0, total: 0 };
+            groups[group.key].correct += group.correct;
+            groups[group.key].total += group.total;
+        });
+    });
+    return Object.values(groups)
+        .filter(group => group.total > 0)
+        .sort((a, b) => a.correct / a.total - b.correct / b.total || b.total - a.total);
+}
+
+/**
+ * Summarises a learner's progress history: how much was practised, the score of each quiz in date order
+ * and the topics and levels from weakest to strongest.
+ * @param {Array<object>} results - The quizzes from summarizeQuiz(), each with the date it was `finishedAt`.
+ * @returns {{quizCount: number, questionCount: number, percentage: number,
+ *            trend: Array<{finishedAt: string, percentage: number}>, byTopic: Array<object>, byLevel: Array<object>}}
+ *          The summary; `percentage` is the share of all points earned, 0 without any quiz.
+ */
+function getProgressSummary(results) {
+    const sorted = [...results].sort((a, b) => Date.parse(a.finishedAt) - Date.parse(b.finishedAt));
+    const questionCount = sorted.reduce((sum, result) => sum + result.total, 0);
+    const score = sorted.reduce((sum, result) => sum + result.score, 0);
+
+    return {
+        quizCount: sorted.length,
+        questionCount,
+        percentage: questionCount === 0 ? 0 : Math.round((score / questionCount) * 100),
+        trend: sorted.map(result => ({
+            finishedAt: result.finishedAt,
+            percentage: result.total === 0 ? 0 : Math.round((result.score / result.total) * 100),
+        })),
+        byTopic: mergeAccuracy(sorted.map(result => result.byTopic)),
+        byLevel: mergeAccuracy(sorted.map(result => result.byLevel)),
+    };
+}
+
+// --- Results export and reporting ---
+
+/**
+ * Lists the results of a finished quiz as spreadsheet records: a header row (RESULT_COLUMNS), then one row
+ * per question. The session columns are repeated on every row so the files of several learners can be
+ * pasted one under the other.
+ * @param {object} results - The results of the quiz, as built by getSessionResults() in script.js.
+ * @returns {Array<Array<string>>} The records, ready for formatCsv() (see question-csv.js).
+ */
+function getResultRecords(results) {
+    const rows = results.questions.map(question => [
+        results.learner || '',
+        results.startedAt || '',
+        results.finishedAt,
+        question.number,
+        question.id,
+        question.type,
+        question.level || '',
+        question.topic,
+        question.question,
+        question.answer,
+        question.correctAnswer,
+        question.correct ? 'yes' : 'no',
+        question.score,
+        question.seconds,
+    ].map(String));
+    return [RESULT_COLUMNS, ...rows];
+}
+
+/**
+ * Formats a number of seconds as an ISO 8601 duration, as xAPI expects, e.g. "PT12.5S".
+ * @param {number} seconds - The duration.
+ * @returns {string} The duration.
+ */
+function formatIsoDuration(seconds) {
+    return `PT${Math.round(seconds * 100) / 100}S`;
+}
+
+/**
+ * Builds the xAPI statements reporting a finished quiz: one "answered" statement per question and a
+ * "completed" statement for the whole quiz, grouped by the same registration.
+ * Responses are the answers as shown on the results screen rather than xAPI choice ids.
+ * @param {object} results - The results of the quiz, as built by getSessionResults() in script.js.
+ * @param {object} options - How to report it.
+ * @param {object} options.actor - The xAPI agent who took the quiz.
+ * @param {string} options.activityBase - The IRI the activities are named under: the quiz is
+ *                                        `<activityBase>/quizzes/<bank ids joined by +>` and each question
+ *                                        `<activityBase>/questions/<question id>`.
+ * @param {function(): string} options.createId - Returns a new UUID, for the registration and each statement.
+ * @returns {Array<object>} The statements, the "completed" one last.
+ */
+function createXapiStatements(results, { actor, activityBase, createId }) {
+    const activityId = `${activityBase}/quizzes/${results.banks.map(encodeURIComponent).join('+')}`;
+    const registration = createId();
+    const context = { registration, contextActivities: { parent: [{ objectType: 'Activity', id: activityId }] } };
+    const verb = name => ({ id: XAPI_VERBS[name], display: { 'en-US': name } });
+
+    const statements = results.questions.map(question => ({
+        id: createId(),
+        actor,
+        verb: verb('answered'),
+        object: {
+            objectType: 'Activity',
+            id: `${activityBase}/questions/${encodeURIComponent(question.id)}`,
+            definition: {
+                type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+                name: { 'en-US': question.question },
+                interactionType: XAPI_INTERACTION_TYPES[question.type] || 'other',
+                extensions: {
+                    [`${activityBase}/extensions/level`]: question.level || null,
+                    [`${activityBase}/extensions/topic`]: question.topic,
+                },
+            },
+        },
+        result: {
+            success: question.correct,
+            score: { scaled: question.score, raw: question.score, min: 0, max: 1 },
+            response: question.answer,
+            duration: formatIsoDuration(question.seconds),
+        },
+        context,
+        timestamp: results.finishedAt,
+    }));
+
+    statements.push({
+        id: createId(),
+        actor,
+        verb: verb('completed'),
+        object: {
+            objectType: 'Activity',
+            id: activityId,
+            definition: {
+                type: 'http://adlnet.gov/expapi/activities/assessment',
+                name: { 'en-US': results.selection },
+            },
+        },
+        result: {
+            completion: true,
+            score: {
+                scaled: results.total === 0 ? 0 : results.score / results.total,
+                raw: results.score,
+                min: 0,
+                max: results.total,
+            },
+            duration: formatIsoDuration(results.seconds),
+        },
+        context: { registration },
+        timestamp: results.finishedAt,
+    });
+    return statements;
+}
+
+// Allow the engine to be required from Node (see the tests in test/)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_TYPO_TOLERANCE,
+        hashSeed,
+        createRandom,
+        shuffleArray,
+        shuffleQuestionsAndAnswers,
+        getBlankCount,
+        getFillInValues,
+        getAcceptedAnswers,
+        getFillInResults,
+        matchTypedAnswer,
+        normalizeAnswer,
+        getEditDistance,
+        trimAnswer,
+        isDictation,
+        hasSubQuestions,
+        getDictationScore,
+        isSubQuestionCorrect,
+        countAnsweredSubQuestions,
+        getCorrectDropWords,
+        isDropAnswerComplete,
+        getMatchingOptions,
+        countMatchedPairs,
+        getMatchingScore,
+        getSentenceTokens,
+        isSentenceOrderCorrect,
+        getDropdownOptions,
+        getDropdownSentenceParts,
+        getDropdownValues,
+        getDropdownResults,
+        hasPartialAnswer,
+        hasAnswerToSubmit,
+        isAnswerCorrect,
+        getAnswerScore,
+        isAnswerChecked,
+        createQuizState,
+        answerQuestion,
+        submitQuestion,
+        isQuestionChecked,
+        getQuizScore,
+        getAccuracyBy,
+        summarizeQuiz,
+        mergeAccuracy,
+        getProgressSummary,
+        getResultRecords,
+        formatIsoDuration,
+        createXapiStatements,
+    };
+}
@@ -1,97 +1,261 @@
 // script.js
 
-// Define the GitHub URL for your quiz questions JSON
-const githubJsonUrl = 'https://Arr-glitch.github.io/english-quiz-data/B1t.json';
+// Manifest listing the available question banks (relative, so it also works when served locally)
+const bankManifestUrl = 'banks.json';
+
+// Service worker caching the quiz for offline use (see sw.js)
+const SERVICE_WORKER_URL = 'sw.js';
+
+// Query parameter selecting the bank(s) to load, e.g. ?bank=b1 or ?bank=a1-b1,b1t to merge several
+const BANK_QUERY_PARAM = 'bank';
+
+// Query parameter fixing the shuffle seed, e.g. ?seed=k3x9qa, so a shared link gives everyone the same quiz
+const SEED_QUERY_PARAM = 'seed';
+
+// Prefix of the localStorage keys holding an unfinished session, one per combination of banks
+const SESSION_STORAGE_PREFIX = 'englishQuiz.session.';
+
+// localStorage key of the per-question answer history used by the review mode
+const HISTORY_STORAGE_KEY = 'englishQuiz.history';
+
+// localStorage key of the learner profiles of this device and of the one using it
+const PROFILES_STORAGE_KEY = 'englishQuiz.profiles';
+
+// localStorage key of the finished quizzes of a learner, shown on the progress dashboard
+const RESULTS_STORAGE_KEY = 'englishQuiz.results';
+const MAX_STORED_RESULTS = 200;
+
+// Avatars a learner can pick, and how many of the latest quizzes the score chart shows
+const PROFILE_AVATARS = ['🦊', '🐼', '🐸', '🦉', '🐙', '🦁', '🐢', '🐝', '🐬', '🦄'];
+const PROGRESS_TREND_LENGTH = 20;
+
+// Query parameter giving the xAPI statements URL finished quizzes are reported to, e.g.
+// ?report=https://lrs.example.com/xapi/statements (overrides the `reporting` settings of banks.json)
+const REPORT_QUERY_PARAM = 'report';
+
+// localStorage key of the reports waiting to be sent (e.g. while offline), and how many are kept
+const REPORT_QUEUE_STORAGE_KEY = 'englishQuiz.reportQueue';
+const MAX_QUEUED_REPORTS = 50;
+
+// Milliseconds to wait before trying again to send reports the endpoint couldn't take, and the xAPI version sent
+const REPORT_RETRY_DELAY = 60 * 1000;
+const XAPI_VERSION = '1.0.3';
+
+// Leitner boxes 1 to 5: days to wait before an item in box N is due again (index 0 is unused).
+// Missed items go to box 1 and are due straight away.
+const REVIEW_INTERVAL_DAYS = [0, 0, 1, 3, 7, 14];
+const MAX_REVIEW_BOX = REVIEW_INTERVAL_DAYS.length - 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // Global variables to manage quiz state
+let bankManifest = []; // Banks listed in banks.json
+let selectedBankIds = []; // Ids of the banks currently loaded
 let questions = [];
 let originalQuestions = []; // Store original questions for restart
 let currentQuestionIndex = 0;
 let userAnswers = [];
 let score = 0;
+let submittedAnswers = []; // Whether each answer has been checked (it can be changed until then)
+let dragWordOrders = []; // Shuffled word bank of each drag-and-drop question, kept while it is answered
+let listeningPlays = []; // Number of times each listening question has been played, limited by its `maxPlays`
+let listeningPlayback = null; // Recording playing now, or the error it gave: { questionIndex, audio, utterance, error }
+let listeningRate = 1; // Playback speed chosen for listening questions
+let selectedDragWord = null; // Word picked by tap or keyboard, waiting to be placed in a blank
+let dragFocusSelector = null; // Element to focus after the question is re-rendered
+let quizSelection = null; // Levels, topics, question count and shuffle seed of the running session
+let examState = null; // Time left and timed-out questions of the running exam, null outside an exam
+let examTimer = null; // Interval id of the exam countdown
+let sessionSavedAt = 0; // When saveSession() last ran, in milliseconds
+let activeProfileId = null; // Id of the learner using the quiz, null for a guest
+let isCreatingProfile = false; // Whether the start screen shows the form adding a learner
+let questionTimes = []; // Milliseconds spent on each question, for the exported results
+let questionShownAt = null; // Index of the question on screen and when it was shown: { questionIndex, time }
+let finishedResults = null; // Results of the finished session, from getSessionResults()
+let bankReporting = null; // `reporting` settings of banks.json: { endpoint, authorization }
+let reportedStartedAt = null; // Start of the last session whose results were reported, so they are sent once
+let isSendingReports = false; // Whether sendQueuedReports() is running
+let reportRetryTimer = null; // Timeout id of the next attempt to send the queued reports
+
+// Topic shown for questions that don't have one (e.g. in questions.json)
+const DEFAULT_TOPIC = 'General';
+
+// Choices for the number of questions on the start screen (0 means all matching questions)
+const QUESTION_COUNT_CHOICES = [10, 20, 30, 0];
+
+// Exam time limits offered on the start screen: overall in minutes, per question in seconds (0 means no limit)
+const EXAM_TIME_LIMIT_CHOICES = [10, 20, 30, 45, 60, 0];
+const DEFAULT_EXAM_TIME_LIMIT = 30;
+const QUESTION_TIME_LIMIT_CHOICES = [0, 30, 60, 90, 120];
+
+// Remaining time (in seconds) under which the exam timer is highlighted
+const EXAM_TIME_WARNING = 60;
+
+// Milliseconds between saves of the exam's time left while the learner stays on a question
+// (answers and moves save straight away), so a reload gives back at most this much time
+const EXAM_SAVE_INTERVAL = 15 * 1000;
+
+// Characters replaced by escapeHtml() when data from the banks is put into HTML
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Playback speeds offered for listening questions (1 is the recording's own speed)
+const LISTENING_RATES = [0.75, 1, 1.25];
+
+// Language of the voice reading transcripts aloud, unless a question sets its own `lang`
+const DEFAULT_SPEECH_LANG = 'en-GB';
+
+// Formatting tags kept in the texts of questions that opt in with `"allowMarkup": true` (see formatQuestionText())
+const SAFE_MARKUP_TAGS = ['b', 'strong', 'i', 'em'];
+
+// Readable names of the question types, used in the results breakdown
+const QUESTION_TYPE_LABELS = {
+    multiple_choice: 'Multiple choice',
+    fill_in_the_blank: 'Fill in the blank',
+    dropdown: 'Dropdown',
+    reading_passage: 'Reading passage',
+    listening: 'Listening',
+    drag_and_drop: 'Drag and drop',
+    drag_and_drop_sentence: 'Drag and drop sentence',
+    matching: 'Matching',
+    sentence_order: 'Sentence order',
+};
 
 /**
- * Shuffles an array using the Fisher-Yates algorithm.
- * @param {Array} array - The array to shuffle.
- * @returns {Array} A new shuffled array.
+ * Loads the bank manifest, then the bank(s) selected in the URL (or the default bank).
+ * Shows the start screen upon successful loading.
+ * Displays an error message if loading fails.
  */
-function shuffleArray(array) {
-    const shuffled = [...array]; // Create a copy to avoid modifying the original
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]; // Swap elements
+async function loadQuestions() {
+    try {
+        activeProfileId = loadProfiles().activeProfileId; // The learner who used the quiz last
+        bankManifest = await loadBankManifest();
+        selectedBankIds = getBankIdsFromUrl();
+
+        await loadBanks(selectedBankIds);
+
+        // Offer to resume an unfinished session, otherwise let the learner choose levels and topics
+        showResumePromptOrStartScreen();
+    } catch (error) {
+        // Catch any errors during the fetch or parsing and display them
+        const offlineHint = navigator.onLine === false
+            ? ' You appear to be offline; the quiz works offline once it has been opened online.'
+            : '';
+        showError(`Error loading quiz: ${error.message}${offlineHint}`);
     }
-    return shuffled;
 }
 
 /**
- * Shuffles the questions and their options within the quiz data.
- * This ensures a new order of questions and options for each quiz session.
- * @param {Array} questionsArray - The array of question objects.
- * @returns {Array} The shuffled questions array.
+ * Fetches a JSON file.
+ * @param {string} url - The URL of the file, relative to the page.
+ * @returns {Promise<*>} The parsed JSON.
  */
-function shuffleQuestionsAndAnswers(questionsArray) {
-    // First, shuffle the order of questions
-    const shuffledQuestions = shuffleArray(questionsArray);
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        // Throw an error if the network response was not ok (e.g., 404, 500)
+        throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
 
-    // Then, iterate through each question and shuffle its options if applicable
-    return shuffledQuestions.map(question => {
-        const shuffledQuestion = { ...question }; // Create a shallow copy of the question
+/**
+ * Loads the list of question banks from the manifest.
+ * Each bank has an `id`, a display `name`, a `levelRange` (e.g. "A2–B1") and the `file` to fetch;
+ * the one marked `default` is used when the URL doesn't select any.
+ * The manifest's optional `reporting` settings are kept for reportResults().
+ * @returns {Promise<Array<object>>} The banks.
+ */
+async function loadBankManifest() {
+    const manifest = await fetchJson(bankManifestUrl);
+    if (!manifest || !Array.isArray(manifest.banks) || manifest.banks.length === 0) {
+        throw new Error('No question banks found in the manifest. Please check banks.json.');
+    }
+    bankReporting = manifest.reporting || null;
+    return manifest.banks;
+}
 
-        // Shuffle options for multiple_choice and dropdown questions
-        if (question.options && Array.isArray(question.options)) {
-            shuffledQuestion.options = shuffleArray(shuffledQuestion.options); // Shuffle the copy's options
+/**
+ * Reads the selected bank ids from the ?bank= query parameter (comma-separated).
+ * Unknown ids are ignored; falls back to the default bank when nothing valid is selected.
+ * @returns {Array<string>} The ids of the banks to load.
+ */
+function getBankIdsFromUrl() {
+    const param = new URLSearchParams(window.location.search).get(BANK_QUERY_PARAM) || '';
+    const requestedIds = param.split(',').map(id => id.trim()).filter(id => id !== '');
+
+    const bankIds = requestedIds.filter(id => {
+        const exists = bankManifest.some(bank => bank.id === id);
+        if (!exists) {
+            console.warn(`Unknown question bank "${id}" ignored.`);
         }
+        return exists;
+    });
 
-        // Handle reading passage questions with sub-questions
-        if (question.type === 'reading_passage' && question.questions) {
-            shuffledQuestion.questions = question.questions.map(subQ => {
-                if (subQ.options && Array.isArray(subQ.options)) {
-                    return {
-                        ...subQ,
-                        options: shuffleArray(subQ.options)
-                    };
-                }
-                return subQ;
-            });
-        }
+    if (bankIds.length > 0) {
+        return bankIds;
+    }
+    const defaultBank = bankManifest.find(bank => bank.default) || bankManifest[0];
+    return [defaultBank.id];
+}
 
-        // Handle drag and drop questions by shuffling the available words/options
-        // The individual blank options are not shuffled for drag and drop, only the list of available drag items.
-        // The `blanks` array order within the question remains the same for sentence structure.
-        return shuffledQuestion;
+/**
+ * Loads and merges the given banks into originalQuestions.
+ * Every item is validated (see validator.js) and malformed ones are skipped so they can't break the quiz later.
+ * @param {Array<string>} bankIds - The ids of the banks to load.
+ */
+async function loadBanks(bankIds) {
+    const banks = bankIds.map(id => bankManifest.find(bank => bank.id === id));
+    const bankData = await Promise.all(banks.map(bank => fetchJson(bank.file)));
+
+    const mergedQuestions = [];
+    const allIssues = [];
+    banks.forEach((bank, i) => {
+        const { validQuestions, issues } = validateQuestionBank(bankData[i]);
+        // Give every question a stable id so its answer history survives shuffling and reloads
+        mergedQuestions.push(...validQuestions.map(question => ({ ...question, id: getQuestionId(question) })));
+        allIssues.push(...issues.map(issue => ({ ...issue, file: bank.file })));
     });
+    reportQuestionIssues(allIssues);
+    originalQuestions = mergedQuestions;
+
+    // Check if questions were actually loaded
+    if (originalQuestions.length === 0) {
+        throw new Error('No questions found in the data. Please check the JSON file.');
+    }
 }
 
 /**
- * Loads quiz questions from the specified GitHub JSON URL.
- * Initializes the quiz upon successful loading.
- * Displays an error message if loading fails.
+ * Returns the stable id of a question: its own `id` if the bank provides one,
+ * otherwise a hash of its content (computed before any shuffling, so it doesn't depend on option order).
+ * The hash changes whenever the item is edited, so banks should give every item an `id`.
+ * @param {object} question - The question object, as loaded from the bank.
+ * @returns {string} The question id.
  */
-async function loadQuestions() {
-    try {
-        // Fetch the JSON data from the GitHub URL
-        const response = await fetch(githubJsonUrl);
-        if (!response.ok) {
-            // Throw an error if the network response was not ok (e.g., 404, 500)
-            throw new Error(`Failed to load questions: ${response.status} ${response.statusText}`);
-        }
-        // Parse the JSON response
-        originalQuestions = await response.json();
+function getQuestionId(question) {
+    if (question.id) {
+        return question.id;
+    }
 
-        // Check if questions were actually loaded
-        if (!originalQuestions || originalQuestions.length === 0) {
-            throw new Error('No questions found in the data. Please check the JSON file.');
-        }
+    return 'q' + hashSeed(JSON.stringify(question)).toString(36);
+}
 
-        // Shuffle questions and their answers/options before starting the quiz
-        questions = shuffleQuestionsAndAnswers(originalQuestions);
+/**
+ * Reports question bank problems found by validateQuestionBank().
+ * Every issue is logged to the console with its file and item index; skipped items are also mentioned on screen.
+ * @param {Array<object>} issues - The issues returned by validateQuestionBank(), each with the bank `file` added.
+ */
+function reportQuestionIssues(issues) {
+    issues.forEach(issue => {
+        issue.errors.forEach(message => console.error(`${issue.file} question #${issue.index} (${issue.type}) skipped: ${message}`));
+        issue.warnings.forEach(message => console.warn(`${issue.file} question #${issue.index} (${issue.type}): ${message}`));
+    });
 
-        // Initialize the quiz UI and state
-        initializeQuiz();
-    } catch (error) {
-        // Catch any errors during the fetch or parsing and display them
-        showError(`Error loading quiz: ${error.message}`);
+    const warning = document.getElementById('bankWarning');
+    const skippedCount = issues.filter(issue => issue.errors.length > 0).length;
+    if (skippedCount > 0) {
+        warning.textContent = `${skippedCount} malformed question${skippedCount === 1 ? ' was' : 's were'} skipped. See the browser console for details.`;
+        warning.style.display = 'block'; // Show warning div
+    } else {
+        warning.style.display = 'none'; // Hide a warning left over from previously loaded banks
     }
 }
 
@@ -105,37 +269,401 @@ function showError(message) {
     document.getElementById('errorMessage').textContent = message; // Set error message text
 }
 
+/**
+ * Returns the topic of a question, falling back to DEFAULT_TOPIC.
+ * @param {object} question - The question object.
+ * @returns {string} The topic name.
+ */
+function getQuestionTopic(question) {
+    return question.topic || DEFAULT_TOPIC;
+}
+
+/**
+ * Counts questions per key, sorted by key.
+ * @param {Array} questionsArray - The array of question objects.
+ * @param {function(object): string} getKey - Returns the key (e.g. level or topic) of a question.
+ * @returns {Array<{key: string, count: number}>} The keys with their question counts.
+ */
+function countQuestionsBy(questionsArray, getKey) {
+    const counts = {};
+    questionsArray.forEach(question => {
+        const key = getKey(question);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return Object.keys(counts).sort().map(key => ({ key, count: counts[key] }));
+}
+
+/**
+ * Generates HTML for a group of checkboxes on the start screen, all checked by default.
+ * @param {string} name - The input name shared by the group (e.g. "level").
+ * @param {Array<{key: string, count: number}>} entries - The values with their question counts.
+ * @param {function(string): string} formatLabel - Builds the visible label of a value.
+ * @returns {string} HTML string for the checkboxes.
+ */
+function displaySelectionCheckboxes(name, entries, formatLabel) {
+    return entries.map(entry => `
+        <label class="selection-option">
+            <input type="checkbox" name="${name}" value="${escapeHtml(entry.key)}" checked data-change="updateSelectionSummary">
+            <span>${escapeHtml(formatLabel(entry.key))}</span>
+            <span class="selection-count">${entry.count}</span>
+        </label>
+    `).join('');
+}
+
+/**
+ * Shows the start screen, built from the loaded questions:
+ * the available levels and topics with their question counts, and the number of questions to ask.
+ */
+function showStartScreen() {
+    stopExam(); // Leaving a quiz stops its exam timer
+
+    document.getElementById('loadingScreen').style.display = 'none'; // Hide loading screen
+    document.getElementById('quizContent').style.display = 'none'; // Hide quiz content
+    document.getElementById('startScreen').style.display = 'block'; // Show start screen
+    document.getElementById('progressBar').style.width = '0%';
+    document.getElementById('progressText').textContent = 'Choose what you want to practise';
+
+    displayLearnerBar();
+    displayBankOptions();
+
+    const levels = countQuestionsBy(originalQuestions, question => question.level);
+    const topics = countQuestionsBy(originalQuestions, getQuestionTopic);
+
+    document.getElementById('levelOptions').innerHTML =
+        displaySelectionCheckboxes('level', levels, level => `Level ${level}`);
+    document.getElementById('topicOptions').innerHTML =
+        displaySelectionCheckboxes('topic', topics, topic => topic);
+
+    // Restore the previous selection when coming back from the final score modal
+    if (quizSelection) {
+        document.querySelectorAll('#startScreen input[name="level"]').forEach(input => {
+            input.checked = quizSelection.levels.includes(input.value);
+        });
+        document.querySelectorAll('#startScreen input[name="topic"]').forEach(input => {
+            input.checked = quizSelection.topics.includes(input.value);
+        });
+        document.querySelectorAll('#startScreen input[name="feedback"]').forEach(input => {
+            input.checked = input.value === (quizSelection.feedback || 'instant');
+        });
+    }
+
+    document.getElementById('questionCount').innerHTML = QUESTION_COUNT_CHOICES.map(count => {
+        const isSelected = quizSelection ? quizSelection.count === count : count === 0;
+        return `<option value="${count}" ${isSelected ? 'selected' : ''}>${count === 0 ? 'All' : count}</option>`;
+    }).join('');
+
+    document.getElementById('examTimeLimit').innerHTML = EXAM_TIME_LIMIT_CHOICES.map(minutes => {
+        const isSelected = quizSelection && quizSelection.timeLimit !== undefined
+            ? quizSelection.timeLimit === minutes
+            : minutes === DEFAULT_EXAM_TIME_LIMIT;
+        return `<option value="${minutes}" ${isSelected ? 'selected' : ''}>${minutes === 0 ? 'No limit' : `${minutes} minutes`}</option>`;
+    }).join('');
+    document.getElementById('questionTimeLimit').innerHTML = QUESTION_TIME_LIMIT_CHOICES.map(seconds => {
+        const isSelected = quizSelection && quizSelection.questionTimeLimit !== undefined
+            ? quizSelection.questionTimeLimit === seconds
+            : seconds === 0;
+        return `<option value="${seconds}" ${isSelected ? 'selected' : ''}>${seconds === 0 ? 'No limit' : `${seconds} seconds`}</option>`;
+    }).join('');
+
+    updateSelectionSummary();
+}
+
+/**
+ * Fills the bank picker on the start screen with the banks from the manifest.
+ * Several banks can be checked to merge them into one session.
+ */
+function displayBankOptions() {
+    document.getElementById('bankOptions').innerHTML = bankManifest.map(bank => `
+        <label class="selection-option">
+            <input type="checkbox" name="bank" value="${escapeHtml(bank.id)}" ${selectedBankIds.includes(bank.id) ? 'checked' : ''} data-change="changeBanks">
+            <span>${escapeHtml(bank.name)}</span>
+            <span class="selection-count">${escapeHtml(bank.levelRange)}</span>
+        </label>
+    `).join('');
+}
+
+/**
+ * Reloads the questions after the learner changed the banks on the start screen,
+ * and records the choice in the URL so it can be bookmarked or shared.
+ */
+async function changeBanks() {
+    const bankIds = Array.from(
+        document.querySelectorAll('#startScreen input[name="bank"]:checked'),
+        input => input.value
+    );
+
+    // At least one bank has to stay selected
+    if (bankIds.length === 0) {
+        displayBankOptions();
+        return;
+    }
+
+    selectedBankIds = bankIds;
+    quizSelection = null; // Levels and topics differ from one bank to another
+
+    const url = new URL(window.location.href);
+    url.searchParams.set(BANK_QUERY_PARAM, bankIds.join(','));
+    window.history.replaceState(null, '', url);
+
+    document.getElementById('startScreen').style.display = 'none'; // Hide start screen
+    document.getElementById('loadingScreen').style.display = 'block'; // Show loading while fetching
+
+    try {
+        await loadBanks(selectedBankIds);
+        showResumePromptOrStartScreen();
+    } catch (error) {
+        showError(`Error loading quiz: ${error.message}`);
+    }
+}
+
+/**
+ * Reads the learner's choices from the start screen.
+ * @returns {{mode: string, levels: Array<string>, topics: Array<string>, count: number, feedback: string,
+ *           timeLimit: number, questionTimeLimit: number, seed: string}}
+ *          The selection (count 0 means all, feedback is 'instant', 'check' or 'exam', the exam time limits
+ *          are in minutes overall and seconds per question, 0 meaning no limit, seed from getSessionSeed()).
+ */
+function readSelection() {
+    const checkedValues = name => Array.from(
+        document.querySelectorAll(`#startScreen input[name="${name}"]:checked`),
+        input => input.value
+    );
+
+    return {
+        mode: 'practice',
+        levels: checkedValues('level'),
+        topics: checkedValues('topic'),
+        count: parseInt(document.getElementById('questionCount').value, 10) || 0,
+        feedback: document.querySelector('#startScreen input[name="feedback"]:checked').value,
+        timeLimit: parseInt(document.getElementById('examTimeLimit').value, 10) || 0,
+        questionTimeLimit: parseInt(document.getElementById('questionTimeLimit').value, 10) || 0,
+        seed: getSessionSeed(),
+    };
+}
+
+/**
+ * Returns the seed shuffling a new session: the one from the ?seed= query parameter, so a shared link
+ * gives the same questions in the same order, or a new random one.
+ * @returns {string} The seed.
+ */
+function getSessionSeed() {
+    const param = (new URLSearchParams(window.location.search).get(SEED_QUERY_PARAM) || '').trim();
+    return param || Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Builds a link to this quiz with a session's seed, for a teacher to share.
+ * Learners opening it get the same questions in the same order when they choose the same levels, topics and count.
+ * @param {string} seed - The seed of the session.
+ * @returns {string} The URL.
+ */
+function getShareUrl(seed) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(BANK_QUERY_PARAM, selectedBankIds.join(','));
+    url.searchParams.set(SEED_QUERY_PARAM, seed);
+    return url.toString();
+}
+
+/**
+ * Returns the loaded questions matching a selection's levels and topics.
+ * @param {object} selection - The selection from readSelection().
+ * @returns {Array} The matching question objects.
+ */
+function getFilteredQuestions(selection) {
+    return originalQuestions.filter(question =>
+        selection.levels.includes(question.level) && selection.topics.includes(getQuestionTopic(question))
+    );
+}
+
+/**
+ * Updates the number of matching questions on the start screen
+ * and disables the start button when nothing matches.
+ * The exam time limits are only shown when exam feedback is chosen.
+ */
+function updateSelectionSummary() {
+    const selection = readSelection();
+    document.getElementById('examOptions').style.display = selection.feedback === 'exam' ? '' : 'none';
+    const matchingCount = getFilteredQuestions(selection).length;
+    const quizLength = selection.count === 0 ? matchingCount : Math.min(selection.count, matchingCount);
+
+    document.getElementById('selectionSummary').textContent = matchingCount === 0
+        ? 'No questions match your selection.'
+        : `${matchingCount} question${matchingCount === 1 ? '' : 's'} match your selection. The quiz will have ${quizLength}.`;
+    document.getElementById('startBtn').disabled = matchingCount === 0;
+
+    // Items due for review among the selected levels and topics
+    const dueCount = getDueQuestions(getFilteredQuestions(selection)).length;
+    document.getElementById('reviewDueText').textContent = dueCount === 0
+        ? 'No questions due for review. Questions you answer are scheduled for review here.'
+        : `${dueCount} question${dueCount === 1 ? ' is' : 's are'} due for review.`;
+    document.getElementById('reviewBtn').disabled = dueCount === 0;
+}
+
+/**
+ * Checks or unchecks every checkbox of a start screen group.
+ * @param {string} name - The input name of the group ("level" or "topic").
+ * @param {boolean} checked - Whether to check or uncheck them.
+ */
+function setAllSelectionOptions(name, checked) {
+    document.querySelectorAll(`#startScreen input[name="${name}"]`).forEach(input => {
+        input.checked = checked;
+    });
+    updateSelectionSummary();
+}
+
+/**
+ * Describes a selection in a few words, e.g. "Levels A2, B1 · 3 topics".
+ * @param {object} selection - The selection from readSelection().
+ * @returns {string} A short description of the selection.
+ */
+function describeSelection(selection) {
+    const allLevels = countQuestionsBy(originalQuestions, question => question.level);
+    const allTopics = countQuestionsBy(originalQuestions, getQuestionTopic);
+
+    let levelsText;
+    if (selection.levels.length === allLevels.length) {
+        levelsText = 'All levels';
+    } else {
+        levelsText = `Level${selection.levels.length === 1 ? '' : 's'} ${selection.levels.join(', ')}`;
+    }
+
+    let topicsText;
+    if (selection.topics.length === allTopics.length) {
+        topicsText = 'all topics';
+    } else if (selection.topics.length <= 2) {
+        topicsText = selection.topics.join(', ');
+    } else {
+        topicsText = `${selection.topics.length} topics`;
+    }
+
+    const MODE_LABELS = { review: 'Review · ', mistakes: 'Retrying mistakes · ' };
+    const modeText = MODE_LABELS[selection.mode] || '';
+    const examText = selection.feedback === 'exam' ? 'Exam · ' : '';
+    return `${examText}${modeText}${levelsText} · ${topicsText}`;
+}
+
+/**
+ * Picks the questions for a new session: shuffles the questions matching the selection
+ * and keeps as many as requested. In review mode only the questions due for review are used,
+ * when retrying mistakes only the questions missed in the previous session.
+ * The shuffle is driven by the selection's seed, so the same seed gives the same quiz.
+ * @param {object} selection - The selection from readSelection().
+ * @returns {Array} The shuffled questions for the session.
+ */
+function buildQuizQuestions(selection) {
+    const random = createRandom(selection.seed);
+
+    if (selection.mode === 'mistakes') {
+        // The questions missed in the previous session, reshuffled
+        return shuffleQuestionsAndAnswers(originalQuestions.filter(question => selection.questionIds.includes(question.id)), random);
+    }
+
+    if (selection.mode === 'review') {
+        // Keep the most urgent items, then shuffle them like any other session
+        const dueQuestions = getDueQuestions(getFilteredQuestions(selection));
+        const picked = selection.count === 0 ? dueQuestions : dueQuestions.slice(0, selection.count);
+        return shuffleQuestionsAndAnswers(picked, random);
+    }
+
+    const shuffled = shuffleQuestionsAndAnswers(getFilteredQuestions(selection), random);
+    return selection.count === 0 ? shuffled : shuffled.slice(0, selection.count);
+}
+
+/**
+ * Starts the quiz with the levels, topics and question count chosen on the start screen.
+ */
+function startQuiz() {
+    quizSelection = readSelection();
+    questions = buildQuizQuestions(quizSelection);
+
+    // Nothing to ask (the start button should already be disabled in that case)
+    if (questions.length === 0) {
+        return;
+    }
+
+    initializeQuiz();
+}
+
+/**
+ * Starts a review session with the questions due for review among the selected levels and topics.
+ */
+function startReview() {
+    quizSelection = { ...readSelection(), mode: 'review' };
+    questions = buildQuizQuestions(quizSelection);
+
+    // Nothing due (the review button should already be disabled in that case)
+    if (questions.length === 0) {
+        return;
+    }
+
+    initializeQuiz();
+}
+
+/**
+ * Returns from the final score modal to the start screen to pick a new selection.
+ */
+function changeSelection() {
+    document.getElementById('finalScoreModal').classList.remove('show'); // Hide the modal
+    showStartScreen();
+}
+
 /**
  * Initializes the quiz after questions are loaded.
  * Hides loading screen, shows quiz content, resets state.
  */
 function initializeQuiz() {
     document.getElementById('loadingScreen').style.display = 'none'; // Hide loading screen
+    document.getElementById('startScreen').style.display = 'none'; // Hide start screen
     document.getElementById('quizContent').style.display = 'block'; // Show quiz content
 
     // Reset quiz state variables
-    userAnswers = new Array(questions.length).fill(null); // Initialize user answers array
+    quizSelection = { ...quizSelection, startedAt: new Date().toISOString() };
+    setQuizState(createQuizState(questions)); // No answers yet
+    dragWordOrders = [];
+    selectedDragWord = null;
+    stopListening();
+    listeningPlays = [];
+    questionTimes = [];
+    questionShownAt = null;
     currentQuestionIndex = 0; // Start from the first question
     score = 0; // Reset score
 
+    if (isExamMode()) {
+        startExam(); // Start the countdown
+    }
+
     // Update UI elements
     updateProgress(); // Update progress bar and text
     displayQuestion(); // Display the first question
     updateScore(); // Update score display
     updateNextButtonState(); // Update next button state initially
+
+    saveSession(); // Save the new shuffled order straight away
 }
 
 /**
  * Updates the progress bar and text to reflect the current question.
  */
 function updateProgress() {
+    const question = questions[currentQuestionIndex];
+
+    // Within a passage, the learner is on the first sub-question without an answer
+    let subQuestionText = '';
+    let subProgress = 1;
+    if (hasSubQuestions(question) && question.questions.length > 1) {
+        const subCount = question.questions.length;
+        const subPosition = Math.min(countAnsweredSubQuestions(question, userAnswers[currentQuestionIndex]) + 1, subCount);
+        subQuestionText = ` (part ${subPosition} of ${subCount})`;
+        subProgress = subPosition / subCount;
+    }
+
     // Calculate progress percentage
-    const progress = ((currentQuestionIndex + 1) / questions.length) * 100;
+    const progress = ((currentQuestionIndex + subProgress) / questions.length) * 100;
     // Update the width of the progress bar
     document.getElementById('progressBar').style.width = progress + '%';
-    // Update the progress text (e.g., "Question 1 of 10")
+    // Update the progress text (e.g., "Question 1 of 10 (part 2 of 3) · Level B1 · all topics")
     document.getElementById('progressText').textContent =
-        `Question ${currentQuestionIndex + 1} of ${questions.length}`;
+        `Question ${currentQuestionIndex + 1} of ${questions.length}${subQuestionText} · ${describeSelection(quizSelection)}`;
 }
 
 /**
@@ -145,12 +673,52 @@ function updateProgress() {
 function displayQuestion() {
     const question = questions[currentQuestionIndex];
     const questionCard = document.getElementById('questionCard');
+    updateQuestionTime(); // Count the time until now for the question that was on screen
+
+    // A recording stops when the learner moves to another question
+    if (listeningPlayback && listeningPlayback.questionIndex !== currentQuestionIndex) {
+        stopListening();
+    }
+
+    // Update the question card's content
+    questionCard.innerHTML = renderQuestionHtml(question);
+
+    // Keep keyboard focus on the word or blank the learner was working with
+    if (dragFocusSelector) {
+        const focusTarget = questionCard.querySelector(dragFocusSelector);
+        if (focusTarget) {
+            focusTarget.focus();
+        }
+        dragFocusSelector = null;
+    }
+
+    // Update navigation buttons' disabled state and text
+    document.getElementById('prevBtn').disabled = currentQuestionIndex === 0;
+    document.getElementById('nextBtn').textContent =
+        currentQuestionIndex === questions.length - 1 ? (examState ? 'Finish Exam' : 'Finish Quiz') : 'Next →';
+
+    // Ensure progress is updated after question display
+    updateProgress();
+    displayExamTimer(); // Show the new question's time left straight away
+    updateNextButtonState(); // Update next button state after new question is displayed
+}
 
+/**
+ * Generates the HTML of the question card for a question, based on its type:
+ * the header, the question itself and, depending on its state, the explanations or the "Check answer" button.
+ * The answer state is read from userAnswers and submittedAnswers at currentQuestionIndex.
+ * Also used by the editor (editor.js) for its live preview.
+ * @param {object} question - The question object.
+ * @returns {string} HTML string for the question card.
+ */
+function renderQuestionHtml(question) {
     // Start with common question header HTML
+    // Some banks (e.g. questions.json) don't tag items with a topic, so only show it when present
+    const topicHtml = question.topic ? `<span class="question-topic">${escapeHtml(question.topic)}</span>` : '';
     let html = `
         <div class="question-header">
-            <span class="question-topic">${question.topic}</span>
-            <span class="question-level">Level ${question.level}</span>
+            ${topicHtml}
+            <span class="question-level">Level ${escapeHtml(question.level)}</span>
         </div>
     `;
 
@@ -168,25 +736,36 @@ function displayQuestion() {
         case 'reading_passage':
             html += displayReadingPassage(question);
             break;
+        case 'listening':
+            html += displayListening(question);
+            break;
         case 'drag_and_drop':
             html += displayDragAndDrop(question);
             break;
+        case 'drag_and_drop_sentence':
+            html += displayDragAndDropSentence(question);
+            break;
+        case 'matching':
+            html += displayMatching(question);
+            break;
+        case 'sentence_order':
+            html += displaySentenceOrder(question);
+            break;
         default:
-            html += `<p class="error">Unsupported question type: ${question.type}</p>`;
+            html += `<p class="error">Unsupported question type: ${escapeHtml(question.type)}</p>`;
             break;
     }
 
-    // Update the question card's content
-    questionCard.innerHTML = html;
-
-    // Update navigation buttons' disabled state and text
-    document.getElementById('prevBtn').disabled = currentQuestionIndex === 0;
-    document.getElementById('nextBtn').textContent =
-        currentQuestionIndex === questions.length - 1 ? 'Finish Quiz' : 'Next →';
+    // Reveal the explanation(s) once the answer is locked in, until then offer to check it
+    if (checkIfAnswered()) {
+        html += displayExplanations(question);
+    } else if (isAnswerLocked()) {
+        html += `<p class="warning">Time is up for this question. Your answer has been kept.</p>`;
+    } else if (needsCheckButton(question)) {
+        html += displayCheckButton(question);
+    }
 
-    // Ensure progress is updated after question display
-    updateProgress();
-    updateNextButtonState(); // Update next button state after new question is displayed
+    return html;
 }
 
 /**
@@ -195,8 +774,8 @@ function displayQuestion() {
  * @returns {string} HTML string for the multiple-choice question.
  */
 function displayMultipleChoice(question) {
-    let html = `<div class="question-text">${question.questionText}</div><div class="options">`;
-    const isAnswered = userAnswers[currentQuestionIndex] !== null;
+    let html = `<div class="question-text">${formatQuestionText(question.questionText, question)}</div><div class="options">`;
+    const isAnswered = checkIfAnswered();
 
     question.options.forEach((option, index) => {
         const letter = String.fromCharCode(65 + index); // A, B, C, D...
@@ -215,12 +794,12 @@ function displayMultipleChoice(question) {
         }
 
         // Disable clicks if already answered
-        const clickHandler = isAnswered ? '' : `onclick="selectOption('${option.replace(/'/g, "\\'")}')"`;
+        const clickHandler = isAnswered ? '' : 'data-click="selectOption"';
 
         html += `
-            <div class="option ${optionClass}" ${clickHandler}>
+            <div class="option ${optionClass}" ${clickHandler} data-value="${escapeHtml(option)}">
                 <span class="option-letter">${letter}</span>
-                <span>${option}</span>
+                <span>${escapeHtml(option)}</span>
             </div>
         `;
     });
@@ -230,42 +809,51 @@ function displayMultipleChoice(question) {
 }
 
 /**
- * Generates HTML for a fill-in-the-blank question.
+ * Generates HTML for a fill-in-the-blank question, with one input per blank.
  * @param {object} question - The question object.
  * @returns {string} HTML string for the fill-in-the-blank question.
  */
 function displayFillInTheBlank(question) {
     let html = `<div class="question-text">`;
     const userAnswer = userAnswers[currentQuestionIndex];
-    const isAnswered = userAnswer !== null && userAnswer !== undefined;
-    const correct = isAnswered && isCorrect(currentQuestionIndex);
+    const values = getFillInValues(question, userAnswer);
+    const hasSeveralBlanks = values.length > 1;
+    const isAnswered = checkIfAnswered();
+    const results = isAnswered ? getFillInResults(question, userAnswer) : [];
+    const disabledAttr = isAnswerLocked() ? 'disabled' : '';
 
-    let inputClass = 'fill-blank-input';
-    if (isAnswered) {
-        inputClass += correct ? ' correct-input' : ' incorrect-input';
-    }
-    const disabledAttr = isAnswered ? 'disabled' : '';
+    const inputs = values.map((value, i) => {
+        let inputClass = 'fill-blank-input';
+        if (isAnswered) {
+            inputClass += ` ${results[i]}-input`; // correct-input, almost-input or incorrect-input
+        }
 
-    const currentInputValue = userAnswer || '';
+        // With instant feedback a single blank is checked when the input loses focus or Enter is pressed;
+        // otherwise (and with several blanks) it is kept as a draft until the learner presses "Check answer" (or Enter)
+        const inputEvents = isInstantFeedback() && !hasSeveralBlanks
+            ? 'data-change="setAnswer"'
+            : 'data-input="updateDraftAnswer" data-keydown="submitOnEnter"';
+        const placeholder = hasSeveralBlanks ? `Blank ${i + 1}` : 'Type your answer here';
 
-    let blankHtml;
-    if (question.sentenceParts) {
-        blankHtml = `<input type="text" class="${inputClass}"
-                         value="${currentInputValue}"
-                         onchange="setAnswer(this.value)" placeholder="Type your answer here" ${disabledAttr}>`;
-        html += question.sentenceParts[0] + blankHtml + question.sentenceParts[1];
-    } else {
-        blankHtml = `<input type="text" class="${inputClass}"
-                     value="${currentInputValue}"
-                     onchange="setAnswer(this.value)" placeholder="Type your answer here" ${disabledAttr}>`;
-        html += question.questionText.replace('_____', blankHtml);
-    }
+        return `<input type="text" class="${inputClass}"
+                     value="${escapeHtml(value)}" data-blank="${hasSeveralBlanks ? i : ''}"
+                     ${inputEvents} placeholder="${placeholder}" ${disabledAttr}>`;
+    });
+
+    // The sentence around the blanks comes from sentenceParts, or from the _____ markers in questionText
+    const segments = (question.sentenceParts || question.questionText.split('_____'))
+        .map(segment => formatQuestionText(segment, question));
+    html += segments[0] + inputs.map((input, i) => input + (segments[i + 1] || '')).join('');
 
     if (isAnswered) {
-        if (!correct) {
-            html += `<p style="color: #d32f2f; margin-top: 10px; font-weight: bold;">Correct answer: ${question.correctAnswer}</p>`;
+        const correctText = escapeHtml(getCorrectAnswerText(question));
+        const label = hasSeveralBlanks ? 'Correct answers' : 'Correct answer';
+        if (results.includes('incorrect')) {
+            html += `<p style="color: #d32f2f; margin-top: 10px; font-weight: bold;">${label}: ${correctText}</p>`;
+        } else if (results.includes('almost')) {
+            html += `<p style="color: #ef6c00; margin-top: 10px; font-weight: bold;">Almost — check your spelling: ${correctText}</p>`;
         } else {
-             html += `<p style="color: #4caf50; margin-top: 10px; font-weight: bold;">Correct!</p>`;
+            html += `<p style="color: #4caf50; margin-top: 10px; font-weight: bold;">Correct!</p>`;
         }
     }
 
@@ -274,102 +862,267 @@ function displayFillInTheBlank(question) {
 }
 
 /**
- * Generates HTML for a dropdown question (treated similarly to multiple choice for display).
+ * Generates HTML for a dropdown question: the sentence with a list to choose from in each gap.
+ * Gaps the sentence doesn't mark (see getDropdownSentenceParts()) get their list under the question text.
+ * Once checked, every gap is marked and the correct answers are shown if any is wrong.
  * @param {object} question - The question object.
  * @returns {string} HTML string for the dropdown question.
  */
 function displayDropdown(question) {
-    let html = `<div class="question-text">${question.questionText}</div><div class="options">`;
-    const isAnswered = userAnswers[currentQuestionIndex] !== null;
-
-    question.options.forEach((option, index) => {
-        const letter = String.fromCharCode(65 + index);
-        const isSelected = userAnswers[currentQuestionIndex] === option;
-        const isCorrectOption = option === question.correctAnswer;
+    const values = getDropdownValues(question, userAnswers[currentQuestionIndex]);
+    const hasSeveralGaps = values.length > 1;
+    const isAnswered = checkIfAnswered();
+    const results = isAnswered ? getDropdownResults(question, userAnswers[currentQuestionIndex]) : [];
+    const disabledAttr = isAnswerLocked() ? 'disabled' : '';
 
-        let optionClass = '';
+    const selects = getDropdownOptions(question).map((options, i) => {
+        let selectClass = 'selection-select dropdown-gap';
         if (isAnswered) {
-            if (isCorrectOption) {
-                optionClass = 'correct';
-            } else if (isSelected && !isCorrectOption) {
-                optionClass = 'incorrect';
-            }
-        } else if (isSelected) {
-            optionClass = 'selected';
+            selectClass += results[i] ? ' correct-input' : ' incorrect-input';
         }
-
-        const clickHandler = isAnswered ? '' : `onclick="selectOption('${option.replace(/'/g, "\\'")}')"`;
-
-        html += `
-            <div class="option ${optionClass}" ${clickHandler}>
-                <span class="option-letter">${letter}</span>
-                <span>${option}</span>
-            </div>
-        `;
+        return `<select class="${selectClass}" data-change="selectGap" data-gap="${i}"
+                        aria-label="${hasSeveralGaps ? `Gap ${i + 1}` : 'Answer'}" ${disabledAttr}>
+                    <option value="">Choose…</option>
+                    ${options.map(option => `<option value="${escapeHtml(option)}" ${option === values[i] ? 'selected' : ''}>${escapeHtml(option)}</option>`).join('')}
+                </select>`;
     });
 
-    html += '</div>';
+    const parts = getDropdownSentenceParts(question);
+    let html;
+    if (parts) {
+        const segments = parts.map(part => formatQuestionText(part, question));
+        html = `<div class="question-text dropdown-sentence">${segments[0]}${selects.map((select, i) => select + segments[i + 1]).join('')}</div>`;
+    } else {
+        html = `<div class="question-text">${formatQuestionText(question.questionText, question)}</div>` +
+            `<div class="dropdown-sentence">${selects.join(' ')}</div>`;
+    }
+
+    if (isAnswered) {
+        if (results.every(Boolean)) {
+            html += `<p style="color: #4caf50; margin-top: 10px; font-weight: bold;">Correct!</p>`;
+        } else {
+            const label = hasSeveralGaps ? 'Correct answers' : 'Correct answer';
+            html += `<p style="color: #d32f2f; margin-top: 10px; font-weight: bold;">${label}: ${escapeHtml(getCorrectAnswerText(question))}</p>`;
+        }
+    }
     return html;
 }
 
 /**
- * Generates HTML for a reading passage question, including the passage and its sub-question.
+ * Generates HTML for a reading passage question: the passage followed by all of its sub-questions.
+ * Sub-questions are answered one by one and checked together with the "Check answer" button.
  * @param {object} question - The question object.
  * @returns {string} HTML string for the reading passage question.
  */
 function displayReadingPassage(question) {
-    let html = `
-        <div class="question-text">${question.questionText}</div>
-        <div class="passage">${question.passage}</div>
-    `;
-
-    // Display the first sub-question associated with the passage
-    if (question.questions && question.questions.length > 0) {
-        const subQuestion = question.questions[0]; // Assuming only one sub-question per passage for now
-        html += `<div class="question-text">${subQuestion.questionText}</div><div class="options">`;
-        const isAnswered = userAnswers[currentQuestionIndex] !== null;
-
-        subQuestion.options.forEach((option, index) => {
-            const letter = String.fromCharCode(65 + index);
-            const isSelected = userAnswers[currentQuestionIndex] === option;
-            const isCorrectOption = option === subQuestion.correctAnswer;
-
-            let optionClass = '';
-            if (isAnswered) {
-                if (isCorrectOption) {
-                    optionClass = 'correct';
-                } else if (isSelected && !isCorrectOption) {
-                    optionClass = 'incorrect';
-                }
-            } else if (isSelected) {
-                optionClass = 'selected';
-            }
-
-            const clickHandler = isAnswered ? '' : `onclick="selectOption('${option.replace(/'/g, "\\'")}')"`;
-
-            html += `
-                <div class="option ${optionClass}" ${clickHandler}>
-                    <span class="option-letter">${letter}</span>
-                    <span>${option}</span>
-                </div>
-            `;
-        });
-
-        html += '</div>';
-    }
-
+    // Not every bank gives the passage an instruction of its own
+    let html = question.questionText ? `<div class="question-text">${formatQuestionText(question.questionText, question)}</div>` : '';
+    html += `<div class="passage">${formatQuestionText(question.passage, question)}</div>`;
+    html += displaySubQuestions(question);
     return html;
 }
 
 /**
- * Generates HTML for a drag-and-drop question.
+ * Generates HTML for a listening question: the player, then the sub-questions or, for a dictation,
+ * a box to type the whole recording into. The transcript is shown once the answer is checked.
  * @param {object} question - The question object.
- * @returns {string} HTML string for the drag-and-drop question.
+ * @returns {string} HTML string for the listening question.
+ */
+function displayListening(question) {
+    const instruction = question.questionText || (isDictation(question) ? 'Listen and write down what you hear.' : '');
+    let html = instruction ? `<div class="question-text">${formatQuestionText(instruction, question)}</div>` : '';
+    html += displayListeningPlayer(question);
+    html += isDictation(question) ? displayDictation(question) : displaySubQuestions(question);
+
+    if (checkIfAnswered() && question.transcript) {
+        html += `<div class="passage listening-transcript"><div class="explanation-title">Transcript</div>` +
+            `${formatQuestionText(question.transcript, question)}</div>`;
+    }
+    return html;
+}
+
+/**
+ * Generates HTML for the player of a listening question: play/stop, the playback speed and the plays left.
+ * @param {object} question - The listening question.
+ * @returns {string} HTML string for the player.
+ */
+function displayListeningPlayer(question) {
+    const playback = listeningPlayback && listeningPlayback.questionIndex === currentQuestionIndex ? listeningPlayback : null;
+    const isPlaying = !!playback && !playback.error;
+    const playsLeft = getListeningPlaysLeft(question, currentQuestionIndex);
+    const disabledAttr = isPlaying || playsLeft !== 0 ? '' : 'disabled';
+
+    let playsText = '';
+    if (playsLeft !== null) {
+        playsText = playsLeft === 0 ? 'No plays left' : `${playsLeft} play${playsLeft === 1 ? '' : 's'} left`;
+    }
+
+    return `
+        <div class="listening-player">
+            <button type="button" class="btn listening-play-btn" data-click="toggleListening" ${disabledAttr}>${isPlaying ? '■ Stop' : '▶ Play'}</button>
+            <label class="listening-rate">Speed
+                <select class="selection-select" data-change="setListeningRate">
+                    ${LISTENING_RATES.map(rate => `<option value="${rate}" ${rate === listeningRate ? 'selected' : ''}>${rate}×</option>`).join('')}
+                </select>
+            </label>
+            <span class="listening-plays">${playsText}</span>
+            ${playback && playback.error ? `<p class="warning">${escapeHtml(playback.error)}</p>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Generates HTML for the answer box of a dictation and, once checked, how much of the transcript it got right.
+ * @param {object} question - The dictation question.
+ * @returns {string} HTML string for the answer box.
+ */
+function displayDictation(question) {
+    const answer = userAnswers[currentQuestionIndex];
+    const isAnswered = checkIfAnswered();
+    const dictationScore = isAnswered ? getDictationScore(question, answer) : 0;
+
+    let inputClass = 'fill-blank-input dictation-input';
+    if (isAnswered) {
+        inputClass += dictationScore === 1 ? ' correct-input' : ' incorrect-input';
+    }
+
+    // Typed like a fill-in-the-blank draft and checked with the "Check answer" button, so Enter starts a new line
+    let html = `<textarea class="${inputClass}" rows="3" data-input="updateDraftAnswer" data-blank=""
+                     placeholder="Type what you hear" ${isAnswerLocked() ? 'disabled' : ''}>${escapeHtml(answer || '')}</textarea>`;
+
+    if (isAnswered) {
+        if (dictationScore === 1) {
+            html += `<p style="color: #4caf50; margin-top: 10px; font-weight: bold;">Correct!</p>`;
+        } else {
+            html += `<p style="color: #d32f2f; margin-top: 10px; font-weight: bold;">` +
+                `${Math.round(dictationScore * 100)}% of the words right — compare with the transcript below.</p>`;
+        }
+    }
+    return html;
+}
+
+/**
+ * Generates HTML for the sub-questions of a reading passage or listening question.
+ * @param {object} question - The question object.
+ * @returns {string} HTML string for the sub-questions.
+ */
+function displaySubQuestions(question) {
+    let html = '';
+    const answer = userAnswers[currentQuestionIndex];
+    const isAnswered = checkIfAnswered();
+    const isLocked = isAnswerLocked();
+
+    question.questions.forEach((subQuestion, subIndex) => {
+        const subAnswer = Array.isArray(answer) ? answer[subIndex] : null;
+        html += `<div class="sub-question">`;
+        if (question.questions.length > 1) {
+            html += `<div class="sub-question-number">Question ${subIndex + 1} of ${question.questions.length}</div>`;
+        }
+        html += `<div class="question-text">${formatQuestionText(subQuestion.questionText, question)}</div>`;
+        html += subQuestion.type === 'short_answer'
+            ? displayShortAnswer(subQuestion, subIndex, subAnswer, isAnswered, isLocked)
+            : displaySubQuestionOptions(subQuestion, subIndex, subAnswer, isAnswered);
+        html += `</div>`;
+    });
+
+    return html;
+}
+
+/**
+ * Generates HTML for the options of a multiple-choice or true/false/not given sub-question.
+ * @param {object} subQuestion - The sub-question object.
+ * @param {number} subIndex - The index of the sub-question in the passage.
+ * @param {string|null} subAnswer - The option chosen so far, if any.
+ * @param {boolean} isAnswered - Whether the passage has been checked.
+ * @returns {string} HTML string for the options.
+ */
+function displaySubQuestionOptions(subQuestion, subIndex, subAnswer, isAnswered) {
+    let html = `<div class="options">`;
+
+    getSubQuestionOptions(subQuestion).forEach((option, index) => {
+        const letter = String.fromCharCode(65 + index);
+        const isSelected = subAnswer === option;
+        const isCorrectOption = option === subQuestion.correctAnswer;
+
+        let optionClass = '';
+        if (isAnswered) {
+            if (isCorrectOption) {
+                optionClass = 'correct';
+            } else if (isSelected && !isCorrectOption) {
+                optionClass = 'incorrect';
+            }
+        } else if (isSelected) {
+            optionClass = 'selected';
+        }
+
+        const clickHandler = isAnswered ? '' : `data-click="selectSubAnswer" data-sub="${subIndex}"`;
+
+        html += `
+            <div class="option ${optionClass}" ${clickHandler} data-value="${escapeHtml(option)}">
+                <span class="option-letter">${letter}</span>
+                <span>${escapeHtml(option)}</span>
+            </div>
+        `;
+    });
+
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Generates HTML for the input of a short-answer sub-question and, once checked, its feedback.
+ * @param {object} subQuestion - The sub-question object.
+ * @param {number} subIndex - The index of the sub-question in the passage.
+ * @param {string|null} subAnswer - The text typed so far, if any.
+ * @param {boolean} isAnswered - Whether the passage has been checked.
+ * @param {boolean} isLocked - Whether the answer can no longer be changed.
+ * @returns {string} HTML string for the input.
+ */
+function displayShortAnswer(subQuestion, subIndex, subAnswer, isAnswered, isLocked) {
+    const correct = isAnswered && isSubQuestionCorrect(subQuestion, subAnswer);
+
+    let inputClass = 'fill-blank-input short-answer-input';
+    if (isAnswered) {
+        inputClass += correct ? ' correct-input' : ' incorrect-input';
+    }
+
+    let html = `<input type="text" class="${inputClass}" value="${escapeHtml(subAnswer || '')}"
+                     data-input="setSubAnswer" data-sub="${subIndex}" placeholder="Type your answer here" ${isLocked ? 'disabled' : ''}>`;
+
+    if (isAnswered) {
+        if (!correct) {
+            html += `<p style="color: #d32f2f; margin-top: 10px; font-weight: bold;">Correct answer: ${escapeHtml(subQuestion.correctAnswer)}</p>`;
+        } else {
+            html += `<p style="color: #4caf50; margin-top: 10px; font-weight: bold;">Correct!</p>`;
+        }
+    }
+    return html;
+}
+
+/**
+ * Returns the options of a reading passage sub-question:
+ * its own `options`, the usual three for true/false/not given, none for short answer.
+ * @param {object} subQuestion - The sub-question object.
+ * @returns {Array<string>} The options.
+ */
+function getSubQuestionOptions(subQuestion) {
+    if (subQuestion.type === 'short_answer') {
+        return [];
+    }
+    if (subQuestion.type === 'true_false_not_given' && !Array.isArray(subQuestion.options)) {
+        return TRUE_FALSE_NOT_GIVEN_OPTIONS;
+    }
+    return subQuestion.options;
+}
+
+/**
+ * Generates HTML for a drag-and-drop question.
+ * @param {object} question - The question object.
+ * @returns {string} HTML string for the drag-and-drop question.
  */
 function displayDragAndDrop(question) {
-    let html = `<div class="question-text">${question.questionText}</div>`;
-    html += `<div class="drag-drop-container">`;
-    html += `<p>Available words:</p>`;
+    let html = `<div class="question-text">${formatQuestionText(question.questionText, question)}</div>`;
+    html += `<div class="drag-drop-container" data-keydown="dragKeyDown">`;
 
     const userAnswerArray = userAnswers[currentQuestionIndex];
     const isAnswered = checkIfAnswered();
@@ -397,20 +1150,13 @@ function displayDragAndDrop(question) {
         });
     }
 
-    const shuffledOptions = isAnswered ? allOptions : shuffleArray(allOptions);
-
-    shuffledOptions.forEach(option => {
-        const isUsed = isAnswered && userAnswerArray && userAnswerArray.includes(option);
-        html += `<span class="drag-item ${isUsed ? 'used-item' : ''}" draggable="${isAnswered ? 'false' : 'true'}" ondragstart="drag(event)" data-word="${option}">${option}</span>`;
-    });
-
-    html += `<br><br>`;
+    html += displayWordBank(allOptions, userAnswerArray, isAnswered);
 
     // Reconstruct the sentence with drop zones based on correctOrder.length
     // Assuming question.blanks contains sentence parts and we insert a drop zone for each correctOrder item.
     // The number of drop zones should match correctOrder.length.
     // The sentence parts in question.blanks should be correctly interleaved.
-    let sentenceParts = question.blanks.map(b => b.sentencePart); // Extract just the sentence parts
+    let sentenceParts = question.blanks.map(b => formatQuestionText(b.sentencePart, question)); // Extract just the sentence parts
 
     let sentenceWithBlanksHtml = '';
     const numBlanks = question.correctOrder ? question.correctOrder.length : 0;
@@ -422,258 +1168,2224 @@ function displayDragAndDrop(question) {
         }
 
         const currentDroppedWord = (userAnswerArray && userAnswerArray[i] !== null) ? userAnswerArray[i] : null;
-        const correctWord = question.correctOrder[i];
-        const dropZoneIsCorrect = isAnswered && currentDroppedWord === correctWord;
-        const dropZoneIsIncorrect = isAnswered && currentDroppedWord !== correctWord && currentDroppedWord !== null;
+        sentenceWithBlanksHtml += displayDropZone(i, currentDroppedWord, question.correctOrder[i], isAnswered);
+    }
+
+    // Add any remaining sentence parts after the last blank
+    if (sentenceParts.length > numBlanks) {
+        for (let i = numBlanks; i < sentenceParts.length; i++) {
+            sentenceWithBlanksHtml += sentenceParts[i];
+        }
+    }
+
+    html += `<div class="sentence-template">${sentenceWithBlanksHtml}</div>`;
+    html += displayDragHint(question, userAnswerArray, isAnswered);
+    html += `</div>`;
+    return html;
+}
+
+/**
+ * Generates HTML for a drag-and-drop sentence question.
+ * The sentence comes from `sentenceTemplate`, where every [DROP_ZONE] marker becomes a blank,
+ * and `dragWords` lists every draggable word (the correct ones plus distractors).
+ * @param {object} question - The question object.
+ * @returns {string} HTML string for the drag-and-drop sentence question.
+ */
+function displayDragAndDropSentence(question) {
+    let html = `<div class="question-text">${formatQuestionText(question.questionText, question)}</div>`;
+    html += `<div class="drag-drop-container" data-keydown="dragKeyDown">`;
+
+    const userAnswerArray = userAnswers[currentQuestionIndex];
+    const isAnswered = checkIfAnswered();
+    const correctWords = getCorrectDropWords(question);
+
+    // Use dragWords as the word bank, making sure every correct word can be dragged
+    const allWords = Array.isArray(question.dragWords) ? [...question.dragWords] : [];
+    correctWords.forEach(word => {
+        if (!allWords.includes(word)) {
+            allWords.push(word);
+        }
+    });
+
+    html += displayWordBank(allWords, userAnswerArray, isAnswered);
+
+    // Split the template on the drop zone markers; N markers give N + 1 text segments
+    const segments = question.sentenceTemplate.split('[DROP_ZONE]');
+    let sentenceHtml = '';
+
+    segments.forEach((segment, i) => {
+        sentenceHtml += formatQuestionText(segment, question);
+
+        // No blank follows the last segment
+        if (i === segments.length - 1) {
+            return;
+        }
+
+        const currentDroppedWord = (userAnswerArray && userAnswerArray[i] !== null) ? userAnswerArray[i] : null;
+        sentenceHtml += displayDropZone(i, currentDroppedWord, correctWords[i], isAnswered);
+    });
+
+    html += `<div class="sentence-template">${sentenceHtml}</div>`;
+    html += displayDragHint(question, userAnswerArray, isAnswered);
+    html += `</div>`;
+    return html;
+}
+
+/**
+ * Generates HTML for the word bank of a drag-and-drop style question.
+ * Every word is a button, so it can be picked by tapping it or from the keyboard as well as dragged.
+ * The shuffled order is kept while the question is on screen (see getDragWordOrder()).
+ * @param {Array<string>} words - Every word of the bank.
+ * @param {Array<string|null>|null} userAnswerArray - The words placed so far, one per blank.
+ * @param {boolean} isAnswered - Whether the answer has been checked.
+ * @returns {string} HTML string for the word bank.
+ */
+function displayWordBank(words, userAnswerArray, isAnswered) {
+    // Words already placed in a blank can't be picked a second time
+    const placedWords = userAnswerArray ? userAnswerArray.filter(word => word !== null) : [];
+
+    let html = `<p id="wordBankLabel">Available words:</p>`;
+    html += `<div class="word-bank" role="group" aria-labelledby="wordBankLabel">`;
+
+    getDragWordOrder(words).forEach(word => {
+        const isUsed = placedWords.includes(word);
+        const isSelected = !isAnswered && word === selectedDragWord;
+        const isDisabled = isAnswered || isUsed;
+
+        let itemClass = 'drag-item';
+        if (isUsed) {
+            itemClass += ' used-item';
+        }
+        if (isSelected) {
+            itemClass += ' selected-item';
+        }
+
+        html += `<button type="button" class="${itemClass}" data-word="${escapeHtml(word)}"
+                     draggable="${isDisabled ? 'false' : 'true'}" data-dragstart="drag"
+                     data-click="selectDragWord" aria-pressed="${isSelected}" ${isDisabled ? 'disabled' : ''}>${escapeHtml(word)}</button>`;
+    });
+
+    html += `</div>`;
+    return html;
+}
+
+/**
+ * Generates HTML for one blank of a drag-and-drop style question.
+ * Until the answer is checked the blank accepts dropped words, and tapping it (or pressing Enter)
+ * places the selected word or, when no word is selected, takes its word back out.
+ * @param {number} blankIndex - The index of the blank.
+ * @param {string|null} droppedWord - The word placed in the blank, if any.
+ * @param {string} correctWord - The word expected in the blank.
+ * @param {boolean} isAnswered - Whether the answer has been checked.
+ * @returns {string} HTML string for the drop zone and, once checked, its feedback.
+ */
+function displayDropZone(blankIndex, droppedWord, correctWord, isAnswered) {
+    const dropZoneIsCorrect = isAnswered && droppedWord === correctWord;
+    const dropZoneIsIncorrect = isAnswered && droppedWord !== correctWord && droppedWord !== null;
+
+    let dropZoneClass = 'drop-zone';
+    if (droppedWord !== null) {
+        dropZoneClass += ' filled';
+    }
+    if (isAnswered) {
+        if (dropZoneIsCorrect) {
+            dropZoneClass += ' correct';
+        } else if (dropZoneIsIncorrect) {
+            dropZoneClass += ' incorrect';
+        }
+    } else if (selectedDragWord !== null) {
+        dropZoneClass += ' awaiting-word'; // Hint that the selected word can go here
+    }
+
+    const dropEvents = isAnswered ? 'disabled' : 'data-drop="drop" data-dragover="allowDrop" data-dragleave="dragLeave" data-click="tapDropZone"';
+    const label = `Blank ${blankIndex + 1}: ${droppedWord || 'empty'}`;
+
+    let html = `<button type="button" class="${dropZoneClass}" ${dropEvents} data-blank="${blankIndex}" aria-label="${escapeHtml(label)}">${escapeHtml(droppedWord || 'Drop here')}</button>`;
+
+    if (dropZoneIsIncorrect) {
+        html += `<span style="color: #d32f2f; font-weight: bold; margin-left: 5px;">(Correct: ${escapeHtml(correctWord)})</span>`;
+    } else if (dropZoneIsCorrect) {
+        html += `<span style="color: #4caf50; font-weight: bold; margin-left: 5px;">(Correct!)</span>`;
+    }
+    return html;
+}
+
+/**
+ * Generates HTML for the instructions under a drag-and-drop style question, shown until every blank is filled.
+ * @param {object} question - The question object.
+ * @param {Array<string|null>|null} userAnswerArray - The words placed so far, one per blank.
+ * @param {boolean} isAnswered - Whether the answer has been checked.
+ * @returns {string} HTML string for the instructions.
+ */
+function displayDragHint(question, userAnswerArray, isAnswered) {
+    if (isAnswered || isDropAnswerComplete(question, userAnswerArray)) {
+        return '';
+    }
+    return `<p class="drag-hint">Drag a word into a blank, or tap a word and then a blank. Tap a filled blank to take its word back. ` +
+        `With the keyboard: arrow keys to move, Enter to pick or place, Delete to remove.</p>`;
+}
+
+/**
+ * Returns the shuffled word bank of the current question, shuffling it only the first time
+ * so the words don't jump around every time the learner places one.
+ * The shuffle follows the session's seed; items with `"shuffleOptions": false` keep the written order.
+ * @param {Array<string>} words - Every word of the bank.
+ * @returns {Array<string>} The words in display order.
+ */
+function getDragWordOrder(words) {
+    const question = questions[currentQuestionIndex];
+    if (question && question.shuffleOptions === false) {
+        return words;
+    }
+
+    const cached = dragWordOrders[currentQuestionIndex];
+    if (!cached || cached.length !== words.length || !words.every(word => cached.includes(word))) {
+        // Outside a session (e.g. the editor preview) there is no seed to follow
+        const random = quizSelection && quizSelection.seed
+            ? createRandom(`${quizSelection.seed}:${currentQuestionIndex}`)
+            : Math.random;
+        dragWordOrders[currentQuestionIndex] = shuffleArray(words, random);
+    }
+    return dragWordOrders[currentQuestionIndex];
+}
+
+/**
+ * Generates HTML for a matching question: each left-hand item with a list to choose the right-hand item it goes with.
+ * Once checked, every pair is marked and the wrong ones show the right match.
+ * @param {object} question - The question object.
+ * @returns {string} HTML string for the matching question.
+ */
+function displayMatching(question) {
+    let html = `<div class="question-text">${formatQuestionText(question.questionText, question)}</div>`;
+    const answer = userAnswers[currentQuestionIndex];
+    const isAnswered = checkIfAnswered();
+    const disabledAttr = isAnswerLocked() ? 'disabled' : '';
+    const options = getMatchingOptions(question);
 
-        let dropZoneClass = 'drop-zone';
+    html += `<div class="matching">`;
+    question.pairs.forEach((pair, i) => {
+        const chosen = Array.isArray(answer) ? answer[i] : null;
+        let rowClass = 'matching-row';
         if (isAnswered) {
-            if (dropZoneIsCorrect) {
-                dropZoneClass += ' correct';
-            } else if (dropZoneIsIncorrect) {
-                dropZoneClass += ' incorrect';
-            }
+            rowClass += chosen === pair.right ? ' correct' : ' incorrect';
+        }
+
+        html += `
+            <div class="${rowClass}">
+                <span class="matching-left">${formatQuestionText(pair.left, question)}</span>
+                <select class="selection-select matching-select" data-change="selectMatch" data-pair="${i}"
+                        aria-label="Match for ${escapeHtml(pair.left)}" ${disabledAttr}>
+                    <option value="">Choose…</option>
+                    ${options.map(option => `<option value="${escapeHtml(option)}" ${option === chosen ? 'selected' : ''}>${escapeHtml(option)}</option>`).join('')}
+                </select>
+                ${isAnswered && chosen !== pair.right ? `<span class="matching-correction">→ ${escapeHtml(pair.right)}</span>` : ''}
+            </div>
+        `;
+    });
+    html += `</div>`;
+    return html;
+}
+
+/**
+ * Generates HTML for a sentence_order question: the sentence built so far and the jumbled tokens.
+ * Tapping a token adds it to the end of the sentence, tapping a token of the sentence takes it back out.
+ * @param {object} question - The question object.
+ * @returns {string} HTML string for the sentence_order question.
+ */
+function displaySentenceOrder(question) {
+    let html = `<div class="question-text">${formatQuestionText(getQuestionSummary(question), question)}</div>`;
+    const answer = Array.isArray(userAnswers[currentQuestionIndex]) ? userAnswers[currentQuestionIndex] : [];
+    const isAnswered = checkIfAnswered();
+    const isLocked = isAnswerLocked();
+
+    let lineClass = 'sentence-line';
+    if (isAnswered) {
+        lineClass += isSentenceOrderCorrect(question, answer) ? ' correct' : ' incorrect';
+    }
+    const placedHtml = answer.map((token, position) =>
+        `<button type="button" class="drag-item" data-click="removeSentenceToken" data-position="${position}"
+                 ${isLocked ? 'disabled' : ''}>${escapeHtml(token)}</button>`
+    ).join('');
+    html += `<div class="${lineClass}" aria-label="Your sentence">${placedHtml || '<span class="sentence-line-hint">Tap the words in order</span>'}</div>`;
+
+    // A token is used once for each time it was placed (the same word can appear twice)
+    const unplaced = [...answer];
+    html += `<div class="word-bank sentence-bank" role="group" aria-label="Words to put in order">`;
+    getSentenceTokens(question).forEach((token, tokenIndex) => {
+        const placedAt = unplaced.indexOf(token);
+        if (placedAt !== -1) {
+            unplaced.splice(placedAt, 1);
         }
+        const isUsed = placedAt !== -1;
+        html += `<button type="button" class="drag-item ${isUsed ? 'used-item' : ''}" data-click="placeSentenceToken"
+                     data-token="${tokenIndex}" ${isUsed || isLocked ? 'disabled' : ''}>${escapeHtml(token)}</button>`;
+    });
+    html += `</div>`;
+
+    if (isAnswered && !isSentenceOrderCorrect(question, answer)) {
+        html += `<p style="color: #d32f2f; margin-top: 10px; font-weight: bold;">Correct order: ${escapeHtml(getCorrectAnswerText(question))}</p>`;
+    }
+    return html;
+}
+
+/**
+ * Collects the explanations attached to a question.
+ * Besides the question-level `explanation`, reading passage sub-questions,
+ * drag-and-drop blanks and matching pairs can carry their own `explanation`.
+ * @param {object} question - The question object.
+ * @returns {Array<{label: string, text: string}>} The explanations, with a label for sub-items (empty for the question itself).
+ */
+function getExplanations(question) {
+    const explanations = [];
+
+    if (question.explanation) {
+        explanations.push({ label: '', text: question.explanation });
+    }
+
+    if (hasSubQuestions(question)) {
+        question.questions.forEach((subQuestion, i) => {
+            if (subQuestion.explanation) {
+                const label = question.questions.length > 1 ? `Question ${i + 1}` : '';
+                explanations.push({ label, text: subQuestion.explanation });
+            }
+        });
+    }
+
+    if (question.type === 'drag_and_drop' && Array.isArray(question.blanks)) {
+        question.blanks.forEach((blank, i) => {
+            if (blank.explanation) {
+                explanations.push({ label: `Blank ${i + 1}`, text: blank.explanation });
+            }
+        });
+    }
+
+    if (question.type === 'matching' && Array.isArray(question.pairs)) {
+        question.pairs.forEach(pair => {
+            if (pair.explanation) {
+                explanations.push({ label: formatQuestionText(pair.left, question), text: pair.explanation }); // Labels are HTML
+            }
+        });
+    }
+
+    return explanations;
+}
+
+/**
+ * Generates HTML for the explanations of a question, shown after it has been answered.
+ * @param {object} question - The question object.
+ * @returns {string} HTML string for the explanations, or an empty string if there are none.
+ */
+function displayExplanations(question) {
+    const explanations = getExplanations(question);
+    if (explanations.length === 0) {
+        return '';
+    }
+
+    let html = `<div class="explanation"><div class="explanation-title">Explanation</div>`;
+    explanations.forEach(explanation => {
+        const label = explanation.label ? `<strong>${explanation.label}:</strong> ` : '';
+        html += `<p>${label}${formatQuestionText(explanation.text, question)}</p>`;
+    });
+    html += `</div>`;
+    return html;
+}
+
+/**
+ * Handles the selection of an option for multiple choice questions.
+ * With instant feedback the choice is checked straight away, otherwise it can be changed until checked.
+ * @param {string} option - The selected option.
+ */
+function selectOption(option) {
+    // Prevent changing the answer once it's checked (or its time is up)
+    if (isAnswerLocked()) {
+        return;
+    }
+
+    setQuizState(answerQuestion(getQuizState(), currentQuestionIndex, option)); // Store the user's answer
+    if (isInstantFeedback()) {
+        submitAnswer();
+        return;
+    }
+
+    displayQuestion(); // Re-display the question to show the selected state
+    updateScore(); // Count the answer in an exam
+    updateNextButtonState(); // Update next button state
+    saveSession(); // Persist the answer
+}
+
+/**
+ * Handles the choice of an option in a gap of a dropdown question.
+ * With instant feedback a sentence with one gap is checked straight away; several gaps wait for the "Check answer" button.
+ * The list keeps its own state, so the question isn't re-rendered until it is checked.
+ * @param {number} gapIndex - The index of the gap in the sentence.
+ * @param {string} value - The option chosen, or '' for none.
+ */
+function selectGap(gapIndex, value) {
+    if (isAnswerLocked()) {
+        return;
+    }
+
+    const question = questions[currentQuestionIndex];
+    const option = value === '' ? null : value;
+    let answer = option;
+    if (Array.isArray(question.correctAnswer)) {
+        const values = getDropdownValues(question, userAnswers[currentQuestionIndex]);
+        values[gapIndex] = option;
+        answer = values.some(chosen => chosen !== null) ? values : null;
+    }
+    setQuizState(answerQuestion(getQuizState(), currentQuestionIndex, answer));
+
+    if (isInstantFeedback() && !needsCheckButton(question) && answer !== null) {
+        submitAnswer();
+        return;
+    }
+
+    const checkBtn = document.querySelector('#questionCard .check-btn');
+    if (checkBtn) {
+        checkBtn.disabled = !hasAnswerToSubmit(question, answer);
+    }
+    updateScore(); // Count the answer in an exam
+    updateNextButtonState();
+    saveSession(); // Persist the answer
+}
+
+/**
+ * Handles the choice of an option for a reading passage sub-question.
+ * Passages are always checked as a whole with the "Check answer" button, so the choice can be changed until then.
+ * @param {number} subIndex - The index of the sub-question in the passage.
+ * @param {string} option - The selected option.
+ */
+function selectSubAnswer(subIndex, option) {
+    if (isAnswerLocked()) {
+        return;
+    }
+
+    const answers = getSubAnswers();
+    answers[subIndex] = option;
+    setQuizState(answerQuestion(getQuizState(), currentQuestionIndex, answers));
+    displayQuestion(); // Re-display the question to show the selected state
+    updateScore(); // Count the answer in an exam
+    updateNextButtonState();
+    saveSession(); // Persist the answer
+}
+
+/**
+ * Keeps what the learner is typing in a short-answer sub-question.
+ * Like updateDraftAnswer(), the input isn't re-rendered so typing isn't interrupted.
+ * @param {number} subIndex - The index of the sub-question in the passage.
+ * @param {string} value - The text entered so far.
+ */
+function setSubAnswer(subIndex, value) {
+    if (isAnswerLocked()) {
+        return;
+    }
+
+    const answers = getSubAnswers();
+    answers[subIndex] = value.trim().length > 0 ? value : null;
+    setQuizState(answerQuestion(getQuizState(), currentQuestionIndex, answers));
+    const checkBtn = document.querySelector('#questionCard .check-btn');
+    if (checkBtn) {
+        checkBtn.disabled = !hasAnswerToSubmit(questions[currentQuestionIndex], userAnswers[currentQuestionIndex]);
+    }
+    updateProgress(); // The position within the passage may have moved on
+    updateScore(); // Count the answer in an exam
+    saveSession(); // Persist the draft
+}
+
+/**
+ * Returns a copy of the answers of the current reading passage or listening question, one per sub-question,
+ * to change and store with answerQuestion().
+ * @returns {Array<string|null>} The answers, all null before the first one.
+ */
+function getSubAnswers() {
+    const question = questions[currentQuestionIndex];
+    return Array.isArray(userAnswers[currentQuestionIndex])
+        ? [...userAnswers[currentQuestionIndex]]
+        : new Array(question.questions.length).fill(null);
+}
+
+/**
+ * Keeps the right-hand item chosen for one pair of a matching question.
+ * The list keeps its own state, so the question isn't re-rendered.
+ * @param {number} pairIndex - The index of the pair in the question.
+ * @param {string} value - The item chosen, or '' for none.
+ */
+function selectMatch(pairIndex, value) {
+    if (isAnswerLocked()) {
+        return;
+    }
+
+    const question = questions[currentQuestionIndex];
+    const answer = Array.isArray(userAnswers[currentQuestionIndex])
+        ? [...userAnswers[currentQuestionIndex]]
+        : new Array(question.pairs.length).fill(null);
+    answer[pairIndex] = value === '' ? null : value;
+    setQuizState(answerQuestion(getQuizState(), currentQuestionIndex, answer));
+
+    const checkBtn = document.querySelector('#questionCard .check-btn');
+    if (checkBtn) {
+        checkBtn.disabled = !hasAnswerToSubmit(question, answer);
+    }
+    updateScore(); // Count the answer in an exam
+    updateNextButtonState();
+    saveSession(); // Persist the answer
+}
+
+/**
+ * Adds a token of a sentence_order question to the end of the sentence being built.
+ * @param {number} tokenIndex - The index of the token in the order they are offered (see getSentenceTokens()).
+ */
+function placeSentenceToken(tokenIndex) {
+    if (isAnswerLocked()) {
+        return;
+    }
+
+    const question = questions[currentQuestionIndex];
+    const answer = Array.isArray(userAnswers[currentQuestionIndex]) ? userAnswers[currentQuestionIndex] : [];
+    if (answer.length >= question.tokens.length) {
+        return;
+    }
+    setSentenceAnswer([...answer, getSentenceTokens(question)[tokenIndex]]);
+    dragFocusSelector = '.sentence-bank .drag-item:not(:disabled)'; // Carry on with the next token
+}
+
+/**
+ * Takes a token back out of the sentence being built, moving the tokens after it up.
+ * @param {number} position - The position of the token in the sentence.
+ */
+function removeSentenceToken(position) {
+    if (isAnswerLocked()) {
+        return;
+    }
+
+    const answer = userAnswers[currentQuestionIndex];
+    if (!Array.isArray(answer)) {
+        return;
+    }
+    setSentenceAnswer(answer.filter((token, i) => i !== position));
+    dragFocusSelector = '.sentence-bank .drag-item:not(:disabled)';
+}
+
+/**
+ * Stores the sentence built so far for a sentence_order question and re-renders it.
+ * @param {Array<string>} tokens - The tokens in the learner's order.
+ */
+function setSentenceAnswer(tokens) {
+    setQuizState(answerQuestion(getQuizState(), currentQuestionIndex, tokens.length > 0 ? tokens : null));
+    displayQuestion();
+    updateScore(); // Count the answer in an exam
+    updateNextButtonState();
+    saveSession(); // Persist the answer
+}
+
+/**
+ * Handles setting the answer for fill-in-the-blank questions with instant feedback.
+ * @param {string} value - The text entered by the user.
+ */
+function setAnswer(value) {
+    // Prevent changing the answer once it's checked (or its time is up)
+    if (isAnswerLocked()) {
+        return;
+    }
+
+    setQuizState(answerQuestion(getQuizState(), currentQuestionIndex, value.trim())); // Store the trimmed answer
+    submitAnswer();
+}
+
+/**
+ * Keeps what the learner is typing in a fill-in-the-blank question, without checking it yet.
+ * The input isn't re-rendered so typing isn't interrupted; only the check button is updated.
+ * @param {string} value - The text entered so far.
+ * @param {number} [blankIndex] - The blank typed into, for questions with several blanks.
+ */
+function updateDraftAnswer(value, blankIndex) {
+    if (isAnswerLocked()) {
+        return;
+    }
+
+    const question = questions[currentQuestionIndex];
+    let answer = value;
+    if (blankIndex !== undefined) {
+        // Several blanks are stored as one string per blank
+        answer = getFillInValues(question, userAnswers[currentQuestionIndex]);
+        answer[blankIndex] = value;
+    }
+    setQuizState(answerQuestion(getQuizState(), currentQuestionIndex, answer));
+
+    const checkBtn = document.querySelector('#questionCard .check-btn');
+    if (checkBtn) {
+        checkBtn.disabled = !hasAnswerToSubmit(question, answer);
+    }
+    updateScore(); // Count the answer in an exam
+    saveSession(); // Persist the draft
+}
+
+/**
+ * Checks a typed answer when Enter is pressed in its input.
+ * @param {KeyboardEvent} ev - The keyboard event.
+ */
+function submitOnEnter(ev) {
+    if (ev.key === 'Enter') {
+        ev.preventDefault();
+        submitAnswer();
+    }
+}
+
+/**
+ * Whether the current session checks answers as soon as they are given (the default)
+ * rather than waiting for the "Check answer" button or the end of the exam.
+ * @returns {boolean} True for instant feedback.
+ */
+function isInstantFeedback() {
+    return !quizSelection || !quizSelection.feedback || quizSelection.feedback === 'instant';
+}
+
+/**
+ * Whether the current question shows a "Check answer" button before it is checked.
+ * Drag-and-drop, matching and sentence order questions, passages (reading or listening) and sentences with several blanks
+ * or dropdown gaps always do,
+ * so words can be moved around and every part answered until the learner is happy.
+ * Exams have no button: every answer is checked when the exam ends.
+ * @param {object} question - The question object.
+ * @returns {boolean} True if the button is needed.
+ */
+function needsCheckButton(question) {
+    if (isExamMode()) {
+        return false;
+    }
+    return !isInstantFeedback() || question.type === 'drag_and_drop' || question.type === 'drag_and_drop_sentence' ||
+        question.type === 'reading_passage' || question.type === 'listening' || question.type === 'matching' ||
+        question.type === 'sentence_order' || (question.type === 'fill_in_the_blank' && getBlankCount(question) > 1) ||
+        (question.type === 'dropdown' && getDropdownOptions(question).length > 1);
+}
+
+/**
+ * Generates HTML for the "Check answer" button, disabled until there is an answer to check.
+ * @param {object} question - The question object.
+ * @returns {string} HTML string for the button.
+ */
+function displayCheckButton(question) {
+    const disabledAttr = hasAnswerToSubmit(question, userAnswers[currentQuestionIndex]) ? '' : 'disabled';
+    return `<div class="check-actions"><button type="button" class="btn check-btn" data-click="submitAnswer" ${disabledAttr}>Check answer</button></div>`;
+}
+
+/**
+ * Checks the current answer: shows the feedback, locks the answer and records it.
+ * In an exam answers are only checked at the end (see finishExam()).
+ */
+function submitAnswer() {
+    const state = getQuizState();
+    const checkedState = submitQuestion(state, currentQuestionIndex); // Trims and locks the answer
+    if (isExamMode() || checkedState === state) {
+        return; // Nothing to check yet, or already checked
+    }
+
+    setQuizState(checkedState);
+    selectedDragWord = null;
+
+    displayQuestion(); // Re-display to show feedback and disable the inputs
+    updateScore(); // Update the score
+    updateNextButtonState(); // Update next button state
+    recordAnswerHistory(currentQuestionIndex); // Schedule the question for review
+    saveSession(); // Persist the answer
+}
+
+/**
+ * Recalculates and updates the displayed score.
+ * Reading passages give partial credit, so the score can be fractional.
+ */
+function updateScore() {
+    const result = getQuizScore(getQuizState());
+    score = result.score;
+    // During an exam the score stays hidden until the end, show how many questions have an answer instead
+    if (examState) {
+        document.getElementById('scoreDisplay').textContent = `Answered: ${result.answeredCount}/${questions.length}`;
+        return;
+    }
+
+    // Update the score display text
+    document.getElementById('scoreDisplay').textContent = `Score: ${formatScore(score)}/${questions.length}`;
+}
+
+/**
+ * Returns the quiz state the engine works on (see quiz-engine.js).
+ * @returns {{questions: Array<object>, userAnswers: Array<*>, submittedAnswers: Array<boolean>}} The state.
+ */
+function getQuizState() {
+    return { questions, userAnswers, submittedAnswers };
+}
+
+/**
+ * Keeps the answers of a state returned by the engine.
+ * @param {object} state - The new quiz state.
+ */
+function setQuizState(state) {
+    userAnswers = state.userAnswers;
+    submittedAnswers = state.submittedAnswers;
+}
+
+/**
+ * Returns the answer a question is marked on: the learner's answer once it has been checked, null before.
+ * A draft left unchecked when the quiz finishes doesn't count, as in getQuizScore().
+ * @param {number} questionIndex - The index of the question.
+ * @returns {*} The checked answer, or null.
+ */
+function getCheckedAnswer(questionIndex) {
+    return checkIfAnswered(questionIndex) ? userAnswers[questionIndex] : null;
+}
+
+/**
+ * Returns the points a question earned (see getAnswerScore()).
+ * @param {number} questionIndex - The index of the question.
+ * @returns {number} The points, between 0 and 1.
+ */
+function getQuestionScore(questionIndex) {
+    return getAnswerScore(questions[questionIndex], getCheckedAnswer(questionIndex));
+}
+
+/**
+ * Checks if the user's answer for a specific question is correct.
+ * @param {number} questionIndex - The index of the question to check.
+ * @returns {boolean} True if the answer is checked and correct, false otherwise.
+ */
+function isCorrect(questionIndex) {
+    return isAnswerCorrect(questions[questionIndex], getCheckedAnswer(questionIndex));
+}
+
+/**
+ * Checks if a question (by default the current one) has been answered and checked.
+ * @param {number} [questionIndex] - The index of the question to check.
+ * @returns {boolean} True if answered, false otherwise.
+ */
+function checkIfAnswered(questionIndex = currentQuestionIndex) {
+    return isQuestionChecked(getQuizState(), questionIndex);
+}
+
+/**
+ * Formats a score that may include partial credit, e.g. "7" or "6.75".
+ * @param {number} value - The score.
+ * @returns {string} The score rounded to two decimals.
+ */
+function formatScore(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Updates the state of the 'Next' button based on whether the current question is answered.
+ */
+function updateNextButtonState() {
+    const nextBtn = document.getElementById('nextBtn');
+    // Disable 'Next' if not answered AND not the last question.
+    // The 'Finish Quiz' button (on the last question) should always be enabled,
+    // and in an exam questions can be skipped and come back to.
+    nextBtn.disabled = !examState && !checkIfAnswered() && currentQuestionIndex < questions.length - 1;
+}
+
+/**
+ * Navigates to the next question or finishes the quiz if it's the last question.
+ */
+function nextQuestion() {
+    // If not answered and it's not the last question, prevent navigation (exams allow skipping)
+    if (!examState && !checkIfAnswered() && currentQuestionIndex < questions.length - 1) {
+        const hasDraft = hasAnswerToSubmit(questions[currentQuestionIndex], userAnswers[currentQuestionIndex]);
+        alert(hasDraft
+            ? "Please check your answer before proceeding."
+            : "Please answer the current question before proceeding.");
+        return;
+    }
+
+    if (currentQuestionIndex < questions.length - 1) {
+        currentQuestionIndex++; // Move to the next question
+        selectedDragWord = null; // A picked word doesn't carry over to another question
+        displayQuestion(); // Display the new question
+        saveSession(); // Remember the position
+    } else if (examState) {
+        // Skipped questions count as wrong, so make sure the learner meant to finish
+        const unansweredCount = questions.filter((question, i) => !hasAnswerToSubmit(question, userAnswers[i])).length;
+        if (unansweredCount > 0 &&
+            !confirm(`${unansweredCount} question${unansweredCount === 1 ? ' is' : 's are'} not answered yet. Finish the exam anyway?`)) {
+            return;
+        }
+        finishExam();
+    } else {
+        showFinalScore(); // If it's the last question, show final score
+    }
+}
+
+/**
+ * Navigates to the previous question.
+ */
+function previousQuestion() {
+    if (currentQuestionIndex > 0) {
+        currentQuestionIndex--; // Move to the previous question
+        selectedDragWord = null; // A picked word doesn't carry over to another question
+        displayQuestion(); // Display the new question
+        saveSession(); // Remember the position
+    }
+}
+
+/**
+ * Displays the final score modal with results and a message.
+ */
+function showFinalScore() {
+    updateScore(); // Ensure score is up-to-date
+    clearSavedSession(); // The session is complete, nothing left to resume
+    stopListening();
+    updateQuestionTime();
+    questionShownAt = null; // The clock stops with the quiz
+    recordLearnerResult(); // Add it to the learner's progress
+    finishedResults = getSessionResults();
+    reportResults(finishedResults); // Send them to the endpoint set up by the teacher, if any
+
+    const modal = document.getElementById('finalScoreModal');
+    const finalScoreDisplay = document.getElementById('finalScore');
+    const scoreMessage = document.getElementById('scoreMessage');
+
+    // Display the score (e.g., "7/10") and what was practised
+    finalScoreDisplay.textContent = `${formatScore(score)}/${questions.length}`;
+    document.getElementById('scoreSelection').textContent = describeSelection(quizSelection);
+    displayScoreSeed(quizSelection.seed);
+
+    // Calculate percentage
+    const percentage = Math.round((score / questions.length) * 100);
+
+    let message = '';
+    // Determine the message based on percentage
+    if (percentage >= 90) {
+        message = 'Excellent work! You are doing great!';
+    } else if (percentage >= 70) {
+        message = 'Good job! Keep practicing to improve.';
+    } else if (percentage >= 50) {
+        message = 'Not bad! There is room for improvement.';
+    } else {
+        message = 'Keep studying! Practice makes perfect.';
+    }
+
+    // Set the final message with percentage
+    scoreMessage.textContent = `${percentage}% - ${message}`;
+
+    // Show how each topic, level and question type went, then every question with its answers
+    displayResultsBreakdown();
+    displayResultsReview();
+
+    // Only offer to retry the mistakes when there are some
+    const missedCount = getMissedQuestions().length;
+    const retryBtn = document.getElementById('retryMistakesBtn');
+    retryBtn.style.display = missedCount > 0 ? '' : 'none';
+    retryBtn.textContent = `Retry the ${missedCount} I got wrong`;
+    document.getElementById('progressBtn').style.display = activeProfileId ? '' : 'none';
+
+    modal.classList.add('show'); // Show the modal
+}
+
+/**
+ * Shows the seed of the finished session with a link giving the same quiz, for a teacher to share
+ * or to report a problem with a question.
+ * @param {string|undefined} seed - The seed (missing for sessions saved before seeds existed).
+ */
+function displayScoreSeed(seed) {
+    const element = document.getElementById('scoreSeed');
+    if (!seed) {
+        element.innerHTML = '';
+        return;
+    }
+    element.innerHTML = `Quiz code: <strong>${escapeHtml(seed)}</strong> · ` +
+        `<a href="${escapeHtml(getShareUrl(seed))}">Link to this quiz</a> ` +
+        `<span class="score-seed-hint">(same levels, topics and number of questions give the same questions in the same order)</span>`;
+}
+
+/**
+ * Returns a one-line version of a question for the results screen, with ___ for the blanks.
+ * @param {object} question - The question object.
+ * @returns {string} The question text.
+ */
+function getQuestionSummary(question) {
+    switch (question.type) {
+        case 'drag_and_drop':
+            return question.blanks.map(blank => blank.sentencePart).join('___');
+        case 'drag_and_drop_sentence':
+            return question.sentenceTemplate.replace(/\[DROP_ZONE\]/g, '___');
+        case 'dropdown':
+            return question.questionText.replace(/\[dropdown\]/g, '___');
+        case 'reading_passage':
+            return question.questionText || `Reading passage (${question.questions.length} question${question.questions.length === 1 ? '' : 's'})`;
+        case 'sentence_order':
+            return question.questionText || 'Put the words in the right order.';
+        case 'listening':
+            if (question.questionText) {
+                return question.questionText;
+            }
+            return isDictation(question)
+                ? 'Dictation'
+                : `Listening (${question.questions.length} question${question.questions.length === 1 ? '' : 's'})`;
+        default:
+            return question.questionText;
+    }
+}
+
+/**
+ * Returns the correct answer of a question as text, blanks separated by " / ".
+ * @param {object} question - The question object.
+ * @returns {string} The correct answer.
+ */
+function getCorrectAnswerText(question) {
+    switch (question.type) {
+        case 'drag_and_drop':
+        case 'drag_and_drop_sentence':
+            return getCorrectDropWords(question).join(' / ');
+        case 'reading_passage':
+            return question.questions.map(subQuestion => subQuestion.correctAnswer).join(' / ');
+        case 'listening':
+            return isDictation(question)
+                ? question.transcript
+                : question.questions.map(subQuestion => subQuestion.correctAnswer).join(' / ');
+        case 'matching':
+            return question.pairs.map(pair => `${pair.left} → ${pair.right}`).join(' / ');
+        case 'sentence_order':
+            return question.tokens.join(' ');
+        case 'fill_in_the_blank':
+            return getAcceptedAnswers(question).map(accepted => accepted[0]).join(' / ');
+        case 'dropdown':
+            return Array.isArray(question.correctAnswer) ? question.correctAnswer.join(' / ') : question.correctAnswer;
+        default:
+            return question.correctAnswer;
+    }
+}
+
+/**
+ * Formats a learner's answer as text, blanks separated by " / ".
+ * Matching answers are shown next to their left-hand items and sentences as one line.
+ * @param {*} answer - The stored answer (string, array of words, or null).
+ * @param {object} [question] - The question answered.
+ * @returns {string} The answer, or "(no answer)".
+ */
+function formatUserAnswer(answer, question) {
+    if (answer === null || answer === undefined || answer === '') {
+        return '(no answer)';
+    }
+    if (question && question.type === 'matching' && Array.isArray(answer)) {
+        return question.pairs.map((pair, i) => `${pair.left} → ${answer[i] === null || answer[i] === undefined ? '___' : answer[i]}`).join(' / ');
+    }
+    if (question && question.type === 'sentence_order' && Array.isArray(answer)) {
+        return answer.join(' ');
+    }
+    if (Array.isArray(answer)) {
+        return answer.map(word => word === null ? '___' : word).join(' / ');
+    }
+    return answer;
+}
+
+/**
+ * Returns the questions of the finished session that were answered wrong or not at all.
+ * @returns {Array} The missed question objects.
+ */
+function getMissedQuestions() {
+    return questions.filter((question, index) => !isCorrect(index));
+}
+
+/**
+ * Generates HTML for one accuracy table of the results breakdown.
+ * @param {string} title - The table title (e.g. "By topic").
+ * @param {Array<{key: string, correct: number, total: number}>} groups - The groups from getAccuracyBy().
+ * @returns {string} HTML string for the table.
+ */
+function displayAccuracyTable(title, groups) {
+    let html = `<div class="breakdown-group"><h3 class="review-title">${title}</h3>`;
+    groups.forEach(group => {
+        const percentage = Math.round((group.correct / group.total) * 100);
+        html += `
+            <div class="breakdown-row">
+                <span class="breakdown-label">${escapeHtml(group.key)}</span>
+                <span class="breakdown-bar"><span class="breakdown-fill" style="width: ${percentage}%"></span></span>
+                <span class="breakdown-value">${formatScore(group.correct)}/${group.total}</span>
+            </div>
+        `;
+    });
+    html += `</div>`;
+    return html;
+}
+
+/**
+ * Fills the results breakdown with the accuracy per topic, per level and per question type.
+ */
+function displayResultsBreakdown() {
+    document.getElementById('resultsBreakdown').innerHTML =
+        displayAccuracyTable('By topic', getAccuracyBy(getQuizState(), getQuestionTopic)) +
+        displayAccuracyTable('By level', getAccuracyBy(getQuizState(), question => `Level ${question.level}`)) +
+        displayAccuracyTable('By question type', getAccuracyBy(getQuizState(), question => QUESTION_TYPE_LABELS[question.type] || question.type));
+}
+
+/**
+ * Fills the end-of-quiz review with every question: the learner's answer,
+ * the correct answer when it was wrong, and the explanations.
+ */
+function displayResultsReview() {
+    const reviewList = document.getElementById('reviewList');
+    let html = `<h3 class="review-title">Your answers</h3>`;
+
+    questions.forEach((question, index) => {
+        const correct = isCorrect(index);
+        const answer = getCheckedAnswer(index);
+
+        html += `<div class="review-item ${correct ? 'correct' : 'incorrect'}">`;
+        html += `<div class="review-question"><span class="review-mark">${correct ? '✓' : '✗'}</span> ${index + 1}. ${formatQuestionText(getQuestionSummary(question), question)}</div>`;
+        if (hasSubQuestions(question)) {
+            html += displaySubQuestionReview(question, answer);
+        } else {
+            html += `<p class="review-answer">Your answer: <strong>${escapeHtml(formatUserAnswer(answer, question))}</strong></p>`;
+            if (!correct) {
+                html += `<p class="review-answer">Correct answer: <strong>${escapeHtml(getCorrectAnswerText(question))}</strong></p>`;
+            } else if (question.type === 'fill_in_the_blank' && getFillInResults(question, answer).includes('almost')) {
+                html += `<p class="review-answer">Almost — check your spelling: <strong>${escapeHtml(getCorrectAnswerText(question))}</strong></p>`;
+            }
+        }
+        getExplanations(question).forEach(explanation => {
+            const label = explanation.label ? `<strong>${explanation.label}:</strong> ` : '';
+            html += `<p class="review-explanation">${label}${formatQuestionText(explanation.text, question)}</p>`;
+        });
+        html += `</div>`;
+    });
+
+    reviewList.innerHTML = html;
+}
+
+/**
+ * Generates the review lines of a reading passage or listening question: each sub-question with the learner's answer
+ * and, when it was wrong, the correct one.
+ * @param {object} question - The question with sub-questions.
+ * @param {*} answer - The stored answer, one entry per sub-question.
+ * @returns {string} HTML string for the sub-question lines.
+ */
+function displaySubQuestionReview(question, answer) {
+    return question.questions.map((subQuestion, i) => {
+        const subAnswer = Array.isArray(answer) ? answer[i] : null;
+        const correct = isSubQuestionCorrect(subQuestion, subAnswer);
+        const correctText = correct ? '' : ` · Correct answer: <strong>${escapeHtml(subQuestion.correctAnswer)}</strong>`;
+        return `<p class="review-answer">${correct ? '✓' : '✗'} ${formatQuestionText(subQuestion.questionText, question)} ` +
+            `Your answer: <strong>${escapeHtml(formatUserAnswer(subAnswer))}</strong>${correctText}</p>`;
+    }).join('');
+}
+
+/**
+ * Starts a new session with only the questions answered wrong (or skipped) in the finished one.
+ */
+function retryMistakes() {
+    const missedIds = getMissedQuestions().map(question => question.id);
+    if (missedIds.length === 0) {
+        return;
+    }
+
+    quizSelection = { ...quizSelection, mode: 'mistakes', questionIds: missedIds, count: 0, seed: getSessionSeed() };
+    document.getElementById('finalScoreModal').classList.remove('show'); // Hide the modal
+    questions = buildQuizQuestions(quizSelection);
+    initializeQuiz();
+}
+
+/**
+ * Restarts the quiz.
+ * Resets state, re-shuffles questions, and displays the first question.
+ */
+function restartQuiz() {
+    document.getElementById('finalScoreModal').classList.remove('show'); // Hide the modal
+
+    // Re-shuffle questions and answers for a new quiz session with the same selection
+    // (in the same order again when the seed comes from the URL)
+    quizSelection = { ...quizSelection, seed: getSessionSeed(), startedAt: new Date().toISOString() };
+    questions = buildQuizQuestions(quizSelection);
+
+    // A review session can run out of due questions, go back to the start screen then
+    if (questions.length === 0) {
+        showStartScreen();
+        return;
+    }
+
+    // Reset quiz state
+    currentQuestionIndex = 0;
+    setQuizState(createQuizState(questions));
+    dragWordOrders = [];
+    selectedDragWord = null;
+    listeningPlays = [];
+    questionTimes = [];
+    questionShownAt = null;
+    score = 0;
+
+    // Re-display the first question and update score
+    if (isExamMode()) {
+        startExam(); // Restart the countdown
+    }
+    displayQuestion();
+    updateScore();
+    updateNextButtonState(); // Update next button state for restarted quiz
+    saveSession(); // Save the new shuffled order
+}
+
+// --- Session persistence ---
+
+/**
+ * Returns the localStorage key of the saved session for the currently loaded bank(s).
+ * @returns {string} The storage key.
+ */
+function getSessionStorageKey() {
+    return getProfileStorageKey(SESSION_STORAGE_PREFIX + [...selectedBankIds].sort().join('+'));
+}
+
+/**
+ * Saves the current session to localStorage: the exact shuffled questions (with their option order),
+ * the answers, the current position, the selection, the exam time left, the recordings already played
+ * and the time spent on each question, so a reload can pick up where the learner left off.
+ */
+function saveSession() {
+    updateQuestionTime();
+    const session = {
+        questions,
+        userAnswers,
+        submittedAnswers,
+        listeningPlays,
+        questionTimes,
+        currentQuestionIndex,
+        quizSelection,
+        examState,
+        savedAt: new Date().toISOString(),
+    };
+
+    sessionSavedAt = Date.now();
+    try {
+        localStorage.setItem(getSessionStorageKey(), JSON.stringify(session));
+    } catch (error) {
+        // Storage can be full or disabled (e.g. private browsing); the quiz still works without it
+        console.warn(`Could not save quiz progress: ${error.message}`);
+    }
+}
+
+/**
+ * Reads the saved session for the currently loaded bank(s).
+ * @returns {object|null} The saved session, or null if there is none or it can't be used.
+ */
+function loadSavedSession() {
+    let session;
+    try {
+        session = JSON.parse(localStorage.getItem(getSessionStorageKey()));
+    } catch (error) {
+        console.warn(`Could not read saved quiz progress: ${error.message}`);
+        return null;
+    }
+
+    // Ignore anything that doesn't look like a session saved by saveSession()
+    if (!session || !Array.isArray(session.questions) || session.questions.length === 0 ||
+        !Array.isArray(session.userAnswers) || session.userAnswers.length !== session.questions.length) {
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Removes the saved session for the currently loaded bank(s).
+ */
+function clearSavedSession() {
+    try {
+        localStorage.removeItem(getSessionStorageKey());
+    } catch (error) {
+        console.warn(`Could not clear saved quiz progress: ${error.message}`);
+    }
+}
+
+/**
+ * Shows the "Resume where you left off / Start over" prompt if an unfinished session was saved
+ * for the loaded bank(s), or the start screen otherwise.
+ */
+function showResumePromptOrStartScreen() {
+    const session = loadSavedSession();
+    if (!session) {
+        document.getElementById('resumePrompt').style.display = 'none';
+        showStartScreen();
+        return;
+    }
+
+    const answeredCount = session.userAnswers.filter(answer => answer !== null).length;
+    const savedAt = new Date(session.savedAt);
+    const savedAtText = isNaN(savedAt) ? '' : ` on ${savedAt.toLocaleString()}`;
+
+    const profile = getActiveProfile();
+    document.getElementById('resumeTitle').textContent = profile ? `Welcome back, ${profile.name}!` : 'Welcome back!';
+    document.getElementById('resumeDetails').textContent =
+        `You were on question ${session.currentQuestionIndex + 1} of ${session.questions.length} ` +
+        `with ${answeredCount} answered (saved${savedAtText}).`;
+
+    document.getElementById('loadingScreen').style.display = 'none'; // Hide loading screen
+    document.getElementById('startScreen').style.display = 'none'; // Hide start screen
+    document.getElementById('quizContent').style.display = 'none'; // Hide quiz content
+    document.getElementById('resumePrompt').style.display = 'block'; // Show the prompt
+    document.getElementById('progressText').textContent = 'Unfinished quiz found';
+}
+
+/**
+ * Restores the saved session and continues the quiz where the learner left off.
+ */
+function resumeSession() {
+    const session = loadSavedSession();
+    document.getElementById('resumePrompt').style.display = 'none'; // Hide the prompt
+
+    if (!session) {
+        showStartScreen();
+        return;
+    }
+
+    questions = session.questions;
+    // Sessions saved when passages had a single sub-question store its answer as a plain string
+    userAnswers = session.userAnswers.map((answer, i) =>
+        questions[i].type === 'reading_passage' && typeof answer === 'string' ? [answer] : answer
+    );
+    // Sessions saved before answers had to be checked count every answer as checked
+    submittedAnswers = session.submittedAnswers || session.userAnswers.map(answer => answer !== null);
+    dragWordOrders = [];
+    selectedDragWord = null;
+    listeningPlays = session.listeningPlays || [];
+    questionTimes = session.questionTimes || [];
+    questionShownAt = null; // The time away from the quiz doesn't count
+    quizSelection = session.quizSelection;
+    currentQuestionIndex = Math.min(Math.max(session.currentQuestionIndex || 0, 0), questions.length - 1);
+
+    document.getElementById('startScreen').style.display = 'none'; // Hide start screen
+    document.getElementById('quizContent').style.display = 'block'; // Show quiz content
+
+    if (isExamMode()) {
+        startExam(session.examState); // Carry on with the time that was left
+    }
+    displayQuestion();
+    updateScore();
+    updateNextButtonState();
+}
+
+/**
+ * Discards the saved session and goes to the start screen.
+ */
+function startOver() {
+    clearSavedSession();
+    document.getElementById('resumePrompt').style.display = 'none'; // Hide the prompt
+    showStartScreen();
+}
+
+// --- Spaced repetition ---
+
+/**
+ * Reads the answer history of every question from localStorage.
+ * @returns {object} A map of question id to { attempts, correct, incorrect, lastSeen, box, due }.
+ */
+function loadAnswerHistory() {
+    try {
+        return JSON.parse(localStorage.getItem(getProfileStorageKey(HISTORY_STORAGE_KEY))) || {};
+    } catch (error) {
+        console.warn(`Could not read answer history: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Records the learner's answer to a question in the persistent history and reschedules it
+ * with the Leitner system: a correct answer moves the question up one box (longer wait before it
+ * is due again), a wrong answer sends it back to the first box so it is due straight away.
+ * @param {number} questionIndex - The index of the answered question.
+ */
+function recordAnswerHistory(questionIndex) {
+    const question = questions[questionIndex];
+    if (!question.id) {
+        return;
+    }
+
+    const history = loadAnswerHistory();
+    const entry = history[question.id] || { attempts: 0, correct: 0, incorrect: 0, box: 1 };
+    const correct = isCorrect(questionIndex);
+    const now = Date.now();
+
+    entry.attempts++;
+    if (correct) {
+        entry.correct++;
+        entry.box = Math.min(entry.box + 1, MAX_REVIEW_BOX);
+    } else {
+        entry.incorrect++;
+        entry.box = 1;
+    }
+    entry.lastSeen = new Date(now).toISOString();
+    entry.due = new Date(now + REVIEW_INTERVAL_DAYS[entry.box] * DAY_MS).toISOString();
+    history[question.id] = entry;
+
+    try {
+        localStorage.setItem(getProfileStorageKey(HISTORY_STORAGE_KEY), JSON.stringify(history));
+    } catch (error) {
+        console.warn(`Could not save answer history: ${error.message}`);
+    }
+}
+
+/**
+ * Returns the questions due for review, most urgent first:
+ * questions in the lowest box (the ones missed most recently) come first, then the most overdue.
+ * Questions that were never answered are not part of the review.
+ * @param {Array} questionsArray - The candidate question objects.
+ * @returns {Array} The due question objects, sorted by priority.
+ */
+function getDueQuestions(questionsArray) {
+    const history = loadAnswerHistory();
+    const now = Date.now();
+
+    return questionsArray
+        .filter(question => {
+            const entry = history[question.id];
+            return entry && Date.parse(entry.due) <= now;
+        })
+        .sort((a, b) => {
+            const entryA = history[a.id];
+            const entryB = history[b.id];
+            return entryA.box - entryB.box || Date.parse(entryA.due) - Date.parse(entryB.due);
+        });
+}
+
+// --- Learner profiles ---
+
+/**
+ * Reads the learner profiles of this device from localStorage.
+ * @returns {{profiles: Array<{id: string, name: string, avatar: string, createdAt: string}>, activeProfileId: string|null}}
+ *          The profiles, and the one that was used last (null for a guest).
+ */
+function loadProfiles() {
+    let data;
+    try {
+        data = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+    } catch (error) {
+        console.warn(`Could not read learner profiles: ${error.message}`);
+    }
+
+    const profiles = data && Array.isArray(data.profiles) ? data.profiles : [];
+    const isKnown = profiles.some(profile => profile.id === (data && data.activeProfileId));
+    return { profiles, activeProfileId: isKnown ? data.activeProfileId : null };
+}
+
+/**
+ * Saves the learner profiles and the one using the quiz.
+ * @param {Array<object>} profiles - The profiles.
+ */
+function saveProfiles(profiles) {
+    try {
+        localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify({ profiles, activeProfileId }));
+    } catch (error) {
+        console.warn(`Could not save learner profiles: ${error.message}`);
+    }
+}
+
+/**
+ * Returns the profile of the learner using the quiz.
+ * @returns {object|null} The profile, or null for a guest.
+ */
+function getActiveProfile() {
+    return loadProfiles().profiles.find(profile => profile.id === activeProfileId) || null;
+}
+
+/**
+ * Returns the localStorage key of some data of the learner using the quiz: each learner has their own saved
+ * session, answer history and results. A guest uses the plain key, as before profiles existed.
+ * @param {string} key - The key of the data.
+ * @returns {string} The key for the active learner.
+ */
+function getProfileStorageKey(key) {
+    return activeProfileId ? `${key}@${activeProfileId}` : key;
+}
+
+/**
+ * Fills the learner bar of the start screen: who is using the quiz, with the form adding a learner when it is open.
+ */
+function displayLearnerBar() {
+    const { profiles } = loadProfiles();
+    const active = profiles.find(profile => profile.id === activeProfileId);
+
+    let html = `
+        <div class="learner-bar">
+            <span class="learner-avatar" aria-hidden="true">${active ? escapeHtml(active.avatar) : '👤'}</span>
+            <label class="learner-label">
+                <span class="selection-title">Learner</span>
+                <select id="learnerSelect" class="selection-select" data-change="switchProfile">
+                    <option value="">Guest (results are not kept)</option>
+                    ${profiles.map(profile => `<option value="${escapeHtml(profile.id)}" ${profile === active ? 'selected' : ''}>${escapeHtml(profile.name)}</option>`).join('')}
+                </select>
+            </label>
+            <button class="link-btn" data-click="showNewProfileForm">New learner</button>
+            <button class="btn btn-secondary" data-click="showProgress" ${active ? '' : 'disabled'}>Progress</button>
+        </div>
+    `;
+
+    if (isCreatingProfile) {
+        html += `
+            <div class="learner-form">
+                <input type="text" id="newProfileName" class="learner-name-input" placeholder="Name" maxlength="30"
+                       aria-label="Name of the new learner" data-keydown="createProfileOnEnter">
+                <div class="learner-avatars" role="radiogroup" aria-label="Avatar">
+                    ${PROFILE_AVATARS.map((avatar, i) => `
+                        <label class="learner-avatar-choice">
+                            <input type="radio" name="avatar" value="${avatar}" ${i === profiles.length % PROFILE_AVATARS.length ? 'checked' : ''}>
+                            <span>${avatar}</span>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="learner-form-actions">
+                    <button class="btn" data-click="createProfile">Add learner</button>
+                    <button class="link-btn" data-click="cancelNewProfile">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    document.getElementById('learnerBar').innerHTML = html;
+    if (isCreatingProfile) {
+        document.getElementById('newProfileName').focus();
+    }
+}
+
+/**
+ * Opens the form adding a learner.
+ */
+function showNewProfileForm() {
+    isCreatingProfile = true;
+    displayLearnerBar();
+}
+
+/**
+ * Closes the form adding a learner.
+ */
+function cancelNewProfile() {
+    isCreatingProfile = false;
+    displayLearnerBar();
+}
+
+/**
+ * Adds a learner from the form and switches to them. Names are kept on this device only.
+ */
+function createProfile() {
+    const name = document.getElementById('newProfileName').value.trim();
+    if (name === '') {
+        document.getElementById('newProfileName').focus();
+        return;
+    }
+    const avatarInput = document.querySelector('#learnerBar input[name="avatar"]:checked');
+
+    const { profiles } = loadProfiles();
+    const profile = {
+        id: 'p' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name,
+        avatar: avatarInput ? avatarInput.value : PROFILE_AVATARS[0],
+        createdAt: new Date().toISOString(),
+    };
+    isCreatingProfile = false;
+    activeProfileId = profile.id;
+    saveProfiles([...profiles, profile]);
+    showResumePromptOrStartScreen();
+}
+
+/**
+ * Adds the learner when Enter is pressed in the name box.
+ * @param {KeyboardEvent} ev - The keydown event.
+ */
+function createProfileOnEnter(ev) {
+    if (ev.key === 'Enter') {
+        ev.preventDefault();
+        createProfile();
+    }
+}
+
+/**
+ * Switches to another learner (or to a guest), offering to resume their own unfinished quiz if they left one.
+ * @param {string} profileId - The id of the learner, '' for a guest.
+ */
+function switchProfile(profileId) {
+    const { profiles } = loadProfiles();
+    activeProfileId = profiles.some(profile => profile.id === profileId) ? profileId : null;
+    isCreatingProfile = false;
+    saveProfiles(profiles);
+    showResumePromptOrStartScreen();
+}
+
+/**
+ * Leaves the resume prompt for the start screen, where another learner can be chosen.
+ * The unfinished quiz stays saved for its learner.
+ */
+function switchLearner() {
+    document.getElementById('resumePrompt').style.display = 'none'; // Hide the prompt
+    showStartScreen();
+}
+
+/**
+ * Removes the active learner with everything kept for them (results, answer history and unfinished quizzes),
+ * after asking for confirmation, and goes back to the start screen as a guest.
+ */
+function deleteProfile() {
+    const profile = getActiveProfile();
+    if (!profile || !confirm(`Remove ${profile.name} and all their results from this device?`)) {
+        return;
+    }
+
+    try {
+        const suffix = `@${profile.id}`;
+        Object.keys(localStorage)
+            .filter(key => key.endsWith(suffix))
+            .forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+        console.warn(`Could not remove the learner's data: ${error.message}`);
+    }
+
+    const { profiles } = loadProfiles();
+    activeProfileId = null;
+    saveProfiles(profiles.filter(other => other.id !== profile.id));
+    closeProgress();
+}
+
+// --- Progress dashboard ---
+
+/**
+ * Reads the finished quizzes of the active learner.
+ * @returns {Array<object>} The results saved by recordLearnerResult(), oldest first; empty for a guest.
+ */
+function loadLearnerResults() {
+    if (!activeProfileId) {
+        return [];
+    }
+    try {
+        const results = JSON.parse(localStorage.getItem(getProfileStorageKey(RESULTS_STORAGE_KEY)));
+        return Array.isArray(results) ? results : [];
+    } catch (error) {
+        console.warn(`Could not read the learner's results: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Adds the finished quiz to the active learner's results: its score, the accuracy per topic and level
+ * (see summarizeQuiz()) and what was practised. Guests' results aren't kept.
+ * Only the latest MAX_STORED_RESULTS quizzes are kept.
+ */
+function recordLearnerResult() {
+    if (!activeProfileId) {
+        return;
+    }
+
+    const results = loadLearnerResults();
+    // The final score can be shown again for the same quiz (e.g. after a reload), count it once
+    if (quizSelection.startedAt && results.some(result => result.startedAt === quizSelection.startedAt)) {
+        return;
+    }
+    results.push({
+        ...summarizeQuiz(getQuizState(), getQuestionTopic),
+        banks: selectedBankIds,
+        selection: describeSelection(quizSelection),
+        startedAt: quizSelection.startedAt,
+        finishedAt: new Date().toISOString(),
+    });
+
+    try {
+        localStorage.setItem(getProfileStorageKey(RESULTS_STORAGE_KEY), JSON.stringify(results.slice(-MAX_STORED_RESULTS)));
+    } catch (error) {
+        console.warn(`Could not save the learner's results: ${error.message}`);
+    }
+}
+
+/**
+ * Shows the progress dashboard of the active learner: how much they practised, their scores over time
+ * and their weakest topics and levels.
+ */
+function showProgress() {
+    const profile = getActiveProfile();
+    if (!profile) {
+        return;
+    }
+    const summary = getProgressSummary(loadLearnerResults());
+
+    let html = `<h2 class="selection-title progress-title"><span class="learner-avatar" aria-hidden="true">${escapeHtml(profile.avatar)}</span> ${escapeHtml(profile.name)}'s progress</h2>`;
+    if (summary.quizCount === 0) {
+        html += `<p class="resume-details">No quizzes finished yet. Results appear here once a quiz is finished.</p>`;
+    } else {
+        html += `
+            <div class="progress-stats">
+                <div class="progress-stat"><span class="progress-stat-value">${summary.quizCount}</span> quiz${summary.quizCount === 1 ? '' : 'zes'}</div>
+                <div class="progress-stat"><span class="progress-stat-value">${summary.questionCount}</span> questions practised</div>
+                <div class="progress-stat"><span class="progress-stat-value">${summary.percentage}%</span> average score</div>
+            </div>
+        `;
+        html += displayProgressTrend(summary.trend.slice(-PROGRESS_TREND_LENGTH));
+        html += displayAccuracyTable('Weakest topics', summary.byTopic.slice(0, 5));
+        html += displayAccuracyTable('Levels, weakest first', summary.byLevel.map(group => ({ ...group, key: `Level ${group.key}` })));
+    }
+    document.getElementById('progressDashboard').innerHTML = html;
+
+    document.getElementById('finalScoreModal').classList.remove('show'); // Hide the modal when coming from the results
+    document.getElementById('startScreen').style.display = 'none'; // Hide start screen
+    document.getElementById('progressScreen').style.display = 'block'; // Show the dashboard
+    document.getElementById('progressText').textContent = 'Your progress';
+}
+
+/**
+ * Generates HTML for the chart of the score of each quiz, oldest on the left.
+ * @param {Array<{finishedAt: string, percentage: number}>} trend - The scores from getProgressSummary().
+ * @returns {string} HTML string for the chart.
+ */
+function displayProgressTrend(trend) {
+    const bars = trend.map(point => {
+        const date = new Date(point.finishedAt);
+        const label = `${isNaN(date) ? '' : date.toLocaleDateString()}: ${point.percentage}%`;
+        return `<span class="progress-trend-bar" style="height: ${Math.max(point.percentage, 2)}%" title="${escapeHtml(label)}"></span>`;
+    }).join('');
+
+    return `
+        <div class="breakdown-group">
+            <h3 class="review-title">Score of the last ${trend.length} quiz${trend.length === 1 ? '' : 'zes'}</h3>
+            <div class="progress-trend" role="img" aria-label="${escapeHtml(trend.map(point => `${point.percentage}%`).join(', '))}">${bars}</div>
+        </div>
+    `;
+}
+
+/**
+ * Leaves the progress dashboard for the start screen.
+ */
+function closeProgress() {
+    document.getElementById('progressScreen').style.display = 'none'; // Hide the dashboard
+    showResumePromptOrStartScreen();
+}
+
+// --- Results export and reporting ---
+
+/**
+ * Adds the time since the question on screen was shown to its total in questionTimes, and starts
+ * counting for the current question.
+ */
+function updateQuestionTime() {
+    const now = Date.now();
+    if (questionShownAt && questionShownAt.questionIndex < questions.length) {
+        const index = questionShownAt.questionIndex;
+        questionTimes[index] = (questionTimes[index] || 0) + now - questionShownAt.time;
+    }
+    questionShownAt = { questionIndex: currentQuestionIndex, time: now };
+}
+
+/**
+ * Collects the results of the finished session for exporting and reporting: what was practised, by whom,
+ * the score and, for each question, the answer given, whether it was right and the time spent on it.
+ * @returns {object} The results (see getResultRecords() and createXapiStatements() in quiz-engine.js).
+ */
+function getSessionResults() {
+    const profile = getActiveProfile();
+    const toSeconds = ms => Math.round((ms || 0) / 100) / 10;
+    const questionResults = questions.map((question, i) => ({
+        number: i + 1,
+        id: question.id,
+        type: question.type,
+        level: question.level || null,
+        topic: getQuestionTopic(question),
+        question: getQuestionSummary(question),
+        // Answers left unchecked when the quiz finished aren't counted, see getCheckedAnswer()
+        answer: getCheckedAnswer(i) === null ? '' : formatUserAnswer(getCheckedAnswer(i), question),
+        correctAnswer: getCorrectAnswerText(question),
+        correct: isCorrect(i),
+        score: Math.round(getQuestionScore(i) * 100) / 100,
+        seconds: toSeconds(questionTimes[i]),
+    }));
+
+    return {
+        learner: profile ? profile.name : null,
+        banks: selectedBankIds,
+        selection: describeSelection(quizSelection),
+        seed: quizSelection.seed || null,
+        startedAt: quizSelection.startedAt || null,
+        finishedAt: new Date().toISOString(),
+        score: Math.round(score * 100) / 100,
+        total: questions.length,
+        percentage: Math.round((score / questions.length) * 100),
+        seconds: toSeconds(questionTimes.reduce((sum, ms) => sum + (ms || 0), 0)),
+        questions: questionResults,
+    };
+}
+
+/**
+ * Downloads the results of the finished session, e.g. for a teacher who assigned the quiz.
+ * @param {string} format - 'json' for everything in one JSON file, 'csv' for a spreadsheet with a row per question.
+ */
+function exportResults(format) {
+    if (!finishedResults) {
+        return;
+    }
+
+    const learner = finishedResults.learner ? `-${finishedResults.learner.replace(/[\\/:*?"<>|\s]+/g, '-')}` : '';
+    const fileName = `quiz-results${learner}-${finishedResults.finishedAt.slice(0, 16).replace(/[T:]/g, '-')}`;
+    if (format === 'csv') {
+        downloadFile(formatCsv(getResultRecords(finishedResults)), `${fileName}.csv`, 'text/csv');
+    } else {
+        downloadFile(JSON.stringify(finishedResults, null, 2) + '\n', `${fileName}.json`, 'application/json');
+    }
+}
+
+/**
+ * Saves text as a file through a temporary download link.
+ * @param {string} text - The file contents.
+ * @param {string} fileName - The suggested file name.
+ * @param {string} mimeType - The MIME type of the file.
+ */
+function downloadFile(text, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Returns where finished quizzes are reported: the URL of the ?report= query parameter, or the `reporting`
+ * endpoint of banks.json.
+ * @returns {string|null} The absolute xAPI statements URL, or null when results aren't reported.
+ */
+function getReportingEndpoint() {
+    const param = (new URLSearchParams(window.location.search).get(REPORT_QUERY_PARAM) || '').trim();
+    const endpoint = param || (bankReporting && bankReporting.endpoint);
+    if (typeof endpoint !== 'string' || endpoint === '') {
+        return null;
+    }
+
+    const url = resolveReportingUrl(endpoint);
+    if (!url) {
+        console.warn(`Results can't be reported to "${endpoint}": it isn't an http(s) URL.`);
+    }
+    return url;
+}
+
+/**
+ * Resolves a reporting endpoint against the page.
+ * @param {string} endpoint - The endpoint, absolute or relative to the page.
+ * @returns {string|null} The absolute URL, or null if it isn't an http(s) URL.
+ */
+function resolveReportingUrl(endpoint) {
+    try {
+        const url = new URL(endpoint, window.location.href);
+        return /^https?:$/.test(url.protocol) ? url.toString() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Returns the Authorization header to send to an endpoint: the current `authorization` of banks.json, and only
+ * to the endpoint of banks.json. It is looked up when sending rather than queued, so it isn't kept on the device
+ * and queued reports use the credentials in force.
+ * @param {string} endpoint - The absolute endpoint of a report.
+ * @returns {string|undefined} The header value, if any.
+ */
+function getReportingAuthorization(endpoint) {
+    if (!bankReporting || typeof bankReporting.endpoint !== 'string' ||
+        resolveReportingUrl(bankReporting.endpoint) !== endpoint) {
+        return undefined;
+    }
+    return bankReporting.authorization;
+}
+
+/**
+ * Queues the xAPI statements of a finished session (see createXapiStatements()) for the reporting endpoint,
+ * if one is set up, and tries to send them. Learners are identified by their profile; guests all report as "Guest".
+ * @param {object} results - The results from getSessionResults().
+ */
+function reportResults(results) {
+    const endpoint = getReportingEndpoint();
+    if (!endpoint || (results.startedAt && results.startedAt === reportedStartedAt)) {
+        displayReportStatus(null);
+        return;
+    }
+    reportedStartedAt = results.startedAt;
+
+    const profile = getActiveProfile();
+    const actor = {
+        objectType: 'Agent',
+        name: profile ? profile.name : 'Guest',
+        account: { homePage: window.location.href.split(/[?#]/)[0], name: profile ? profile.id : 'guest' },
+    };
+    const report = {
+        id: createUuid(),
+        endpoint,
+        startedAt: results.startedAt,
+        // Activities are named after the folder of the page, e.g. https://example.com/quiz/questions/<id>
+        statements: createXapiStatements(results, {
+            actor,
+            activityBase: new URL('.', window.location.href).toString().replace(/\/$/, ''),
+            createId: createUuid,
+        }),
+    };
+
+    saveReportQueue([...loadReportQueue(), report]);
+    displayReportStatus('sending');
+    sendQueuedReports();
+}
+
+/**
+ * Returns a random UUID (version 4), as xAPI uses for statement ids and registrations.
+ * crypto.randomUUID() only exists on https pages, so it is built from random bytes.
+ * @returns {string} The UUID.
+ */
+function createUuid() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // Variant 1
+    const hex = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Reads the reports waiting to be sent.
+ * @returns {Array<object>} The reports queued by reportResults(), oldest first.
+ */
+function loadReportQueue() {
+    try {
+        const queue = JSON.parse(localStorage.getItem(REPORT_QUEUE_STORAGE_KEY));
+        return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+        console.warn(`Could not read the results waiting to be sent: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Saves the reports waiting to be sent, keeping the latest MAX_QUEUED_REPORTS.
+ * @param {Array<object>} queue - The reports.
+ */
+function saveReportQueue(queue) {
+    try {
+        localStorage.setItem(REPORT_QUEUE_STORAGE_KEY, JSON.stringify(queue.slice(-MAX_QUEUED_REPORTS)));
+    } catch (error) {
+        console.warn(`Could not save the results waiting to be sent: ${error.message}`);
+    }
+}
+
+/**
+ * Sends the queued reports in order, including those queued while it runs. A report stays queued when the
+ * endpoint can't be reached, is busy or refuses the credentials, and sending stops there until the connection
+ * is back or REPORT_RETRY_DELAY has passed.
+ */
+async function sendQueuedReports() {
+    if (isSendingReports) {
+        return;
+    }
+    isSendingReports = true;
+    clearTimeout(reportRetryTimer);
+
+    try {
+        const doneIds = new Set();
+        let failed = false;
+        let queue = loadReportQueue();
+        while (!failed && queue.length > 0) {
+            for (const report of queue) {
+                const outcome = await sendReport(report);
+                if (outcome === 'failed') {
+                    reportRetryTimer = setTimeout(sendQueuedReports, REPORT_RETRY_DELAY);
+                    failed = true;
+                    break;
+                }
+                doneIds.add(report.id);
+                saveReportQueue(loadReportQueue().filter(entry => entry.id !== report.id));
+                if (finishedResults && report.startedAt === finishedResults.startedAt) {
+                    displayReportStatus(outcome);
+                }
+            }
+            // Go round again for the reports queued while these were sent, e.g. a quiz finished meanwhile
+            queue = loadReportQueue().filter(report => !doneIds.has(report.id));
+        }
+
+        // The results on screen are still waiting behind a report that couldn't be sent
+        if (finishedResults && loadReportQueue().some(report => report.startedAt === finishedResults.startedAt)) {
+            displayReportStatus('failed');
+        }
+    } finally {
+        isSendingReports = false;
+    }
+}
+
+/**
+ * POSTs the statements of a report to its endpoint, with the Authorization header from getReportingAuthorization().
+ * @param {{endpoint: string, statements: Array<object>}} report - The report.
+ * @returns {Promise<string>} 'sent'; 'rejected' when the endpoint refused the statements (they are dropped,
+ *          sending them again would give the same answer); 'failed' when it should be tried again later.
+ */
+async function sendReport(report) {
+    const headers = { 'Content-Type': 'application/json', 'X-Experience-API-Version': XAPI_VERSION };
+    const authorization = getReportingAuthorization(report.endpoint);
+    if (authorization) {
+        headers.Authorization = authorization;
+    }
+
+    let response;
+    try {
+        response = await fetch(report.endpoint, { method: 'POST', headers, body: JSON.stringify(report.statements) });
+    } catch (error) {
+        console.warn(`Could not send the results to ${report.endpoint}: ${error.message}`);
+        return 'failed';
+    }
+
+    // 409: the statements were already stored by an earlier attempt whose answer was lost
+    if (response.ok || response.status === 409) {
+        return 'sent';
+    }
+    console.warn(`Could not send the results to ${report.endpoint}: ${response.status} ${response.statusText}`);
+    // Unauthorised: the credentials may be changed in banks.json, keep the statements until they are accepted
+    const retryStatuses = [401, 403, 408, 429];
+    return retryStatuses.includes(response.status) || response.status >= 500 ? 'failed' : 'rejected';
+}
+
+/**
+ * Tells the learner whether the results of the finished session have reached the reporting endpoint.
+ * @param {string|null} outcome - 'sending', or an outcome of sendReport(); null when results aren't reported.
+ */
+function displayReportStatus(outcome) {
+    const messages = {
+        sending: 'Sending your results…',
+        sent: 'Your results have been sent.',
+        failed: 'Your results could not be sent yet. They are kept on this device and sent once you are back online.',
+        rejected: 'Your results could not be sent: the reporting server refused them.',
+    };
+    const element = document.getElementById('reportStatus');
+    element.textContent = messages[outcome] || '';
+    element.classList.toggle('report-failed', outcome === 'failed' || outcome === 'rejected');
+}
+
+// --- Exam mode ---
+
+/**
+ * Whether the current session is an exam: answers are recorded without feedback,
+ * can be changed until the end and are all checked when the exam finishes.
+ * @returns {boolean} True in exam mode.
+ */
+function isExamMode() {
+    return !!quizSelection && quizSelection.feedback === 'exam';
+}
+
+/**
+ * Checks whether the answer to a question can no longer be changed:
+ * it has been checked, or its time ran out during an exam.
+ * @param {number} [questionIndex] - The index of the question to check.
+ * @returns {boolean} True if the answer is locked.
+ */
+function isAnswerLocked(questionIndex = currentQuestionIndex) {
+    return checkIfAnswered(questionIndex) || (!!examState && examState.timedOut[questionIndex] === true);
+}
+
+/**
+ * Starts (or resumes) the exam countdown.
+ * The clock only runs while the quiz is open: a resumed exam carries on with the time that was left.
+ * @param {object} [savedState] - The exam state saved with the session, to resume it.
+ */
+function startExam(savedState) {
+    stopExamTimer();
 
-        const disableDropForBlank = isAnswered || (userAnswerArray && userAnswerArray[i] !== null);
-        const dropEvents = disableDropForBlank ? '' : `ondrop="drop(event)" ondragover="allowDrop(event)"`;
+    if (savedState && Array.isArray(savedState.timedOut) && savedState.timedOut.length === questions.length) {
+        examState = { ...savedState };
+    } else {
+        const questionTimeLimit = quizSelection.questionTimeLimit || 0;
+        examState = {
+            // Milliseconds left overall and for each question, null when there is no limit
+            timeLeft: quizSelection.timeLimit ? quizSelection.timeLimit * 60 * 1000 : null,
+            questionTimeLeft: questionTimeLimit ? new Array(questions.length).fill(questionTimeLimit * 1000) : null,
+            timedOut: new Array(questions.length).fill(false),
+        };
+    }
 
-        sentenceWithBlanksHtml += `<span class="${dropZoneClass}" ${dropEvents} data-blank="${i}">
-            ${currentDroppedWord || 'Drop here'}
-        </span>`;
+    examState.lastTick = Date.now();
+    examTimer = setInterval(tickExam, 1000);
+    displayExamTimer();
+}
 
-        if (isAnswered && dropZoneIsIncorrect) {
-            sentenceWithBlanksHtml += `<span style="color: #d32f2f; font-weight: bold; margin-left: 5px;">(Correct: ${correctWord})</span>`;
-        } else if (isAnswered && dropZoneIsCorrect) {
-             sentenceWithBlanksHtml += `<span style="color: #4caf50; font-weight: bold; margin-left: 5px;">(Correct!)</span>`;
+/**
+ * Counts down the overall time and the current question's time.
+ * When the current question's time runs out its answer is kept as it is and the exam moves on
+ * to the next question that still has time; when the overall time runs out the exam finishes.
+ */
+function tickExam() {
+    const now = Date.now();
+    const elapsed = now - examState.lastTick;
+    examState.lastTick = now;
+
+    if (examState.timeLeft !== null) {
+        examState.timeLeft -= elapsed;
+        if (examState.timeLeft <= 0) {
+            examState.timeLeft = 0;
+            alert('Time is up! Your answers will now be checked.');
+            finishExam();
+            return;
         }
     }
 
-    // Add any remaining sentence parts after the last blank
-    if (sentenceParts.length > numBlanks) {
-        for (let i = numBlanks; i < sentenceParts.length; i++) {
-            sentenceWithBlanksHtml += sentenceParts[i];
+    if (examState.questionTimeLeft !== null && !isAnswerLocked()) {
+        examState.questionTimeLeft[currentQuestionIndex] -= elapsed;
+        if (examState.questionTimeLeft[currentQuestionIndex] <= 0) {
+            examState.questionTimeLeft[currentQuestionIndex] = 0;
+            examState.timedOut[currentQuestionIndex] = true;
+
+            // Move on to the next question that still has time, coming back round to skipped ones
+            const nextIndex = [...questions.keys()]
+                .map(offset => (currentQuestionIndex + 1 + offset) % questions.length)
+                .find(index => !examState.timedOut[index]);
+            if (nextIndex === undefined) {
+                finishExam();
+                return;
+            }
+
+            currentQuestionIndex = nextIndex;
+            selectedDragWord = null;
+            displayQuestion();
+            saveSession(); // Remember the position and the timed-out question
         }
     }
 
-    html += sentenceWithBlanksHtml;
-    html += `</div>`;
-    return html;
+    displayExamTimer();
+    if (now - sessionSavedAt >= EXAM_SAVE_INTERVAL) {
+        saveSession(); // Keep the time left now and then rather than writing the whole session every second
+    }
 }
 
 /**
- * Handles the selection of an option for multiple choice/dropdown questions.
- * @param {string} option - The selected option.
+ * Formats a duration as minutes and seconds, e.g. "4:05".
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted duration.
  */
-function selectOption(option) {
-    // Prevent changing the answer if it's already set
-    if (userAnswers[currentQuestionIndex] !== null) {
-        return;
-    }
-
-    userAnswers[currentQuestionIndex] = option; // Store the user's answer
-    displayQuestion(); // Re-display the question to show selected state and feedback
-    updateScore(); // Update the score
-    updateNextButtonState(); // Update next button state
+function formatDuration(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
 }
 
 /**
- * Handles setting the answer for fill-in-the-blank questions.
- * @param {string} value - The text entered by the user.
+ * Shows the time left for the exam and the current question under the progress bar.
+ * The timer is hidden outside exams and highlighted in the last minute.
  */
-function setAnswer(value) {
-    // Prevent changing the answer if it's already set
-    if (userAnswers[currentQuestionIndex] !== null) {
+function displayExamTimer() {
+    const timer = document.getElementById('examTimer');
+    if (!examState) {
+        timer.style.display = 'none';
         return;
     }
 
-    userAnswers[currentQuestionIndex] = value.trim(); // Store the trimmed answer
-    displayQuestion(); // Re-display to show feedback and disable input
-    updateScore(); // Update the score
-    updateNextButtonState(); // Update next button state
+    const parts = [];
+    let isRunningOut = false;
+    if (examState.timeLeft !== null) {
+        parts.push(`Time left: ${formatDuration(examState.timeLeft)}`);
+        isRunningOut = examState.timeLeft <= EXAM_TIME_WARNING * 1000;
+    }
+    if (examState.questionTimeLeft !== null && !isAnswerLocked()) {
+        const questionTimeLeft = examState.questionTimeLeft[currentQuestionIndex];
+        parts.push(`This question: ${formatDuration(questionTimeLeft)}`);
+        isRunningOut = isRunningOut || questionTimeLeft <= 10 * 1000;
+    }
+
+    timer.textContent = parts.length > 0 ? parts.join(' · ') : 'Exam: no time limit';
+    timer.classList.toggle('running-out', isRunningOut);
+    timer.style.display = '';
 }
 
 /**
- * Recalculates and updates the displayed score.
+ * Stops the exam countdown without finishing the exam.
  */
-function updateScore() {
-    score = 0; // Reset score
-    // Iterate through all questions to check correctness
-    for (let i = 0; i < questions.length; i++) {
-        // If an answer exists and it's correct, increment the score
-        if (userAnswers[i] !== null && isCorrect(i)) {
-            score++;
-        }
+function stopExamTimer() {
+    if (examTimer !== null) {
+        clearInterval(examTimer);
+        examTimer = null;
     }
-    // Update the score display text
-    document.getElementById('scoreDisplay').textContent = `Score: ${score}/${questions.length}`;
 }
 
 /**
- * Checks if the user's answer for a specific question is correct.
- * @param {number} questionIndex - The index of the question to check.
- * @returns {boolean} True if the answer is correct, false otherwise.
+ * Ends the current exam, if any, without checking the answers (e.g. when going back to the start screen).
  */
-function isCorrect(questionIndex) {
-    const question = questions[questionIndex];
-    const userAnswer = userAnswers[questionIndex];
-
-    // If no answer or undefined, it's not correct
-    if (userAnswer === null || userAnswer === undefined) return false;
-
-    switch (question.type) {
-        case 'multiple_choice':
-        case 'dropdown':
-            return userAnswer === question.correctAnswer;
+function stopExam() {
+    stopExamTimer();
+    examState = null;
+    displayExamTimer();
+}
 
-        case 'fill_in_the_blank':
-            return userAnswer.toLowerCase().trim() === question.correctAnswer.toLowerCase().trim();
+/**
+ * Finishes the exam: every answer given is checked and recorded at once, unanswered questions count
+ * as wrong, and the results are shown.
+ */
+function finishExam() {
+    stopExam();
+
+    // Check every answer; a passage with some sub-questions answered still earns partial credit
+    let state = getQuizState();
+    const checkedIndexes = [];
+    questions.forEach((question, i) => {
+        const checkedState = submitQuestion(state, i, { allowPartial: true });
+        if (checkedState !== state) {
+            state = checkedState;
+            checkedIndexes.push(i);
+        }
+    });
+    setQuizState(state);
+    checkedIndexes.forEach(i => recordAnswerHistory(i)); // Schedule the questions for review
 
-        case 'reading_passage':
-            if (question.questions && question.questions.length > 0) {
-                return userAnswer === question.questions[0].correctAnswer;
-            }
-            return false;
+    selectedDragWord = null;
+    displayQuestion(); // Reveal the feedback behind the results
+    showFinalScore();
+}
 
-        case 'drag_and_drop':
-            // For drag and drop, compare the array of user answers with the correct order
-            if (Array.isArray(userAnswer) && Array.isArray(question.correctOrder)) {
-                // Check if all elements match in order
-                if (userAnswer.length !== question.correctOrder.length) return false;
-                for (let i = 0; i < userAnswer.length; i++) {
-                    if (userAnswer[i] !== question.correctOrder[i]) {
-                        return false;
-                    }
-                }
-                return true;
-            }
-            return false;
+// --- Listening playback ---
 
-        default:
-            return false; // Unknown question type
+/**
+ * Returns how many more times a listening question can be played.
+ * Once its answer is checked the recording can be replayed freely, alongside its transcript.
+ * @param {object} question - The listening question.
+ * @param {number} questionIndex - The index of the question.
+ * @returns {number|null} The plays left, or null when they aren't limited.
+ */
+function getListeningPlaysLeft(question, questionIndex) {
+    if (typeof question.maxPlays !== 'number' || checkIfAnswered(questionIndex)) {
+        return null;
     }
+    return Math.max(question.maxPlays - (listeningPlays[questionIndex] || 0), 0);
 }
 
 /**
- * Checks if the current question has been answered.
- * @returns {boolean} True if answered, false otherwise.
+ * Plays the recording of the current listening question, or stops it when it is playing.
+ * Each play counts towards the question's `maxPlays`. The `audio` file is played when there is one;
+ * the browser reads the `transcript` aloud otherwise, or when the file can't be played.
  */
-function checkIfAnswered() {
+function toggleListening() {
     const question = questions[currentQuestionIndex];
-    const userAnswer = userAnswers[currentQuestionIndex];
+    if (listeningPlayback && listeningPlayback.questionIndex === currentQuestionIndex && !listeningPlayback.error) {
+        stopListening();
+        refreshListeningPlayer();
+        return;
+    }
+    if (getListeningPlaysLeft(question, currentQuestionIndex) === 0) {
+        return;
+    }
 
-    if (userAnswer === null || userAnswer === undefined) {
-        return false;
+    stopListening();
+    listeningPlays[currentQuestionIndex] = (listeningPlays[currentQuestionIndex] || 0) + 1;
+    const playback = { questionIndex: currentQuestionIndex };
+    listeningPlayback = playback;
+    if (question.audio) {
+        playAudio(question, playback);
+    } else {
+        speakTranscript(question, playback);
     }
+    refreshListeningPlayer();
 
-    switch (question.type) {
-        case 'multiple_choice':
-        case 'dropdown':
-        case 'reading_passage':
-            return userAnswer !== null;
-        case 'fill_in_the_blank':
-            return userAnswer.trim().length > 0; // Ensure it's not just empty or whitespace
-        case 'drag_and_drop':
-            // For drag and drop, ensure all blanks meant to be filled are indeed filled
-            if (Array.isArray(userAnswer) && question.correctOrder) {
-                return userAnswer.length === question.correctOrder.length && userAnswer.every(ans => ans !== null && ans !== undefined);
-            }
-            return false;
-        default:
-            return false;
+    // Keep the count across reloads (the editor preview has no session to save)
+    if (quizSelection) {
+        saveSession();
     }
 }
 
 /**
- * Updates the state of the 'Next' button based on whether the current question is answered.
+ * Plays the audio file of a listening question, falling back to reading its transcript aloud if the file can't be played.
+ * @param {object} question - The listening question.
+ * @param {object} playback - The playback, stored in listeningPlayback.
  */
-function updateNextButtonState() {
-    const nextBtn = document.getElementById('nextBtn');
-    // Disable 'Next' if not answered AND not the last question.
-    // The 'Finish Quiz' button (on the last question) should always be enabled.
-    nextBtn.disabled = !checkIfAnswered() && currentQuestionIndex < questions.length - 1;
+function playAudio(question, playback) {
+    const audio = new Audio(question.audio);
+    audio.playbackRate = listeningRate;
+    audio.addEventListener('ended', () => finishListening(playback));
+    audio.addEventListener('error', () => {
+        if (playback !== listeningPlayback) {
+            return; // Stopped in the meantime
+        }
+        if (question.transcript) {
+            console.warn(`Could not play ${question.audio}, reading the transcript aloud instead.`);
+            speakTranscript(question, playback);
+        } else {
+            failListening(playback, 'The recording could not be played. Please check your connection and try again.');
+        }
+    });
+    playback.audio = audio;
+    audio.play().catch(() => {}); // Files that can't be played are handled by the error event
 }
 
 /**
- * Navigates to the next question or finishes the quiz if it's the last question.
+ * Reads the transcript of a listening question aloud with the browser's speech synthesis.
+ * @param {object} question - The listening question.
+ * @param {object} playback - The playback, stored in listeningPlayback.
  */
-function nextQuestion() {
-    // If not answered and it's not the last question, prevent navigation
-    if (!checkIfAnswered() && currentQuestionIndex < questions.length - 1) {
-        alert("Please answer the current question before proceeding.");
+function speakTranscript(question, playback) {
+    if (!question.transcript || !('speechSynthesis' in window)) {
+        failListening(playback, "This browser can't read the recording aloud. Please try another browser.");
         return;
     }
 
-    if (currentQuestionIndex < questions.length - 1) {
-        currentQuestionIndex++; // Move to the next question
-        displayQuestion(); // Display the new question
-    } else {
-        showFinalScore(); // If it's the last question, show final score
-    }
+    const utterance = new SpeechSynthesisUtterance(question.transcript);
+    utterance.lang = question.lang || DEFAULT_SPEECH_LANG;
+    utterance.rate = listeningRate;
+    utterance.addEventListener('end', () => finishListening(playback));
+    utterance.addEventListener('error', () => failListening(playback, 'The recording could not be read aloud. Please try again.'));
+    playback.utterance = utterance;
+    window.speechSynthesis.cancel(); // Anything still queued, e.g. from another tab of the quiz
+    window.speechSynthesis.speak(utterance);
 }
 
 /**
- * Navigates to the previous question.
+ * Marks a playback as finished, so the player offers to play again.
+ * @param {object} playback - The playback that ended.
  */
-function previousQuestion() {
-    if (currentQuestionIndex > 0) {
-        currentQuestionIndex--; // Move to the previous question
-        displayQuestion(); // Display the new question
+function finishListening(playback) {
+    if (playback !== listeningPlayback) {
+        return; // Stopped in the meantime
     }
+    listeningPlayback = null;
+    refreshListeningPlayer();
 }
 
 /**
- * Displays the final score modal with results and a message.
+ * Shows why a recording couldn't be played. A play that failed doesn't count towards `maxPlays`.
+ * @param {object} playback - The playback that failed.
+ * @param {string} message - The message for the learner.
  */
-function showFinalScore() {
-    updateScore(); // Ensure score is up-to-date
-
-    const modal = document.getElementById('finalScoreModal');
-    const finalScoreDisplay = document.getElementById('finalScore');
-    const scoreMessage = document.getElementById('scoreMessage');
-
-    // Display the score (e.g., "7/10")
-    finalScoreDisplay.textContent = `${score}/${questions.length}`;
-
-    // Calculate percentage
-    const percentage = Math.round((score / questions.length) * 100);
-
-    let message = '';
-    // Determine the message based on percentage
-    if (percentage >= 90) {
-        message = 'Excellent work! You are doing great!';
-    } else if (percentage >= 70) {
-        message = 'Good job! Keep practicing to improve.';
-    } else if (percentage >= 50) {
-        message = 'Not bad! There is room for improvement.';
-    } else {
-        message = 'Keep studying! Practice makes perfect.';
+function failListening(playback, message) {
+    if (playback !== listeningPlayback) {
+        return; // Stopped in the meantime (cancelling speech also reports an error)
     }
-
-    // Set the final message with percentage
-    scoreMessage.textContent = `${percentage}% - ${message}`;
-    modal.classList.add('show'); // Show the modal
+    listeningPlays[playback.questionIndex]--;
+    listeningPlayback = { questionIndex: playback.questionIndex, error: message };
+    refreshListeningPlayer();
 }
 
 /**
- * Restarts the quiz.
- * Resets state, re-shuffles questions, and displays the first question.
+ * Stops the recording playing, if any.
  */
-function restartQuiz() {
-    document.getElementById('finalScoreModal').classList.remove('show'); // Hide the modal
+function stopListening() {
+    const playback = listeningPlayback;
+    listeningPlayback = null; // First, so the handlers of the stopped playback ignore it
+    if (playback && playback.audio) {
+        playback.audio.pause();
+    }
+    if (playback && playback.utterance) {
+        window.speechSynthesis.cancel();
+    }
+}
 
-    // Re-shuffle questions and answers for a new quiz session
-    questions = shuffleQuestionsAndAnswers(originalQuestions);
+/**
+ * Changes the playback speed of listening questions. A playing file changes speed straight away,
+ * speech from the next play.
+ * @param {number} rate - The speed, one of LISTENING_RATES.
+ */
+function setListeningRate(rate) {
+    listeningRate = rate;
+    if (listeningPlayback && listeningPlayback.audio) {
+        listeningPlayback.audio.playbackRate = rate;
+    }
+}
 
-    // Reset quiz state
-    currentQuestionIndex = 0;
-    userAnswers = new Array(questions.length).fill(null);
-    score = 0;
+/**
+ * Re-renders the player of the current listening question only, so answers being typed aren't interrupted.
+ */
+function refreshListeningPlayer() {
+    const player = document.querySelector('.listening-player');
+    const question = questions[currentQuestionIndex];
+    if (!player || !question || question.type !== 'listening') {
+        return;
+    }
 
-    // Re-display the first question and update score
-    displayQuestion();
-    updateScore();
-    updateNextButtonState(); // Update next button state for restarted quiz
+    const hadFocus = player.contains(document.activeElement) && document.activeElement.matches('.listening-play-btn');
+    player.outerHTML = displayListeningPlayer(question);
+    if (hadFocus) {
+        document.querySelector('.listening-play-btn').focus();
+    }
 }
 
 // --- Drag and Drop functionality ---
@@ -684,7 +3396,15 @@ function restartQuiz() {
  */
 function allowDrop(ev) {
     ev.preventDefault(); // Allow dropping
-    ev.target.classList.add('drag-over'); // Add visual feedback
+    ev.target.closest('.drop-zone').classList.add('drag-over'); // Add visual feedback
+}
+
+/**
+ * Removes the 'drag-over' class when a dragged word leaves a drop zone without being dropped.
+ * @param {Event} ev - The drag event.
+ */
+function dragLeave(ev) {
+    ev.target.closest('.drop-zone').classList.remove('drag-over'); // Remove visual feedback
 }
 
 /**
@@ -693,7 +3413,7 @@ function allowDrop(ev) {
  */
 function drag(ev) {
     // Only allow dragging if the question is not yet answered
-    if (checkIfAnswered()) {
+    if (isAnswerLocked()) {
         ev.preventDefault();
         return;
     }
@@ -702,45 +3422,372 @@ function drag(ev) {
 }
 
 /**
- * Handles the drop event, places the dragged word into the blank, and updates the answer.
+ * Handles the drop event and places the dragged word into the blank.
  * @param {Event} ev - The drop event.
  */
 function drop(ev) {
     ev.preventDefault(); // Prevent default drop behavior
-    ev.target.classList.remove('drag-over'); // Remove visual feedback
+    const dropZone = ev.target.closest('.drop-zone');
+    dropZone.classList.remove('drag-over'); // Remove visual feedback
+
+    const blankIndex = parseInt(dropZone.getAttribute('data-blank'));
+    const data = ev.dataTransfer.getData("text"); // Get the dragged word
+    if (!data) {
+        return; // Something other than a word of the bank was dropped (e.g. a file or text from another page)
+    }
+    placeWord(blankIndex, data);
+}
+
+/**
+ * Picks a word from the word bank by tap, click or keyboard, to be placed with tapDropZone().
+ * Picking the selected word again unselects it.
+ * @param {string} word - The word that was picked.
+ */
+function selectDragWord(word) {
+    if (isAnswerLocked()) {
+        return;
+    }
+
+    if (selectedDragWord === word) {
+        selectedDragWord = null;
+        dragFocusSelector = `.drag-item[data-word="${CSS.escape(word)}"]`;
+    } else {
+        selectedDragWord = word;
+        // Move on to the first empty blank, where the word will most likely go
+        const answer = userAnswers[currentQuestionIndex];
+        const emptyIndex = answer ? answer.indexOf(null) : 0;
+        dragFocusSelector = `.drop-zone[data-blank="${Math.max(emptyIndex, 0)}"]`;
+    }
+    displayQuestion();
+}
+
+/**
+ * Handles a tap, click or Enter on a blank: places the selected word there,
+ * or takes the blank's word back out when no word is selected.
+ * @param {number} blankIndex - The index of the blank.
+ */
+function tapDropZone(blankIndex) {
+    if (isAnswerLocked()) {
+        return;
+    }
+
+    const answer = userAnswers[currentQuestionIndex];
+    if (selectedDragWord !== null) {
+        placeWord(blankIndex, selectedDragWord);
+    } else if (answer && answer[blankIndex] !== null) {
+        removeWord(blankIndex);
+    }
+}
+
+/**
+ * Places a word into a blank. A word already in another blank moves, swapping places with
+ * the word in the target blank; a word replacing another sends that one back to the word bank.
+ * @param {number} blankIndex - The index of the blank.
+ * @param {string} word - The word to place.
+ */
+function placeWord(blankIndex, word) {
+    if (isAnswerLocked()) {
+        return;
+    }
 
-    const blankIndex = parseInt(ev.target.getAttribute('data-blank'));
     const question = questions[currentQuestionIndex];
 
-    // Initialize the user answer array for the current question if it's null
-    if (!userAnswers[currentQuestionIndex]) {
-        userAnswers[currentQuestionIndex] = new Array(question.correctOrder.length).fill(null);
+    // Change a copy of the placed words, all blanks empty before the first one
+    const answer = userAnswers[currentQuestionIndex]
+        ? [...userAnswers[currentQuestionIndex]]
+        : new Array(getCorrectDropWords(question).length).fill(null);
+    const previousIndex = answer.indexOf(word);
+    if (previousIndex !== -1) {
+        answer[previousIndex] = answer[blankIndex]; // Swap with the word in the target blank (or empty it)
     }
+    answer[blankIndex] = word;
+    setQuizState(answerQuestion(getQuizState(), currentQuestionIndex, answer));
+    selectedDragWord = null;
+
+    // Continue with the next word, or the "Check answer" button once every blank is filled
+    dragFocusSelector = isDropAnswerComplete(question, answer) ? '.check-btn' : '.drag-item:not([disabled])';
+    refreshDragAnswer();
+}
 
-    // Prevent dropping if this specific blank is already filled
-    if (userAnswers[currentQuestionIndex][blankIndex] !== null) {
+/**
+ * Takes the word out of a blank and puts it back in the word bank.
+ * @param {number} blankIndex - The index of the blank.
+ */
+function removeWord(blankIndex) {
+    const answer = userAnswers[currentQuestionIndex];
+    if (isAnswerLocked() || !answer) {
         return;
     }
 
-    const data = ev.dataTransfer.getData("text"); // Get the dragged word
+    const newAnswer = [...answer];
+    newAnswer[blankIndex] = null;
+    setQuizState(answerQuestion(getQuizState(), currentQuestionIndex, newAnswer));
+    dragFocusSelector = `.drop-zone[data-blank="${blankIndex}"]`;
+    refreshDragAnswer();
+}
 
-    userAnswers[currentQuestionIndex][blankIndex] = data;
-    displayQuestion(); // Re-render to update the display (and potentially disable drag/drop)
+/**
+ * Re-renders the question after the placed words changed and saves the progress.
+ */
+function refreshDragAnswer() {
+    displayQuestion(); // Re-render to update the display
     updateScore(); // Update the score
-    updateNextButtonState(); // Update next button state after a drop
+    updateNextButtonState(); // Update next button state after a change
+    saveSession(); // Persist the answer
+}
+
+/**
+ * Keyboard support for drag-and-drop questions: arrow keys move between the words of the bank or
+ * between the blanks, Delete/Backspace empties a blank and Escape drops the selected word.
+ * Enter and Space work through the buttons' own click handling.
+ * @param {KeyboardEvent} ev - The keyboard event.
+ */
+function dragKeyDown(ev) {
+    const target = ev.target;
+    const isWord = target.classList.contains('drag-item');
+    const isZone = target.classList.contains('drop-zone');
+    if (!isWord && !isZone) {
+        return;
+    }
+
+    switch (ev.key) {
+        case 'ArrowLeft':
+        case 'ArrowUp':
+            moveDragFocus(target, isWord ? '.drag-item' : '.drop-zone', -1);
+            break;
+        case 'ArrowRight':
+        case 'ArrowDown':
+            moveDragFocus(target, isWord ? '.drag-item' : '.drop-zone', 1);
+            break;
+        case 'Delete':
+        case 'Backspace':
+            if (!isZone) {
+                return;
+            }
+            removeWord(parseInt(target.getAttribute('data-blank')));
+            break;
+        case 'Escape':
+            if (selectedDragWord === null) {
+                return;
+            }
+            dragFocusSelector = `.drag-item[data-word="${CSS.escape(selectedDragWord)}"]`;
+            selectedDragWord = null;
+            displayQuestion();
+            break;
+        default:
+            return;
+    }
+    ev.preventDefault();
+}
+
+/**
+ * Moves the keyboard focus to the previous or next enabled element of the same kind, wrapping around.
+ * @param {HTMLElement} current - The focused word or blank.
+ * @param {string} selector - '.drag-item' or '.drop-zone'.
+ * @param {number} step - -1 for previous, 1 for next.
+ */
+function moveDragFocus(current, selector, step) {
+    const container = current.closest('.drag-drop-container');
+    const items = Array.from(container.querySelectorAll(`${selector}:not([disabled])`));
+    if (items.length === 0) {
+        return;
+    }
+    const index = items.indexOf(current);
+    items[(index + step + items.length) % items.length].focus();
+}
+
+// --- Offline support ---
+
+/**
+ * Registers the service worker that caches the page and the banks, so the quiz can be used offline and installed.
+ * The worker answers from its cache and refreshes it in the background; its messages say when the learner
+ * is using cached questions because the network is unreachable, or when newer questions have been downloaded.
+ */
+function registerServiceWorker() {
+    // Service workers need http(s); pages opened from disk simply run without one
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+        return;
+    }
+
+    navigator.serviceWorker.addEventListener('message', ev => handleServiceWorkerMessage(ev.data));
+    window.addEventListener('online', () => hideOfflineNotice('offline'));
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+        console.warn(`Offline support is unavailable: ${error.message}`);
+    });
+}
+
+/**
+ * Tells the learner about the cached content reported by the service worker.
+ * @param {{type: string, url: string}} message - 'offline' when a bank was served from the cache because the
+ *                                                network failed, 'bank-updated' when a newer bank was cached.
+ */
+function handleServiceWorkerMessage(message) {
+    if (!message) {
+        return;
+    }
+    if (message.type === 'offline') {
+        showOfflineNotice('offline', 'You are offline: the questions saved on this device are being used.');
+    } else if (message.type === 'bank-updated') {
+        showOfflineNotice('bank-updated', 'Updated questions have been downloaded. Reload to use them; your progress is kept.', true);
+    }
+}
+
+/**
+ * Shows the notice about cached content.
+ * @param {string} kind - What the notice is about ('offline' or 'bank-updated'), so it can be hidden later.
+ * @param {string} message - The text of the notice.
+ * @param {boolean} [offerReload=false] - Whether to add a button reloading the page.
+ */
+function showOfflineNotice(kind, message, offerReload = false) {
+    const notice = document.getElementById('offlineNotice');
+    notice.dataset.kind = kind;
+    notice.innerHTML = escapeHtml(message) +
+        (offerReload ? ` <button class="link-btn" data-click="reloadPage">Reload</button>` : '');
+    notice.style.display = 'block';
+}
+
+/**
+ * Hides the notice about cached content if it is of the given kind.
+ * @param {string} kind - The kind of notice to hide.
+ */
+function hideOfflineNotice(kind) {
+    const notice = document.getElementById('offlineNotice');
+    if (notice.dataset.kind === kind) {
+        notice.style.display = 'none';
+    }
+}
+
+// --- Safe rendering and events ---
+
+/**
+ * Handlers of the elements rendered with a data-click, data-change, data-input, data-keydown,
+ * data-dragstart, data-dragover, data-dragleave or data-drop attribute, by event type and attribute value.
+ * Each handler receives the element carrying the attribute and the event.
+ */
+const EVENT_HANDLERS = {
+    click: {
+        resumeSession: () => resumeSession(),
+        startOver: () => startOver(),
+        switchLearner: () => switchLearner(),
+        showNewProfileForm: () => showNewProfileForm(),
+        cancelNewProfile: () => cancelNewProfile(),
+        createProfile: () => createProfile(),
+        showProgress: () => showProgress(),
+        closeProgress: () => closeProgress(),
+        deleteProfile: () => deleteProfile(),
+        setAllSelectionOptions: element => setAllSelectionOptions(element.dataset.name, element.dataset.checked === 'true'),
+        startQuiz: () => startQuiz(),
+        startReview: () => startReview(),
+        previousQuestion: () => previousQuestion(),
+        nextQuestion: () => nextQuestion(),
+        retryMistakes: () => retryMistakes(),
+        restartQuiz: () => restartQuiz(),
+        changeSelection: () => changeSelection(),
+        exportResults: element => exportResults(element.dataset.format),
+        selectOption: element => selectOption(element.dataset.value),
+        selectSubAnswer: element => selectSubAnswer(Number(element.dataset.sub), element.dataset.value),
+        placeSentenceToken: element => placeSentenceToken(Number(element.dataset.token)),
+        removeSentenceToken: element => removeSentenceToken(Number(element.dataset.position)),
+        submitAnswer: () => submitAnswer(),
+        selectDragWord: element => selectDragWord(element.dataset.word),
+        tapDropZone: element => tapDropZone(Number(element.dataset.blank)),
+        toggleListening: () => toggleListening(),
+        reloadPage: () => window.location.reload(),
+    },
+    change: {
+        updateSelectionSummary: () => updateSelectionSummary(),
+        switchProfile: element => switchProfile(element.value),
+        changeBanks: () => changeBanks(),
+        setAnswer: element => setAnswer(element.value),
+        selectGap: element => selectGap(Number(element.dataset.gap), element.value),
+        selectMatch: element => selectMatch(Number(element.dataset.pair), element.value),
+        setListeningRate: element => setListeningRate(Number(element.value)),
+    },
+    input: {
+        updateDraftAnswer: element => updateDraftAnswer(
+            element.value,
+            element.dataset.blank === '' ? undefined : Number(element.dataset.blank)
+        ),
+        setSubAnswer: element => setSubAnswer(Number(element.dataset.sub), element.value),
+    },
+    keydown: {
+        submitOnEnter: (element, ev) => submitOnEnter(ev),
+        createProfileOnEnter: (element, ev) => createProfileOnEnter(ev),
+        dragKeyDown: (element, ev) => dragKeyDown(ev),
+    },
+    dragstart: {
+        drag: (element, ev) => drag(ev),
+    },
+    dragover: {
+        allowDrop: (element, ev) => allowDrop(ev),
+    },
+    dragleave: {
+        dragLeave: (element, ev) => dragLeave(ev),
+    },
+    drop: {
+        drop: (element, ev) => drop(ev),
+    },
+};
+
+/**
+ * Listens to every event type of a handler map once on the document, so the handlers also work
+ * for the question card and lists that are re-rendered, without inline event attributes in the markup.
+ * @param {object} [handlers] - The handlers by event type and attribute value, EVENT_HANDLERS by default.
+ */
+function bindEventHandlers(handlers = EVENT_HANDLERS) {
+    Object.keys(handlers).forEach(type => {
+        document.addEventListener(type, ev => {
+            const element = ev.target.closest ? ev.target.closest(`[data-${type}]`) : null;
+            if (!element) {
+                return;
+            }
+            const handler = handlers[type][element.getAttribute(`data-${type}`)];
+            if (handler) {
+                handler(element, ev);
+            }
+        });
+    });
+}
+
+/**
+ * Escapes text for use in HTML content or attribute values.
+ * @param {*} value - The text (other values are converted to strings).
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
 }
 
+/**
+ * Escapes a text of a question (question text, passage, sentence parts, explanations) for HTML.
+ * Questions with `"allowMarkup": true` may use bold and italic tags (SAFE_MARKUP_TAGS, without attributes);
+ * any other markup is shown as typed.
+ * @param {string} text - The text from the question bank.
+ * @param {object} question - The question the text belongs to.
+ * @returns {string} HTML for the text.
+ */
+function formatQuestionText(text, question) {
+    const html = escapeHtml(text);
+    if (!question.allowMarkup) {
+        return html;
+    }
+
+    const safeTagPattern = new RegExp(`&lt;(/?)(${SAFE_MARKUP_TAGS.join('|')})&gt;`, 'gi');
+    return html.replace(safeTagPattern, (match, slash, tag) => `<${slash}${tag.toLowerCase()}>`);
+}
 
 // --- Initial setup ---
-// Load questions when the script is first executed (after the DOM is ready)
-document.addEventListener('DOMContentLoaded', loadQuestions);
-
-// Make functions globally accessible for HTML onclick attributes
-window.nextQuestion = nextQuestion;
-window.previousQuestion = previousQuestion;
-window.restartQuiz = restartQuiz;
-window.selectOption = selectOption;
-window.setAnswer = setAnswer;
-window.allowDrop = allowDrop;
-window.drag = drag;
-window.drop = drop;
+// Bind the event handlers and load questions when the script is first executed (after the DOM is ready)
+document.addEventListener('DOMContentLoaded', () => {
+    // Pages that only reuse the renderers (editor.html) have no quiz to start
+    if (!document.getElementById('quizContent')) {
+        return;
+    }
+
+    bindEventHandlers();
+    registerServiceWorker();
+    // Send the results that couldn't be sent before once banks.json (and its credentials) is loaded,
+    // and whenever the connection comes back
+    loadQuestions().then(() => sendQueuedReports());
+    window.addEventListener('online', () => sendQueuedReports());
+});
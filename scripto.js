@@ -1 +1,2 @@
-const _0x53f606=_0x31d1;(function(_0x270426,_0x502a8c){const _0x5ac75f=_0x31d1,_0x4e4380=_0x270426();while(!![]){try{const _0x4a8fd8=-parseInt(_0x5ac75f(0xbc))/0x1*(parseInt(_0x5ac75f(0xf0))/0x2)+parseInt(_0x5ac75f(0xff))/0x3*(-parseInt(_0x5ac75f(0xa5))/0x4)+parseInt(_0x5ac75f(0xa0))/0x5+-parseInt(_0x5ac75f(0xc6))/0x6*(-parseInt(_0x5ac75f(0xd3))/0x7)+-parseInt(_0x5ac75f(0xd2))/0x8*(parseInt(_0x5ac75f(0xa3))/0x9)+parseInt(_0x5ac75f(0xb9))/0xa+parseInt(_0x5ac75f(0x8b))/0xb;if(_0x4a8fd8===_0x502a8c)break;else _0x4e4380['push'](_0x4e4380['shift']());}catch(_0x7f284a){_0x4e4380['push'](_0x4e4380['shift']());}}}(_0x68fa,0xe98e5));const githubJsonUrl=_0x53f606(0xcf);let questions=[],originalQuestions=[],currentQuestionIndex=0x0,userAnswers=[],score=0x0;function shuffleArray(_0x339ced){const _0xc568db=_0x53f606,_0x1f375f=[..._0x339ced];for(let _0xf13791=_0x1f375f[_0xc568db(0xb2)]-0x1;_0xf13791>0x0;_0xf13791--){const _0x51bf82=Math['floor'](Math[_0xc568db(0x91)]()*(_0xf13791+0x1));[_0x1f375f[_0xf13791],_0x1f375f[_0x51bf82]]=[_0x1f375f[_0x51bf82],_0x1f375f[_0xf13791]];}return _0x1f375f;}function shuffleQuestionsAndAnswers(_0x386351){const _0xfd8e1b=_0x53f606,_0x3d70b9=shuffleArray(_0x386351);return _0x3d70b9[_0xfd8e1b(0xc9)](_0xd7c2a0=>{const _0x1b6a94=_0xfd8e1b,_0x36aee7={..._0xd7c2a0};return _0xd7c2a0['options']&&Array[_0x1b6a94(0xad)](_0xd7c2a0[_0x1b6a94(0x9f)])&&(_0x36aee7[_0x1b6a94(0x9f)]=shuffleArray(_0x36aee7[_0x1b6a94(0x9f)])),_0xd7c2a0[_0x1b6a94(0xb6)]==='reading_passage'&&_0xd7c2a0[_0x1b6a94(0xec)]&&(_0x36aee7[_0x1b6a94(0xec)]=_0xd7c2a0['questions']['map'](_0x301382=>{const _0x354d8f=_0x1b6a94;if(_0x301382[_0x354d8f(0x9f)]&&Array[_0x354d8f(0xad)](_0x301382[_0x354d8f(0x9f)]))return{..._0x301382,'options':shuffleArray(_0x301382[_0x354d8f(0x9f)])};return _0x301382;})),_0x36aee7;});}async function loadQuestions(){const _0x3e99a0=_0x53f606;try{const _0x497da2=await fetch(githubJsonUrl);if(!_0x497da2['ok'])throw new Error(_0x3e99a0(0xc1)+_0x497da2[_0x3e99a0(0x10f)]+'\x20'+_0x497da2['statusText']);originalQuestions=await _0x497da2[_0x3e99a0(0xc0)]();if(!originalQuestions||originalQuestions[_0x3e99a0(0xb2)]===0x0)throw new Error(_0x3e99a0(0x102));questions=shuffleQuestionsAndAnswers(originalQuestions),initializeQuiz();}catch(_0x198691){showError(_0x3e99a0(0xa2)+_0x198691['message']);}}function showError(_0x371281){const _0x597ca8=_0x53f606;document[_0x597ca8(0x103)]('loadingScreen')[_0x597ca8(0xf8)]['display']=_0x597ca8(0xe0),document['getElementById'](_0x597ca8(0xf9))['style']['display']=_0x597ca8(0xdf),document[_0x597ca8(0x103)](_0x597ca8(0xd8))['textContent']=_0x371281;}function initializeQuiz(){const _0x3c479c=_0x53f606;document['getElementById'](_0x3c479c(0x10d))[_0x3c479c(0xf8)][_0x3c479c(0x10b)]=_0x3c479c(0xe0),document[_0x3c479c(0x103)](_0x3c479c(0xcd))[_0x3c479c(0xf8)][_0x3c479c(0x10b)]=_0x3c479c(0xdf),userAnswers=new Array(questions['length'])[_0x3c479c(0xb4)](null),currentQuestionIndex=0x0,score=0x0,updateProgress(),displayQuestion(),updateScore(),updateNextButtonState();}function updateProgress(){const _0x194dd4=_0x53f606,_0x8edd30=(currentQuestionIndex+0x1)/questions[_0x194dd4(0xb2)]*0x64;document[_0x194dd4(0x103)](_0x194dd4(0xd7))['style'][_0x194dd4(0xe3)]=_0x8edd30+'%',document[_0x194dd4(0x103)](_0x194dd4(0x88))[_0x194dd4(0xd1)]=_0x194dd4(0x84)+(currentQuestionIndex+0x1)+_0x194dd4(0x8a)+questions[_0x194dd4(0xb2)];}function displayQuestion(){const _0x5e1829=_0x53f606,_0x41a0c9=questions[currentQuestionIndex],_0x3030f5=document['getElementById'](_0x5e1829(0xdc));let _0x416cd4=_0x5e1829(0x8e)+_0x41a0c9[_0x5e1829(0x85)]+_0x5e1829(0xf1)+_0x41a0c9['level']+_0x5e1829(0xb8);switch(_0x41a0c9['type']){case _0x5e1829(0xbf):_0x416cd4+=displayMultipleChoice(_0x41a0c9);break;case _0x5e1829(0x9d):_0x416cd4+=displayFillInTheBlank(_0x41a0c9);break;case _0x5e1829(0x87):_0x416cd4+=displayDropdown(_0x41a0c9);break;case _0x5e1829(0x109):_0x416cd4+=displayReadingPassage(_0x41a0c9);break;case'drag_and_drop':_0x416cd4+=displayDragAndDrop(_0x41a0c9);break;default:_0x416cd4+=_0x5e1829(0xfd)+_0x41a0c9['type']+_0x5e1829(0xfb);break;}_0x3030f5['innerHTML']=_0x416cd4,document['getElementById'](_0x5e1829(0x95))[_0x5e1829(0xf6)]=currentQuestionIndex===0x0,document[_0x5e1829(0x103)](_0x5e1829(0xe9))['textContent']=currentQuestionIndex===questions['length']-0x1?'Finish\x20Quiz':_0x5e1829(0x106),updateProgress(),updateNextButtonState();}function displayMultipleChoice(_0x1956c4){const _0x47005f=_0x53f606;let _0x42ad6e=_0x47005f(0xfe)+_0x1956c4['questionText']+_0x47005f(0x104);const _0x25b114=userAnswers[currentQuestionIndex]!==null;return _0x1956c4['options'][_0x47005f(0xdd)]((_0x3d4c98,_0x124c70)=>{const _0xb48683=_0x47005f,_0x16b7c4=String[_0xb48683(0x99)](0x41+_0x124c70),_0x2b048e=userAnswers[currentQuestionIndex]===_0x3d4c98,_0x51ae25=_0x3d4c98===_0x1956c4['correctAnswer'];let _0x1c2893='';if(_0x25b114){if(_0x51ae25)_0x1c2893=_0xb48683(0xe2);else _0x2b048e&&!_0x51ae25&&(_0x1c2893=_0xb48683(0x92));}else _0x2b048e&&(_0x1c2893=_0xb48683(0x94));const _0x51f4a5=_0x25b114?'':'onclick=\x22selectOption(\x27'+_0x3d4c98['replace'](/'/g,'\x5c\x27')+_0xb48683(0xc2);_0x42ad6e+=_0xb48683(0xd0)+_0x1c2893+'\x22\x20'+_0x51f4a5+_0xb48683(0xc5)+_0x16b7c4+_0xb48683(0x100)+_0x3d4c98+_0xb48683(0xf5);}),_0x42ad6e+=_0x47005f(0x105),_0x42ad6e;}function displayFillInTheBlank(_0x2aea2b){const _0x5b3b06=_0x53f606;let _0x5f27ef=_0x5b3b06(0xfe);const _0x3ce7c0=userAnswers[currentQuestionIndex],_0x744dfe=_0x3ce7c0!==null&&_0x3ce7c0!==undefined,_0x2b9cfc=_0x744dfe&&isCorrect(currentQuestionIndex);let _0x1dc7dd=_0x5b3b06(0xac);_0x744dfe&&(_0x1dc7dd+=_0x2b9cfc?'\x20correct-input':_0x5b3b06(0xaa));const _0x156e1a=_0x744dfe?_0x5b3b06(0xf6):'',_0x4b78d1=_0x3ce7c0||'';let _0x1b24ff;return _0x2aea2b['sentenceParts']?(_0x1b24ff=_0x5b3b06(0xfa)+_0x1dc7dd+_0x5b3b06(0xf3)+_0x4b78d1+_0x5b3b06(0xab)+_0x156e1a+'>',_0x5f27ef+=_0x2aea2b[_0x5b3b06(0xea)][0x0]+_0x1b24ff+_0x2aea2b[_0x5b3b06(0xea)][0x1]):(_0x1b24ff='<input\x20type=\x22text\x22\x20class=\x22'+_0x1dc7dd+_0x5b3b06(0x8c)+_0x4b78d1+_0x5b3b06(0xe8)+_0x156e1a+'>',_0x5f27ef+=_0x2aea2b[_0x5b3b06(0x9c)]['replace'](_0x5b3b06(0x108),_0x1b24ff)),_0x744dfe&&(!_0x2b9cfc?_0x5f27ef+='<p\x20style=\x22color:\x20#d32f2f;\x20margin-top:\x2010px;\x20font-weight:\x20bold;\x22>Correct\x20answer:\x20'+_0x2aea2b[_0x5b3b06(0xc7)]+'</p>':_0x5f27ef+='<p\x20style=\x22color:\x20#4caf50;\x20margin-top:\x2010px;\x20font-weight:\x20bold;\x22>Correct!</p>'),_0x5f27ef+='</div>',_0x5f27ef;}function displayDropdown(_0x882bc2){const _0x1db6cc=_0x53f606;let _0x4ba302=_0x1db6cc(0xfe)+_0x882bc2[_0x1db6cc(0x9c)]+_0x1db6cc(0x104);const _0x296493=userAnswers[currentQuestionIndex]!==null;return _0x882bc2[_0x1db6cc(0x9f)]['forEach']((_0x2a579a,_0x40dbe9)=>{const _0x5c7059=_0x1db6cc,_0x21611b=String[_0x5c7059(0x99)](0x41+_0x40dbe9),_0x2cc829=userAnswers[currentQuestionIndex]===_0x2a579a,_0x5a799e=_0x2a579a===_0x882bc2['correctAnswer'];let _0x467bf4='';if(_0x296493){if(_0x5a799e)_0x467bf4=_0x5c7059(0xe2);else _0x2cc829&&!_0x5a799e&&(_0x467bf4=_0x5c7059(0x92));}else _0x2cc829&&(_0x467bf4=_0x5c7059(0x94));const _0x38f877=_0x296493?'':_0x5c7059(0x90)+_0x2a579a[_0x5c7059(0xcb)](/'/g,'\x5c\x27')+'\x27)\x22';_0x4ba302+=_0x5c7059(0xd0)+_0x467bf4+'\x22\x20'+_0x38f877+_0x5c7059(0xc5)+_0x21611b+_0x5c7059(0x100)+_0x2a579a+_0x5c7059(0xf5);}),_0x4ba302+=_0x1db6cc(0x105),_0x4ba302;}function _0x31d1(_0x576aa3,_0x261512){const _0x68fa5c=_0x68fa();return _0x31d1=function(_0x31d1db,_0x5f2209){_0x31d1db=_0x31d1db-0x84;let _0x5d71e5=_0x68fa5c[_0x31d1db];return _0x5d71e5;},_0x31d1(_0x576aa3,_0x261512);}function _0x68fa(){const _0xb730a2=['forEach','Keep\x20studying!\x20Practice\x20makes\x20perfect.','block','none','Good\x20job!\x20Keep\x20practicing\x20to\x20improve.','correct','width','scoreDisplay','Please\x20answer\x20the\x20current\x20question\x20before\x20proceeding.','\x20correct','<p>Available\x20words:</p>','\x22\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20onchange=\x22setAnswer(this.value)\x22\x20placeholder=\x22Type\x20your\x20answer\x20here\x22\x20','nextBtn','sentenceParts','addEventListener','questions','restartQuiz','scoreMessage','drop','2BeWbXq','</span>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<span\x20class=\x22question-level\x22>Level\x20','Not\x20bad!\x20There\x20is\x20room\x20for\x20improvement.','\x22\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20value=\x22','<span\x20class=\x22','</span>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20</div>\x0a\x20\x20\x20\x20\x20\x20\x20\x20','disabled','every','style','errorScreen','<input\x20type=\x22text\x22\x20class=\x22','</p>','target','<p\x20class=\x22error\x22>Unsupported\x20question\x20type:\x20','<div\x20class=\x22question-text\x22>','471yBzCwo','</span>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<span>','drop-zone','No\x20questions\x20found\x20in\x20the\x20data.\x20Please\x20check\x20the\x20JSON\x20file.','getElementById','</div><div\x20class=\x22options\x22>','</div>','Next\x20→','</span>','_____','reading_passage','blanks','display','remove','loadingScreen','dataTransfer','status','trim','Question\x20','topic','Drop\x20here','dropdown','progressText','used-item','\x20of\x20','13871330WtfPoU','\x22\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20value=\x22','finalScoreModal','\x0a\x20\x20\x20\x20\x20\x20\x20\x20<div\x20class=\x22question-header\x22>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<span\x20class=\x22question-topic\x22>','<br><br>','onclick=\x22selectOption(\x27','random','incorrect','\x0a\x20\x20\x20\x20\x20\x20\x20\x20<div\x20class=\x22question-text\x22>','selected','prevBtn','data-blank','\x22\x20ondragstart=\x22drag(event)\x22\x20data-word=\x22','preventDefault','fromCharCode','>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<span\x20class=\x22option-letter\x22>','Score:\x20','questionText','fill_in_the_blank','drag-over','options','2288955dBgIsC','\x20incorrect','Error\x20loading\x20quiz:\x20','20043fWAIUL','classList','10100GEfumE','getAttribute','<span\x20style=\x22color:\x20#4caf50;\x20font-weight:\x20bold;\x20margin-left:\x205px;\x22>(Correct!)</span>','<span\x20style=\x22color:\x20#d32f2f;\x20font-weight:\x20bold;\x20margin-left:\x205px;\x22>(Correct:\x20','\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<div\x20class=\x22option\x20','\x20incorrect-input','\x22\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20onchange=\x22setAnswer(this.value)\x22\x20placeholder=\x22Type\x20your\x20answer\x20here\x22\x20','fill-blank-input','isArray','getData','correctOrder','data-word','toLowerCase','length','push','fill','round','type','includes','</span>\x0a\x20\x20\x20\x20\x20\x20\x20\x20</div>\x0a\x20\x20\x20\x20','11055150tOOVMV',')</span>','<div\x20class=\x22drag-drop-container\x22>','1560798wTZVWF','\x0a\x20\x20\x20\x20\x20\x20\x20\x20</span>','Excellent\x20work!\x20You\x20are\x20doing\x20great!','multiple_choice','json','Failed\x20to\x20load\x20questions:\x20','\x27)\x22','setAnswer','</div>\x0a\x20\x20\x20\x20\x20\x20\x20\x20<div\x20class=\x22passage\x22>','>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<span\x20class=\x22option-letter\x22>','1878REwSkB','correctAnswer','%\x20-\x20','map','<span\x20class=\x22drag-item\x20','replace','setData','quizContent','false','https://Arr-glitch.github.io/english-quiz-data/B1t.json','\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<div\x20class=\x22option\x20','textContent','5144vLQgaK','34027XZmYTO','drag_and_drop','drag','sentencePart','progressBar','errorMessage','\x22>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20','show','text','questionCard'];_0x68fa=function(){return _0xb730a2;};return _0x68fa();}function displayReadingPassage(_0xb229ff){const _0x294c81=_0x53f606;let _0x1a5a5e=_0x294c81(0x93)+_0xb229ff['questionText']+_0x294c81(0xc4)+_0xb229ff['passage']+'</div>\x0a\x20\x20\x20\x20';if(_0xb229ff['questions']&&_0xb229ff[_0x294c81(0xec)][_0x294c81(0xb2)]>0x0){const _0x49519b=_0xb229ff[_0x294c81(0xec)][0x0];_0x1a5a5e+=_0x294c81(0xfe)+_0x49519b[_0x294c81(0x9c)]+_0x294c81(0x104);const _0x167d34=userAnswers[currentQuestionIndex]!==null;_0x49519b[_0x294c81(0x9f)][_0x294c81(0xdd)]((_0x5cc1b9,_0x2d342d)=>{const _0x3325ce=_0x294c81,_0x218e0e=String[_0x3325ce(0x99)](0x41+_0x2d342d),_0x5eb4d9=userAnswers[currentQuestionIndex]===_0x5cc1b9,_0x877f58=_0x5cc1b9===_0x49519b[_0x3325ce(0xc7)];let _0x252a53='';if(_0x167d34){if(_0x877f58)_0x252a53=_0x3325ce(0xe2);else _0x5eb4d9&&!_0x877f58&&(_0x252a53=_0x3325ce(0x92));}else _0x5eb4d9&&(_0x252a53='selected');const _0x455d27=_0x167d34?'':_0x3325ce(0x90)+_0x5cc1b9[_0x3325ce(0xcb)](/'/g,'\x5c\x27')+_0x3325ce(0xc2);_0x1a5a5e+=_0x3325ce(0xa9)+_0x252a53+'\x22\x20'+_0x455d27+_0x3325ce(0x9a)+_0x218e0e+'</span>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20<span>'+_0x5cc1b9+'</span>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20</div>\x0a\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20\x20';}),_0x1a5a5e+=_0x294c81(0x105);}return _0x1a5a5e;}function displayDragAndDrop(_0x3f7cc6){const _0xe993b8=_0x53f606;let _0x3939dc=_0xe993b8(0xfe)+_0x3f7cc6['questionText']+_0xe993b8(0x105);_0x3939dc+=_0xe993b8(0xbb),_0x3939dc+=_0xe993b8(0xe7);const _0xd4e0fb=userAnswers[currentQuestionIndex],_0x2d605c=checkIfAnswered(),_0x13864c=[];_0x3f7cc6[_0xe993b8(0x10a)]&&_0x3f7cc6[_0xe993b8(0x10a)][_0xe993b8(0xdd)](_0x530197=>{const _0x4b4f7b=_0xe993b8;_0x530197[_0x4b4f7b(0x9f)]&&Array[_0x4b4f7b(0xad)](_0x530197[_0x4b4f7b(0x9f)])&&_0x530197['options'][_0x4b4f7b(0xdd)](_0x282fed=>{const _0x2e6ba4=_0x4b4f7b;!_0x13864c[_0x2e6ba4(0xb7)](_0x282fed)&&_0x13864c[_0x2e6ba4(0xb3)](_0x282fed);});});_0x3f7cc6[_0xe993b8(0xaf)]&&Array['isArray'](_0x3f7cc6[_0xe993b8(0xaf)])&&_0x3f7cc6[_0xe993b8(0xaf)][_0xe993b8(0xdd)](_0x19e994=>{const _0xcb74f5=_0xe993b8;!_0x13864c['includes'](_0x19e994)&&_0x13864c[_0xcb74f5(0xb3)](_0x19e994);});const _0x2b32c1=_0x2d605c?_0x13864c:shuffleArray(_0x13864c);_0x2b32c1[_0xe993b8(0xdd)](_0x5cfcf2=>{const _0x5a8639=_0xe993b8,_0x526633=_0x2d605c&&_0xd4e0fb&&_0xd4e0fb['includes'](_0x5cfcf2);_0x3939dc+=_0x5a8639(0xca)+(_0x526633?_0x5a8639(0x89):'')+'\x22\x20draggable=\x22'+(_0x2d605c?_0x5a8639(0xce):'true')+_0x5a8639(0x97)+_0x5cfcf2+'\x22>'+_0x5cfcf2+_0x5a8639(0x107);}),_0x3939dc+=_0xe993b8(0x8f);let _0x19080b=_0x3f7cc6['blanks'][_0xe993b8(0xc9)](_0x4610d1=>_0x4610d1[_0xe993b8(0xd6)]),_0x40fae8='';const _0x2e5add=_0x3f7cc6[_0xe993b8(0xaf)]?_0x3f7cc6[_0xe993b8(0xaf)][_0xe993b8(0xb2)]:0x0;for(let _0x11393f=0x0;_0x11393f<_0x2e5add;_0x11393f++){_0x19080b[_0x11393f]&&(_0x40fae8+=_0x19080b[_0x11393f]);const _0x1503b2=_0xd4e0fb&&_0xd4e0fb[_0x11393f]!==null?_0xd4e0fb[_0x11393f]:null,_0x12e147=_0x3f7cc6['correctOrder'][_0x11393f],_0x28ade4=_0x2d605c&&_0x1503b2===_0x12e147,_0x1aa9f6=_0x2d605c&&_0x1503b2!==_0x12e147&&_0x1503b2!==null;let _0x363e17=_0xe993b8(0x101);if(_0x2d605c){if(_0x28ade4)_0x363e17+=_0xe993b8(0xe6);else _0x1aa9f6&&(_0x363e17+=_0xe993b8(0xa1));}const _0x2a159f=_0x2d605c||_0xd4e0fb&&_0xd4e0fb[_0x11393f]!==null,_0x4641da=_0x2a159f?'':'ondrop=\x22drop(event)\x22\x20ondragover=\x22allowDrop(event)\x22';_0x40fae8+=_0xe993b8(0xf4)+_0x363e17+'\x22\x20'+_0x4641da+'\x20data-blank=\x22'+_0x11393f+_0xe993b8(0xd9)+(_0x1503b2||_0xe993b8(0x86))+_0xe993b8(0xbd);if(_0x2d605c&&_0x1aa9f6)_0x40fae8+=_0xe993b8(0xa8)+_0x12e147+_0xe993b8(0xba);else _0x2d605c&&_0x28ade4&&(_0x40fae8+=_0xe993b8(0xa7));}if(_0x19080b[_0xe993b8(0xb2)]>_0x2e5add)for(let _0x5d59bb=_0x2e5add;_0x5d59bb<_0x19080b[_0xe993b8(0xb2)];_0x5d59bb++){_0x40fae8+=_0x19080b[_0x5d59bb];}return _0x3939dc+=_0x40fae8,_0x3939dc+=_0xe993b8(0x105),_0x3939dc;}function selectOption(_0x1a9efe){if(userAnswers[currentQuestionIndex]!==null)return;userAnswers[currentQuestionIndex]=_0x1a9efe,displayQuestion(),updateScore(),updateNextButtonState();}function setAnswer(_0x4f2b6a){const _0x4e3699=_0x53f606;if(userAnswers[currentQuestionIndex]!==null)return;userAnswers[currentQuestionIndex]=_0x4f2b6a[_0x4e3699(0x110)](),displayQuestion(),updateScore(),updateNextButtonState();}function updateScore(){const _0x51b1fe=_0x53f606;score=0x0;for(let _0x1494e0=0x0;_0x1494e0<questions[_0x51b1fe(0xb2)];_0x1494e0++){userAnswers[_0x1494e0]!==null&&isCorrect(_0x1494e0)&&score++;}document[_0x51b1fe(0x103)](_0x51b1fe(0xe4))[_0x51b1fe(0xd1)]=_0x51b1fe(0x9b)+score+'/'+questions[_0x51b1fe(0xb2)];}function isCorrect(_0x59445a){const _0x519673=_0x53f606,_0x502527=questions[_0x59445a],_0x16ebe7=userAnswers[_0x59445a];if(_0x16ebe7===null||_0x16ebe7===undefined)return![];switch(_0x502527['type']){case _0x519673(0xbf):case _0x519673(0x87):return _0x16ebe7===_0x502527[_0x519673(0xc7)];case _0x519673(0x9d):return _0x16ebe7['toLowerCase']()[_0x519673(0x110)]()===_0x502527[_0x519673(0xc7)][_0x519673(0xb1)]()['trim']();case _0x519673(0x109):if(_0x502527[_0x519673(0xec)]&&_0x502527[_0x519673(0xec)][_0x519673(0xb2)]>0x0)return _0x16ebe7===_0x502527[_0x519673(0xec)][0x0][_0x519673(0xc7)];return![];case'drag_and_drop':if(Array[_0x519673(0xad)](_0x16ebe7)&&Array[_0x519673(0xad)](_0x502527[_0x519673(0xaf)])){if(_0x16ebe7[_0x519673(0xb2)]!==_0x502527[_0x519673(0xaf)][_0x519673(0xb2)])return![];for(let _0x2aaabc=0x0;_0x2aaabc<_0x16ebe7['length'];_0x2aaabc++){if(_0x16ebe7[_0x2aaabc]!==_0x502527[_0x519673(0xaf)][_0x2aaabc])return![];}return!![];}return![];default:return![];}}function checkIfAnswered(){const _0x159368=_0x53f606,_0x32dc01=questions[currentQuestionIndex],_0x233b70=userAnswers[currentQuestionIndex];if(_0x233b70===null||_0x233b70===undefined)return![];switch(_0x32dc01[_0x159368(0xb6)]){case'multiple_choice':case _0x159368(0x87):case _0x159368(0x109):return _0x233b70!==null;case _0x159368(0x9d):return _0x233b70[_0x159368(0x110)]()['length']>0x0;case _0x159368(0xd4):if(Array['isArray'](_0x233b70)&&_0x32dc01[_0x159368(0xaf)])return _0x233b70[_0x159368(0xb2)]===_0x32dc01[_0x159368(0xaf)][_0x159368(0xb2)]&&_0x233b70[_0x159368(0xf7)](_0x341592=>_0x341592!==null&&_0x341592!==undefined);return![];default:return![];}}function updateNextButtonState(){const _0x4c73c7=_0x53f606,_0x5a9326=document[_0x4c73c7(0x103)](_0x4c73c7(0xe9));_0x5a9326['disabled']=!checkIfAnswered()&&currentQuestionIndex<questions['length']-0x1;}function nextQuestion(){const _0x6ba1e3=_0x53f606;if(!checkIfAnswered()&&currentQuestionIndex<questions[_0x6ba1e3(0xb2)]-0x1){alert(_0x6ba1e3(0xe5));return;}currentQuestionIndex<questions[_0x6ba1e3(0xb2)]-0x1?(currentQuestionIndex++,displayQuestion()):showFinalScore();}function previousQuestion(){currentQuestionIndex>0x0&&(currentQuestionIndex--,displayQuestion());}function showFinalScore(){const _0x355c0f=_0x53f606;updateScore();const _0x1d00a6=document['getElementById']('finalScoreModal'),_0x44b9e0=document[_0x355c0f(0x103)]('finalScore'),_0x358cdf=document[_0x355c0f(0x103)](_0x355c0f(0xee));_0x44b9e0[_0x355c0f(0xd1)]=score+'/'+questions['length'];const _0x493118=Math[_0x355c0f(0xb5)](score/questions['length']*0x64);let _0x3e2494='';if(_0x493118>=0x5a)_0x3e2494=_0x355c0f(0xbe);else{if(_0x493118>=0x46)_0x3e2494=_0x355c0f(0xe1);else _0x493118>=0x32?_0x3e2494=_0x355c0f(0xf2):_0x3e2494=_0x355c0f(0xde);}_0x358cdf[_0x355c0f(0xd1)]=_0x493118+_0x355c0f(0xc8)+_0x3e2494,_0x1d00a6[_0x355c0f(0xa4)]['add'](_0x355c0f(0xda));}function restartQuiz(){const _0x287fd4=_0x53f606;document[_0x287fd4(0x103)](_0x287fd4(0x8d))[_0x287fd4(0xa4)][_0x287fd4(0x10c)](_0x287fd4(0xda)),questions=shuffleQuestionsAndAnswers(originalQuestions),currentQuestionIndex=0x0,userAnswers=new Array(questions[_0x287fd4(0xb2)])['fill'](null),score=0x0,displayQuestion(),updateScore(),updateNextButtonState();}function allowDrop(_0x12e8bc){const _0x4459cc=_0x53f606;_0x12e8bc[_0x4459cc(0x98)](),_0x12e8bc[_0x4459cc(0xfc)][_0x4459cc(0xa4)]['add'](_0x4459cc(0x9e));}function drag(_0x33edbe){const _0x32b510=_0x53f606;if(checkIfAnswered()){_0x33edbe['preventDefault']();return;}_0x33edbe[_0x32b510(0x10e)][_0x32b510(0xcc)]('text',_0x33edbe['target'][_0x32b510(0xa6)](_0x32b510(0xb0)));}function drop(_0x4db990){const _0x5bcce4=_0x53f606;_0x4db990['preventDefault'](),_0x4db990[_0x5bcce4(0xfc)][_0x5bcce4(0xa4)][_0x5bcce4(0x10c)](_0x5bcce4(0x9e));const _0x40b42d=parseInt(_0x4db990[_0x5bcce4(0xfc)][_0x5bcce4(0xa6)](_0x5bcce4(0x96))),_0x16a95f=questions[currentQuestionIndex];!userAnswers[currentQuestionIndex]&&(userAnswers[currentQuestionIndex]=new Array(_0x16a95f['correctOrder'][_0x5bcce4(0xb2)])[_0x5bcce4(0xb4)](null));if(userAnswers[currentQuestionIndex][_0x40b42d]!==null)return;const _0x405309=_0x4db990[_0x5bcce4(0x10e)][_0x5bcce4(0xae)](_0x5bcce4(0xdb));userAnswers[currentQuestionIndex][_0x40b42d]=_0x405309,displayQuestion(),updateScore(),updateNextButtonState();}document[_0x53f606(0xeb)]('DOMContentLoaded',loadQuestions),window['nextQuestion']=nextQuestion,window['previousQuestion']=previousQuestion,window[_0x53f606(0xed)]=restartQuiz,window['selectOption']=selectOption,window[_0x53f606(0xc3)]=setAnswer,window['allowDrop']=allowDrop,window[_0x53f606(0xd5)]=drag,window[_0x53f606(0xef)]=drop;
+const COMMON_FIELDS={id:{kind:"string",required:!1},type:{kind:"string",required:!0},level:{kind:"string",required:!0},topic:{kind:"string",required:!1},explanation:{kind:"string",required:!1},allowMarkup:{kind:"boolean",required:!1}},READING_SUB_QUESTION_TYPES=["multiple_choice","true_false_not_given","short_answer"],TRUE_FALSE_NOT_GIVEN_OPTIONS=["True","False","Not Given"],QUESTION_SCHEMAS={multiple_choice:{description:"A question with a list of options, exactly one of which is correct.",fields:{questionText:{kind:"string",required:!0},options:{kind:"string[]",required:!0},correctAnswer:{kind:"string",required:!0},shuffleOptions:{kind:"boolean",required:!1},passage:{kind:"object",required:!1}},rules:[checkOptions]},dropdown:{description:"A sentence with one or more gaps, each answered by choosing from a list of options. The gaps are marked by `sentenceParts` or by [dropdown] (or _____) markers in `questionText`; with several gaps, `options` and `correctAnswer` have one entry per gap.",fields:{questionText:{kind:"string",required:!0},options:{kind:"string[]|string[][]",required:!0},correctAnswer:{kind:"string|string[]",required:!0},sentenceParts:{kind:"string[]",required:!1},shuffleOptions:{kind:"boolean",required:!1},passage:{kind:"object",required:!1}},rules:[checkDropdown]},fill_in_the_blank:{description:"A sentence with one or more gaps the learner types the answers into. With several gaps `correctAnswer` has one answer per gap, and `acceptedAnswers` one list per gap.",fields:{questionText:{kind:"string",required:!0},correctAnswer:{kind:"string|string[]",required:!0},acceptedAnswers:{kind:"string[]|string[][]",required:!1},typoTolerance:{kind:"number",required:!1},sentenceParts:{kind:"string[]",required:!1},passage:{kind:"object",required:!1}},rules:[checkFillInTheBlank]},reading_passage:{description:"A text followed by sub-questions about it: multiple choice, true/false/not given or short answer.",fields:{questionText:{kind:"string",required:!1},passage:{kind:"string",required:!0},questions:{kind:"object[]",required:!0}},rules:[checkReadingPassage]},listening:{description:'A recording (`audio`, or `transcript` read aloud by the browser) followed by sub-questions like those of a reading passage, or with `"dictation": true` typed out in full and graded against the `transcript`.',fields:{questionText:{kind:"string",required:!1},audio:{kind:"string",required:!1},transcript:{kind:"string",required:!1},lang:{kind:"string",required:!1},maxPlays:{kind:"number",required:!1},dictation:{kind:"boolean",required:!1},questions:{kind:"object[]",required:!1}},rules:[checkListening]},drag_and_drop:{description:"Sentence parts from `blanks` interleaved with drop zones, filled in `correctOrder`.",fields:{questionText:{kind:"string",required:!0},blanks:{kind:"object[]",required:!0},correctOrder:{kind:"string[]",required:!0},shuffleOptions:{kind:"boolean",required:!1}},rules:[checkDragAndDrop]},drag_and_drop_sentence:{description:"A `sentenceTemplate` with [DROP_ZONE] markers, filled from `dragWords` with `correctWords`.",fields:{questionText:{kind:"string",required:!0},sentenceTemplate:{kind:"string",required:!0},correctWords:{kind:"string[]",required:!0},dragWords:{kind:"string[]",required:!0},shuffleOptions:{kind:"boolean",required:!1},passage:{kind:"object",required:!1}},rules:[checkDragAndDropSentence]},matching:{description:"Two columns to pair up: each of the `pairs` has a `left` item and the `right` item it goes with, the right-hand items being offered in a different order. Each pair matched earns its share of the point.",fields:{questionText:{kind:"string",required:!0},pairs:{kind:"object[]",required:!0}},rules:[checkMatching]},sentence_order:{description:"Words or clauses (`tokens`, in the right order) offered jumbled, to put back in order. `acceptedOrders` lists other orders that are also right.",fields:{questionText:{kind:"string",required:!1},tokens:{kind:"string[]",required:!0},acceptedOrders:{kind:"string[][]",required:!1}},rules:[checkSentenceOrder]}};function matchesKind(e,t){if(t.includes("|"))return t.split("|").some(t=>matchesKind(e,t));switch(t){case"string":return"string"==typeof e;case"number":return"number"==typeof e&&Number.isFinite(e);case"boolean":return"boolean"==typeof e;case"object":return null!==e&&"object"==typeof e&&!Array.isArray(e);case"string[]":return Array.isArray(e)&&e.every(e=>"string"==typeof e);case"string[][]":return Array.isArray(e)&&e.every(e=>matchesKind(e,"string[]"));case"object[]":return Array.isArray(e)&&e.every(e=>matchesKind(e,"object"));default:return!1}}function checkFields(e,t,n=""){const s=[];return Object.keys(t).forEach(r=>{const{kind:o,required:i}=t[r];void 0!==e[r]&&null!==e[r]?matchesKind(e[r],o)||s.push(`"${n}${r}" should be of type ${o}`):i&&s.push(`missing required field "${n}${r}"`)}),s}function checkOptions(e,t=""){const n=[],s=[];return Array.isArray(e.options)&&"string"==typeof e.correctAnswer?(e.options.length<2&&n.push(`"${t}options" needs at least two options`),e.options.includes(e.correctAnswer)||n.push(`"${t}correctAnswer" ("${e.correctAnswer}") is not one of the options`),new Set(e.options).size!==e.options.length&&s.push(`"${t}options" contains duplicates`),{errors:n,warnings:s}):{errors:n,warnings:s}}function checkDropdown(e){if("string"==typeof e.correctAnswer)return Array.isArray(e.options)&&!matchesKind(e.options,"string[]")?{errors:['"options" should be of type string[] for 1 gap'],warnings:[]}:checkOptions(e);const t=[],n=[];if(!Array.isArray(e.correctAnswer)||!matchesKind(e.options,"string[][]"))return Array.isArray(e.correctAnswer)&&Array.isArray(e.options)&&t.push(`"options" should be of type string[][] for ${e.correctAnswer.length} gaps`),{errors:t,warnings:n};const s=e.correctAnswer.length;let r;return s<2&&t.push('"correctAnswer" should be a string for a single gap'),e.options.length!==s&&t.push(`"options" has ${e.options.length} lists but there are ${s} correct answers`),e.correctAnswer.forEach((s,r)=>{const o=e.options[r];Array.isArray(o)&&(o.length<2&&t.push(`"options[${r}]" needs at least two options`),o.includes(s)||t.push(`"correctAnswer[${r}]" ("${s}") is not one of the options of gap ${r+1}`),new Set(o).size!==o.length&&n.push(`"options[${r}]" contains duplicates`))}),Array.isArray(e.sentenceParts)?r=e.sentenceParts.length-1:"string"==typeof e.questionText&&(r=e.questionText.split(/\[dropdown\]|_____/).length-1),void 0!==r&&r!==s&&t.push(`has ${s} correct answers but ${r} gap${1===r?"":"s"} in the sentence`),{errors:t,warnings:n}}function checkFillInTheBlank(e){const t=[],n=[];let s;if(Array.isArray(e.sentenceParts)?(s=e.sentenceParts.length-1,s<1&&t.push('"sentenceParts" needs a part before and after the blank')):"string"==typeof e.questionText&&(s=e.questionText.split("_____").length-1,s<1&&t.push('needs either "sentenceParts" or a _____ marker in "questionText"')),!s||s<1)return{errors:t,warnings:n};const r=Array.isArray(e.correctAnswer)?e.correctAnswer.length:1;if(r!==s&&t.push(`has ${s} blank${1===s?"":"s"} but ${r} correct answer${1===r?"":"s"}`),void 0!==e.acceptedAnswers){const n=1===s?"string[]":"string[][]";matchesKind(e.acceptedAnswers,n)?s>1&&e.acceptedAnswers.length!==s&&t.push(`"acceptedAnswers" has ${e.acceptedAnswers.length} lists but there are ${s} blanks`):t.push(`"acceptedAnswers" should be of type ${n} for ${s} blank${1===s?"":"s"}`)}return"number"==typeof e.typoTolerance&&(!Number.isInteger(e.typoTolerance)||e.typoTolerance<0)&&t.push('"typoTolerance" should be a whole number of typos, 0 or more'),{errors:t,warnings:n}}function checkReadingPassage(e){return checkSubQuestions(e)}function checkListening(e){const t=[],n=[];if(void 0===e.audio&&void 0===e.transcript&&t.push('needs an "audio" file or a "transcript" to read aloud'),"number"==typeof e.maxPlays&&(!Number.isInteger(e.maxPlays)||e.maxPlays<1)&&t.push('"maxPlays" should be a whole number of plays, 1 or more'),!0===e.dictation)return void 0===e.transcript&&t.push('a dictation needs the "transcript" its answer is graded against'),void 0!==e.questions&&n.push('"questions" is ignored for a dictation'),{errors:t,warnings:n};if(void 0===e.questions)return t.push('missing required field "questions" (or set "dictation": true)'),{errors:t,warnings:n};const s=checkSubQuestions(e);return t.push(...s.errors),n.push(...s.warnings),{errors:t,warnings:n}}function checkSubQuestions(e){const t=[],n=[];return Array.isArray(e.questions)?(0===e.questions.length&&t.push('"questions" needs at least one sub-question'),e.questions.forEach((e,s)=>{if(!matchesKind(e,"object"))return;const r=`questions[${s}].`,o=void 0===e.type?"multiple_choice":e.type;if(!READING_SUB_QUESTION_TYPES.includes(o))return void t.push(`"${r}type" is an unsupported sub-question type ("${o}")`);if(t.push(...checkFields(e,{type:{kind:"string",required:!1},questionText:{kind:"string",required:!0},options:{kind:"string[]",required:"multiple_choice"===o},correctAnswer:{kind:"string",required:!0},acceptedAnswers:{kind:"string[]",required:!1},typoTolerance:{kind:"number",required:!1},shuffleOptions:{kind:"boolean",required:!1},explanation:{kind:"string",required:!1}},r)),void 0!==e.acceptedAnswers&&"short_answer"!==o&&n.push(`"${r}acceptedAnswers" is only used by short_answer sub-questions`),"short_answer"===o)return void(void 0!==e.options&&n.push(`"${r}options" is ignored for a short_answer sub-question`));const i=checkOptions("true_false_not_given"===o&&void 0===e.options?{...e,options:TRUE_FALSE_NOT_GIVEN_OPTIONS}:e,r);t.push(...i.errors),n.push(...i.warnings)}),{errors:t,warnings:n}):{errors:t,warnings:n}}function checkDragAndDrop(e){const t=[],n=[];return Array.isArray(e.blanks)&&Array.isArray(e.correctOrder)?(e.blanks.forEach((e,n)=>{matchesKind(e,"object")&&t.push(...checkFields(e,{sentencePart:{kind:"string",required:!0},options:{kind:"string[]",required:!1},correctAnswer:{kind:"string",required:!1},explanation:{kind:"string",required:!1}},`blanks[${n}].`))}),0===e.correctOrder.length?t.push('"correctOrder" needs at least one word'):e.correctOrder.length>e.blanks.length&&t.push(`"correctOrder" has ${e.correctOrder.length} words but "blanks" only has ${e.blanks.length} sentence parts`),new Set(e.correctOrder).size!==e.correctOrder.length&&t.push('"correctOrder" has the same word more than once, but each word can only be placed once'),e.correctOrder.forEach((n,s)=>{const r=e.blanks[s];r&&"string"==typeof r.correctAnswer&&r.correctAnswer!==n&&t.push(`"correctOrder[${s}]" ("${n}") does not match "blanks[${s}].correctAnswer" ("${r.correctAnswer}")`)}),{errors:t,warnings:n}):{errors:t,warnings:n}}function checkDragAndDropSentence(e){const t=[],n=[];if("string"!=typeof e.sentenceTemplate||!Array.isArray(e.correctWords))return{errors:t,warnings:n};const s=e.sentenceTemplate.split("[DROP_ZONE]").length-1;return 0===s?t.push('"sentenceTemplate" has no [DROP_ZONE] marker'):s!==e.correctWords.length&&t.push(`"sentenceTemplate" has ${s} [DROP_ZONE] markers but "correctWords" has ${e.correctWords.length} words`),new Set(e.correctWords).size!==e.correctWords.length&&t.push('"correctWords" has the same word more than once, but each word can only be placed once'),Array.isArray(e.dragWords)&&e.correctWords.forEach(t=>{e.dragWords.includes(t)||n.push(`correct word "${t}" is missing from "dragWords"`)}),{errors:t,warnings:n}}function checkMatching(e){const t=[],n=[];return Array.isArray(e.pairs)?(e.pairs.length<2&&t.push('"pairs" needs at least two pairs'),e.pairs.forEach((e,n)=>{matchesKind(e,"object")&&t.push(...checkFields(e,{left:{kind:"string",required:!0},right:{kind:"string",required:!0},explanation:{kind:"string",required:!1}},`pairs[${n}].`))}),["left","right"].forEach(n=>{const s=e.pairs.map(e=>e&&e[n]).filter(e=>"string"==typeof e);new Set(s).size!==s.length&&t.push(`"pairs" has the same ${n} item more than once`)}),{errors:t,warnings:n}):{errors:t,warnings:n}}function checkSentenceOrder(e){const t=[],n=[];if(!Array.isArray(e.tokens))return{errors:t,warnings:n};if(e.tokens.length<2&&t.push('"tokens" needs at least two tokens to put in order'),matchesKind(e.acceptedOrders,"string[][]")){const n=JSON.stringify([...e.tokens].sort());e.acceptedOrders.forEach((e,s)=>{JSON.stringify([...e].sort())!==n&&t.push(`"acceptedOrders[${s}]" should use exactly the tokens of "tokens"`)})}return{errors:t,warnings:n}}function validateQuestion(e){if(!matchesKind(e,"object"))return{errors:["question is not an object"],warnings:[]};const t=checkFields(e,COMMON_FIELDS),n=[],s=QUESTION_SCHEMAS[e.type];return s?(t.push(...checkFields(e,s.fields)),s.rules.forEach(s=>{const r=s(e);t.push(...r.errors),n.push(...r.warnings)}),{errors:t,warnings:n}):("string"==typeof e.type&&t.push(`unsupported question type "${e.type}"`),{errors:t,warnings:n})}function validateQuestionBank(e){if(!Array.isArray(e))throw new Error("The question bank should be a JSON array of questions.");const t=[],n=[],s=new Set;return e.forEach((e,r)=>{const{errors:o,warnings:i}=validateQuestion(e);if(e&&"string"==typeof e.id&&(s.has(e.id)&&o.push(`"id" ("${e.id}") is already used by another question`),s.add(e.id)),0===o.length&&t.push(e),o.length>0||i.length>0){const t=e&&"string"==typeof e.type?e.type:"unknown";n.push({index:r,type:t,errors:o,warnings:i})}}),{validQuestions:t,issues:n}}"undefined"!=typeof module&&module.exports&&(module.exports={QUESTION_SCHEMAS,READING_SUB_QUESTION_TYPES,TRUE_FALSE_NOT_GIVEN_OPTIONS,validateQuestion,validateQuestionBank});const CSV_QUESTION_TYPES=["multiple_choice","dropdown","fill_in_the_blank","drag_and_drop"],CSV_COLUMNS=["type","id","level","topic","questionText","sentence","options","correctAnswer","acceptedAnswers","typoTolerance","explanation","allowMarkup","shuffleOptions"],CSV_TYPE_COLUMNS={multiple_choice:["questionText","options","correctAnswer","shuffleOptions"],dropdown:["questionText","sentence","options","correctAnswer","shuffleOptions"],fill_in_the_blank:["questionText","sentence","correctAnswer","acceptedAnswers","typoTolerance"],drag_and_drop:["questionText","sentence","options","correctAnswer","shuffleOptions"]},COMMON_CSV_FIELDS={type:!0,id:!0,level:!0,topic:!0,explanation:!0,allowMarkup:!0},CSV_BLANK_MARKER="_____",CSV_LIST_SEPARATOR="|",CSV_BLANK_SEPARATOR=";";function detectDelimiter(e){const t=e.split(/\r?\n/,1)[0];if(t.includes("\t"))return"\t";const n=e=>t.split(e).length-1;return n(";")>n(",")?";":","}function parseCsv(e,t=detectDelimiter(e)){const n=[];let s=[],r="",o=!1;e=e.replace(/^﻿/,"");const i=()=>{s.push(r),n.push(s),s=[],r=""};for(let n=0;n<e.length;n++){const a=e[n];o?'"'===a&&'"'===e[n+1]?(r+='"',n++):'"'===a?o=!1:r+=a:'"'===a?o=!0:a===t?(s.push(r),r=""):"\n"===a||"\r"===a?("\r"===a&&"\n"===e[n+1]&&n++,i()):r+=a}return(""!==r||s.length>0)&&i(),n}function formatCsv(e,t=","){const n=e=>{const n=String(e);return n.includes(t)||/["\r\n]/.test(n)||n!==n.trim()?`"${n.replace(/"/g,'""')}"`:n};return e.map(e=>e.map(n).join(t)).join("\r\n")+"\r\n"}function splitCell(e,t="|"){return""===e?[]:e.split(t).map(e=>e.trim())}function readBooleanCell(e){const t=e.toLowerCase();return!!["true","yes","1"].includes(t)||!["false","no","0"].includes(t)&&e}function rowToQuestion(e){const t=e.type,n={type:t||void 0},s=[],r=CSV_TYPE_COLUMNS[t]||[];e.id&&(n.id=e.id),n.level=e.level||void 0,e.topic&&(n.topic=e.topic),e.questionText&&(n.questionText=e.questionText),CSV_QUESTION_TYPES.includes(t)?CSV_COLUMNS.forEach(n=>{!e[n]||r.includes(n)||n in COMMON_CSV_FIELDS||s.push(`column "${n}" is not used by ${t} questions and was ignored`)}):t&&s.push(`questions of type "${t}" can't be imported from a spreadsheet (only ${CSV_QUESTION_TYPES.join(", ")})`);const o=splitCell(e.correctAnswer),i=e.sentence?e.sentence.split("_____"):null;switch(t){case"multiple_choice":n.options=splitCell(e.options),n.correctAnswer=e.correctAnswer;break;case"dropdown":o.length>1?(n.options=splitCell(e.options,";").map(e=>splitCell(e)),n.correctAnswer=o):(n.options=splitCell(e.options),n.correctAnswer=e.correctAnswer),i&&(n.sentenceParts=i);break;case"fill_in_the_blank":if(i&&(n.sentenceParts=i),n.correctAnswer=o.length>1?o:e.correctAnswer,e.acceptedAnswers&&(n.acceptedAnswers=o.length>1?splitCell(e.acceptedAnswers,";").map(e=>splitCell(e)):splitCell(e.acceptedAnswers)),e.typoTolerance){const t=Number(e.typoTolerance);n.typoTolerance=Number.isFinite(t)?t:e.typoTolerance}break;case"drag_and_drop":n.blanks=(i||[]).map((t,n)=>{const s={id:`blank${n+1}`,sentencePart:t};return 0===n&&e.options&&(s.options=splitCell(e.options)),n<o.length&&(s.correctAnswer=o[n]),s}),n.correctOrder=o}return e.explanation&&(n.explanation=e.explanation),e.allowMarkup&&(n.allowMarkup=readBooleanCell(e.allowMarkup)),e.shuffleOptions&&r.includes("shuffleOptions")&&(n.shuffleOptions=readBooleanCell(e.shuffleOptions)),{question:n,warnings:s}}function csvToQuestions(e){const t=parseCsv(e);if(0===t.length)throw new Error("The file is empty.");const n=t[0].map(e=>e.trim()),s=n.map(e=>CSV_COLUMNS.find(t=>t.toLowerCase()===e.toLowerCase()));if(!s.includes("type"))throw new Error(`The first row should name the columns, including "type" (known columns: ${CSV_COLUMNS.join(", ")}).`);const r=[];n.forEach((e,t)=>{s[t]||""===e||r.push(`column "${e}" is unknown and was ignored`)});const o=[],i=[],a=[];return t.slice(1).forEach((e,t)=>{const r=t+2;if(e.every(e=>""===e.trim()))return;const c={};CSV_COLUMNS.forEach(e=>{c[e]=""}),e.forEach((e,t)=>{s[t]&&(c[s[t]]=e.trim())});const l=rowToQuestion(c);e.length>n.length&&e.slice(n.length).some(e=>""!==e.trim())&&l.warnings.push("the row has more cells than the header; the extra cells were ignored"),o.push(l.question),i.push(r),a.push(l.warnings)}),{questions:o,rows:i,rowWarnings:a,warnings:r}}function joinCell(e,t,n){return e.forEach(e=>{String(e).includes(t)&&n.push(`"${e}" contains "${t}"`)}),e.join(t)}function questionToRow(e){const t={},n=[],s=CSV_TYPE_COLUMNS[e.type],r=[...Object.keys(COMMON_CSV_FIELDS),...s,"sentenceParts","blanks","correctOrder"];switch(["type","id","level","topic","questionText","explanation"].forEach(n=>{t[n]=void 0===e[n]?"":e[n]}),t.allowMarkup=!0===e.allowMarkup?"true":"",s.includes("shuffleOptions")&&void 0!==e.shuffleOptions&&(t.shuffleOptions=String(e.shuffleOptions)),e.type){case"multiple_choice":t.options=joinCell(e.options||[],"|",n),t.correctAnswer=e.correctAnswer;break;case"dropdown":Array.isArray(e.correctAnswer)?(t.options=(e.options||[]).map(e=>joinCell(e||[],"|",n)).join(";"),t.correctAnswer=joinCell(e.correctAnswer,"|",n)):(t.options=joinCell(e.options||[],"|",n),t.correctAnswer=e.correctAnswer),Array.isArray(e.sentenceParts)&&(t.sentence=e.sentenceParts.join("_____"));break;case"fill_in_the_blank":{const s=Array.isArray(e.correctAnswer);Array.isArray(e.sentenceParts)&&(t.sentence=e.sentenceParts.join("_____")),t.correctAnswer=s?joinCell(e.correctAnswer,"|",n):e.correctAnswer,Array.isArray(e.acceptedAnswers)&&(t.acceptedAnswers=s?e.acceptedAnswers.map(e=>joinCell(e||[],"|",n)).join(";"):joinCell(e.acceptedAnswers,"|",n)),void 0!==e.typoTolerance&&(t.typoTolerance=String(e.typoTolerance));break}case"drag_and_drop":{const s=[],r=Array.isArray(e.blanks)?e.blanks:[];r.forEach(e=>{(e.options||[]).forEach(e=>{s.includes(e)||s.push(e)}),Object.keys(e).forEach(e=>{["id","sentencePart","options","correctAnswer"].includes(e)||n.push(`"blanks[].${e}" is not exported`)})}),t.sentence=r.map(e=>e.sentencePart).join("_____"),t.options=joinCell(s,"|",n),t.correctAnswer=joinCell(e.correctOrder||[],"|",n);break}}return Object.keys(e).forEach(e=>{r.includes(e)||n.push(`"${e}" is not exported`)}),{cells:t,lost:n}}function questionsToCsv(e,t=","){const n=[CSV_COLUMNS],s=[];return e.forEach((e,t)=>{const r=e&&"string"==typeof e.type?e.type:"unknown";if(!CSV_QUESTION_TYPES.includes(r))return void s.push({index:t,type:r,message:"skipped: this type does not fit in a spreadsheet row"});const{cells:o,lost:i}=questionToRow(e);n.push(CSV_COLUMNS.map(e=>void 0===o[e]?"":String(o[e]))),i.forEach(e=>s.push({index:t,type:r,message:e}))}),{text:formatCsv(n,t),issues:s}}"undefined"!=typeof module&&module.exports&&(module.exports={CSV_COLUMNS,CSV_QUESTION_TYPES,parseCsv,formatCsv,csvToQuestions,questionsToCsv});const DEFAULT_TYPO_TOLERANCE=0,DROPDOWN_GAP_MARKER=/\[dropdown\]|_____/,RESULT_COLUMNS=["learner","startedAt","finishedAt","number","id","type","level","topic","question","answer","correctAnswer","correct","score","seconds"],XAPI_VERBS={answered:"http://adlnet.gov/expapi/verbs/answered",completed:"http://adlnet.gov/expapi/verbs/completed"},XAPI_INTERACTION_TYPES={multiple_choice:"choice",dropdown:"choice",fill_in_the_blank:"fill-in",matching:"matching",sentence_order:"sequencing"},CONTRACTIONS=[[/\bwon't\b/g,"will not"],[/\bshan't\b/g,"shall not"],[/\bcan't\b/g,"cannot"],[/\bcan not\b/g,"cannot"],[/n't\b/g," not"],[/\bi'm\b/g,"i am"],[/'re\b/g," are"],[/'ve\b/g," have"],[/'ll\b/g," will"]];function hashSeed(e){const t=String(e);let n=2166136261;for(let e=0;e<t.length;e++)n^=t.charCodeAt(e),n=Math.imul(n,16777619);return n>>>0}function createRandom(e){let t=hashSeed(e);return()=>{t=t+1831565813>>>0;let e=t;return e=Math.imul(e^e>>>15,1|e),e^=e+Math.imul(e^e>>>7,61|e),((e^e>>>14)>>>0)/4294967296}}function shuffleArray(e,t=Math.random){const n=[...e];for(let e=n.length-1;e>0;e--){const s=Math.floor(t()*(e+1));[n[e],n[s]]=[n[s],n[e]]}return n}function shuffleQuestionsAndAnswers(e,t=Math.random){return shuffleArray(e,t).map(e=>{const n={...e};return e.options&&Array.isArray(e.options)&&!1!==e.shuffleOptions&&(n.options="dropdown"===e.type&&Array.isArray(e.correctAnswer)?e.options.map(e=>shuffleArray(e,t)):shuffleArray(n.options,t)),hasSubQuestions(e)&&(n.questions=e.questions.map(e=>e.options&&Array.isArray(e.options)&&"true_false_not_given"!==e.type&&!1!==e.shuffleOptions?{...e,options:shuffleArray(e.options,t)}:e)),"matching"===e.type&&Array.isArray(e.pairs)&&(n.pairs=shuffleArray(e.pairs,t),n.options=shuffleArray(e.pairs.map(e=>e.right),t)),"sentence_order"===e.type&&Array.isArray(e.tokens)&&(n.options=shuffleSentenceTokens(e,t)),n})}function shuffleSentenceTokens(e,t){const n=[e.tokens,...e.acceptedOrders||[]].map(e=>JSON.stringify(e));let s=shuffleArray(e.tokens,t);for(let r=0;r<10&&n.includes(JSON.stringify(s));r++)s=shuffleArray(e.tokens,t);return s}function getBlankCount(e){const t=e.sentenceParts||e.questionText.split("_____");return Math.max(t.length-1,1)}function getFillInValues(e,t){const n=getBlankCount(e);return 1===n?["string"==typeof t?t:""]:Array.from({length:n},(e,n)=>Array.isArray(t)&&"string"==typeof t[n]?t[n]:"")}function getAcceptedAnswers(e){const t=Array.isArray(e.correctAnswer)?e.correctAnswer:[e.correctAnswer];return t.map((n,s)=>{let r=[];return Array.isArray(e.acceptedAnswers)&&(r=1===t.length?e.acceptedAnswers:e.acceptedAnswers[s]||[]),[n,...r]})}function getFillInResults(e,t){const n=getFillInValues(e,t);return getAcceptedAnswers(e).map((t,s)=>matchTypedAnswer(n[s]||"",t,e.typoTolerance))}function matchTypedAnswer(e,t,n){const s=normalizeAnswer(e);if(""===s)return"incorrect";const r=t.map(normalizeAnswer);if(r.includes(s))return"correct";const o="number"==typeof n?n:0;return o>0&&r.some(e=>getEditDistance(s,e)<=o)?"almost":"incorrect"}function normalizeAnswer(e){let t=String(e).toLowerCase().replace(/[\u2018\u2019\u02bc`´]/g,"'").replace(/[^\p{L}\p{N}'\s]/gu," ");return CONTRACTIONS.forEach(([e,n])=>{t=t.replace(e,n)}),t.replace(/\s+/g," ").trim()}function getEditDistance(e,t){const n=Array.from({length:e.length+1},(e,t)=>[t]);for(let e=1;e<=t.length;e++)n[0][e]=e;for(let s=1;s<=e.length;s++)for(let r=1;r<=t.length;r++){const o=n[s-1][r-1]+(e[s-1]===t[r-1]?0:1);n[s][r]=Math.min(n[s-1][r]+1,n[s][r-1]+1,o),s>1&&r>1&&e[s-1]===t[r-2]&&e[s-2]===t[r-1]&&(n[s][r]=Math.min(n[s][r],n[s-2][r-2]+1))}return n[e.length][t.length]}function trimAnswer(e){return"string"==typeof e?e.trim():Array.isArray(e)?e.map(e=>"string"==typeof e?e.trim():e):e}function isDictation(e){return"listening"===e.type&&!0===e.dictation}function hasSubQuestions(e){return("reading_passage"===e.type||"listening"===e.type&&!isDictation(e))&&Array.isArray(e.questions)}function getDictationScore(e,t){const n=normalizeAnswer(e.transcript||"").split(" ").filter(e=>""!==e),s="string"==typeof t?normalizeAnswer(t).split(" ").filter(e=>""!==e):[];if(0===n.length||0===s.length)return 0;const r=getEditDistance(s,n);return Math.max(n.length-r,0)/n.length}function isSubQuestionCorrect(e,t){if("string"!=typeof t)return!1;if("short_answer"===e.type){return"incorrect"!==matchTypedAnswer(t,[e.correctAnswer,...e.acceptedAnswers||[]],e.typoTolerance)}return t===e.correctAnswer}function countAnsweredSubQuestions(e,t){return Array.isArray(t)?e.questions.filter((e,n)=>"string"==typeof t[n]&&t[n].trim().length>0).length:0}function getCorrectDropWords(e){return"drag_and_drop_sentence"===e.type?Array.isArray(e.correctWords)?e.correctWords:[]:Array.isArray(e.correctOrder)?e.correctOrder:[]}function isDropAnswerComplete(e,t){const n=getCorrectDropWords(e);return Array.isArray(t)&&n.length>0&&t.length===n.length&&t.every(e=>null!=e)}function getMatchingOptions(e){return Array.isArray(e.options)?e.options:e.pairs.map(e=>e.right)}function countMatchedPairs(e,t){return Array.isArray(t)?e.pairs.filter((e,n)=>"string"==typeof t[n]&&""!==t[n]).length:0}function getMatchingScore(e,t){return Array.isArray(t)&&0!==e.pairs.length?e.pairs.filter((e,n)=>t[n]===e.right).length/e.pairs.length:0}function getSentenceTokens(e){return Array.isArray(e.options)?e.options:e.tokens}function isSentenceOrderCorrect(e,t){if(!Array.isArray(t))return!1;return[e.tokens,...e.acceptedOrders||[]].some(e=>e.length===t.length&&e.every((e,n)=>e===t[n]))}function getDropdownOptions(e){return Array.isArray(e.correctAnswer)?e.options:[e.options]}function getDropdownSentenceParts(e){const t=e.sentenceParts||e.questionText.split(DROPDOWN_GAP_MARKER);return t.length===getDropdownOptions(e).length+1?t:null}function getDropdownValues(e,t){return Array.isArray(e.correctAnswer)?e.correctAnswer.map((e,n)=>Array.isArray(t)&&"string"==typeof t[n]?t[n]:null):["string"==typeof t?t:null]}function getDropdownResults(e,t){const n=Array.isArray(e.correctAnswer)?e.correctAnswer:[e.correctAnswer],s=getDropdownValues(e,t);return n.map((e,t)=>s[t]===e)}function hasPartialAnswer(e,t){return hasSubQuestions(e)?countAnsweredSubQuestions(e,t)>0:"dropdown"===e.type?getDropdownValues(e,t).some(e=>null!==e):"matching"===e.type&&countMatchedPairs(e,t)>0}function hasAnswerToSubmit(e,t){if(null==t)return!1;if(hasSubQuestions(e))return countAnsweredSubQuestions(e,t)===e.questions.length;switch(e.type){case"fill_in_the_blank":return getFillInValues(e,t).every(e=>e.trim().length>0);case"listening":return"string"==typeof t&&t.trim().length>0;case"matching":return countMatchedPairs(e,t)===e.pairs.length;case"dropdown":return getDropdownValues(e,t).every(e=>null!==e);case"sentence_order":return Array.isArray(t)&&t.length===e.tokens.length;case"drag_and_drop":case"drag_and_drop_sentence":return isDropAnswerComplete(e,t);default:return!0}}function isAnswerCorrect(e,t){if(null==t)return!1;switch(e.type){case"multiple_choice":return t===e.correctAnswer;case"dropdown":return getDropdownResults(e,t).every(Boolean);case"fill_in_the_blank":return!getFillInResults(e,t).includes("incorrect");case"reading_passage":case"listening":case"matching":return 1===getAnswerScore(e,t);case"sentence_order":return isSentenceOrderCorrect(e,t);case"drag_and_drop":case"drag_and_drop_sentence":{const n=getCorrectDropWords(e);if(Array.isArray(t)&&n.length>0){if(t.length!==n.length)return!1;for(let e=0;e<t.length;e++)if(t[e]!==n[e])return!1;return!0}return!1}default:return!1}}function getAnswerScore(e,t){if(isDictation(e))return getDictationScore(e,t);if("matching"===e.type)return getMatchingScore(e,t);if("dropdown"===e.type){const n=getDropdownResults(e,t);return n.filter(Boolean).length/n.length}if(!hasSubQuestions(e))return isAnswerCorrect(e,t)?1:0;if(!Array.isArray(t)||0===e.questions.length)return 0;return e.questions.filter((e,n)=>isSubQuestionCorrect(e,t[n])).length/e.questions.length}function isAnswerChecked(e,t,n){if(null==t||!0!==n)return!1;switch(e.type){case"multiple_choice":return!0;case"reading_passage":case"listening":case"matching":case"dropdown":return isDictation(e)?hasAnswerToSubmit(e,t):hasPartialAnswer(e,t);case"sentence_order":case"fill_in_the_blank":return hasAnswerToSubmit(e,t);case"drag_and_drop":case"drag_and_drop_sentence":return isDropAnswerComplete(e,t);default:return!1}}function createQuizState(e){return{questions:e,userAnswers:new Array(e.length).fill(null),submittedAnswers:new Array(e.length).fill(!1)}}function replaceAt(e,t,n){const s=[...e];return s[t]=n,s}function answerQuestion(e,t,n){return isQuestionChecked(e,t)?e:{...e,userAnswers:replaceAt(e.userAnswers,t,n)}}function submitQuestion(e,t,{allowPartial:n=!1}={}){const s=e.questions[t],r=e.userAnswers[t],o=n&&hasPartialAnswer(s,r);return isQuestionChecked(e,t)||!hasAnswerToSubmit(s,r)&&!o?e:{...e,userAnswers:replaceAt(e.userAnswers,t,trimAnswer(r)),submittedAnswers:replaceAt(e.submittedAnswers,t,!0)}}function isQuestionChecked(e,t){return isAnswerChecked(e.questions[t],e.userAnswers[t],e.submittedAnswers[t])}function getQuizScore(e){let t=0,n=0,s=0;return e.questions.forEach((r,o)=>{isQuestionChecked(e,o)&&(t+=getAnswerScore(r,e.userAnswers[o]),n++),hasAnswerToSubmit(r,e.userAnswers[o])&&s++}),{score:t,checkedCount:n,answeredCount:s}}function getAccuracyBy(e,t){const n={};return e.questions.forEach((s,r)=>{const o=t(s);n[o]=n[o]||{key:o,correct:0,total:0},n[o].total++,isQuestionChecked(e,r)&&(n[o].correct+=getAnswerScore(s,e.userAnswers[r]))}),Object.keys(n).sort().map(e=>n[e])}function summarizeQuiz(e,t){return{score:getQuizScore(e).score,total:e.questions.length,byTopic:getAccuracyBy(e,t),byLevel:getAccuracyBy(e,e=>e.level)}}function mergeAccuracy(e){const t={};return e.forEach(e=>{(e||[]).forEach(e=>{t[e.key]=t[e.key]||{key:e.key,correct:0,total:0},t[e.key].correct+=e.correct,t[e.key].total+=e.total})}),Object.values(t).filter(e=>e.total>0).sort((e,t)=>e.correct/e.total-t.correct/t.total||t.total-e.total)}function getProgressSummary(e){const t=[...e].sort((e,t)=>Date.parse(e.finishedAt)-Date.parse(t.finishedAt)),n=t.reduce((e,t)=>e+t.total,0),s=t.reduce((e,t)=>e+t.score,0);return{quizCount:t.length,questionCount:n,percentage:0===n?0:Math.round(s/n*100),trend:t.map(e=>({finishedAt:e.finishedAt,percentage:0===e.total?0:Math.round(e.score/e.total*100)})),byTopic:mergeAccuracy(t.map(e=>e.byTopic)),byLevel:mergeAccuracy(t.map(e=>e.byLevel))}}function getResultRecords(e){const t=e.questions.map(t=>[e.learner||"",e.startedAt||"",e.finishedAt,t.number,t.id,t.type,t.level||"",t.topic,t.question,t.answer,t.correctAnswer,t.correct?"yes":"no",t.score,t.seconds].map(String));return[RESULT_COLUMNS,...t]}function formatIsoDuration(e){return`PT${Math.round(100*e)/100}S`}function createXapiStatements(e,{actor:t,activityBase:n,createId:s}){const r=`${n}/quizzes/${e.banks.map(encodeURIComponent).join("+")}`,o=s(),i={registration:o,contextActivities:{parent:[{objectType:"Activity",id:r}]}},a=e=>({id:XAPI_VERBS[e],display:{"en-US":e}}),c=e.questions.map(r=>({id:s(),actor:t,verb:a("answered"),object:{objectType:"Activity",id:`${n}/questions/${encodeURIComponent(r.id)}`,definition:{type:"http://adlnet.gov/expapi/activities/cmi.interaction",name:{"en-US":r.question},interactionType:XAPI_INTERACTION_TYPES[r.type]||"other",extensions:{[`${n}/extensions/level`]:r.level||null,[`${n}/extensions/topic`]:r.topic}}},result:{success:r.correct,score:{scaled:r.score,raw:r.score,min:0,max:1},response:r.answer,duration:formatIsoDuration(r.seconds)},context:i,timestamp:e.finishedAt}));return c.push({id:s(),actor:t,verb:a("completed"),object:{objectType:"Activity",id:r,definition:{type:"http://adlnet.gov/expapi/activities/assessment",name:{"en-US":e.selection}}},result:{completion:!0,score:{scaled:0===e.total?0:e.score/e.total,raw:e.score,min:0,max:e.total},duration:formatIsoDuration(e.seconds)},context:{registration:o},timestamp:e.finishedAt}),c}"undefined"!=typeof module&&module.exports&&(module.exports={DEFAULT_TYPO_TOLERANCE:0,hashSeed,createRandom,shuffleArray,shuffleQuestionsAndAnswers,getBlankCount,getFillInValues,getAcceptedAnswers,getFillInResults,matchTypedAnswer,normalizeAnswer,getEditDistance,trimAnswer,isDictation,hasSubQuestions,getDictationScore,isSubQuestionCorrect,countAnsweredSubQuestions,getCorrectDropWords,isDropAnswerComplete,getMatchingOptions,countMatchedPairs,getMatchingScore,getSentenceTokens,isSentenceOrderCorrect,getDropdownOptions,getDropdownSentenceParts,getDropdownValues,getDropdownResults,hasPartialAnswer,hasAnswerToSubmit,isAnswerCorrect,getAnswerScore,isAnswerChecked,createQuizState,answerQuestion,submitQuestion,isQuestionChecked,getQuizScore,getAccuracyBy,summarizeQuiz,mergeAccuracy,getProgressSummary,getResultRecords,formatIsoDuration,createXapiStatements});const bankManifestUrl="banks.json",SERVICE_WORKER_URL="sw.js",BANK_QUERY_PARAM="bank",SEED_QUERY_PARAM="seed",SESSION_STORAGE_PREFIX="englishQuiz.session.",HISTORY_STORAGE_KEY="englishQuiz.history",PROFILES_STORAGE_KEY="englishQuiz.profiles",RESULTS_STORAGE_KEY="englishQuiz.results",MAX_STORED_RESULTS=200,PROFILE_AVATARS=["🦊","🐼","🐸","🦉","🐙","🦁","🐢","🐝","🐬","🦄"],PROGRESS_TREND_LENGTH=20,REPORT_QUERY_PARAM="report",REPORT_QUEUE_STORAGE_KEY="englishQuiz.reportQueue",MAX_QUEUED_REPORTS=50,REPORT_RETRY_DELAY=6e4,XAPI_VERSION="1.0.3",REVIEW_INTERVAL_DAYS=[0,0,1,3,7,14],MAX_REVIEW_BOX=REVIEW_INTERVAL_DAYS.length-1,DAY_MS=864e5;let bankManifest=[],selectedBankIds=[],questions=[],originalQuestions=[],currentQuestionIndex=0,userAnswers=[],score=0,submittedAnswers=[],dragWordOrders=[],listeningPlays=[],listeningPlayback=null,listeningRate=1,selectedDragWord=null,dragFocusSelector=null,quizSelection=null,examState=null,examTimer=null,sessionSavedAt=0,activeProfileId=null,isCreatingProfile=!1,questionTimes=[],questionShownAt=null,finishedResults=null,bankReporting=null,reportedStartedAt=null,isSendingReports=!1,reportRetryTimer=null;const DEFAULT_TOPIC="General",QUESTION_COUNT_CHOICES=[10,20,30,0],EXAM_TIME_LIMIT_CHOICES=[10,20,30,45,60,0],DEFAULT_EXAM_TIME_LIMIT=30,QUESTION_TIME_LIMIT_CHOICES=[0,30,60,90,120],EXAM_TIME_WARNING=60,EXAM_SAVE_INTERVAL=15e3,HTML_ESCAPES={"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"},LISTENING_RATES=[.75,1,1.25],DEFAULT_SPEECH_LANG="en-GB",SAFE_MARKUP_TAGS=["b","strong","i","em"],QUESTION_TYPE_LABELS={multiple_choice:"Multiple choice",fill_in_the_blank:"Fill in the blank",dropdown:"Dropdown",reading_passage:"Reading passage",listening:"Listening",drag_and_drop:"Drag and drop",drag_and_drop_sentence:"Drag and drop sentence",matching:"Matching",sentence_order:"Sentence order"};async function loadQuestions(){try{activeProfileId=loadProfiles().activeProfileId,bankManifest=await loadBankManifest(),selectedBankIds=getBankIdsFromUrl(),await loadBanks(selectedBankIds),showResumePromptOrStartScreen()}catch(e){const t=!1===navigator.onLine?" You appear to be offline; the quiz works offline once it has been opened online.":"";showError(`Error loading quiz: ${e.message}${t}`)}}async function fetchJson(e){const t=await fetch(e);if(!t.ok)throw new Error(`Failed to load ${e}: ${t.status} ${t.statusText}`);return t.json()}async function loadBankManifest(){const e=await fetchJson("banks.json");if(!e||!Array.isArray(e.banks)||0===e.banks.length)throw new Error("No question banks found in the manifest. Please check banks.json.");return bankReporting=e.reporting||null,e.banks}function getBankIdsFromUrl(){const e=(new URLSearchParams(window.location.search).get("bank")||"").split(",").map(e=>e.trim()).filter(e=>""!==e).filter(e=>{const t=bankManifest.some(t=>t.id===e);return t||console.warn(`Unknown question bank "${e}" ignored.`),t});if(e.length>0)return e;return[(bankManifest.find(e=>e.default)||bankManifest[0]).id]}async function loadBanks(e){const t=e.map(e=>bankManifest.find(t=>t.id===e)),n=await Promise.all(t.map(e=>fetchJson(e.file))),s=[],r=[];if(t.forEach((e,t)=>{const{validQuestions:o,issues:i}=validateQuestionBank(n[t]);s.push(...o.map(e=>({...e,id:getQuestionId(e)}))),r.push(...i.map(t=>({...t,file:e.file})))}),reportQuestionIssues(r),originalQuestions=s,0===originalQuestions.length)throw new Error("No questions found in the data. Please check the JSON file.")}function getQuestionId(e){return e.id?e.id:"q"+hashSeed(JSON.stringify(e)).toString(36)}function reportQuestionIssues(e){e.forEach(e=>{e.errors.forEach(t=>console.error(`${e.file} question #${e.index} (${e.type}) skipped: ${t}`)),e.warnings.forEach(t=>console.warn(`${e.file} question #${e.index} (${e.type}): ${t}`))});const t=document.getElementById("bankWarning"),n=e.filter(e=>e.errors.length>0).length;n>0?(t.textContent=`${n} malformed question${1===n?" was":"s were"} skipped. See the browser console for details.`,t.style.display="block"):t.style.display="none"}function showError(e){document.getElementById("loadingScreen").style.display="none",document.getElementById("errorScreen").style.display="block",document.getElementById("errorMessage").textContent=e}function getQuestionTopic(e){return e.topic||"General"}function countQuestionsBy(e,t){const n={};return e.forEach(e=>{const s=t(e);n[s]=(n[s]||0)+1}),Object.keys(n).sort().map(e=>({key:e,count:n[e]}))}function displaySelectionCheckboxes(e,t,n){return t.map(t=>`\n        <label class="selection-option">\n            <input type="checkbox" name="${e}" value="${escapeHtml(t.key)}" checked data-change="updateSelectionSummary">\n            <span>${escapeHtml(n(t.key))}</span>\n            <span class="selection-count">${t.count}</span>\n        </label>\n    `).join("")}function showStartScreen(){stopExam(),document.getElementById("loadingScreen").style.display="none",document.getElementById("quizContent").style.display="none",document.getElementById("startScreen").style.display="block",document.getElementById("progressBar").style.width="0%",document.getElementById("progressText").textContent="Choose what you want to practise",displayLearnerBar(),displayBankOptions();const e=countQuestionsBy(originalQuestions,e=>e.level),t=countQuestionsBy(originalQuestions,getQuestionTopic);document.getElementById("levelOptions").innerHTML=displaySelectionCheckboxes("level",e,e=>`Level ${e}`),document.getElementById("topicOptions").innerHTML=displaySelectionCheckboxes("topic",t,e=>e),quizSelection&&(document.querySelectorAll('#startScreen input[name="level"]').forEach(e=>{e.checked=quizSelection.levels.includes(e.value)}),document.querySelectorAll('#startScreen input[name="topic"]').forEach(e=>{e.checked=quizSelection.topics.includes(e.value)}),document.querySelectorAll('#startScreen input[name="feedback"]').forEach(e=>{e.checked=e.value===(quizSelection.feedback||"instant")})),document.getElementById("questionCount").innerHTML=QUESTION_COUNT_CHOICES.map(e=>`<option value="${e}" ${(quizSelection?quizSelection.count===e:0===e)?"selected":""}>${0===e?"All":e}</option>`).join(""),document.getElementById("examTimeLimit").innerHTML=EXAM_TIME_LIMIT_CHOICES.map(e=>`<option value="${e}" ${(quizSelection&&void 0!==quizSelection.timeLimit?quizSelection.timeLimit===e:30===e)?"selected":""}>${0===e?"No limit":`${e} minutes`}</option>`).join(""),document.getElementById("questionTimeLimit").innerHTML=QUESTION_TIME_LIMIT_CHOICES.map(e=>`<option value="${e}" ${(quizSelection&&void 0!==quizSelection.questionTimeLimit?quizSelection.questionTimeLimit===e:0===e)?"selected":""}>${0===e?"No limit":`${e} seconds`}</option>`).join(""),updateSelectionSummary()}function displayBankOptions(){document.getElementById("bankOptions").innerHTML=bankManifest.map(e=>`\n        <label class="selection-option">\n            <input type="checkbox" name="bank" value="${escapeHtml(e.id)}" ${selectedBankIds.includes(e.id)?"checked":""} data-change="changeBanks">\n            <span>${escapeHtml(e.name)}</span>\n            <span class="selection-count">${escapeHtml(e.levelRange)}</span>\n        </label>\n    `).join("")}async function changeBanks(){const e=Array.from(document.querySelectorAll('#startScreen input[name="bank"]:checked'),e=>e.value);if(0===e.length)return void displayBankOptions();selectedBankIds=e,quizSelection=null;const t=new URL(window.location.href);t.searchParams.set("bank",e.join(",")),window.history.replaceState(null,"",t),document.getElementById("startScreen").style.display="none",document.getElementById("loadingScreen").style.display="block";try{await loadBanks(selectedBankIds),showResumePromptOrStartScreen()}catch(e){showError(`Error loading quiz: ${e.message}`)}}function readSelection(){const e=e=>Array.from(document.querySelectorAll(`#startScreen input[name="${e}"]:checked`),e=>e.value);return{mode:"practice",levels:e("level"),topics:e("topic"),count:parseInt(document.getElementById("questionCount").value,10)||0,feedback:document.querySelector('#startScreen input[name="feedback"]:checked').value,timeLimit:parseInt(document.getElementById("examTimeLimit").value,10)||0,questionTimeLimit:parseInt(document.getElementById("questionTimeLimit").value,10)||0,seed:getSessionSeed()}}function getSessionSeed(){return(new URLSearchParams(window.location.search).get("seed")||"").trim()||Math.random().toString(36).slice(2,8)}function getShareUrl(e){const t=new URL(window.location.href);return t.searchParams.set("bank",selectedBankIds.join(",")),t.searchParams.set("seed",e),t.toString()}function getFilteredQuestions(e){return originalQuestions.filter(t=>e.levels.includes(t.level)&&e.topics.includes(getQuestionTopic(t)))}function updateSelectionSummary(){const e=readSelection();document.getElementById("examOptions").style.display="exam"===e.feedback?"":"none";const t=getFilteredQuestions(e).length,n=0===e.count?t:Math.min(e.count,t);document.getElementById("selectionSummary").textContent=0===t?"No questions match your selection.":`${t} question${1===t?"":"s"} match your selection. The quiz will have ${n}.`,document.getElementById("startBtn").disabled=0===t;const s=getDueQuestions(getFilteredQuestions(e)).length;document.getElementById("reviewDueText").textContent=0===s?"No questions due for review. Questions you answer are scheduled for review here.":`${s} question${1===s?" is":"s are"} due for review.`,document.getElementById("reviewBtn").disabled=0===s}function setAllSelectionOptions(e,t){document.querySelectorAll(`#startScreen input[name="${e}"]`).forEach(e=>{e.checked=t}),updateSelectionSummary()}function describeSelection(e){const t=countQuestionsBy(originalQuestions,e=>e.level),n=countQuestionsBy(originalQuestions,getQuestionTopic);let s,r;s=e.levels.length===t.length?"All levels":`Level${1===e.levels.length?"":"s"} ${e.levels.join(", ")}`,r=e.topics.length===n.length?"all topics":e.topics.length<=2?e.topics.join(", "):`${e.topics.length} topics`;const o={review:"Review · ",mistakes:"Retrying mistakes · "}[e.mode]||"";return`${"exam"===e.feedback?"Exam · ":""}${o}${s} · ${r}`}function buildQuizQuestions(e){const t=createRandom(e.seed);if("mistakes"===e.mode)return shuffleQuestionsAndAnswers(originalQuestions.filter(t=>e.questionIds.includes(t.id)),t);if("review"===e.mode){const n=getDueQuestions(getFilteredQuestions(e));return shuffleQuestionsAndAnswers(0===e.count?n:n.slice(0,e.count),t)}const n=shuffleQuestionsAndAnswers(getFilteredQuestions(e),t);return 0===e.count?n:n.slice(0,e.count)}function startQuiz(){quizSelection=readSelection(),questions=buildQuizQuestions(quizSelection),0!==questions.length&&initializeQuiz()}function startReview(){quizSelection={...readSelection(),mode:"review"},questions=buildQuizQuestions(quizSelection),0!==questions.length&&initializeQuiz()}function changeSelection(){document.getElementById("finalScoreModal").classList.remove("show"),showStartScreen()}function initializeQuiz(){document.getElementById("loadingScreen").style.display="none",document.getElementById("startScreen").style.display="none",document.getElementById("quizContent").style.display="block",quizSelection={...quizSelection,startedAt:(new Date).toISOString()},setQuizState(createQuizState(questions)),dragWordOrders=[],selectedDragWord=null,stopListening(),listeningPlays=[],questionTimes=[],questionShownAt=null,currentQuestionIndex=0,score=0,isExamMode()&&startExam(),updateProgress(),displayQuestion(),updateScore(),updateNextButtonState(),saveSession()}function updateProgress(){const e=questions[currentQuestionIndex];let t="",n=1;if(hasSubQuestions(e)&&e.questions.length>1){const s=e.questions.length,r=Math.min(countAnsweredSubQuestions(e,userAnswers[currentQuestionIndex])+1,s);t=` (part ${r} of ${s})`,n=r/s}const s=(currentQuestionIndex+n)/questions.length*100;document.getElementById("progressBar").style.width=s+"%",document.getElementById("progressText").textContent=`Question ${currentQuestionIndex+1} of ${questions.length}${t} · ${describeSelection(quizSelection)}`}function displayQuestion(){const e=questions[currentQuestionIndex],t=document.getElementById("questionCard");if(updateQuestionTime(),listeningPlayback&&listeningPlayback.questionIndex!==currentQuestionIndex&&stopListening(),t.innerHTML=renderQuestionHtml(e),dragFocusSelector){const e=t.querySelector(dragFocusSelector);e&&e.focus(),dragFocusSelector=null}document.getElementById("prevBtn").disabled=0===currentQuestionIndex,document.getElementById("nextBtn").textContent=currentQuestionIndex===questions.length-1?examState?"Finish Exam":"Finish Quiz":"Next →",updateProgress(),displayExamTimer(),updateNextButtonState()}function renderQuestionHtml(e){let t=`\n        <div class="question-header">\n            ${e.topic?`<span class="question-topic">${escapeHtml(e.topic)}</span>`:""}\n            <span class="question-level">Level ${escapeHtml(e.level)}</span>\n        </div>\n    `;switch(e.type){case"multiple_choice":t+=displayMultipleChoice(e);break;case"fill_in_the_blank":t+=displayFillInTheBlank(e);break;case"dropdown":t+=displayDropdown(e);break;case"reading_passage":t+=displayReadingPassage(e);break;case"listening":t+=displayListening(e);break;case"drag_and_drop":t+=displayDragAndDrop(e);break;case"drag_and_drop_sentence":t+=displayDragAndDropSentence(e);break;case"matching":t+=displayMatching(e);break;case"sentence_order":t+=displaySentenceOrder(e);break;default:t+=`<p class="error">Unsupported question type: ${escapeHtml(e.type)}</p>`}return checkIfAnswered()?t+=displayExplanations(e):isAnswerLocked()?t+='<p class="warning">Time is up for this question. Your answer has been kept.</p>':needsCheckButton(e)&&(t+=displayCheckButton(e)),t}function displayMultipleChoice(e){let t=`<div class="question-text">${formatQuestionText(e.questionText,e)}</div><div class="options">`;const n=checkIfAnswered();return e.options.forEach((s,r)=>{const o=String.fromCharCode(65+r),i=userAnswers[currentQuestionIndex]===s,a=s===e.correctAnswer;let c="";n?a?c="correct":i&&!a&&(c="incorrect"):i&&(c="selected");t+=`\n            <div class="option ${c}" ${n?"":'data-click="selectOption"'} data-value="${escapeHtml(s)}">\n                <span class="option-letter">${o}</span>\n                <span>${escapeHtml(s)}</span>\n            </div>\n        `}),t+="</div>",t}function displayFillInTheBlank(e){let t='<div class="question-text">';const n=userAnswers[currentQuestionIndex],s=getFillInValues(e,n),r=s.length>1,o=checkIfAnswered(),i=o?getFillInResults(e,n):[],a=isAnswerLocked()?"disabled":"",c=s.map((e,t)=>{let n="fill-blank-input";o&&(n+=` ${i[t]}-input`);const s=isInstantFeedback()&&!r?'data-change="setAnswer"':'data-input="updateDraftAnswer" data-keydown="submitOnEnter"',c=r?`Blank ${t+1}`:"Type your answer here";return`<input type="text" class="${n}"\n                     value="${escapeHtml(e)}" data-blank="${r?t:""}"\n                     ${s} placeholder="${c}" ${a}>`}),l=(e.sentenceParts||e.questionText.split("_____")).map(t=>formatQuestionText(t,e));if(t+=l[0]+c.map((e,t)=>e+(l[t+1]||"")).join(""),o){const n=escapeHtml(getCorrectAnswerText(e)),s=r?"Correct answers":"Correct answer";i.includes("incorrect")?t+=`<p style="color: #d32f2f; margin-top: 10px; font-weight: bold;">${s}: ${n}</p>`:i.includes("almost")?t+=`<p style="color: #ef6c00; margin-top: 10px; font-weight: bold;">Almost — check your spelling: ${n}</p>`:t+='<p style="color: #4caf50; margin-top: 10px; font-weight: bold;">Correct!</p>'}return t+="</div>",t}function displayDropdown(e){const t=getDropdownValues(e,userAnswers[currentQuestionIndex]),n=t.length>1,s=checkIfAnswered(),r=s?getDropdownResults(e,userAnswers[currentQuestionIndex]):[],o=isAnswerLocked()?"disabled":"",i=getDropdownOptions(e).map((e,i)=>{let a="selection-select dropdown-gap";return s&&(a+=r[i]?" correct-input":" incorrect-input"),`<select class="${a}" data-change="selectGap" data-gap="${i}"\n                        aria-label="${n?`Gap ${i+1}`:"Answer"}" ${o}>\n                    <option value="">Choose…</option>\n                    ${e.map(e=>`<option value="${escapeHtml(e)}" ${e===t[i]?"selected":""}>${escapeHtml(e)}</option>`).join("")}\n                </select>`}),a=getDropdownSentenceParts(e);let c;if(a){const t=a.map(t=>formatQuestionText(t,e));c=`<div class="question-text dropdown-sentence">${t[0]}${i.map((e,n)=>e+t[n+1]).join("")}</div>`}else c=`<div class="question-text">${formatQuestionText(e.questionText,e)}</div><div class="dropdown-sentence">${i.join(" ")}</div>`;if(s)if(r.every(Boolean))c+='<p style="color: #4caf50; margin-top: 10px; font-weight: bold;">Correct!</p>';else{c+=`<p style="color: #d32f2f; margin-top: 10px; font-weight: bold;">${n?"Correct answers":"Correct answer"}: ${escapeHtml(getCorrectAnswerText(e))}</p>`}return c}function displayReadingPassage(e){let t=e.questionText?`<div class="question-text">${formatQuestionText(e.questionText,e)}</div>`:"";return t+=`<div class="passage">${formatQuestionText(e.passage,e)}</div>`,t+=displaySubQuestions(e),t}function displayListening(e){const t=e.questionText||(isDictation(e)?"Listen and write down what you hear.":"");let n=t?`<div class="question-text">${formatQuestionText(t,e)}</div>`:"";return n+=displayListeningPlayer(e),n+=isDictation(e)?displayDictation(e):displaySubQuestions(e),checkIfAnswered()&&e.transcript&&(n+=`<div class="passage listening-transcript"><div class="explanation-title">Transcript</div>${formatQuestionText(e.transcript,e)}</div>`),n}function displayListeningPlayer(e){const t=listeningPlayback&&listeningPlayback.questionIndex===currentQuestionIndex?listeningPlayback:null,n=!!t&&!t.error,s=getListeningPlaysLeft(e,currentQuestionIndex);let r="";return null!==s&&(r=0===s?"No plays left":`${s} play${1===s?"":"s"} left`),`\n        <div class="listening-player">\n            <button type="button" class="btn listening-play-btn" data-click="toggleListening" ${n||0!==s?"":"disabled"}>${n?"■ Stop":"▶ Play"}</button>\n            <label class="listening-rate">Speed\n                <select class="selection-select" data-change="setListeningRate">\n                    ${LISTENING_RATES.map(e=>`<option value="${e}" ${e===listeningRate?"selected":""}>${e}×</option>`).join("")}\n                </select>\n            </label>\n            <span class="listening-plays">${r}</span>\n            ${t&&t.error?`<p class="warning">${escapeHtml(t.error)}</p>`:""}\n        </div>\n    `}function displayDictation(e){const t=userAnswers[currentQuestionIndex],n=checkIfAnswered(),s=n?getDictationScore(e,t):0;let r="fill-blank-input dictation-input";n&&(r+=1===s?" correct-input":" incorrect-input");let o=`<textarea class="${r}" rows="3" data-input="updateDraftAnswer" data-blank=""\n                     placeholder="Type what you hear" ${isAnswerLocked()?"disabled":""}>${escapeHtml(t||"")}</textarea>`;return n&&(o+=1===s?'<p style="color: #4caf50; margin-top: 10px; font-weight: bold;">Correct!</p>':`<p style="color: #d32f2f; margin-top: 10px; font-weight: bold;">${Math.round(100*s)}% of the words right — compare with the transcript below.</p>`),o}function displaySubQuestions(e){let t="";const n=userAnswers[currentQuestionIndex],s=checkIfAnswered(),r=isAnswerLocked();return e.questions.forEach((o,i)=>{const a=Array.isArray(n)?n[i]:null;t+='<div class="sub-question">',e.questions.length>1&&(t+=`<div class="sub-question-number">Question ${i+1} of ${e.questions.length}</div>`),t+=`<div class="question-text">${formatQuestionText(o.questionText,e)}</div>`,t+="short_answer"===o.type?displayShortAnswer(o,i,a,s,r):displaySubQuestionOptions(o,i,a,s),t+="</div>"}),t}function displaySubQuestionOptions(e,t,n,s){let r='<div class="options">';return getSubQuestionOptions(e).forEach((o,i)=>{const a=String.fromCharCode(65+i),c=n===o,l=o===e.correctAnswer;let u="";s?l?u="correct":c&&!l&&(u="incorrect"):c&&(u="selected");r+=`\n            <div class="option ${u}" ${s?"":`data-click="selectSubAnswer" data-sub="${t}"`} data-value="${escapeHtml(o)}">\n                <span class="option-letter">${a}</span>\n                <span>${escapeHtml(o)}</span>\n            </div>\n        `}),r+="</div>",r}function displayShortAnswer(e,t,n,s,r){const o=s&&isSubQuestionCorrect(e,n);let i="fill-blank-input short-answer-input";s&&(i+=o?" correct-input":" incorrect-input");let a=`<input type="text" class="${i}" value="${escapeHtml(n||"")}"\n                     data-input="setSubAnswer" data-sub="${t}" placeholder="Type your answer here" ${r?"disabled":""}>`;return s&&(a+=o?'<p style="color: #4caf50; margin-top: 10px; font-weight: bold;">Correct!</p>':`<p style="color: #d32f2f; margin-top: 10px; font-weight: bold;">Correct answer: ${escapeHtml(e.correctAnswer)}</p>`),a}function getSubQuestionOptions(e){return"short_answer"===e.type?[]:"true_false_not_given"!==e.type||Array.isArray(e.options)?e.options:TRUE_FALSE_NOT_GIVEN_OPTIONS}function displayDragAndDrop(e){let t=`<div class="question-text">${formatQuestionText(e.questionText,e)}</div>`;t+='<div class="drag-drop-container" data-keydown="dragKeyDown">';const n=userAnswers[currentQuestionIndex],s=checkIfAnswered(),r=[];e.blanks&&e.blanks.forEach(e=>{e.options&&Array.isArray(e.options)&&e.options.forEach(e=>{r.includes(e)||r.push(e)})}),e.correctOrder&&Array.isArray(e.correctOrder)&&e.correctOrder.forEach(e=>{r.includes(e)||r.push(e)}),t+=displayWordBank(r,n,s);let o=e.blanks.map(t=>formatQuestionText(t.sentencePart,e)),i="";const a=e.correctOrder?e.correctOrder.length:0;for(let t=0;t<a;t++){o[t]&&(i+=o[t]);i+=displayDropZone(t,n&&null!==n[t]?n[t]:null,e.correctOrder[t],s)}if(o.length>a)for(let e=a;e<o.length;e++)i+=o[e];return t+=`<div class="sentence-template">${i}</div>`,t+=displayDragHint(e,n,s),t+="</div>",t}function displayDragAndDropSentence(e){let t=`<div class="question-text">${formatQuestionText(e.questionText,e)}</div>`;t+='<div class="drag-drop-container" data-keydown="dragKeyDown">';const n=userAnswers[currentQuestionIndex],s=checkIfAnswered(),r=getCorrectDropWords(e),o=Array.isArray(e.dragWords)?[...e.dragWords]:[];r.forEach(e=>{o.includes(e)||o.push(e)}),t+=displayWordBank(o,n,s);const i=e.sentenceTemplate.split("[DROP_ZONE]");let a="";return i.forEach((t,o)=>{if(a+=formatQuestionText(t,e),o===i.length-1)return;const c=n&&null!==n[o]?n[o]:null;a+=displayDropZone(o,c,r[o],s)}),t+=`<div class="sentence-template">${a}</div>`,t+=displayDragHint(e,n,s),t+="</div>",t}function displayWordBank(e,t,n){const s=t?t.filter(e=>null!==e):[];let r='<p id="wordBankLabel">Available words:</p>';return r+='<div class="word-bank" role="group" aria-labelledby="wordBankLabel">',getDragWordOrder(e).forEach(e=>{const t=s.includes(e),o=!n&&e===selectedDragWord,i=n||t;let a="drag-item";t&&(a+=" used-item"),o&&(a+=" selected-item"),r+=`<button type="button" class="${a}" data-word="${escapeHtml(e)}"\n                     draggable="${i?"false":"true"}" data-dragstart="drag"\n                     data-click="selectDragWord" aria-pressed="${o}" ${i?"disabled":""}>${escapeHtml(e)}</button>`}),r+="</div>",r}function displayDropZone(e,t,n,s){const r=s&&t===n,o=s&&t!==n&&null!==t;let i="drop-zone";null!==t&&(i+=" filled"),s?r?i+=" correct":o&&(i+=" incorrect"):null!==selectedDragWord&&(i+=" awaiting-word");let a=`<button type="button" class="${i}" ${s?"disabled":'data-drop="drop" data-dragover="allowDrop" data-dragleave="dragLeave" data-click="tapDropZone"'} data-blank="${e}" aria-label="${escapeHtml(`Blank ${e+1}: ${t||"empty"}`)}">${escapeHtml(t||"Drop here")}</button>`;return o?a+=`<span style="color: #d32f2f; font-weight: bold; margin-left: 5px;">(Correct: ${escapeHtml(n)})</span>`:r&&(a+='<span style="color: #4caf50; font-weight: bold; margin-left: 5px;">(Correct!)</span>'),a}function displayDragHint(e,t,n){return n||isDropAnswerComplete(e,t)?"":'<p class="drag-hint">Drag a word into a blank, or tap a word and then a blank. Tap a filled blank to take its word back. With the keyboard: arrow keys to move, Enter to pick or place, Delete to remove.</p>'}function getDragWordOrder(e){const t=questions[currentQuestionIndex];if(t&&!1===t.shuffleOptions)return e;const n=dragWordOrders[currentQuestionIndex];if(!n||n.length!==e.length||!e.every(e=>n.includes(e))){const t=quizSelection&&quizSelection.seed?createRandom(`${quizSelection.seed}:${currentQuestionIndex}`):Math.random;dragWordOrders[currentQuestionIndex]=shuffleArray(e,t)}return dragWordOrders[currentQuestionIndex]}function displayMatching(e){let t=`<div class="question-text">${formatQuestionText(e.questionText,e)}</div>`;const n=userAnswers[currentQuestionIndex],s=checkIfAnswered(),r=isAnswerLocked()?"disabled":"",o=getMatchingOptions(e);return t+='<div class="matching">',e.pairs.forEach((i,a)=>{const c=Array.isArray(n)?n[a]:null;let l="matching-row";s&&(l+=c===i.right?" correct":" incorrect"),t+=`\n            <div class="${l}">\n                <span class="matching-left">${formatQuestionText(i.left,e)}</span>\n                <select class="selection-select matching-select" data-change="selectMatch" data-pair="${a}"\n                        aria-label="Match for ${escapeHtml(i.left)}" ${r}>\n                    <option value="">Choose…</option>\n                    ${o.map(e=>`<option value="${escapeHtml(e)}" ${e===c?"selected":""}>${escapeHtml(e)}</option>`).join("")}\n                </select>\n                ${s&&c!==i.right?`<span class="matching-correction">→ ${escapeHtml(i.right)}</span>`:""}\n            </div>\n        `}),t+="</div>",t}function displaySentenceOrder(e){let t=`<div class="question-text">${formatQuestionText(getQuestionSummary(e),e)}</div>`;const n=Array.isArray(userAnswers[currentQuestionIndex])?userAnswers[currentQuestionIndex]:[],s=checkIfAnswered(),r=isAnswerLocked();let o="sentence-line";s&&(o+=isSentenceOrderCorrect(e,n)?" correct":" incorrect");const i=n.map((e,t)=>`<button type="button" class="drag-item" data-click="removeSentenceToken" data-position="${t}"\n                 ${r?"disabled":""}>${escapeHtml(e)}</button>`).join("");t+=`<div class="${o}" aria-label="Your sentence">${i||'<span class="sentence-line-hint">Tap the words in order</span>'}</div>`;const a=[...n];return t+='<div class="word-bank sentence-bank" role="group" aria-label="Words to put in order">',getSentenceTokens(e).forEach((e,n)=>{const s=a.indexOf(e);-1!==s&&a.splice(s,1);const o=-1!==s;t+=`<button type="button" class="drag-item ${o?"used-item":""}" data-click="placeSentenceToken"\n                     data-token="${n}" ${o||r?"disabled":""}>${escapeHtml(e)}</button>`}),t+="</div>",s&&!isSentenceOrderCorrect(e,n)&&(t+=`<p style="color: #d32f2f; margin-top: 10px; font-weight: bold;">Correct order: ${escapeHtml(getCorrectAnswerText(e))}</p>`),t}function getExplanations(e){const t=[];return e.explanation&&t.push({label:"",text:e.explanation}),hasSubQuestions(e)&&e.questions.forEach((n,s)=>{if(n.explanation){const r=e.questions.length>1?`Question ${s+1}`:"";t.push({label:r,text:n.explanation})}}),"drag_and_drop"===e.type&&Array.isArray(e.blanks)&&e.blanks.forEach((e,n)=>{e.explanation&&t.push({label:`Blank ${n+1}`,text:e.explanation})}),"matching"===e.type&&Array.isArray(e.pairs)&&e.pairs.forEach(n=>{n.explanation&&t.push({label:formatQuestionText(n.left,e),text:n.explanation})}),t}function displayExplanations(e){const t=getExplanations(e);if(0===t.length)return"";let n='<div class="explanation"><div class="explanation-title">Explanation</div>';return t.forEach(t=>{const s=t.label?`<strong>${t.label}:</strong> `:"";n+=`<p>${s}${formatQuestionText(t.text,e)}</p>`}),n+="</div>",n}function selectOption(e){isAnswerLocked()||(setQuizState(answerQuestion(getQuizState(),currentQuestionIndex,e)),isInstantFeedback()?submitAnswer():(displayQuestion(),updateScore(),updateNextButtonState(),saveSession()))}function selectGap(e,t){if(isAnswerLocked())return;const n=questions[currentQuestionIndex],s=""===t?null:t;let r=s;if(Array.isArray(n.correctAnswer)){const t=getDropdownValues(n,userAnswers[currentQuestionIndex]);t[e]=s,r=t.some(e=>null!==e)?t:null}if(setQuizState(answerQuestion(getQuizState(),currentQuestionIndex,r)),isInstantFeedback()&&!needsCheckButton(n)&&null!==r)return void submitAnswer();const o=document.querySelector("#questionCard .check-btn");o&&(o.disabled=!hasAnswerToSubmit(n,r)),updateScore(),updateNextButtonState(),saveSession()}function selectSubAnswer(e,t){if(isAnswerLocked())return;const n=getSubAnswers();n[e]=t,setQuizState(answerQuestion(getQuizState(),currentQuestionIndex,n)),displayQuestion(),updateScore(),updateNextButtonState(),saveSession()}function setSubAnswer(e,t){if(isAnswerLocked())return;const n=getSubAnswers();n[e]=t.trim().length>0?t:null,setQuizState(answerQuestion(getQuizState(),currentQuestionIndex,n));const s=document.querySelector("#questionCard .check-btn");s&&(s.disabled=!hasAnswerToSubmit(questions[currentQuestionIndex],userAnswers[currentQuestionIndex])),updateProgress(),updateScore(),saveSession()}function getSubAnswers(){const e=questions[currentQuestionIndex];return Array.isArray(userAnswers[currentQuestionIndex])?[...userAnswers[currentQuestionIndex]]:new Array(e.questions.length).fill(null)}function selectMatch(e,t){if(isAnswerLocked())return;const n=questions[currentQuestionIndex],s=Array.isArray(userAnswers[currentQuestionIndex])?[...userAnswers[currentQuestionIndex]]:new Array(n.pairs.length).fill(null);s[e]=""===t?null:t,setQuizState(answerQuestion(getQuizState(),currentQuestionIndex,s));const r=document.querySelector("#questionCard .check-btn");r&&(r.disabled=!hasAnswerToSubmit(n,s)),updateScore(),updateNextButtonState(),saveSession()}function placeSentenceToken(e){if(isAnswerLocked())return;const t=questions[currentQuestionIndex],n=Array.isArray(userAnswers[currentQuestionIndex])?userAnswers[currentQuestionIndex]:[];n.length>=t.tokens.length||(setSentenceAnswer([...n,getSentenceTokens(t)[e]]),dragFocusSelector=".sentence-bank .drag-item:not(:disabled)")}function removeSentenceToken(e){if(isAnswerLocked())return;const t=userAnswers[currentQuestionIndex];Array.isArray(t)&&(setSentenceAnswer(t.filter((t,n)=>n!==e)),dragFocusSelector=".sentence-bank .drag-item:not(:disabled)")}function setSentenceAnswer(e){setQuizState(answerQuestion(getQuizState(),currentQuestionIndex,e.length>0?e:null)),displayQuestion(),updateScore(),updateNextButtonState(),saveSession()}function setAnswer(e){isAnswerLocked()||(setQuizState(answerQuestion(getQuizState(),currentQuestionIndex,e.trim())),submitAnswer())}function updateDraftAnswer(e,t){if(isAnswerLocked())return;const n=questions[currentQuestionIndex];let s=e;void 0!==t&&(s=getFillInValues(n,userAnswers[currentQuestionIndex]),s[t]=e),setQuizState(answerQuestion(getQuizState(),currentQuestionIndex,s));const r=document.querySelector("#questionCard .check-btn");r&&(r.disabled=!hasAnswerToSubmit(n,s)),updateScore(),saveSession()}function submitOnEnter(e){"Enter"===e.key&&(e.preventDefault(),submitAnswer())}function isInstantFeedback(){return!quizSelection||!quizSelection.feedback||"instant"===quizSelection.feedback}function needsCheckButton(e){return!isExamMode()&&(!isInstantFeedback()||"drag_and_drop"===e.type||"drag_and_drop_sentence"===e.type||"reading_passage"===e.type||"listening"===e.type||"matching"===e.type||"sentence_order"===e.type||"fill_in_the_blank"===e.type&&getBlankCount(e)>1||"dropdown"===e.type&&getDropdownOptions(e).length>1)}function displayCheckButton(e){return`<div class="check-actions"><button type="button" class="btn check-btn" data-click="submitAnswer" ${hasAnswerToSubmit(e,userAnswers[currentQuestionIndex])?"":"disabled"}>Check answer</button></div>`}function submitAnswer(){const e=getQuizState(),t=submitQuestion(e,currentQuestionIndex);isExamMode()||t===e||(setQuizState(t),selectedDragWord=null,displayQuestion(),updateScore(),updateNextButtonState(),recordAnswerHistory(currentQuestionIndex),saveSession())}function updateScore(){const e=getQuizScore(getQuizState());score=e.score,document.getElementById("scoreDisplay").textContent=examState?`Answered: ${e.answeredCount}/${questions.length}`:`Score: ${formatScore(score)}/${questions.length}`}function getQuizState(){return{questions,userAnswers,submittedAnswers}}function setQuizState(e){userAnswers=e.userAnswers,submittedAnswers=e.submittedAnswers}function getCheckedAnswer(e){return checkIfAnswered(e)?userAnswers[e]:null}function getQuestionScore(e){return getAnswerScore(questions[e],getCheckedAnswer(e))}function isCorrect(e){return isAnswerCorrect(questions[e],getCheckedAnswer(e))}function checkIfAnswered(e=currentQuestionIndex){return isQuestionChecked(getQuizState(),e)}function formatScore(e){return String(Math.round(100*e)/100)}function updateNextButtonState(){document.getElementById("nextBtn").disabled=!examState&&!checkIfAnswered()&&currentQuestionIndex<questions.length-1}function nextQuestion(){if(!examState&&!checkIfAnswered()&&currentQuestionIndex<questions.length-1){const e=hasAnswerToSubmit(questions[currentQuestionIndex],userAnswers[currentQuestionIndex]);return void alert(e?"Please check your answer before proceeding.":"Please answer the current question before proceeding.")}if(currentQuestionIndex<questions.length-1)currentQuestionIndex++,selectedDragWord=null,displayQuestion(),saveSession();else if(examState){const e=questions.filter((e,t)=>!hasAnswerToSubmit(e,userAnswers[t])).length;if(e>0&&!confirm(`${e} question${1===e?" is":"s are"} not answered yet. Finish the exam anyway?`))return;finishExam()}else showFinalScore()}function previousQuestion(){currentQuestionIndex>0&&(currentQuestionIndex--,selectedDragWord=null,displayQuestion(),saveSession())}function showFinalScore(){updateScore(),clearSavedSession(),stopListening(),updateQuestionTime(),questionShownAt=null,recordLearnerResult(),finishedResults=getSessionResults(),reportResults(finishedResults);const e=document.getElementById("finalScoreModal"),t=document.getElementById("finalScore"),n=document.getElementById("scoreMessage");t.textContent=`${formatScore(score)}/${questions.length}`,document.getElementById("scoreSelection").textContent=describeSelection(quizSelection),displayScoreSeed(quizSelection.seed);const s=Math.round(score/questions.length*100);let r="";r=s>=90?"Excellent work! You are doing great!":s>=70?"Good job! Keep practicing to improve.":s>=50?"Not bad! There is room for improvement.":"Keep studying! Practice makes perfect.",n.textContent=`${s}% - ${r}`,displayResultsBreakdown(),displayResultsReview();const o=getMissedQuestions().length,i=document.getElementById("retryMistakesBtn");i.style.display=o>0?"":"none",i.textContent=`Retry the ${o} I got wrong`,document.getElementById("progressBtn").style.display=activeProfileId?"":"none",e.classList.add("show")}function displayScoreSeed(e){const t=document.getElementById("scoreSeed");t.innerHTML=e?`Quiz code: <strong>${escapeHtml(e)}</strong> · <a href="${escapeHtml(getShareUrl(e))}">Link to this quiz</a> <span class="score-seed-hint">(same levels, topics and number of questions give the same questions in the same order)</span>`:""}function getQuestionSummary(e){switch(e.type){case"drag_and_drop":return e.blanks.map(e=>e.sentencePart).join("___");case"drag_and_drop_sentence":return e.sentenceTemplate.replace(/\[DROP_ZONE\]/g,"___");case"dropdown":return e.questionText.replace(/\[dropdown\]/g,"___");case"reading_passage":return e.questionText||`Reading passage (${e.questions.length} question${1===e.questions.length?"":"s"})`;case"sentence_order":return e.questionText||"Put the words in the right order.";case"listening":return e.questionText?e.questionText:isDictation(e)?"Dictation":`Listening (${e.questions.length} question${1===e.questions.length?"":"s"})`;default:return e.questionText}}function getCorrectAnswerText(e){switch(e.type){case"drag_and_drop":case"drag_and_drop_sentence":return getCorrectDropWords(e).join(" / ");case"reading_passage":return e.questions.map(e=>e.correctAnswer).join(" / ");case"listening":return isDictation(e)?e.transcript:e.questions.map(e=>e.correctAnswer).join(" / ");case"matching":return e.pairs.map(e=>`${e.left} → ${e.right}`).join(" / ");case"sentence_order":return e.tokens.join(" ");case"fill_in_the_blank":return getAcceptedAnswers(e).map(e=>e[0]).join(" / ");case"dropdown":return Array.isArray(e.correctAnswer)?e.correctAnswer.join(" / "):e.correctAnswer;default:return e.correctAnswer}}function formatUserAnswer(e,t){return null==e||""===e?"(no answer)":t&&"matching"===t.type&&Array.isArray(e)?t.pairs.map((t,n)=>`${t.left} → ${null===e[n]||void 0===e[n]?"___":e[n]}`).join(" / "):t&&"sentence_order"===t.type&&Array.isArray(e)?e.join(" "):Array.isArray(e)?e.map(e=>null===e?"___":e).join(" / "):e}function getMissedQuestions(){return questions.filter((e,t)=>!isCorrect(t))}function displayAccuracyTable(e,t){let n=`<div class="breakdown-group"><h3 class="review-title">${e}</h3>`;return t.forEach(e=>{const t=Math.round(e.correct/e.total*100);n+=`\n            <div class="breakdown-row">\n                <span class="breakdown-label">${escapeHtml(e.key)}</span>\n                <span class="breakdown-bar"><span class="breakdown-fill" style="width: ${t}%"></span></span>\n                <span class="breakdown-value">${formatScore(e.correct)}/${e.total}</span>\n            </div>\n        `}),n+="</div>",n}function displayResultsBreakdown(){document.getElementById("resultsBreakdown").innerHTML=displayAccuracyTable("By topic",getAccuracyBy(getQuizState(),getQuestionTopic))+displayAccuracyTable("By level",getAccuracyBy(getQuizState(),e=>`Level ${e.level}`))+displayAccuracyTable("By question type",getAccuracyBy(getQuizState(),e=>QUESTION_TYPE_LABELS[e.type]||e.type))}function displayResultsReview(){const e=document.getElementById("reviewList");let t='<h3 class="review-title">Your answers</h3>';questions.forEach((e,n)=>{const s=isCorrect(n),r=getCheckedAnswer(n);t+=`<div class="review-item ${s?"correct":"incorrect"}">`,t+=`<div class="review-question"><span class="review-mark">${s?"✓":"✗"}</span> ${n+1}. ${formatQuestionText(getQuestionSummary(e),e)}</div>`,hasSubQuestions(e)?t+=displaySubQuestionReview(e,r):(t+=`<p class="review-answer">Your answer: <strong>${escapeHtml(formatUserAnswer(r,e))}</strong></p>`,s?"fill_in_the_blank"===e.type&&getFillInResults(e,r).includes("almost")&&(t+=`<p class="review-answer">Almost — check your spelling: <strong>${escapeHtml(getCorrectAnswerText(e))}</strong></p>`):t+=`<p class="review-answer">Correct answer: <strong>${escapeHtml(getCorrectAnswerText(e))}</strong></p>`),getExplanations(e).forEach(n=>{const s=n.label?`<strong>${n.label}:</strong> `:"";t+=`<p class="review-explanation">${s}${formatQuestionText(n.text,e)}</p>`}),t+="</div>"}),e.innerHTML=t}function displaySubQuestionReview(e,t){return e.questions.map((n,s)=>{const r=Array.isArray(t)?t[s]:null,o=isSubQuestionCorrect(n,r),i=o?"":` · Correct answer: <strong>${escapeHtml(n.correctAnswer)}</strong>`;return`<p class="review-answer">${o?"✓":"✗"} ${formatQuestionText(n.questionText,e)} Your answer: <strong>${escapeHtml(formatUserAnswer(r))}</strong>${i}</p>`}).join("")}function retryMistakes(){const e=getMissedQuestions().map(e=>e.id);0!==e.length&&(quizSelection={...quizSelection,mode:"mistakes",questionIds:e,count:0,seed:getSessionSeed()},document.getElementById("finalScoreModal").classList.remove("show"),questions=buildQuizQuestions(quizSelection),initializeQuiz())}function restartQuiz(){document.getElementById("finalScoreModal").classList.remove("show"),quizSelection={...quizSelection,seed:getSessionSeed(),startedAt:(new Date).toISOString()},questions=buildQuizQuestions(quizSelection),0!==questions.length?(currentQuestionIndex=0,setQuizState(createQuizState(questions)),dragWordOrders=[],selectedDragWord=null,listeningPlays=[],questionTimes=[],questionShownAt=null,score=0,isExamMode()&&startExam(),displayQuestion(),updateScore(),updateNextButtonState(),saveSession()):showStartScreen()}function getSessionStorageKey(){return getProfileStorageKey("englishQuiz.session."+[...selectedBankIds].sort().join("+"))}function saveSession(){updateQuestionTime();const e={questions,userAnswers,submittedAnswers,listeningPlays,questionTimes,currentQuestionIndex,quizSelection,examState,savedAt:(new Date).toISOString()};sessionSavedAt=Date.now();try{localStorage.setItem(getSessionStorageKey(),JSON.stringify(e))}catch(e){console.warn(`Could not save quiz progress: ${e.message}`)}}function loadSavedSession(){let e;try{e=JSON.parse(localStorage.getItem(getSessionStorageKey()))}catch(e){return console.warn(`Could not read saved quiz progress: ${e.message}`),null}return e&&Array.isArray(e.questions)&&0!==e.questions.length&&Array.isArray(e.userAnswers)&&e.userAnswers.length===e.questions.length?e:null}function clearSavedSession(){try{localStorage.removeItem(getSessionStorageKey())}catch(e){console.warn(`Could not clear saved quiz progress: ${e.message}`)}}function showResumePromptOrStartScreen(){const e=loadSavedSession();if(!e)return document.getElementById("resumePrompt").style.display="none",void showStartScreen();const t=e.userAnswers.filter(e=>null!==e).length,n=new Date(e.savedAt),s=isNaN(n)?"":` on ${n.toLocaleString()}`,r=getActiveProfile();document.getElementById("resumeTitle").textContent=r?`Welcome back, ${r.name}!`:"Welcome back!",document.getElementById("resumeDetails").textContent=`You were on question ${e.currentQuestionIndex+1} of ${e.questions.length} with ${t} answered (saved${s}).`,document.getElementById("loadingScreen").style.display="none",document.getElementById("startScreen").style.display="none",document.getElementById("quizContent").style.display="none",document.getElementById("resumePrompt").style.display="block",document.getElementById("progressText").textContent="Unfinished quiz found"}function resumeSession(){const e=loadSavedSession();document.getElementById("resumePrompt").style.display="none",e?(questions=e.questions,userAnswers=e.userAnswers.map((e,t)=>"reading_passage"===questions[t].type&&"string"==typeof e?[e]:e),submittedAnswers=e.submittedAnswers||e.userAnswers.map(e=>null!==e),dragWordOrders=[],selectedDragWord=null,listeningPlays=e.listeningPlays||[],questionTimes=e.questionTimes||[],questionShownAt=null,quizSelection=e.quizSelection,currentQuestionIndex=Math.min(Math.max(e.currentQuestionIndex||0,0),questions.length-1),document.getElementById("startScreen").style.display="none",document.getElementById("quizContent").style.display="block",isExamMode()&&startExam(e.examState),displayQuestion(),updateScore(),updateNextButtonState()):showStartScreen()}function startOver(){clearSavedSession(),document.getElementById("resumePrompt").style.display="none",showStartScreen()}function loadAnswerHistory(){try{return JSON.parse(localStorage.getItem(getProfileStorageKey(HISTORY_STORAGE_KEY)))||{}}catch(e){return console.warn(`Could not read answer history: ${e.message}`),{}}}function recordAnswerHistory(e){const t=questions[e];if(!t.id)return;const n=loadAnswerHistory(),s=n[t.id]||{attempts:0,correct:0,incorrect:0,box:1},r=isCorrect(e),o=Date.now();s.attempts++,r?(s.correct++,s.box=Math.min(s.box+1,MAX_REVIEW_BOX)):(s.incorrect++,s.box=1),s.lastSeen=new Date(o).toISOString(),s.due=new Date(o+REVIEW_INTERVAL_DAYS[s.box]*DAY_MS).toISOString(),n[t.id]=s;try{localStorage.setItem(getProfileStorageKey(HISTORY_STORAGE_KEY),JSON.stringify(n))}catch(e){console.warn(`Could not save answer history: ${e.message}`)}}function getDueQuestions(e){const t=loadAnswerHistory(),n=Date.now();return e.filter(e=>{const s=t[e.id];return s&&Date.parse(s.due)<=n}).sort((e,n)=>{const s=t[e.id],r=t[n.id];return s.box-r.box||Date.parse(s.due)-Date.parse(r.due)})}function loadProfiles(){let e;try{e=JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY))}catch(e){console.warn(`Could not read learner profiles: ${e.message}`)}const t=e&&Array.isArray(e.profiles)?e.profiles:[],n=t.some(t=>t.id===(e&&e.activeProfileId));return{profiles:t,activeProfileId:n?e.activeProfileId:null}}function saveProfiles(e){try{localStorage.setItem(PROFILES_STORAGE_KEY,JSON.stringify({profiles:e,activeProfileId}))}catch(e){console.warn(`Could not save learner profiles: ${e.message}`)}}function getActiveProfile(){return loadProfiles().profiles.find(e=>e.id===activeProfileId)||null}function getProfileStorageKey(e){return activeProfileId?`${e}@${activeProfileId}`:e}function displayLearnerBar(){const{profiles:e}=loadProfiles(),t=e.find(e=>e.id===activeProfileId);let n=`\n        <div class="learner-bar">\n            <span class="learner-avatar" aria-hidden="true">${t?escapeHtml(t.avatar):"👤"}</span>\n            <label class="learner-label">\n                <span class="selection-title">Learner</span>\n                <select id="learnerSelect" class="selection-select" data-change="switchProfile">\n                    <option value="">Guest (results are not kept)</option>\n                    ${e.map(e=>`<option value="${escapeHtml(e.id)}" ${e===t?"selected":""}>${escapeHtml(e.name)}</option>`).join("")}\n                </select>\n            </label>\n            <button class="link-btn" data-click="showNewProfileForm">New learner</button>\n            <button class="btn btn-secondary" data-click="showProgress" ${t?"":"disabled"}>Progress</button>\n        </div>\n    `;isCreatingProfile&&(n+=`\n            <div class="learner-form">\n                <input type="text" id="newProfileName" class="learner-name-input" placeholder="Name" maxlength="30"\n                       aria-label="Name of the new learner" data-keydown="createProfileOnEnter">\n                <div class="learner-avatars" role="radiogroup" aria-label="Avatar">\n                    ${PROFILE_AVATARS.map((t,n)=>`\n                        <label class="learner-avatar-choice">\n                            <input type="radio" name="avatar" value="${t}" ${n===e.length%PROFILE_AVATARS.length?"checked":""}>\n                            <span>${t}</span>\n                        </label>\n                    `).join("")}\n                </div>\n                <div class="learner-form-actions">\n                    <button class="btn" data-click="createProfile">Add learner</button>\n                    <button class="link-btn" data-click="cancelNewProfile">Cancel</button>\n                </div>\n            </div>\n        `),document.getElementById("learnerBar").innerHTML=n,isCreatingProfile&&document.getElementById("newProfileName").focus()}function showNewProfileForm(){isCreatingProfile=!0,displayLearnerBar()}function cancelNewProfile(){isCreatingProfile=!1,displayLearnerBar()}function createProfile(){const e=document.getElementById("newProfileName").value.trim();if(""===e)return void document.getElementById("newProfileName").focus();const t=document.querySelector('#learnerBar input[name="avatar"]:checked'),{profiles:n}=loadProfiles(),s={id:"p"+Date.now().toString(36)+Math.random().toString(36).slice(2,6),name:e,avatar:t?t.value:PROFILE_AVATARS[0],createdAt:(new Date).toISOString()};isCreatingProfile=!1,activeProfileId=s.id,saveProfiles([...n,s]),showResumePromptOrStartScreen()}function createProfileOnEnter(e){"Enter"===e.key&&(e.preventDefault(),createProfile())}function switchProfile(e){const{profiles:t}=loadProfiles();activeProfileId=t.some(t=>t.id===e)?e:null,isCreatingProfile=!1,saveProfiles(t),showResumePromptOrStartScreen()}function switchLearner(){document.getElementById("resumePrompt").style.display="none",showStartScreen()}function deleteProfile(){const e=getActiveProfile();if(!e||!confirm(`Remove ${e.name} and all their results from this device?`))return;try{const t=`@${e.id}`;Object.keys(localStorage).filter(e=>e.endsWith(t)).forEach(e=>localStorage.removeItem(e))}catch(e){console.warn(`Could not remove the learner's data: ${e.message}`)}const{profiles:t}=loadProfiles();activeProfileId=null,saveProfiles(t.filter(t=>t.id!==e.id)),closeProgress()}function loadLearnerResults(){if(!activeProfileId)return[];try{const e=JSON.parse(localStorage.getItem(getProfileStorageKey(RESULTS_STORAGE_KEY)));return Array.isArray(e)?e:[]}catch(e){return console.warn(`Could not read the learner's results: ${e.message}`),[]}}function recordLearnerResult(){if(!activeProfileId)return;const e=loadLearnerResults();if(!quizSelection.startedAt||!e.some(e=>e.startedAt===quizSelection.startedAt)){e.push({...summarizeQuiz(getQuizState(),getQuestionTopic),banks:selectedBankIds,selection:describeSelection(quizSelection),startedAt:quizSelection.startedAt,finishedAt:(new Date).toISOString()});try{localStorage.setItem(getProfileStorageKey(RESULTS_STORAGE_KEY),JSON.stringify(e.slice(-200)))}catch(e){console.warn(`Could not save the learner's results: ${e.message}`)}}}function showProgress(){const e=getActiveProfile();if(!e)return;const t=getProgressSummary(loadLearnerResults());let n=`<h2 class="selection-title progress-title"><span class="learner-avatar" aria-hidden="true">${escapeHtml(e.avatar)}</span> ${escapeHtml(e.name)}'s progress</h2>`;0===t.quizCount?n+='<p class="resume-details">No quizzes finished yet. Results appear here once a quiz is finished.</p>':(n+=`\n            <div class="progress-stats">\n                <div class="progress-stat"><span class="progress-stat-value">${t.quizCount}</span> quiz${1===t.quizCount?"":"zes"}</div>\n                <div class="progress-stat"><span class="progress-stat-value">${t.questionCount}</span> questions practised</div>\n                <div class="progress-stat"><span class="progress-stat-value">${t.percentage}%</span> average score</div>\n            </div>\n        `,n+=displayProgressTrend(t.trend.slice(-20)),n+=displayAccuracyTable("Weakest topics",t.byTopic.slice(0,5)),n+=displayAccuracyTable("Levels, weakest first",t.byLevel.map(e=>({...e,key:`Level ${e.key}`})))),document.getElementById("progressDashboard").innerHTML=n,document.getElementById("finalScoreModal").classList.remove("show"),document.getElementById("startScreen").style.display="none",document.getElementById("progressScreen").style.display="block",document.getElementById("progressText").textContent="Your progress"}function displayProgressTrend(e){const t=e.map(e=>{const t=new Date(e.finishedAt),n=`${isNaN(t)?"":t.toLocaleDateString()}: ${e.percentage}%`;return`<span class="progress-trend-bar" style="height: ${Math.max(e.percentage,2)}%" title="${escapeHtml(n)}"></span>`}).join("");return`\n        <div class="breakdown-group">\n            <h3 class="review-title">Score of the last ${e.length} quiz${1===e.length?"":"zes"}</h3>\n            <div class="progress-trend" role="img" aria-label="${escapeHtml(e.map(e=>`${e.percentage}%`).join(", "))}">${t}</div>\n        </div>\n    `}function closeProgress(){document.getElementById("progressScreen").style.display="none",showResumePromptOrStartScreen()}function updateQuestionTime(){const e=Date.now();if(questionShownAt&&questionShownAt.questionIndex<questions.length){const t=questionShownAt.questionIndex;questionTimes[t]=(questionTimes[t]||0)+e-questionShownAt.time}questionShownAt={questionIndex:currentQuestionIndex,time:e}}function getSessionResults(){const e=getActiveProfile(),t=e=>Math.round((e||0)/100)/10,n=questions.map((e,n)=>({number:n+1,id:e.id,type:e.type,level:e.level||null,topic:getQuestionTopic(e),question:getQuestionSummary(e),answer:null===getCheckedAnswer(n)?"":formatUserAnswer(getCheckedAnswer(n),e),correctAnswer:getCorrectAnswerText(e),correct:isCorrect(n),score:Math.round(100*getQuestionScore(n))/100,seconds:t(questionTimes[n])}));return{learner:e?e.name:null,banks:selectedBankIds,selection:describeSelection(quizSelection),seed:quizSelection.seed||null,startedAt:quizSelection.startedAt||null,finishedAt:(new Date).toISOString(),score:Math.round(100*score)/100,total:questions.length,percentage:Math.round(score/questions.length*100),seconds:t(questionTimes.reduce((e,t)=>e+(t||0),0)),questions:n}}function exportResults(e){if(!finishedResults)return;const t=`quiz-results${finishedResults.learner?`-${finishedResults.learner.replace(/[\\/:*?"<>|\s]+/g,"-")}`:""}-${finishedResults.finishedAt.slice(0,16).replace(/[T:]/g,"-")}`;"csv"===e?downloadFile(formatCsv(getResultRecords(finishedResults)),`${t}.csv`,"text/csv"):downloadFile(JSON.stringify(finishedResults,null,2)+"\n",`${t}.json`,"application/json")}function downloadFile(e,t,n){const s=URL.createObjectURL(new Blob([e],{type:n})),r=document.createElement("a");r.href=s,r.download=t,document.body.appendChild(r),r.click(),r.remove(),URL.revokeObjectURL(s)}function getReportingEndpoint(){const e=(new URLSearchParams(window.location.search).get("report")||"").trim()||bankReporting&&bankReporting.endpoint;if("string"!=typeof e||""===e)return null;const t=resolveReportingUrl(e);return t||console.warn(`Results can't be reported to "${e}": it isn't an http(s) URL.`),t}function resolveReportingUrl(e){try{const t=new URL(e,window.location.href);return/^https?:$/.test(t.protocol)?t.toString():null}catch(e){return null}}function getReportingAuthorization(e){if(bankReporting&&"string"==typeof bankReporting.endpoint&&resolveReportingUrl(bankReporting.endpoint)===e)return bankReporting.authorization}function reportResults(e){const t=getReportingEndpoint();if(!t||e.startedAt&&e.startedAt===reportedStartedAt)return void displayReportStatus(null);reportedStartedAt=e.startedAt;const n=getActiveProfile(),s={objectType:"Agent",name:n?n.name:"Guest",account:{homePage:window.location.href.split(/[?#]/)[0],name:n?n.id:"guest"}},r={id:createUuid(),endpoint:t,startedAt:e.startedAt,statements:createXapiStatements(e,{actor:s,activityBase:new URL(".",window.location.href).toString().replace(/\/$/,""),createId:createUuid})};saveReportQueue([...loadReportQueue(),r]),displayReportStatus("sending"),sendQueuedReports()}function createUuid(){const e=crypto.getRandomValues(new Uint8Array(16));e[6]=15&e[6]|64,e[8]=63&e[8]|128;const t=[...e].map(e=>e.toString(16).padStart(2,"0")).join("");return`${t.slice(0,8)}-${t.slice(8,12)}-${t.slice(12,16)}-${t.slice(16,20)}-${t.slice(20)}`}function loadReportQueue(){try{const e=JSON.parse(localStorage.getItem(REPORT_QUEUE_STORAGE_KEY));return Array.isArray(e)?e:[]}catch(e){return console.warn(`Could not read the results waiting to be sent: ${e.message}`),[]}}function saveReportQueue(e){try{localStorage.setItem(REPORT_QUEUE_STORAGE_KEY,JSON.stringify(e.slice(-50)))}catch(e){console.warn(`Could not save the results waiting to be sent: ${e.message}`)}}async function sendQueuedReports(){if(!isSendingReports){isSendingReports=!0,clearTimeout(reportRetryTimer);try{const e=new Set;let t=!1,n=loadReportQueue();for(;!t&&n.length>0;){for(const s of n){const n=await sendReport(s);if("failed"===n){reportRetryTimer=setTimeout(sendQueuedReports,6e4),t=!0;break}e.add(s.id),saveReportQueue(loadReportQueue().filter(e=>e.id!==s.id)),finishedResults&&s.startedAt===finishedResults.startedAt&&displayReportStatus(n)}n=loadReportQueue().filter(t=>!e.has(t.id))}finishedResults&&loadReportQueue().some(e=>e.startedAt===finishedResults.startedAt)&&displayReportStatus("failed")}finally{isSendingReports=!1}}}async function sendReport(e){const t={"Content-Type":"application/json","X-Experience-API-Version":"1.0.3"},n=getReportingAuthorization(e.endpoint);let s;n&&(t.Authorization=n);try{s=await fetch(e.endpoint,{method:"POST",headers:t,body:JSON.stringify(e.statements)})}catch(t){return console.warn(`Could not send the results to ${e.endpoint}: ${t.message}`),"failed"}if(s.ok||409===s.status)return"sent";console.warn(`Could not send the results to ${e.endpoint}: ${s.status} ${s.statusText}`);return[401,403,408,429].includes(s.status)||s.status>=500?"failed":"rejected"}function displayReportStatus(e){const t=document.getElementById("reportStatus");t.textContent={sending:"Sending your results…",sent:"Your results have been sent.",failed:"Your results could not be sent yet. They are kept on this device and sent once you are back online.",rejected:"Your results could not be sent: the reporting server refused them."}[e]||"",t.classList.toggle("report-failed","failed"===e||"rejected"===e)}function isExamMode(){return!!quizSelection&&"exam"===quizSelection.feedback}function isAnswerLocked(e=currentQuestionIndex){return checkIfAnswered(e)||!!examState&&!0===examState.timedOut[e]}function startExam(e){if(stopExamTimer(),e&&Array.isArray(e.timedOut)&&e.timedOut.length===questions.length)examState={...e};else{const e=quizSelection.questionTimeLimit||0;examState={timeLeft:quizSelection.timeLimit?60*quizSelection.timeLimit*1e3:null,questionTimeLeft:e?new Array(questions.length).fill(1e3*e):null,timedOut:new Array(questions.length).fill(!1)}}examState.lastTick=Date.now(),examTimer=setInterval(tickExam,1e3),displayExamTimer()}function tickExam(){const e=Date.now(),t=e-examState.lastTick;if(examState.lastTick=e,null!==examState.timeLeft&&(examState.timeLeft-=t,examState.timeLeft<=0))return examState.timeLeft=0,alert("Time is up! Your answers will now be checked."),void finishExam();if(null!==examState.questionTimeLeft&&!isAnswerLocked()&&(examState.questionTimeLeft[currentQuestionIndex]-=t,examState.questionTimeLeft[currentQuestionIndex]<=0)){examState.questionTimeLeft[currentQuestionIndex]=0,examState.timedOut[currentQuestionIndex]=!0;const e=[...questions.keys()].map(e=>(currentQuestionIndex+1+e)%questions.length).find(e=>!examState.timedOut[e]);if(void 0===e)return void finishExam();currentQuestionIndex=e,selectedDragWord=null,displayQuestion(),saveSession()}displayExamTimer(),e-sessionSavedAt>=15e3&&saveSession()}function formatDuration(e){const t=Math.ceil(e/1e3);return`${Math.floor(t/60)}:${String(t%60).padStart(2,"0")}`}function displayExamTimer(){const e=document.getElementById("examTimer");if(!examState)return void(e.style.display="none");const t=[];let n=!1;if(null!==examState.timeLeft&&(t.push(`Time left: ${formatDuration(examState.timeLeft)}`),n=examState.timeLeft<=6e4),null!==examState.questionTimeLeft&&!isAnswerLocked()){const e=examState.questionTimeLeft[currentQuestionIndex];t.push(`This question: ${formatDuration(e)}`),n=n||e<=1e4}e.textContent=t.length>0?t.join(" · "):"Exam: no time limit",e.classList.toggle("running-out",n),e.style.display=""}function stopExamTimer(){null!==examTimer&&(clearInterval(examTimer),examTimer=null)}function stopExam(){stopExamTimer(),examState=null,displayExamTimer()}function finishExam(){stopExam();let e=getQuizState();const t=[];questions.forEach((n,s)=>{const r=submitQuestion(e,s,{allowPartial:!0});r!==e&&(e=r,t.push(s))}),setQuizState(e),t.forEach(e=>recordAnswerHistory(e)),selectedDragWord=null,displayQuestion(),showFinalScore()}function getListeningPlaysLeft(e,t){return"number"!=typeof e.maxPlays||checkIfAnswered(t)?null:Math.max(e.maxPlays-(listeningPlays[t]||0),0)}function toggleListening(){const e=questions[currentQuestionIndex];if(listeningPlayback&&listeningPlayback.questionIndex===currentQuestionIndex&&!listeningPlayback.error)return stopListening(),void refreshListeningPlayer();if(0===getListeningPlaysLeft(e,currentQuestionIndex))return;stopListening(),listeningPlays[currentQuestionIndex]=(listeningPlays[currentQuestionIndex]||0)+1;const t={questionIndex:currentQuestionIndex};listeningPlayback=t,e.audio?playAudio(e,t):speakTranscript(e,t),refreshListeningPlayer(),quizSelection&&saveSession()}function playAudio(e,t){const n=new Audio(e.audio);n.playbackRate=listeningRate,n.addEventListener("ended",()=>finishListening(t)),n.addEventListener("error",()=>{t===listeningPlayback&&(e.transcript?(console.warn(`Could not play ${e.audio}, reading the transcript aloud instead.`),speakTranscript(e,t)):failListening(t,"The recording could not be played. Please check your connection and try again."))}),t.audio=n,n.play().catch(()=>{})}function speakTranscript(e,t){if(!e.transcript||!("speechSynthesis"in window))return void failListening(t,"This browser can't read the recording aloud. Please try another browser.");const n=new SpeechSynthesisUtterance(e.transcript);n.lang=e.lang||"en-GB",n.rate=listeningRate,n.addEventListener("end",()=>finishListening(t)),n.addEventListener("error",()=>failListening(t,"The recording could not be read aloud. Please try again.")),t.utterance=n,window.speechSynthesis.cancel(),window.speechSynthesis.speak(n)}function finishListening(e){e===listeningPlayback&&(listeningPlayback=null,refreshListeningPlayer())}function failListening(e,t){e===listeningPlayback&&(listeningPlays[e.questionIndex]--,listeningPlayback={questionIndex:e.questionIndex,error:t},refreshListeningPlayer())}function stopListening(){const e=listeningPlayback;listeningPlayback=null,e&&e.audio&&e.audio.pause(),e&&e.utterance&&window.speechSynthesis.cancel()}function setListeningRate(e){listeningRate=e,listeningPlayback&&listeningPlayback.audio&&(listeningPlayback.audio.playbackRate=e)}function refreshListeningPlayer(){const e=document.querySelector(".listening-player"),t=questions[currentQuestionIndex];if(!e||!t||"listening"!==t.type)return;const n=e.contains(document.activeElement)&&document.activeElement.matches(".listening-play-btn");e.outerHTML=displayListeningPlayer(t),n&&document.querySelector(".listening-play-btn").focus()}function allowDrop(e){e.preventDefault(),e.target.closest(".drop-zone").classList.add("drag-over")}function dragLeave(e){e.target.closest(".drop-zone").classList.remove("drag-over")}function drag(e){isAnswerLocked()?e.preventDefault():e.dataTransfer.setData("text",e.target.getAttribute("data-word"))}function drop(e){e.preventDefault();const t=e.target.closest(".drop-zone");t.classList.remove("drag-over");const n=parseInt(t.getAttribute("data-blank")),s=e.dataTransfer.getData("text");s&&placeWord(n,s)}function selectDragWord(e){if(!isAnswerLocked()){if(selectedDragWord===e)selectedDragWord=null,dragFocusSelector=`.drag-item[data-word="${CSS.escape(e)}"]`;else{selectedDragWord=e;const t=userAnswers[currentQuestionIndex],n=t?t.indexOf(null):0;dragFocusSelector=`.drop-zone[data-blank="${Math.max(n,0)}"]`}displayQuestion()}}function tapDropZone(e){if(isAnswerLocked())return;const t=userAnswers[currentQuestionIndex];null!==selectedDragWord?placeWord(e,selectedDragWord):t&&null!==t[e]&&removeWord(e)}function placeWord(e,t){if(isAnswerLocked())return;const n=questions[currentQuestionIndex],s=userAnswers[currentQuestionIndex]?[...userAnswers[currentQuestionIndex]]:new Array(getCorrectDropWords(n).length).fill(null),r=s.indexOf(t);-1!==r&&(s[r]=s[e]),s[e]=t,setQuizState(answerQuestion(getQuizState(),currentQuestionIndex,s)),selectedDragWord=null,dragFocusSelector=isDropAnswerComplete(n,s)?".check-btn":".drag-item:not([disabled])",refreshDragAnswer()}function removeWord(e){const t=userAnswers[currentQuestionIndex];if(isAnswerLocked()||!t)return;const n=[...t];n[e]=null,setQuizState(answerQuestion(getQuizState(),currentQuestionIndex,n)),dragFocusSelector=`.drop-zone[data-blank="${e}"]`,refreshDragAnswer()}function refreshDragAnswer(){displayQuestion(),updateScore(),updateNextButtonState(),saveSession()}function dragKeyDown(e){const t=e.target,n=t.classList.contains("drag-item"),s=t.classList.contains("drop-zone");if(n||s){switch(e.key){case"ArrowLeft":case"ArrowUp":moveDragFocus(t,n?".drag-item":".drop-zone",-1);break;case"ArrowRight":case"ArrowDown":moveDragFocus(t,n?".drag-item":".drop-zone",1);break;case"Delete":case"Backspace":if(!s)return;removeWord(parseInt(t.getAttribute("data-blank")));break;case"Escape":if(null===selectedDragWord)return;dragFocusSelector=`.drag-item[data-word="${CSS.escape(selectedDragWord)}"]`,selectedDragWord=null,displayQuestion();break;default:return}e.preventDefault()}}function moveDragFocus(e,t,n){const s=e.closest(".drag-drop-container"),r=Array.from(s.querySelectorAll(`${t}:not([disabled])`));if(0===r.length)return;const o=r.indexOf(e);r[(o+n+r.length)%r.length].focus()}function registerServiceWorker(){"serviceWorker"in navigator&&/^https?:$/.test(window.location.protocol)&&(navigator.serviceWorker.addEventListener("message",e=>handleServiceWorkerMessage(e.data)),window.addEventListener("online",()=>hideOfflineNotice("offline")),navigator.serviceWorker.register("sw.js").catch(e=>{console.warn(`Offline support is unavailable: ${e.message}`)}))}function handleServiceWorkerMessage(e){e&&("offline"===e.type?showOfflineNotice("offline","You are offline: the questions saved on this device are being used."):"bank-updated"===e.type&&showOfflineNotice("bank-updated","Updated questions have been downloaded. Reload to use them; your progress is kept.",!0))}function showOfflineNotice(e,t,n=!1){const s=document.getElementById("offlineNotice");s.dataset.kind=e,s.innerHTML=escapeHtml(t)+(n?' <button class="link-btn" data-click="reloadPage">Reload</button>':""),s.style.display="block"}function hideOfflineNotice(e){const t=document.getElementById("offlineNotice");t.dataset.kind===e&&(t.style.display="none")}const EVENT_HANDLERS={click:{resumeSession:()=>resumeSession(),startOver:()=>startOver(),switchLearner:()=>switchLearner(),showNewProfileForm:()=>showNewProfileForm(),cancelNewProfile:()=>cancelNewProfile(),createProfile:()=>createProfile(),showProgress:()=>showProgress(),closeProgress:()=>closeProgress(),deleteProfile:()=>deleteProfile(),setAllSelectionOptions:e=>setAllSelectionOptions(e.dataset.name,"true"===e.dataset.checked),startQuiz:()=>startQuiz(),startReview:()=>startReview(),previousQuestion:()=>previousQuestion(),nextQuestion:()=>nextQuestion(),retryMistakes:()=>retryMistakes(),restartQuiz:()=>restartQuiz(),changeSelection:()=>changeSelection(),exportResults:e=>exportResults(e.dataset.format),selectOption:e=>selectOption(e.dataset.value),selectSubAnswer:e=>selectSubAnswer(Number(e.dataset.sub),e.dataset.value),placeSentenceToken:e=>placeSentenceToken(Number(e.dataset.token)),removeSentenceToken:e=>removeSentenceToken(Number(e.dataset.position)),submitAnswer:()=>submitAnswer(),selectDragWord:e=>selectDragWord(e.dataset.word),tapDropZone:e=>tapDropZone(Number(e.dataset.blank)),toggleListening:()=>toggleListening(),reloadPage:()=>window.location.reload()},change:{updateSelectionSummary:()=>updateSelectionSummary(),switchProfile:e=>switchProfile(e.value),changeBanks:()=>changeBanks(),setAnswer:e=>setAnswer(e.value),selectGap:e=>selectGap(Number(e.dataset.gap),e.value),selectMatch:e=>selectMatch(Number(e.dataset.pair),e.value),setListeningRate:e=>setListeningRate(Number(e.value))},input:{updateDraftAnswer:e=>updateDraftAnswer(e.value,""===e.dataset.blank?void 0:Number(e.dataset.blank)),setSubAnswer:e=>setSubAnswer(Number(e.dataset.sub),e.value)},keydown:{submitOnEnter:(e,t)=>submitOnEnter(t),createProfileOnEnter:(e,t)=>createProfileOnEnter(t),dragKeyDown:(e,t)=>dragKeyDown(t)},dragstart:{drag:(e,t)=>drag(t)},dragover:{allowDrop:(e,t)=>allowDrop(t)},dragleave:{dragLeave:(e,t)=>dragLeave(t)},drop:{drop:(e,t)=>drop(t)}};function bindEventHandlers(e=EVENT_HANDLERS){Object.keys(e).forEach(t=>{document.addEventListener(t,n=>{const s=n.target.closest?n.target.closest(`[data-${t}]`):null;if(!s)return;const r=e[t][s.getAttribute(`data-${t}`)];r&&r(s,n)})})}function escapeHtml(e){return String(e).replace(/[&<>"']/g,e=>HTML_ESCAPES[e])}function formatQuestionText(e,t){const n=escapeHtml(e);if(!t.allowMarkup)return n;const s=new RegExp(`&lt;(/?)(${SAFE_MARKUP_TAGS.join("|")})&gt;`,"gi");return n.replace(s,(e,t,n)=>`<${t}${n.toLowerCase()}>`)}document.addEventListener("DOMContentLoaded",()=>{document.getElementById("quizContent")&&(bindEventHandlers(),registerServiceWorker(),loadQuestions().then(()=>sendQueuedReports()),window.addEventListener("online",()=>sendQueuedReports()))});
+//# sourceMappingURL=scripto.js.map
@@ -0,0 +1,172 @@
+// sw.js
+
+// Service worker that lets the quiz run offline and be installed as an app (see manifest.webmanifest).
+// The page, its script and style, every bank listed in banks.json and the recordings of their listening
+// questions are cached on install.
+// Requests are answered from the cache straight away and the cached copy is refreshed from the network
+// in the background, so the next load gets the newer version. The page is told (see registerServiceWorker()
+// in script.js) when a bank changed and when the network couldn't be reached.
+
+// Bump the version whenever this worker or APP_FILES changes: the new worker then caches everything again
+// and deletes the caches of the older versions when it activates
+const CACHE_PREFIX = 'english-quiz-';
+const CACHE_NAME = CACHE_PREFIX + 'v4';
+
+const BANK_MANIFEST_URL = 'banks.json';
+
+// Files of the quiz page, cached on install alongside the banks
+const APP_FILES = [
+    './',
+    'index.html',
+    'Localindex.html',
+    'style.css',
+    'scripto.js',
+    'validator.js',
+    'question-csv.js',
+    'quiz-engine.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icon.svg',
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(deleteOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return; // Let the browser handle anything that isn't a plain same-origin download
+    }
+    event.respondWith(serveFromCache(event));
+});
+
+/**
+ * Caches the page files, the bank manifest, every bank it lists and the audio files the banks use.
+ */
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_FILES);
+
+    const response = await fetch(BANK_MANIFEST_URL);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${BANK_MANIFEST_URL}: ${response.status} ${response.statusText}`);
+    }
+    await cache.put(BANK_MANIFEST_URL, response.clone());
+    const manifest = await response.json();
+    await cache.addAll(manifest.banks.map(bank => bank.file));
+
+    // A missing recording only affects its question (the transcript is read aloud instead), so it doesn't stop the install
+    const audioFiles = await getBankAudioFiles(cache, manifest.banks);
+    await Promise.all(audioFiles.map(file => cache.add(file).catch(error => {
+        console.warn(`Could not cache ${file}: ${error.message}`);
+    })));
+}
+
+/**
+ * Lists the audio files of the listening questions in the cached banks.
+ * @param {Cache} cache - The cache holding the banks.
+ * @param {Array<{file: string}>} banks - The banks from banks.json.
+ * @returns {Promise<Array<string>>} The audio paths, relative to the page like the banks.
+ */
+async function getBankAudioFiles(cache, banks) {
+    const audioFiles = new Set();
+    for (const bank of banks) {
+        const questions = await (await cache.match(bank.file)).json().catch(() => []);
+        if (Array.isArray(questions)) {
+            questions.forEach(question => {
+                if (question && question.type === 'listening' && typeof question.audio === 'string') {
+                    audioFiles.add(question.audio);
+                }
+            });
+        }
+    }
+    return [...audioFiles];
+}
+
+/**
+ * Deletes the caches of previous versions of this worker (caches of other apps on the same origin are kept).
+ */
+async function deleteOldCaches() {
+    const names = await caches.keys();
+    const oldNames = names.filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME);
+    await Promise.all(oldNames.map(name => caches.delete(name)));
+}
+
+/**
+ * Checks whether a request is for question data (the bank manifest or a bank), whose updates the page is told about.
+ * @param {Request} request - The request.
+ * @returns {boolean} True for JSON files.
+ */
+function isBankRequest(request) {
+    return new URL(request.url).pathname.endsWith('.json');
+}
+
+/**
+ * Answers a request from the cache when possible, refreshing the cached copy in the background,
+ * or from the network (caching the response) when the file isn't cached yet.
+ * @param {FetchEvent} event - The fetch event.
+ * @returns {Promise<Response>} The response.
+ */
+async function serveFromCache(event) {
+    const request = event.request;
+    // Pages are cached once, whatever their query string (e.g. ?bank=b1)
+    const cacheKey = request.mode === 'navigate' ? request.url.split('?')[0] : request;
+
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(cacheKey);
+    const refresh = refreshCachedFile(cache, cacheKey, request, cached && cached.clone(), event.clientId);
+
+    if (cached) {
+        // Keep the worker alive until the refresh is done; its failure only matters when offline
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Downloads a file and stores it in the cache, telling the page when a bank changed or couldn't be downloaded.
+ * @param {Cache} cache - The cache.
+ * @param {Request|string} cacheKey - The key of the file in the cache.
+ * @param {Request} request - The request to send.
+ * @param {Response|undefined} cached - A copy of the cached response, if any.
+ * @param {string} clientId - The id of the page that made the request.
+ * @returns {Promise<Response>} The network response.
+ */
+async function refreshCachedFile(cache, cacheKey, request, cached, clientId) {
+    let response;
+    try {
+        response = await fetch(request);
+    } catch (error) {
+        if (cached && isBankRequest(request)) {
+            notifyClient(clientId, { type: 'offline', url: request.url });
+        }
+        throw error;
+    }
+
+    // Partial responses (audio requested by byte range) can't be cached, the whole file is cached on install
+    if (response.status === 200) {
+        if (cached && isBankRequest(request) && await cached.text() !== await response.clone().text()) {
+            notifyClient(clientId, { type: 'bank-updated', url: request.url });
+        }
+        await cache.put(cacheKey, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Sends a message to a page.
+ * @param {string} clientId - The id of the page.
+ * @param {{type: string, url: string}} message - The message.
+ */
+async function notifyClient(clientId, message) {
+    const client = clientId && await self.clients.get(clientId);
+    if (client) {
+        client.postMessage(message);
+    }
+}
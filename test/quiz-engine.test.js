@@ -0,0 +1,573 @@
+// test/quiz-engine.test.js
+
+// Unit tests of the quiz engine (quiz-engine.js). Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../quiz-engine.js');
+
+const multipleChoice = {
+    type: 'multiple_choice',
+    level: 'B1',
+    questionText: 'She _____ to school every day.',
+    options: ['go', 'goes', 'going', 'gone'],
+    correctAnswer: 'goes',
+};
+
+const dropdown = {
+    type: 'dropdown',
+    level: 'A2',
+    questionText: 'She has [dropdown] new car.',
+    options: ['a', 'an', 'the'],
+    correctAnswer: 'a',
+};
+
+const dropdownGaps = {
+    type: 'dropdown',
+    level: 'B1',
+    questionText: 'I [dropdown] here [dropdown] 2010 and I [dropdown] like it.',
+    options: [['have lived', 'live', 'lived'], ['since', 'for'], ['really', 'real']],
+    correctAnswer: ['have lived', 'since', 'really'],
+};
+
+const fillIn = {
+    type: 'fill_in_the_blank',
+    level: 'B1',
+    questionText: 'If I had known, I _____ a cake.',
+    sentenceParts: ['If I had known, I ', ' a cake.'],
+    correctAnswer: 'would have baked',
+};
+
+const fillInSeveralBlanks = {
+    type: 'fill_in_the_blank',
+    level: 'A2',
+    questionText: 'What _____ you _____?',
+    sentenceParts: ['What ', ' you ', '?'],
+    correctAnswer: ['are', 'doing'],
+    acceptedAnswers: [[], ['up to']],
+};
+
+const readingPassage = {
+    type: 'reading_passage',
+    level: 'B1',
+    passage: 'Tom lives in Leeds. He works in a bakery.',
+    questions: [
+        { questionText: 'Where does Tom live?', options: ['Leeds', 'York', 'Hull'], correctAnswer: 'Leeds' },
+        { type: 'true_false_not_given', questionText: 'Tom is a teacher.', correctAnswer: 'False' },
+        { type: 'short_answer', questionText: 'Where does he work?', correctAnswer: 'in a bakery', acceptedAnswers: ['bakery'], typoTolerance: 1 },
+        { type: 'true_false_not_given', questionText: 'Tom has a dog.', options: ['True', 'False', 'Not Given'], correctAnswer: 'Not Given' },
+    ],
+};
+
+const dragAndDrop = {
+    type: 'drag_and_drop',
+    level: 'A2',
+    questionText: 'Drag the correct preposition.',
+    blanks: [
+        { id: 'blank1', sentencePart: 'The cat is sleeping ', options: ['on', 'in', 'under'], correctAnswer: 'on' },
+        { id: 'blank2', sentencePart: ' the mat.' },
+    ],
+    correctOrder: ['on'],
+};
+
+const dragAndDropSentence = {
+    type: 'drag_and_drop_sentence',
+    level: 'A1',
+    questionText: 'Complete the sentence.',
+    sentenceTemplate: 'She [DROP_ZONE] to the cinema [DROP_ZONE] night.',
+    correctWords: ['went', 'last'],
+    dragWords: ['went', 'last', 'go', 'next'],
+};
+
+const listening = {
+    type: 'listening',
+    level: 'B1',
+    transcript: 'The train to York leaves from platform four.',
+    maxPlays: 2,
+    questions: [
+        { questionText: 'Where is the train going?', options: ['York', 'Leeds', 'Hull'], correctAnswer: 'York' },
+        { type: 'short_answer', questionText: 'Which platform?', correctAnswer: 'four', acceptedAnswers: ['4'] },
+    ],
+};
+
+const dictation = {
+    type: 'listening',
+    level: 'B1',
+    transcript: "I'd like a cup of tea, please.",
+    dictation: true,
+};
+
+const matching = {
+    type: 'matching',
+    level: 'B1',
+    questionText: 'Match each verb with its meaning.',
+    pairs: [
+        { left: 'borrow', right: 'take for a while' },
+        { left: 'lend', right: 'give for a while' },
+        { left: 'owe', right: 'have to pay back' },
+        { left: 'earn', right: 'get paid' },
+    ],
+};
+
+const sentenceOrder = {
+    type: 'sentence_order',
+    level: 'B1',
+    tokens: ['She', 'has', 'already', 'left'],
+    acceptedOrders: [['She', 'has', 'left', 'already']],
+};
+
+const allQuestions = [multipleChoice, dropdown, fillIn, fillInSeveralBlanks, readingPassage, dragAndDrop, dragAndDropSentence];
+
+/**
+ * Sorts a copy of an array, to compare arrays regardless of order.
+ * @param {Array} array - The array.
+ * @returns {Array} The sorted copy.
+ */
+function sorted(array) {
+    return [...array].sort();
+}
+
+// --- Shuffling ---
+
+test('shuffleArray returns a permutation without changing its input', () => {
+    const input = [1, 2, 3, 4, 5, 6, 7, 8];
+    for (let run = 0; run < 50; run++) {
+        const shuffled = engine.shuffleArray(input);
+        assert.notEqual(shuffled, input);
+        assert.deepEqual(sorted(shuffled), input);
+    }
+    assert.deepEqual(input, [1, 2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('shuffleArray can produce every order', () => {
+    const seen = new Set();
+    for (let run = 0; run < 500; run++) {
+        seen.add(engine.shuffleArray(['a', 'b', 'c']).join(''));
+    }
+    assert.equal(seen.size, 6);
+});
+
+test('shuffleQuestionsAndAnswers keeps every question and every option', () => {
+    const original = JSON.parse(JSON.stringify(allQuestions));
+    for (let run = 0; run < 20; run++) {
+        const shuffled = engine.shuffleQuestionsAndAnswers(allQuestions);
+        assert.equal(shuffled.length, allQuestions.length);
+        assert.deepEqual(sorted(shuffled.map(question => question.questionText)), sorted(allQuestions.map(question => question.questionText)));
+
+        shuffled.forEach(question => {
+            const source = allQuestions.find(candidate => candidate.questionText === question.questionText);
+            if (source.options) {
+                assert.deepEqual(sorted(question.options), sorted(source.options));
+                assert.ok(question.options.includes(question.correctAnswer));
+            }
+        });
+    }
+    assert.deepEqual(allQuestions, original, 'the bank itself is not shuffled');
+});
+
+test('shuffleQuestionsAndAnswers keeps the structure that gives answers their meaning', () => {
+    for (let run = 0; run < 20; run++) {
+        const shuffled = engine.shuffleQuestionsAndAnswers(allQuestions);
+
+        const passage = shuffled.find(question => question.type === 'reading_passage');
+        assert.deepEqual(passage.questions.map(subQuestion => subQuestion.questionText), readingPassage.questions.map(subQuestion => subQuestion.questionText));
+        assert.deepEqual(sorted(passage.questions[0].options), sorted(readingPassage.questions[0].options));
+        assert.deepEqual(passage.questions[3].options, ['True', 'False', 'Not Given'], 'true/false/not given keeps its order');
+
+        const dragged = shuffled.find(question => question.type === 'drag_and_drop');
+        assert.deepEqual(dragged.blanks, dragAndDrop.blanks);
+        assert.deepEqual(dragged.correctOrder, dragAndDrop.correctOrder);
+
+        const sentence = shuffled.find(question => question.type === 'fill_in_the_blank' && !Array.isArray(question.correctAnswer));
+        assert.deepEqual(sentence.sentenceParts, fillIn.sentenceParts);
+    }
+});
+
+test('matching pairs stay together and sentence tokens are never offered in a right order', () => {
+    for (let run = 0; run < 20; run++) {
+        const [pairs, sentence] = engine.shuffleQuestionsAndAnswers([matching, sentenceOrder])
+            .sort((a, b) => (a.type === 'sentence_order') - (b.type === 'sentence_order'));
+        assert.deepEqual(sorted(pairs.pairs.map(pair => pair.left + pair.right)), sorted(matching.pairs.map(pair => pair.left + pair.right)));
+        assert.deepEqual(sorted(pairs.options), sorted(matching.pairs.map(pair => pair.right)));
+
+        assert.deepEqual(sorted(sentence.options), sorted(sentenceOrder.tokens));
+        assert.equal(engine.isSentenceOrderCorrect(sentence, sentence.options), false);
+        assert.deepEqual(sentence.tokens, sentenceOrder.tokens);
+    }
+});
+
+test('createRandom gives the same numbers for the same seed', () => {
+    const first = engine.createRandom('k3x9qa');
+    const second = engine.createRandom('k3x9qa');
+    const other = engine.createRandom('k3x9qb');
+    const numbers = Array.from({ length: 20 }, () => first());
+    assert.deepEqual(Array.from({ length: 20 }, () => second()), numbers);
+    assert.notDeepEqual(Array.from({ length: 20 }, () => other()), numbers);
+    numbers.forEach(number => assert.ok(number >= 0 && number < 1));
+});
+
+test('a seeded shuffle gives the same quiz every time', () => {
+    const order = seed => engine.shuffleQuestionsAndAnswers(allQuestions, engine.createRandom(seed))
+        .map(question => [question.questionText, question.options]);
+    assert.deepEqual(order('class-7b'), order('class-7b'));
+
+    const orders = new Set(['a', 'b', 'c', 'd', 'e'].map(seed => JSON.stringify(order(seed))));
+    assert.ok(orders.size > 1, 'different seeds give different quizzes');
+});
+
+test('options marked shuffleOptions: false keep their order', () => {
+    const fixed = { ...multipleChoice, options: ['go', 'goes', 'going', 'All of the above'], shuffleOptions: false };
+    const passage = {
+        ...readingPassage,
+        questions: readingPassage.questions.map(subQuestion => ({ ...subQuestion, shuffleOptions: false })),
+    };
+    for (let run = 0; run < 20; run++) {
+        const [question, shuffledPassage] = engine.shuffleQuestionsAndAnswers([fixed, passage])
+            .sort((a, b) => (a.type === 'reading_passage') - (b.type === 'reading_passage'));
+        assert.deepEqual(question.options, fixed.options);
+        assert.deepEqual(shuffledPassage.questions[0].options, readingPassage.questions[0].options);
+    }
+});
+
+// --- Answer matching ---
+
+test('normalizeAnswer ignores case, punctuation, spacing and contractions', () => {
+    assert.equal(engine.normalizeAnswer('  Would’ve   BAKED. '), 'would have baked');
+    assert.equal(engine.normalizeAnswer("isn't"), 'is not');
+    assert.equal(engine.normalizeAnswer("won't"), 'will not');
+    assert.equal(engine.normalizeAnswer('well-known'), 'well known');
+});
+
+test('getEditDistance counts a swap of neighbouring letters as one edit', () => {
+    assert.equal(engine.getEditDistance('would', 'would'), 0);
+    assert.equal(engine.getEditDistance('wuold', 'would'), 1);
+    assert.equal(engine.getEditDistance('woud', 'would'), 1);
+    assert.equal(engine.getEditDistance('kitten', 'sitting'), 3);
+    assert.equal(engine.getEditDistance('', 'abc'), 3);
+});
+
+test('matchTypedAnswer allows typos only when the question sets a tolerance', () => {
+    assert.equal(engine.matchTypedAnswer('would have baked', ['would have baked']), 'correct');
+    assert.equal(engine.matchTypedAnswer('would have bakd', ['would have baked']), 'incorrect');
+    assert.equal(engine.matchTypedAnswer('would have bakd', ['would have baked'], 1), 'almost');
+    assert.equal(engine.matchTypedAnswer('wold hav baked', ['would have baked'], 1), 'incorrect');
+    assert.equal(engine.matchTypedAnswer('   ', ['baked']), 'incorrect');
+});
+
+test('matchTypedAnswer rejects other tenses and verb forms one letter away', () => {
+    const pairs = [
+        ['could', 'would'],
+        ['has studied', 'had studied'],
+        ['watches', 'watched'],
+        ['had already began', 'had already begun'],
+        ['bitter', 'better'],
+        ['to learns', 'to learn'],
+        ['in', 'on'],
+    ];
+    pairs.forEach(([typed, accepted]) => {
+        assert.equal(engine.matchTypedAnswer(typed, [accepted]), 'incorrect', `"${typed}" for "${accepted}"`);
+    });
+});
+
+// --- Scoring of each question type ---
+
+test('multiple choice and dropdown answers must match the correct option', () => {
+    assert.equal(engine.isAnswerCorrect(multipleChoice, 'goes'), true);
+    assert.equal(engine.isAnswerCorrect(multipleChoice, 'go'), false);
+    assert.equal(engine.isAnswerCorrect(multipleChoice, null), false);
+    assert.equal(engine.isAnswerCorrect(dropdown, 'a'), true);
+    assert.equal(engine.isAnswerCorrect(dropdown, 'an'), false);
+    assert.equal(engine.getAnswerScore(dropdown, 'a'), 1);
+    assert.equal(engine.getAnswerScore(dropdown, 'the'), 0);
+});
+
+test('dropdown gaps are placed in the sentence and scored one by one', () => {
+    assert.deepEqual(engine.getDropdownSentenceParts(dropdownGaps), ['I ', ' here ', ' 2010 and I ', ' like it.']);
+    assert.deepEqual(engine.getDropdownSentenceParts(dropdown), ['She has ', ' new car.']);
+    assert.equal(engine.getDropdownSentenceParts({ ...dropdown, questionText: 'Which article?' }), null);
+
+    const answer = ['have lived', 'for', null];
+    assert.deepEqual(engine.getDropdownResults(dropdownGaps, answer), [true, false, false]);
+    assert.equal(engine.getAnswerScore(dropdownGaps, answer), 1 / 3);
+    assert.equal(engine.hasAnswerToSubmit(dropdownGaps, answer), false);
+    assert.equal(engine.isAnswerCorrect(dropdownGaps, ['have lived', 'since', 'really']), true);
+
+    const state = engine.answerQuestion(engine.createQuizState([dropdownGaps]), 0, answer);
+    assert.equal(engine.getQuizScore(engine.submitQuestion(state, 0, { allowPartial: true })).score, 1 / 3);
+
+    for (let run = 0; run < 10; run++) {
+        const [shuffled] = engine.shuffleQuestionsAndAnswers([dropdownGaps]);
+        shuffled.options.forEach((options, i) => assert.deepEqual(sorted(options), sorted(dropdownGaps.options[i]), 'each gap keeps its own options'));
+    }
+});
+
+test('fill-in-the-blank answers are matched flexibly', () => {
+    assert.equal(engine.isAnswerCorrect(fillIn, 'would have baked'), true);
+    assert.equal(engine.isAnswerCorrect(fillIn, "Would've baked"), true);
+    assert.equal(engine.isAnswerCorrect(fillIn, 'would have bakd'), false, 'no typos allowed by default');
+    const tolerant = { ...fillIn, typoTolerance: 1 };
+    assert.equal(engine.isAnswerCorrect(tolerant, 'would have bakd'), true, 'one typo is "almost" and counts');
+    assert.deepEqual(engine.getFillInResults(tolerant, 'would have bakd'), ['almost']);
+    assert.equal(engine.isAnswerCorrect(fillIn, 'baked'), false);
+    assert.equal(engine.isAnswerCorrect(fillIn, ''), false);
+});
+
+test('fill-in-the-blank answers with several blanks need every blank right', () => {
+    assert.equal(engine.getBlankCount(fillInSeveralBlanks), 2);
+    assert.deepEqual(engine.getFillInValues(fillInSeveralBlanks, null), ['', '']);
+    assert.equal(engine.isAnswerCorrect(fillInSeveralBlanks, ['are', 'doing']), true);
+    assert.equal(engine.isAnswerCorrect(fillInSeveralBlanks, ['are', 'up to']), true, 'accepted answer of the second blank');
+    assert.equal(engine.isAnswerCorrect(fillInSeveralBlanks, ['are', 'are']), false);
+    assert.deepEqual(engine.getFillInResults(fillInSeveralBlanks, ['is', 'doing']), ['incorrect', 'correct']);
+    assert.equal(engine.hasAnswerToSubmit(fillInSeveralBlanks, ['are', ' ']), false);
+});
+
+test('fill-in-the-blank questions without sentenceParts count the _____ markers', () => {
+    const question = { type: 'fill_in_the_blank', level: 'A1', questionText: 'I _____ from _____.', correctAnswer: ['come', 'Spain'] };
+    assert.equal(engine.getBlankCount(question), 2);
+    assert.equal(engine.isAnswerCorrect(question, ['come', 'spain']), true);
+});
+
+test('reading passages give partial credit per sub-question', () => {
+    const allRight = ['Leeds', 'False', 'bakery', 'Not Given'];
+    assert.equal(engine.getAnswerScore(readingPassage, allRight), 1);
+    assert.equal(engine.isAnswerCorrect(readingPassage, allRight), true);
+
+    const halfRight = ['Leeds', 'True', 'in a bakry', 'False'];
+    assert.equal(engine.getAnswerScore(readingPassage, halfRight), 0.5, 'the short answer with a typo counts');
+    assert.equal(engine.isAnswerCorrect(readingPassage, halfRight), false);
+
+    assert.equal(engine.getAnswerScore(readingPassage, ['Leeds', null, null, null]), 0.25);
+    assert.equal(engine.getAnswerScore(readingPassage, null), 0);
+    assert.equal(engine.countAnsweredSubQuestions(readingPassage, ['Leeds', ' ', null, 'True']), 2);
+});
+
+test('listening questions are scored per sub-question, like reading passages', () => {
+    assert.equal(engine.hasSubQuestions(listening), true);
+    assert.equal(engine.getAnswerScore(listening, ['York', '4']), 1);
+    assert.equal(engine.getAnswerScore(listening, ['Leeds', 'four']), 0.5);
+    assert.equal(engine.hasAnswerToSubmit(listening, ['York', null]), false);
+
+    const state = engine.answerQuestion(engine.createQuizState([listening]), 0, ['York', null]);
+    assert.equal(engine.submitQuestion(state, 0), state, 'incomplete answers wait');
+    assert.equal(engine.getQuizScore(engine.submitQuestion(state, 0, { allowPartial: true })).score, 0.5);
+});
+
+test('dictations are graded word by word against the transcript', () => {
+    assert.equal(engine.hasSubQuestions(dictation), false);
+    assert.equal(engine.isAnswerCorrect(dictation, 'I would like a cup of tea please'), false, "'d is ambiguous, so it is kept");
+    assert.equal(engine.isAnswerCorrect(dictation, "i'd like a cup of tea, please"), true, 'case and punctuation are ignored');
+    assert.equal(engine.getAnswerScore(dictation, "I'd like a cup of coffee, please."), 6 / 7);
+    assert.equal(engine.getAnswerScore(dictation, "I'd like cup of tea please"), 6 / 7, 'a missing word');
+    assert.equal(engine.getAnswerScore(dictation, 'tea'), 1 / 7);
+    assert.equal(engine.getAnswerScore(dictation, ''), 0);
+    assert.equal(engine.hasAnswerToSubmit(dictation, '  '), false);
+
+    const state = engine.submitQuestion(engine.answerQuestion(engine.createQuizState([dictation]), 0, " I'd like a cup of tea, please. "), 0);
+    assert.deepEqual(engine.getQuizScore(state), { score: 1, checkedCount: 1, answeredCount: 1 });
+});
+
+test('drag-and-drop answers must have the right word in every blank, in order', () => {
+    assert.equal(engine.isAnswerCorrect(dragAndDrop, ['on']), true);
+    assert.equal(engine.isAnswerCorrect(dragAndDrop, ['in']), false);
+    assert.equal(engine.isAnswerCorrect(dragAndDrop, [null]), false);
+
+    assert.equal(engine.isAnswerCorrect(dragAndDropSentence, ['went', 'last']), true);
+    assert.equal(engine.isAnswerCorrect(dragAndDropSentence, ['last', 'went']), false);
+    assert.equal(engine.isAnswerCorrect(dragAndDropSentence, ['went']), false);
+    assert.equal(engine.isDropAnswerComplete(dragAndDropSentence, ['went', null]), false);
+    assert.equal(engine.isDropAnswerComplete(dragAndDropSentence, ['go', 'next']), true);
+});
+
+test('matching questions earn a share of the point per pair', () => {
+    const answer = ['take for a while', 'give for a while', 'get paid', null];
+    assert.equal(engine.getAnswerScore(matching, answer), 0.5);
+    assert.equal(engine.isAnswerCorrect(matching, answer), false);
+    assert.equal(engine.hasAnswerToSubmit(matching, answer), false, 'every pair needs a match');
+    assert.equal(engine.isAnswerCorrect(matching, matching.pairs.map(pair => pair.right)), true);
+
+    const state = engine.answerQuestion(engine.createQuizState([matching]), 0, answer);
+    assert.equal(engine.submitQuestion(state, 0), state);
+    assert.equal(engine.getQuizScore(engine.submitQuestion(state, 0, { allowPartial: true })).score, 0.5, 'an exam counts the pairs matched');
+});
+
+test('sentence order answers must use every token in a right order', () => {
+    assert.equal(engine.isAnswerCorrect(sentenceOrder, ['She', 'has', 'already', 'left']), true);
+    assert.equal(engine.isAnswerCorrect(sentenceOrder, ['She', 'has', 'left', 'already']), true, 'accepted orders count');
+    assert.equal(engine.isAnswerCorrect(sentenceOrder, ['Has', 'she', 'already', 'left']), false);
+    assert.equal(engine.hasAnswerToSubmit(sentenceOrder, ['She', 'has']), false);
+    assert.equal(engine.getAnswerScore(sentenceOrder, ['already', 'She', 'has', 'left']), 0, 'no partial credit');
+});
+
+test('unknown question types are never correct', () => {
+    assert.equal(engine.isAnswerCorrect({ type: 'essay' }, 'anything'), false);
+    assert.equal(engine.isAnswerChecked({ type: 'essay' }, 'anything', true), false);
+});
+
+// --- Quiz state ---
+
+test('answers are stored without changing the previous state', () => {
+    const state = engine.createQuizState([multipleChoice, fillIn]);
+    assert.deepEqual(state.userAnswers, [null, null]);
+    assert.deepEqual(state.submittedAnswers, [false, false]);
+
+    const answered = engine.answerQuestion(state, 0, 'go');
+    assert.notEqual(answered, state);
+    assert.deepEqual(answered.userAnswers, ['go', null]);
+    assert.deepEqual(state.userAnswers, [null, null]);
+    assert.equal(engine.isQuestionChecked(answered, 0), false, 'not checked until submitted');
+});
+
+test('submitting checks, trims and locks an answer', () => {
+    let state = engine.createQuizState([fillIn, multipleChoice]);
+    state = engine.answerQuestion(state, 0, '  would have baked ');
+    state = engine.submitQuestion(state, 0);
+
+    assert.equal(state.userAnswers[0], 'would have baked');
+    assert.equal(state.submittedAnswers[0], true);
+    assert.equal(engine.isQuestionChecked(state, 0), true);
+    assert.equal(engine.answerQuestion(state, 0, 'baked'), state, 'checked answers can\'t be changed');
+    assert.equal(engine.submitQuestion(state, 0), state, 'checking twice changes nothing');
+    assert.equal(engine.submitQuestion(state, 1), state, 'nothing to check without an answer');
+});
+
+test('incomplete answers are only checked when partial passages are allowed', () => {
+    let state = engine.createQuizState([readingPassage, dragAndDropSentence]);
+    state = engine.answerQuestion(state, 0, ['Leeds', null, null, null]);
+    state = engine.answerQuestion(state, 1, ['went', null]);
+
+    assert.equal(engine.submitQuestion(state, 0), state);
+    assert.equal(engine.submitQuestion(state, 1), state);
+
+    const finished = engine.submitQuestion(engine.submitQuestion(state, 0, { allowPartial: true }), 1, { allowPartial: true });
+    assert.equal(engine.isQuestionChecked(finished, 0), true);
+    assert.equal(engine.isQuestionChecked(finished, 1), false, 'only passages earn partial credit');
+    assert.equal(engine.getQuizScore(finished).score, 0.25);
+});
+
+test('getQuizScore counts checked answers only', () => {
+    let state = engine.createQuizState(allQuestions);
+    const answers = ['goes', 'an', 'would have baked', ['are', 'doing'], ['Leeds', 'False', 'in an office', 'Not Given'], ['on'], ['went', 'next']];
+    answers.forEach((answer, i) => {
+        state = engine.answerQuestion(state, i, answer);
+    });
+    assert.deepEqual(engine.getQuizScore(state), { score: 0, checkedCount: 0, answeredCount: 7 });
+
+    answers.forEach((answer, i) => {
+        state = engine.submitQuestion(state, i);
+    });
+    // 1 + 0 + 1 + 1 + 0.75 + 1 + 0
+    assert.deepEqual(engine.getQuizScore(state), { score: 4.75, checkedCount: 7, answeredCount: 7 });
+});
+
+test('getAccuracyBy groups the points per key', () => {
+    let state = engine.createQuizState([multipleChoice, fillIn, dropdown]);
+    state = engine.submitQuestion(engine.answerQuestion(state, 0, 'goes'), 0);
+    state = engine.submitQuestion(engine.answerQuestion(state, 1, 'baked'), 1);
+    state = engine.submitQuestion(engine.answerQuestion(state, 2, 'a'), 2);
+
+    assert.deepEqual(engine.getAccuracyBy(state, question => question.level), [
+        { key: 'A2', correct: 1, total: 1 },
+        { key: 'B1', correct: 1, total: 2 },
+    ]);
+});
+
+test('a draft answer left unchecked at the end is not counted', () => {
+    let state = engine.createQuizState([multipleChoice, fillIn]);
+    state = engine.submitQuestion(engine.answerQuestion(state, 0, 'goes'), 0);
+    state = engine.answerQuestion(state, 1, 'would have baked'); // Right, but never checked
+
+    assert.equal(engine.getQuizScore(state).score, 1);
+    assert.deepEqual(engine.getAccuracyBy(state, question => question.level), [{ key: 'B1', correct: 1, total: 2 }]);
+    assert.equal(engine.summarizeQuiz(state, question => question.type).byTopic
+        .find(group => group.key === 'fill_in_the_blank').correct, 0);
+});
+
+// --- Progress ---
+
+test('getProgressSummary adds up quizzes, oldest first, with the weakest topics first', () => {
+    let state = engine.createQuizState([multipleChoice, fillIn, dropdown]);
+    state = engine.submitQuestion(engine.answerQuestion(state, 0, 'goes'), 0);
+    state = engine.submitQuestion(engine.answerQuestion(state, 1, 'baked'), 1);
+    const first = { ...engine.summarizeQuiz(state, question => question.type), finishedAt: '2026-10-02T10:00:00.000Z' };
+    assert.equal(first.score, 1);
+    assert.equal(first.total, 3);
+
+    const second = {
+        score: 3,
+        total: 4,
+        byTopic: [{ key: 'dropdown', correct: 2, total: 2 }, { key: 'fill_in_the_blank', correct: 1, total: 2 }],
+        byLevel: [{ key: 'B1', correct: 3, total: 4 }],
+        finishedAt: '2026-10-01T10:00:00.000Z',
+    };
+
+    const summary = engine.getProgressSummary([first, second]);
+    assert.equal(summary.quizCount, 2);
+    assert.equal(summary.questionCount, 7);
+    assert.equal(summary.percentage, 57);
+    assert.deepEqual(summary.trend.map(point => point.percentage), [75, 33], 'in date order');
+    assert.deepEqual(summary.byTopic.map(group => [group.key, group.correct, group.total]), [
+        ['fill_in_the_blank', 1, 3],
+        ['dropdown', 2, 3],
+        ['multiple_choice', 1, 1],
+    ]);
+    assert.equal(engine.getProgressSummary([]).percentage, 0);
+});
+
+// --- Results export and reporting ---
+
+const finishedQuiz = {
+    learner: 'Ana',
+    banks: ['b1', 'b1t'],
+    selection: 'Level B1 · 2 topics',
+    startedAt: '2026-10-02T10:00:00.000Z',
+    finishedAt: '2026-10-02T10:05:00.000Z',
+    score: 1.5,
+    total: 2,
+    seconds: 42.5,
+    questions: [
+        { number: 1, id: 'q1', type: 'multiple_choice', level: 'B1', topic: 'Grammar', question: 'She _____ to school.',
+            answer: 'goes', correctAnswer: 'goes', correct: true, score: 1, seconds: 12.5 },
+        { number: 2, id: 'q/2', type: 'reading_passage', level: null, topic: 'Reading', question: 'Read the text.',
+            answer: 'True / False', correctAnswer: 'True / True', correct: false, score: 0.5, seconds: 30 },
+    ],
+};
+
+test('getResultRecords gives a header and one row per question, with the session on every row', () => {
+    const records = engine.getResultRecords(finishedQuiz);
+    assert.equal(records.length, 3);
+    assert.equal(records[0][records[0].indexOf('seconds')], 'seconds');
+    assert.deepEqual(records[2], ['Ana', '2026-10-02T10:00:00.000Z', '2026-10-02T10:05:00.000Z', '2', 'q/2',
+        'reading_passage', '', 'Reading', 'Read the text.', 'True / False', 'True / True', 'no', '0.5', '30']);
+});
+
+test('createXapiStatements reports each answer and the completed quiz under one registration', () => {
+    let nextId = 0;
+    const statements = engine.createXapiStatements(finishedQuiz, {
+        actor: { objectType: 'Agent', name: 'Ana', account: { homePage: 'https://quiz.example', name: 'p1' } },
+        activityBase: 'https://quiz.example/english',
+        createId: () => `id-${nextId++}`,
+    });
+
+    assert.equal(statements.length, 3);
+    assert.deepEqual(statements.map(statement => statement.id), ['id-1', 'id-2', 'id-3']);
+    assert.ok(statements.every(statement => statement.context.registration === 'id-0'));
+
+    const [first, second, completed] = statements;
+    assert.equal(first.verb.id, 'http://adlnet.gov/expapi/verbs/answered');
+    assert.equal(first.object.definition.interactionType, 'choice');
+    assert.deepEqual(first.result, {
+        success: true,
+        score: { scaled: 1, raw: 1, min: 0, max: 1 },
+        response: 'goes',
+        duration: 'PT12.5S',
+    });
+    assert.equal(second.object.id, 'https://quiz.example/english/questions/q%2F2');
+    assert.equal(second.object.definition.interactionType, 'other');
+
+    assert.equal(completed.verb.id, 'http://adlnet.gov/expapi/verbs/completed');
+    assert.equal(completed.object.id, 'https://quiz.example/english/quizzes/b1+b1t');
+    assert.deepEqual(completed.context, { registration: 'id-0' });
+    assert.deepEqual(completed.result.score, { scaled: 0.75, raw: 1.5, min: 0, max: 2 });
+    assert.equal(completed.result.duration, 'PT42.5S');
+});
@@ -0,0 +1,66 @@
+// validate-questions.js
+
+// Command-line checker for the question banks.
+// Usage: node validate-questions.js [file.json ...]
+// Without arguments every bank listed in banks.json is checked. Exits with code 1 if any item has errors.
+
+const fs = require('fs');
+const path = require('path');
+const { validateQuestionBank } = require('./validator.js');
+
+/**
+ * Lists the bank files from the manifest.
+ * @returns {Array<string>} Absolute paths of the bank files.
+ */
+function getManifestBankFiles() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, 'banks.json'), 'utf8'));
+    return manifest.banks.map(bank => path.join(__dirname, bank.file));
+}
+
+/**
+ * Validates one bank file and prints its report.
+ * @param {string} file - Path to the JSON file.
+ * @returns {boolean} True if the bank has no errors (warnings are allowed).
+ */
+function checkBankFile(file) {
+    const name = path.relative(process.cwd(), file) || file;
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`✗ ${name}: could not be read (${error.message})`);
+        return false;
+    }
+
+    let result;
+    try {
+        result = validateQuestionBank(data);
+    } catch (error) {
+        console.error(`✗ ${name}: ${error.message}`);
+        return false;
+    }
+
+    const { validQuestions, issues } = result;
+    const errorCount = issues.filter(issue => issue.errors.length > 0).length;
+    const summary = `${name}: ${validQuestions.length}/${data.length} questions valid`;
+    if (errorCount === 0) {
+        console.log(`✓ ${summary}`);
+    } else {
+        console.error(`✗ ${summary}`);
+    }
+
+    issues.forEach(issue => {
+        issue.errors.forEach(message => console.error(`    error   #${issue.index} (${issue.type}): ${message}`));
+        issue.warnings.forEach(message => console.warn(`    warning #${issue.index} (${issue.type}): ${message}`));
+    });
+
+    return errorCount === 0;
+}
+
+const files = process.argv.length > 2
+    ? process.argv.slice(2)
+    : getManifestBankFiles();
+
+// Check every file before deciding the exit code so the report is complete
+const results = files.map(checkBankFile);
+process.exitCode = results.every(Boolean) ? 0 : 1;
@@ -0,0 +1,648 @@
+// validator.js
+
+// Shared question bank validation.
+// Loaded as a plain <script> by the quiz page (exposing the functions globally) and
+// required from Node by validate-questions.js to check the bank files from the command line.
+
+/**
+ * Fields every question may carry, whatever its type.
+ * `required: false` fields are only checked when they are present.
+ */
+const COMMON_FIELDS = {
+    id: { kind: 'string', required: false },
+    type: { kind: 'string', required: true },
+    level: { kind: 'string', required: true },
+    topic: { kind: 'string', required: false },
+    explanation: { kind: 'string', required: false },
+    allowMarkup: { kind: 'boolean', required: false },
+};
+
+/**
+ * Kinds of reading passage and listening sub-questions. A sub-question without `type` is multiple choice.
+ */
+const READING_SUB_QUESTION_TYPES = ['multiple_choice', 'true_false_not_given', 'short_answer'];
+
+/**
+ * Options of a true/false/not given sub-question that doesn't list its own.
+ */
+const TRUE_FALSE_NOT_GIVEN_OPTIONS = ['True', 'False', 'Not Given'];
+
+/**
+ * Describes the schema of every question type supported by displayQuestion().
+ * `fields` lists the type-specific properties and their kinds, `rules` are extra checks
+ * across fields that return an array of error or warning messages.
+ */
+const QUESTION_SCHEMAS = {
+    multiple_choice: {
+        description: 'A question with a list of options, exactly one of which is correct.',
+        fields: {
+            questionText: { kind: 'string', required: true },
+            options: { kind: 'string[]', required: true },
+            correctAnswer: { kind: 'string', required: true },
+            shuffleOptions: { kind: 'boolean', required: false },
+            passage: { kind: 'object', required: false },
+        },
+        rules: [checkOptions],
+    },
+    dropdown: {
+        description: 'A sentence with one or more gaps, each answered by choosing from a list of options. ' +
+            'The gaps are marked by `sentenceParts` or by [dropdown] (or _____) markers in `questionText`; ' +
+            'with several gaps, `options` and `correctAnswer` have one entry per gap.',
+        fields: {
+            questionText: { kind: 'string', required: true },
+            options: { kind: 'string[]|string[][]', required: true },
+            correctAnswer: { kind: 'string|string[]', required: true },
+            sentenceParts: { kind: 'string[]', required: false },
+            shuffleOptions: { kind: 'boolean', required: false },
+            passage: { kind: 'object', required: false },
+        },
+        rules: [checkDropdown],
+    },
+    fill_in_the_blank: {
+        description: 'A sentence with one or more gaps the learner types the answers into. ' +
+            'With several gaps `correctAnswer` has one answer per gap, and `acceptedAnswers` one list per gap.',
+        fields: {
+            questionText: { kind: 'string', required: true },
+            correctAnswer: { kind: 'string|string[]', required: true },
+            acceptedAnswers: { kind: 'string[]|string[][]', required: false },
+            typoTolerance: { kind: 'number', required: false },
+            sentenceParts: { kind: 'string[]', required: false },
+            passage: { kind: 'object', required: false },
+        },
+        rules: [checkFillInTheBlank],
+    },
+    reading_passage: {
+        description: 'A text followed by sub-questions about it: multiple choice, true/false/not given or short answer.',
+        fields: {
+            questionText: { kind: 'string', required: false },
+            passage: { kind: 'string', required: true },
+            questions: { kind: 'object[]', required: true },
+        },
+        rules: [checkReadingPassage],
+    },
+    listening: {
+        description: 'A recording (`audio`, or `transcript` read aloud by the browser) followed by sub-questions like ' +
+            'those of a reading passage, or with `"dictation": true` typed out in full and graded against the `transcript`.',
+        fields: {
+            questionText: { kind: 'string', required: false },
+            audio: { kind: 'string', required: false },
+            transcript: { kind: 'string', required: false },
+            lang: { kind: 'string', required: false },
+            maxPlays: { kind: 'number', required: false },
+            dictation: { kind: 'boolean', required: false },
+            questions: { kind: 'object[]', required: false },
+        },
+        rules: [checkListening],
+    },
+    drag_and_drop: {
+        description: 'Sentence parts from `blanks` interleaved with drop zones, filled in `correctOrder`.',
+        fields: {
+            questionText: { kind: 'string', required: true },
+            blanks: { kind: 'object[]', required: true },
+            correctOrder: { kind: 'string[]', required: true },
+            shuffleOptions: { kind: 'boolean', required: false },
+        },
+        rules: [checkDragAndDrop],
+    },
+    drag_and_drop_sentence: {
+        description: 'A `sentenceTemplate` with [DROP_ZONE] markers, filled from `dragWords` with `correctWords`.',
+        fields: {
+            questionText: { kind: 'string', required: true },
+            sentenceTemplate: { kind: 'string', required: true },
+            correctWords: { kind: 'string[]', required: true },
+            dragWords: { kind: 'string[]', required: true },
+            shuffleOptions: { kind: 'boolean', required: false },
+            passage: { kind: 'object', required: false },
+        },
+        rules: [checkDragAndDropSentence],
+    },
+    matching: {
+        description: 'Two columns to pair up: each of the `pairs` has a `left` item and the `right` item it goes with, ' +
+            'the right-hand items being offered in a different order. Each pair matched earns its share of the point.',
+        fields: {
+            questionText: { kind: 'string', required: true },
+            pairs: { kind: 'object[]', required: true },
+        },
+        rules: [checkMatching],
+    },
+    sentence_order: {
+        description: 'Words or clauses (`tokens`, in the right order) offered jumbled, to put back in order. ' +
+            '`acceptedOrders` lists other orders that are also right.',
+        fields: {
+            questionText: { kind: 'string', required: false },
+            tokens: { kind: 'string[]', required: true },
+            acceptedOrders: { kind: 'string[][]', required: false },
+        },
+        rules: [checkSentenceOrder],
+    },
+};
+
+/**
+ * Checks a value against a field kind from the schema.
+ * @param {*} value - The value to check.
+ * @param {string} kind - One of 'string', 'number', 'boolean', 'object', 'string[]', 'string[][]' or 'object[]',
+ *                        or several of them separated by '|'.
+ * @returns {boolean} True if the value matches the kind.
+ */
+function matchesKind(value, kind) {
+    if (kind.includes('|')) {
+        return kind.split('|').some(alternative => matchesKind(value, alternative));
+    }
+
+    switch (kind) {
+        case 'string':
+            return typeof value === 'string';
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'string[]':
+            return Array.isArray(value) && value.every(item => typeof item === 'string');
+        case 'string[][]':
+            return Array.isArray(value) && value.every(item => matchesKind(item, 'string[]'));
+        case 'object[]':
+            return Array.isArray(value) && value.every(item => matchesKind(item, 'object'));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Checks the presence and kind of every field in a field map.
+ * @param {object} item - The object being checked.
+ * @param {object} fields - A map of field name to { kind, required }.
+ * @param {string} prefix - Prepended to field names in messages (e.g. "questions[1].").
+ * @returns {Array<string>} Error messages.
+ */
+function checkFields(item, fields, prefix = '') {
+    const errors = [];
+    Object.keys(fields).forEach(name => {
+        const { kind, required } = fields[name];
+        if (item[name] === undefined || item[name] === null) {
+            if (required) {
+                errors.push(`missing required field "${prefix}${name}"`);
+            }
+            return;
+        }
+        if (!matchesKind(item[name], kind)) {
+            errors.push(`"${prefix}${name}" should be of type ${kind}`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Rule shared by choice-based items: at least two distinct options, one of them the correct answer.
+ * @param {object} item - A multiple_choice, dropdown or reading passage sub-question.
+ * @param {string} prefix - Prepended to field names in messages.
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function checkOptions(item, prefix = '') {
+    const errors = [];
+    const warnings = [];
+    if (!Array.isArray(item.options) || typeof item.correctAnswer !== 'string') {
+        return { errors, warnings }; // Already reported by checkFields
+    }
+
+    if (item.options.length < 2) {
+        errors.push(`"${prefix}options" needs at least two options`);
+    }
+    if (!item.options.includes(item.correctAnswer)) {
+        errors.push(`"${prefix}correctAnswer" ("${item.correctAnswer}") is not one of the options`);
+    }
+    if (new Set(item.options).size !== item.options.length) {
+        warnings.push(`"${prefix}options" contains duplicates`);
+    }
+    return { errors, warnings };
+}
+
+/**
+ * Rule for dropdown: valid options for each gap (as checkOptions() checks a single gap's), and as many gaps in the sentence
+ * as correct answers.
+ * A single gap may be left unmarked, its list is then shown under the question.
+ * @param {object} question - The question object.
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function checkDropdown(question) {
+    if (typeof question.correctAnswer === 'string') {
+        if (Array.isArray(question.options) && !matchesKind(question.options, 'string[]')) {
+            return { errors: ['"options" should be of type string[] for 1 gap'], warnings: [] };
+        }
+        return checkOptions(question);
+    }
+
+    const errors = [];
+    const warnings = [];
+    if (!Array.isArray(question.correctAnswer) || !matchesKind(question.options, 'string[][]')) {
+        if (Array.isArray(question.correctAnswer) && Array.isArray(question.options)) {
+            errors.push(`"options" should be of type string[][] for ${question.correctAnswer.length} gaps`);
+        }
+        return { errors, warnings }; // Otherwise already reported by checkFields
+    }
+
+    const gapCount = question.correctAnswer.length;
+    if (gapCount < 2) {
+        errors.push('"correctAnswer" should be a string for a single gap');
+    }
+    if (question.options.length !== gapCount) {
+        errors.push(`"options" has ${question.options.length} lists but there are ${gapCount} correct answers`);
+    }
+    question.correctAnswer.forEach((correctAnswer, i) => {
+        const options = question.options[i];
+        if (!Array.isArray(options)) {
+            return;
+        }
+        if (options.length < 2) {
+            errors.push(`"options[${i}]" needs at least two options`);
+        }
+        if (!options.includes(correctAnswer)) {
+            errors.push(`"correctAnswer[${i}]" ("${correctAnswer}") is not one of the options of gap ${i + 1}`);
+        }
+        if (new Set(options).size !== options.length) {
+            warnings.push(`"options[${i}]" contains duplicates`);
+        }
+    });
+
+    let markedGaps;
+    if (Array.isArray(question.sentenceParts)) {
+        markedGaps = question.sentenceParts.length - 1;
+    } else if (typeof question.questionText === 'string') {
+        markedGaps = question.questionText.split(/\[dropdown\]|_____/).length - 1;
+    }
+    if (markedGaps !== undefined && markedGaps !== gapCount) {
+        errors.push(`has ${gapCount} correct answers but ${markedGaps} gap${markedGaps === 1 ? '' : 's'} in the sentence`);
+    }
+    return { errors, warnings };
+}
+
+/**
+ * Rule for fill_in_the_blank: the gaps are marked by `sentenceParts` (one gap between each part)
+ * or by _____ markers in `questionText`, and there is one correct answer (and list of accepted answers) per gap.
+ * @param {object} question - The question object.
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function checkFillInTheBlank(question) {
+    const errors = [];
+    const warnings = [];
+
+    let blankCount;
+    if (Array.isArray(question.sentenceParts)) {
+        blankCount = question.sentenceParts.length - 1;
+        if (blankCount < 1) {
+            errors.push('"sentenceParts" needs a part before and after the blank');
+        }
+    } else if (typeof question.questionText === 'string') {
+        blankCount = question.questionText.split('_____').length - 1;
+        if (blankCount < 1) {
+            errors.push('needs either "sentenceParts" or a _____ marker in "questionText"');
+        }
+    }
+    if (!blankCount || blankCount < 1) {
+        return { errors, warnings };
+    }
+
+    const answerCount = Array.isArray(question.correctAnswer) ? question.correctAnswer.length : 1;
+    if (answerCount !== blankCount) {
+        errors.push(`has ${blankCount} blank${blankCount === 1 ? '' : 's'} but ${answerCount} correct answer${answerCount === 1 ? '' : 's'}`);
+    }
+
+    if (question.acceptedAnswers !== undefined) {
+        // One flat list for a single blank, one list per blank otherwise
+        const expectedKind = blankCount === 1 ? 'string[]' : 'string[][]';
+        if (!matchesKind(question.acceptedAnswers, expectedKind)) {
+            errors.push(`"acceptedAnswers" should be of type ${expectedKind} for ${blankCount} blank${blankCount === 1 ? '' : 's'}`);
+        } else if (blankCount > 1 && question.acceptedAnswers.length !== blankCount) {
+            errors.push(`"acceptedAnswers" has ${question.acceptedAnswers.length} lists but there are ${blankCount} blanks`);
+        }
+    }
+
+    if (typeof question.typoTolerance === 'number' && (!Number.isInteger(question.typoTolerance) || question.typoTolerance < 0)) {
+        errors.push('"typoTolerance" should be a whole number of typos, 0 or more');
+    }
+    return { errors, warnings };
+}
+
+/**
+ * Rule for reading_passage: every sub-question is a valid item of its kind (see checkSubQuestions()).
+ * @param {object} question - The question object.
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function checkReadingPassage(question) {
+    return checkSubQuestions(question);
+}
+
+/**
+ * Rule for listening: something to play (an `audio` file, or a `transcript` for speech synthesis), a sensible
+ * replay limit, and either sub-questions (checked like a reading passage's) or, for a dictation, a transcript to grade against.
+ * @param {object} question - The question object.
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function checkListening(question) {
+    const errors = [];
+    const warnings = [];
+
+    if (question.audio === undefined && question.transcript === undefined) {
+        errors.push('needs an "audio" file or a "transcript" to read aloud');
+    }
+    if (typeof question.maxPlays === 'number' && (!Number.isInteger(question.maxPlays) || question.maxPlays < 1)) {
+        errors.push('"maxPlays" should be a whole number of plays, 1 or more');
+    }
+
+    if (question.dictation === true) {
+        if (question.transcript === undefined) {
+            errors.push('a dictation needs the "transcript" its answer is graded against');
+        }
+        if (question.questions !== undefined) {
+            warnings.push('"questions" is ignored for a dictation');
+        }
+        return { errors, warnings };
+    }
+
+    if (question.questions === undefined) {
+        errors.push('missing required field "questions" (or set "dictation": true)');
+        return { errors, warnings };
+    }
+    const result = checkSubQuestions(question);
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+    return { errors, warnings };
+}
+
+/**
+ * Checks the `questions` of a reading passage or listening question: every sub-question is a valid item of its kind.
+ * Multiple-choice sub-questions need options including the correct answer, true/false/not given ones
+ * answer with one of TRUE_FALSE_NOT_GIVEN_OPTIONS (or their own `options`), short-answer ones only need
+ * the expected `correctAnswer`.
+ * @param {object} question - The question object.
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function checkSubQuestions(question) {
+    const errors = [];
+    const warnings = [];
+    if (!Array.isArray(question.questions)) {
+        return { errors, warnings };
+    }
+
+    if (question.questions.length === 0) {
+        errors.push('"questions" needs at least one sub-question');
+    }
+    question.questions.forEach((subQuestion, i) => {
+        if (!matchesKind(subQuestion, 'object')) {
+            return; // Already reported by checkFields
+        }
+        const prefix = `questions[${i}].`;
+        const subType = subQuestion.type === undefined ? 'multiple_choice' : subQuestion.type;
+        if (!READING_SUB_QUESTION_TYPES.includes(subType)) {
+            errors.push(`"${prefix}type" is an unsupported sub-question type ("${subType}")`);
+            return;
+        }
+
+        errors.push(...checkFields(subQuestion, {
+            type: { kind: 'string', required: false },
+            questionText: { kind: 'string', required: true },
+            options: { kind: 'string[]', required: subType === 'multiple_choice' },
+            correctAnswer: { kind: 'string', required: true },
+            acceptedAnswers: { kind: 'string[]', required: false },
+            typoTolerance: { kind: 'number', required: false },
+            shuffleOptions: { kind: 'boolean', required: false },
+            explanation: { kind: 'string', required: false },
+        }, prefix));
+
+        if (subQuestion.acceptedAnswers !== undefined && subType !== 'short_answer') {
+            warnings.push(`"${prefix}acceptedAnswers" is only used by short_answer sub-questions`);
+        }
+
+        if (subType === 'short_answer') {
+            if (subQuestion.options !== undefined) {
+                warnings.push(`"${prefix}options" is ignored for a short_answer sub-question`);
+            }
+            return;
+        }
+
+        const result = checkOptions(
+            subType === 'true_false_not_given' && subQuestion.options === undefined
+                ? { ...subQuestion, options: TRUE_FALSE_NOT_GIVEN_OPTIONS }
+                : subQuestion,
+            prefix
+        );
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+    });
+    return { errors, warnings };
+}
+
+/**
+ * Rule for drag_and_drop: a drop zone follows each of the first correctOrder.length sentence parts,
+ * so there must be enough `blanks`, and any per-blank `correctAnswer` must agree with `correctOrder`.
+ * The word bank has each word once, so `correctOrder` can't use a word twice.
+ * @param {object} question - The question object.
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function checkDragAndDrop(question) {
+    const errors = [];
+    const warnings = [];
+    if (!Array.isArray(question.blanks) || !Array.isArray(question.correctOrder)) {
+        return { errors, warnings };
+    }
+
+    question.blanks.forEach((blank, i) => {
+        if (matchesKind(blank, 'object')) {
+            errors.push(...checkFields(blank, {
+                sentencePart: { kind: 'string', required: true },
+                options: { kind: 'string[]', required: false },
+                correctAnswer: { kind: 'string', required: false },
+                explanation: { kind: 'string', required: false },
+            }, `blanks[${i}].`));
+        }
+    });
+
+    if (question.correctOrder.length === 0) {
+        errors.push('"correctOrder" needs at least one word');
+    } else if (question.correctOrder.length > question.blanks.length) {
+        errors.push(`"correctOrder" has ${question.correctOrder.length} words but "blanks" only has ${question.blanks.length} sentence parts`);
+    }
+    if (new Set(question.correctOrder).size !== question.correctOrder.length) {
+        errors.push('"correctOrder" has the same word more than once, but each word can only be placed once');
+    }
+
+    question.correctOrder.forEach((word, i) => {
+        const blank = question.blanks[i];
+        if (blank && typeof blank.correctAnswer === 'string' && blank.correctAnswer !== word) {
+            errors.push(`"correctOrder[${i}]" ("${word}") does not match "blanks[${i}].correctAnswer" ("${blank.correctAnswer}")`);
+        }
+    });
+    return { errors, warnings };
+}
+
+/**
+ * Rule for drag_and_drop_sentence: one correct word per [DROP_ZONE] marker, none of them twice
+ * (the word bank has each word once).
+ * @param {object} question - The question object.
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function checkDragAndDropSentence(question) {
+    const errors = [];
+    const warnings = [];
+    if (typeof question.sentenceTemplate !== 'string' || !Array.isArray(question.correctWords)) {
+        return { errors, warnings };
+    }
+
+    const zoneCount = question.sentenceTemplate.split('[DROP_ZONE]').length - 1;
+    if (zoneCount === 0) {
+        errors.push('"sentenceTemplate" has no [DROP_ZONE] marker');
+    } else if (zoneCount !== question.correctWords.length) {
+        errors.push(`"sentenceTemplate" has ${zoneCount} [DROP_ZONE] markers but "correctWords" has ${question.correctWords.length} words`);
+    }
+    if (new Set(question.correctWords).size !== question.correctWords.length) {
+        errors.push('"correctWords" has the same word more than once, but each word can only be placed once');
+    }
+
+    if (Array.isArray(question.dragWords)) {
+        question.correctWords.forEach(word => {
+            if (!question.dragWords.includes(word)) {
+                warnings.push(`correct word "${word}" is missing from "dragWords"`);
+            }
+        });
+    }
+    return { errors, warnings };
+}
+
+/**
+ * Rule for matching: at least two pairs, each with a left and a right item, and no item twice in a column
+ * (a right-hand item appearing twice would make two answers right for one pair).
+ * @param {object} question - The question object.
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function checkMatching(question) {
+    const errors = [];
+    const warnings = [];
+    if (!Array.isArray(question.pairs)) {
+        return { errors, warnings };
+    }
+
+    if (question.pairs.length < 2) {
+        errors.push('"pairs" needs at least two pairs');
+    }
+    question.pairs.forEach((pair, i) => {
+        if (matchesKind(pair, 'object')) {
+            errors.push(...checkFields(pair, {
+                left: { kind: 'string', required: true },
+                right: { kind: 'string', required: true },
+                explanation: { kind: 'string', required: false },
+            }, `pairs[${i}].`));
+        }
+    });
+
+    ['left', 'right'].forEach(side => {
+        const items = question.pairs.map(pair => pair && pair[side]).filter(item => typeof item === 'string');
+        if (new Set(items).size !== items.length) {
+            errors.push(`"pairs" has the same ${side} item more than once`);
+        }
+    });
+    return { errors, warnings };
+}
+
+/**
+ * Rule for sentence_order: at least two tokens, and accepted orders that use exactly the same tokens.
+ * @param {object} question - The question object.
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function checkSentenceOrder(question) {
+    const errors = [];
+    const warnings = [];
+    if (!Array.isArray(question.tokens)) {
+        return { errors, warnings };
+    }
+
+    if (question.tokens.length < 2) {
+        errors.push('"tokens" needs at least two tokens to put in order');
+    }
+    if (matchesKind(question.acceptedOrders, 'string[][]')) {
+        const sortedTokens = JSON.stringify([...question.tokens].sort());
+        question.acceptedOrders.forEach((order, i) => {
+            if (JSON.stringify([...order].sort()) !== sortedTokens) {
+                errors.push(`"acceptedOrders[${i}]" should use exactly the tokens of "tokens"`);
+            }
+        });
+    }
+    return { errors, warnings };
+}
+
+/**
+ * Validates a single question against the schema for its type.
+ * @param {object} question - The question object.
+ * @returns {{errors: Array<string>, warnings: Array<string>}} Errors make the item unusable, warnings don't.
+ */
+function validateQuestion(question) {
+    if (!matchesKind(question, 'object')) {
+        return { errors: ['question is not an object'], warnings: [] };
+    }
+
+    const errors = checkFields(question, COMMON_FIELDS);
+    const warnings = [];
+    const schema = QUESTION_SCHEMAS[question.type];
+
+    if (!schema) {
+        if (typeof question.type === 'string') {
+            errors.push(`unsupported question type "${question.type}"`);
+        }
+        return { errors, warnings };
+    }
+
+    errors.push(...checkFields(question, schema.fields));
+    schema.rules.forEach(rule => {
+        const result = rule(question);
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+    });
+    return { errors, warnings };
+}
+
+/**
+ * Validates a whole question bank.
+ * @param {*} data - The parsed JSON of a bank file.
+ * @returns {{validQuestions: Array<object>, issues: Array<{index: number, type: string, errors: Array<string>, warnings: Array<string>}>}}
+ *          The usable questions, plus one entry per item with errors or warnings.
+ */
+function validateQuestionBank(data) {
+    if (!Array.isArray(data)) {
+        throw new Error('The question bank should be a JSON array of questions.');
+    }
+
+    const validQuestions = [];
+    const issues = [];
+    const usedIds = new Set();
+
+    data.forEach((question, index) => {
+        const { errors, warnings } = validateQuestion(question);
+        // The answer history is kept per id, so two items sharing one would mix their histories
+        if (question && typeof question.id === 'string') {
+            if (usedIds.has(question.id)) {
+                errors.push(`"id" ("${question.id}") is already used by another question`);
+            }
+            usedIds.add(question.id);
+        }
+        if (errors.length === 0) {
+            validQuestions.push(question);
+        }
+        if (errors.length > 0 || warnings.length > 0) {
+            const type = question && typeof question.type === 'string' ? question.type : 'unknown';
+            issues.push({ index, type, errors, warnings });
+        }
+    });
+
+    return { validQuestions, issues };
+}
+
+// Allow the validator to be required from Node (see validate-questions.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QUESTION_SCHEMAS,
+        READING_SUB_QUESTION_TYPES,
+        TRUE_FALSE_NOT_GIVEN_OPTIONS,
+        validateQuestion,
+        validateQuestionBank,
+    };
+}